@@ -1,5 +1,15 @@
 const { logger } = require("../utils/logger");
 const { queries } = require("../data/db");
+const { computeCost, getBudgetStatus } = require("../integrations/claude/spend");
+const { getModelConfig, DEFAULT_MODEL_CONFIG } = require("./model-config");
+const { resolvePrompt, getPromptVersion } = require("./prompt-overrides");
+const { getCoachingStyle, buildCoachingStyle, DEFAULT_COACHING_STYLE } = require("./coaching-style");
+const { IPC_CHANNELS } = require("../../shared/ipc-channels");
+const { validateToolInput, ToolInputError } = require("../integrations/llm/tool-input");
+const { resolveChampionName, hasChampionData } = require("../summoner-detector");
+
+/** After a failed call, how long agents stay on their local fallback before trying the LLM again */
+const OFFLINE_RETRY_MS = 2 * 60 * 1000;
 
 /**
  * Base class for all Rift Architect agents.
@@ -11,10 +21,30 @@ const { queries } = require("../data/db");
  *   - handleToolCall(name, input) — Executes a tool and returns the result
  *   - onActivate()         — Called when the agent's phase begins
  *   - onDeactivate()       — Called when the agent's phase ends
+ *
+ * Tool calls are checked against the tool's input_schema (and champion names
+ * against Data Dragon, see championInputFields) before handleToolCall runs;
+ * invalid calls go back to the model as tool errors.
+ *
+ * Each agent module also exports a `manifest` for the agent registry
+ * (phases, game modes, overlays, dependencies) — see registry.js.
+ *
+ * Prompts the manifest declares in `prompts` can be overridden by the user
+ * (see prompt-overrides.js): the "system" prompt replaces systemPrompt(), and
+ * agents read the rest through prompt(key, vars).
+ *
+ * The user's coaching style (see coaching-style.js) is read through
+ * `coachingStyle`: agents add its instructions to their context and apply
+ * its knobs to what they send the overlays.
+ *
+ * Offline mode — with no LLM configured, the daily budget spent, or the last
+ * call failed, invoke() skips the model and returns `offline: true`. Agents
+ * then fall back to deterministic advice from local data, and their overlays
+ * are told via AGENT_OFFLINE so they can say so.
  */
 class BaseAgent {
-  /** @type {import('../integrations/claude/client').ClaudeClient} */
-  #claudeClient;
+  /** @type {import('../integrations/llm/provider').LLMProvider} */
+  #llm;
 
   /** @type {import('../orchestrator/event-bus').EventBus} */
   #eventBus;
@@ -25,21 +55,50 @@ class BaseAgent {
   /** @type {import('../windows/overlay-manager').OverlayManager} */
   #overlayManager;
 
+  /** @type {string} GameMode this agent was activated for */
+  #gameMode;
+
+  /** @type {string | null} Game this agent was activated for (spend accounting) */
+  #gameId;
+
+  /** @type {string[]} Overlay names from the agent's registry manifest */
+  #overlays;
+
+  /** @type {Object<string, import('./prompt-overrides').PromptDefinition>} Editable prompts from the manifest */
+  #prompts;
+
   /** @type {boolean} */
   #active = false;
 
+  /** @type {Set<AbortController>} One per in-flight invoke(), aborted on stop() */
+  #inflight = new Set();
+
+  /** @type {number} When the last LLM call failed (0 = it didn't) */
+  #failedAt = 0;
+
+  /** @type {string | null} Offline reason last sent to the overlays */
+  #offlineReason = null;
+
   /**
    * @param {Object} deps
-   * @param {import('../integrations/claude/client').ClaudeClient} deps.claudeClient
+   * @param {import('../integrations/llm/provider').LLMProvider} deps.llm — Anthropic or OpenAI-compatible
    * @param {import('../orchestrator/event-bus').EventBus} deps.eventBus
    * @param {import('../lcu-connector').LCUConnector} deps.lcu
    * @param {import('../windows/overlay-manager').OverlayManager} deps.overlayManager
+   * @param {string} [deps.gameMode="UNKNOWN"] — GameMode from the orchestrator
+   * @param {string | null} [deps.gameId=null] — Current game id from the orchestrator
+   * @param {string[]} [deps.overlays=[]] — Overlays this agent drives (from its manifest)
+   * @param {Object<string, import('./prompt-overrides').PromptDefinition>} [deps.prompts={}] — Editable prompts (from its manifest)
    */
-  constructor({ claudeClient, eventBus, lcu, overlayManager }) {
-    this.#claudeClient = claudeClient;
+  constructor({ llm, eventBus, lcu, overlayManager, gameMode = "UNKNOWN", gameId = null, overlays = [], prompts = {} }) {
+    this.#llm = llm;
     this.#eventBus = eventBus;
     this.#lcu = lcu;
     this.#overlayManager = overlayManager;
+    this.#gameMode = gameMode;
+    this.#gameId = gameId;
+    this.#overlays = overlays;
+    this.#prompts = prompts;
   }
 
   // ---------------------------------------------------------------------------
@@ -62,15 +121,52 @@ class BaseAgent {
   }
 
   /**
-   * Handle a tool call from Claude.
+   * Handle a tool call from Claude. The input has already been validated
+   * against the tool's input_schema (and repaired, e.g. "0.8" → 0.8).
    * @param {string} toolName
    * @param {any} toolInput
+   * @param {Object} [call]
+   * @param {AbortSignal} [call.signal] — Aborted when the invocation is cancelled;
+   *   pass it on to slow lookups
+   * @param {string} [call.toolUseId] — Matches the `id` of streamed tool_input events
    * @returns {Promise<any>} The result to send back to Claude
    */
-  async handleToolCall(toolName, toolInput) {
+  async handleToolCall(toolName, toolInput, call) {
     throw new Error(`Subclass must implement handleToolCall() — got ${toolName}`);
   }
 
+  /**
+   * Called with partial output while Claude's response streams in — text
+   * deltas and tool inputs parsed so far. Override to render tool arguments
+   * before the tool call completes; handleToolCall still gets the final input.
+   * @param {import('../integrations/llm/provider').StreamEvent} event
+   */
+  onStreamEvent(event) {
+    // Override in subclass
+  }
+
+  /**
+   * Tool input properties that hold champion names — strings or arrays of
+   * strings, at any depth. They're checked against Data Dragon and rewritten
+   * to the display name ("kaisa" → "Kai'Sa"); unknown names reject the call.
+   * @returns {string[]}
+   */
+  championInputFields() {
+    return [];
+  }
+
+  /**
+   * Called when a tool call is rejected as invalid, before the error goes
+   * back to the model. Override to withdraw partial output streamed for it.
+   * @param {string} toolName
+   * @param {any} toolInput — As the model sent it
+   * @param {Object} [call]
+   * @param {string} [call.toolUseId]
+   */
+  onInvalidToolCall(toolName, toolInput, call) {
+    // Override in subclass
+  }
+
   /**
    * Called when this agent's phase begins. Set up data pipelines, subscriptions, etc.
    */
@@ -95,7 +191,11 @@ class BaseAgent {
   async start() {
     if (this.#active) return;
     this.#active = true;
-    logger.info(`Agent [${this.name}] activating...`);
+    logger.info(`Agent [${this.name}] activating...`, { mode: this.#gameMode });
+
+    // Overlays outlive agents — tell them where this one stands up front
+    this.#offlineReason = this.#checkOffline();
+    this.#sendOfflineStatus();
 
     try {
       await this.onActivate();
@@ -114,6 +214,9 @@ class BaseAgent {
     this.#active = false;
     logger.info(`Agent [${this.name}] deactivating...`);
 
+    // The phase is over — nothing in flight may reach its overlays
+    this.cancelInvocations("Agent deactivated");
+
     try {
       await this.onDeactivate();
       logger.info(`Agent [${this.name}] stopped.`);
@@ -127,13 +230,32 @@ class BaseAgent {
     return this.#active;
   }
 
+  /**
+   * Abort every in-flight invocation. Each one resolves with `cancelled: true`
+   * and is logged to agent_logs with status "cancelled".
+   * @param {string} [reason="Cancelled"]
+   */
+  cancelInvocations(reason = "Cancelled") {
+    if (this.#inflight.size === 0) return;
+    logger.info(`Agent [${this.name}] cancelling ${this.#inflight.size} in-flight invocation(s)`, { reason });
+    for (const controller of this.#inflight) controller.abort(new Error(reason));
+  }
+
   // ---------------------------------------------------------------------------
   // Protected — available to subclasses
   // ---------------------------------------------------------------------------
 
-  /** @returns {import('../integrations/claude/client').ClaudeClient} */
+  /** @returns {import('../integrations/llm/provider').LLMProvider} */
+  get llm() {
+    return this.#llm;
+  }
+
+  /**
+   * @deprecated Use `llm` — kept for plugins written before providers
+   * @returns {import('../integrations/llm/provider').LLMProvider}
+   */
   get claude() {
-    return this.#claudeClient;
+    return this.#llm;
   }
 
   /** @returns {import('../orchestrator/event-bus').EventBus} */
@@ -151,13 +273,68 @@ class BaseAgent {
     return this.#overlayManager;
   }
 
+  /** @returns {string} GameMode value (e.g. "SUMMONERS_RIFT", "CUSTOM") */
+  get gameMode() {
+    return this.#gameMode;
+  }
+
+  /** @returns {string | null} LCU gameId (or a local id) of the current game */
+  get gameId() {
+    return this.#gameId;
+  }
+
+  /**
+   * One of the manifest's editable prompts — the user's override if there is
+   * one, else the default — with its `{{placeholders}}` filled from `vars`.
+   * @param {string} key — Key in the manifest's `prompts`
+   * @param {Object<string, *>} [vars]
+   * @returns {string}
+   */
+  prompt(key, vars = {}) {
+    return resolvePrompt(this.name, key, this.#prompts[key]?.template ?? "", vars);
+  }
+
+  /**
+   * The coaching style in effect for this agent, read fresh on every access.
+   * @returns {import('./coaching-style').CoachingStyle}
+   */
+  get coachingStyle() {
+    try {
+      return getCoachingStyle(this.name);
+    } catch (err) {
+      logger.debug("Coaching style read failed — using default", { error: err.message });
+      return buildCoachingStyle(DEFAULT_COACHING_STYLE, this.name);
+    }
+  }
+
+  /**
+   * Whether invoke() would skip the LLM right now. Agents that can act
+   * without it (e.g. local trigger calls) check this before building context.
+   * @returns {boolean}
+   */
+  get offline() {
+    return this.#checkOffline() !== null;
+  }
+
   /**
-   * Run a full tool-use conversation with Claude.
-   * Wraps the Claude client's runToolLoop and logs the invocation.
+   * Run a full tool-use conversation with the model (Claude, or the
+   * configured LLM provider). Wraps the provider's runToolLoop and logs the
+   * invocation.
+   * Cancelled by stop() (or cancelInvocations) — check `result.cancelled`
+   * before acting on the result.
+   *
+   * The result has `offline: true` (and `offlineReason`) when the model was
+   * skipped — no provider configured ("no_llm"), daily budget spent
+   * ("over_budget", also flagged `overBudget: true`) or a recent failure
+   * ("error") — or when this call failed before any tool ran. Agents should
+   * then emit their local fallback.
+   *
+   * Model, max tokens, temperature, tool rounds and timeout come from the
+   * agent's model config (see model-config.js), read fresh on every call.
    *
    * @param {string} userMessage — The context/data to send to Claude
    * @param {string} [gamePhase] — Current phase for logging
-   * @returns {Promise<{ text: string, toolResults: Array }>}
+   * @returns {Promise<{ text: string, toolResults: Array, costUsd?: number | null, cancelled?: boolean, offline?: boolean, offlineReason?: string, overBudget?: boolean, error?: string }>}
    */
   async invoke(userMessage, gamePhase = "unknown") {
     if (!this.#active) {
@@ -165,57 +342,305 @@ class BaseAgent {
       return { text: "", toolResults: [] };
     }
 
-    logger.info(`Agent [${this.name}] invoking Claude...`, {
+    const config = this.#readModelConfig();
+    const model = config.model || this.#llm.model;
+    const promptVersion = this.#readPromptVersion();
+
+    const offlineReason = this.#checkOffline();
+    if (offlineReason) {
+      if (offlineReason === "over_budget") {
+        const budget = this.#checkBudget();
+        logger.warn(`Agent [${this.name}] daily Claude budget reached — running local-only`, {
+          spentUsd: budget.spent_usd,
+          budgetUsd: budget.budget_usd,
+        });
+      } else {
+        logger.info(`Agent [${this.name}] LLM offline (${offlineReason}) — using local fallback`);
+      }
+      const result = {
+        text: "",
+        toolResults: [],
+        usage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+        latencyMs: 0,
+        offline: true,
+        offlineReason,
+        overBudget: offlineReason === "over_budget",
+      };
+      this.#logInvocation(userMessage, gamePhase, result, offlineReason === "over_budget" ? "over_budget" : "offline", model, promptVersion);
+      this.#setOffline(offlineReason);
+      return result;
+    }
+
+    logger.info(`Agent [${this.name}] invoking ${this.#llm.name}...`, {
+      model,
       inputLength: userMessage.length,
     });
 
-    const result = await this.claude.runToolLoop({
-      systemPrompt: this.systemPrompt(),
-      tools: this.tools(),
-      messages: [{ role: "user", content: userMessage }],
-      toolHandler: (toolName, toolInput) => this.handleToolCall(toolName, toolInput),
-    });
+    const controller = new AbortController();
+    this.#inflight.add(controller);
 
-    // Log the invocation to the database
+    /** @type {{ tool: string, errors: string[] }[]} */
+    const toolErrors = [];
+
+    let result;
     try {
-      queries.logAgent({
-        agent_name: this.name,
-        game_phase: gamePhase,
-        input_summary: userMessage.substring(0, 500),
-        output_summary: result.text.substring(0, 500),
-        claude_model: process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514",
-        tokens_used: result.usage.input + result.usage.output,
-        latency_ms: result.latencyMs,
+      result = await this.#llm.runToolLoop({
+        systemPrompt: resolvePrompt(this.name, "system", this.systemPrompt()),
+        tools: this.tools(),
+        messages: [{ role: "user", content: userMessage }],
+        toolHandler: (toolName, toolInput, call) => this.#runTool(toolName, toolInput, call, toolErrors),
+        model: config.model,
+        maxTokens: config.maxTokens,
+        temperature: config.temperature,
+        maxToolRounds: config.maxToolRounds,
+        timeoutMs: config.timeoutMs,
+        signal: controller.signal,
+        onStream: (event) => {
+          if (!controller.signal.aborted) this.onStreamEvent(event);
+        },
       });
-    } catch (err) {
-      logger.warn("Failed to log agent invocation to DB", { error: err.message });
+    } finally {
+      this.#inflight.delete(controller);
+    }
+
+    const status = result.cancelled ? "cancelled" : result.error ? "error" : "ok";
+    result.toolErrors = toolErrors;
+    result.costUsd = this.#llm.local ? 0 : computeCost(this.#llm.name, result.model, result.usage);
+    this.#logInvocation(userMessage, gamePhase, result, status, result.model, promptVersion);
+
+    if (result.cancelled) {
+      logger.info(`Agent [${this.name}] invocation cancelled`, { latencyMs: result.latencyMs });
+      return result;
+    }
+
+    // An outage shouldn't leave the overlay empty — unless tools already reached it
+    if (result.error) {
+      this.#failedAt = Date.now();
+      if (!result.toolResults.some((r) => !r.failed)) {
+        result.offline = true;
+        result.offlineReason = "error";
+        this.#setOffline("error");
+      }
+    } else {
+      this.#failedAt = 0;
+      this.#setOffline(null);
     }
 
     logger.info(`Agent [${this.name}] invocation complete`, {
       toolCalls: result.toolResults.length,
       latencyMs: result.latencyMs,
+      costUsd: result.costUsd,
     });
 
     return result;
   }
 
   /**
-   * Send data to this agent's overlay window.
+   * Send data to this agent's overlay window(s), as declared in its manifest.
+   * Dropped once the agent is deactivated, so late tool handlers or polls
+   * can't write into the next phase's overlays.
    * @param {string} channel — IPC channel name
    * @param {any} data
    */
   sendToOverlay(channel, data) {
-    // Derive overlay name from agent name
-    const overlayName = {
-      "drafting-oracle": "draft",
-      "macro-strategist": "macro",
-      "tilt-guard": "tilt",
-    }[this.name];
-
-    if (overlayName) {
+    if (!this.#active) {
+      logger.debug(`Agent [${this.name}] inactive — dropped overlay message`, { channel });
+      return;
+    }
+
+    for (const overlayName of this.#overlays) {
       this.overlayManager.sendToOverlay(overlayName, channel, data);
     }
   }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Validate a tool call, then hand it to handleToolCall.
+   * @param {string} toolName
+   * @param {any} toolInput
+   * @param {Object} call
+   * @param {{ tool: string, errors: string[] }[]} toolErrors — Rejections are recorded here
+   * @returns {Promise<any>}
+   * @throws {ToolInputError} When the input is invalid
+   */
+  async #runTool(toolName, toolInput, call, toolErrors) {
+    const tool = this.tools().find((t) => t.name === toolName);
+    if (!tool) return this.handleToolCall(toolName, toolInput, call); // Agents report unknown tools
+
+    const { value, errors } = validateToolInput(tool.input_schema, toolInput);
+    const checked = this.#checkChampions(value, tool.input_schema, errors);
+
+    if (errors.length > 0) {
+      toolErrors.push({ tool: toolName, errors });
+      this.onInvalidToolCall(toolName, toolInput, call);
+      throw new ToolInputError(toolName, errors);
+    }
+    return this.handleToolCall(toolName, checked, call);
+  }
+
+  /**
+   * Resolve the champion names in a tool input (see championInputFields).
+   * Models often send "" for "none": a blank optional champion field is
+   * dropped as if omitted, and blank entries are dropped from champion lists.
+   * Skipped until Data Dragon has loaded.
+   * @param {any} input — Input after schema validation
+   * @param {Object} schema — The tool's input_schema
+   * @param {string[]} errors — Unknown names are appended here
+   * @returns {any} Input with names rewritten to their display form
+   */
+  #checkChampions(input, schema, errors) {
+    const fields = new Set(this.championInputFields());
+    if (fields.size === 0 || !hasChampionData()) return input;
+
+    const isBlank = (v) => typeof v === "string" && v.trim() === "";
+    const resolve = (name, path) => {
+      const resolved = resolveChampionName(name);
+      if (!resolved) errors.push(`${path}: unknown champion ${JSON.stringify(name)}`);
+      return resolved || name;
+    };
+
+    const walk = (value, path, shape) => {
+      if (Array.isArray(value)) return value.map((item, i) => walk(item, `${path}[${i}]`, shape?.items));
+      if (!value || typeof value !== "object") return value;
+
+      const required = new Set(shape?.required || []);
+      const out = {};
+      for (const [key, v] of Object.entries(value)) {
+        const fieldPath = `${path}.${key}`;
+        if (fields.has(key) && isBlank(v) && !required.has(key)) continue;
+        if (fields.has(key) && typeof v === "string") out[key] = resolve(v, fieldPath);
+        else if (fields.has(key) && Array.isArray(v)) {
+          out[key] = v.flatMap((name, i) => {
+            if (isBlank(name)) return [];
+            return [typeof name === "string" ? resolve(name, `${fieldPath}[${i}]`) : name];
+          });
+        } else out[key] = walk(v, fieldPath, shape?.properties?.[key]);
+      }
+      return out;
+    };
+
+    return walk(input, "input", schema);
+  }
+
+  /**
+   * @returns {import('./model-config').ModelConfig}
+   */
+  #readModelConfig() {
+    try {
+      return getModelConfig(this.name, this.#llm.name);
+    } catch (err) {
+      logger.debug("Model config read failed — using defaults", { error: err.message });
+      return { ...DEFAULT_MODEL_CONFIG };
+    }
+  }
+
+  /**
+   * @returns {number | null} The agent's prompt version, null when on the defaults
+   */
+  #readPromptVersion() {
+    try {
+      return getPromptVersion(this.name);
+    } catch (err) {
+      logger.debug("Prompt version read failed", { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * @returns {"no_llm" | "over_budget" | "error" | null} Why the LLM would be skipped, or null
+   */
+  #checkOffline() {
+    if (!this.#llm?.available) return "no_llm";
+    if (this.#checkBudget().exceeded) return "over_budget";
+    if (this.#failedAt && Date.now() - this.#failedAt < OFFLINE_RETRY_MS) return "error";
+    return null;
+  }
+
+  /**
+   * Record the offline state, telling the overlays when it changes.
+   * @param {string | null} reason
+   */
+  #setOffline(reason) {
+    if (reason === this.#offlineReason) return;
+    this.#offlineReason = reason;
+    logger.info(`Agent [${this.name}] ${reason ? `offline (${reason})` : "back online"}`);
+    this.#sendOfflineStatus();
+  }
+
+  /**
+   * Push the current offline state to this agent's overlays.
+   */
+  #sendOfflineStatus() {
+    this.sendToOverlay(IPC_CHANNELS.AGENT_OFFLINE, {
+      agent: this.name,
+      offline: this.#offlineReason !== null,
+      reason: this.#offlineReason,
+    });
+  }
+
+  /**
+   * @returns {{ spent_usd: number, budget_usd: number | null, exceeded: boolean }}
+   */
+  #checkBudget() {
+    // Local models cost nothing — the budget only gates paid APIs
+    if (this.#llm.local) return { spent_usd: 0, budget_usd: null, exceeded: false };
+
+    try {
+      return getBudgetStatus();
+    } catch (err) {
+      // No database (or no agent_logs yet) — never block Claude on accounting
+      logger.debug("Budget check failed", { error: err.message });
+      return { spent_usd: 0, budget_usd: null, exceeded: false };
+    }
+  }
+
+  /**
+   * Record an invocation in agent_logs, with its full trace (user message,
+   * every round's text, tool calls, latency and usage) in agent_traces.
+   * @param {string} userMessage
+   * @param {string} gamePhase
+   * @param {Object} result — runToolLoop result (plus costUsd)
+   * @param {string} status — "ok" | "error" | "cancelled" | "over_budget"
+   * @param {string} model
+   * @param {number | null} promptVersion
+   */
+  #logInvocation(userMessage, gamePhase, result, status, model, promptVersion) {
+    const { usage } = result;
+    try {
+      const { lastInsertRowid } = queries.logAgent({
+        agent_name: this.name,
+        game_phase: gamePhase,
+        input_summary: userMessage.substring(0, 500),
+        output_summary: result.text.substring(0, 500),
+        claude_model: model,
+        tokens_used: usage.input + usage.output + usage.cacheRead + usage.cacheWrite,
+        latency_ms: result.latencyMs,
+        status,
+        input_tokens: usage.input,
+        output_tokens: usage.output,
+        cache_read_tokens: usage.cacheRead,
+        cache_write_tokens: usage.cacheWrite,
+        cost_usd: result.costUsd ?? null,
+        game_id: this.#gameId,
+        tool_errors: result.toolErrors?.length || 0,
+        tool_errors_json: result.toolErrors?.length ? JSON.stringify(result.toolErrors) : null,
+        prompt_version: promptVersion,
+      });
+
+      queries.insertAgentTrace({
+        log_id: Number(lastInsertRowid),
+        user_message: userMessage,
+        output_text: result.text,
+        rounds_json: JSON.stringify(result.rounds || []),
+        error: result.error || null,
+      });
+    } catch (err) {
+      logger.warn("Failed to log agent invocation to DB", { error: err.message });
+    }
+  }
 }
 
 module.exports = { BaseAgent };
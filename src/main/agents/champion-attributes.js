@@ -0,0 +1,105 @@
+const { getChampionDetails, resolveChampionName } = require("../summoner-detector");
+const { championKey } = require("./lobby-planner/planner");
+const OVERRIDES = require("../data/champion-attributes.json");
+
+/**
+ * Champion attributes — what each champion brings to a team composition.
+ *
+ * Every champion gets a first estimate from Data Dragon: its class tags
+ * (Tank, Fighter, Mage, Assassin, Marksman, Support), its 0-10 attack /
+ * defense / magic ratings and its attack range. Those are coarse — Data
+ * Dragon can't tell Malphite's engage from Garen's — so data/champion-
+ * attributes.json holds hand-maintained values that replace the estimate,
+ * field by field. Champions missing from both are unknown.
+ *
+ * Scales:
+ *   damage      — { physical, magic } percentages summing to 100 (true damage
+ *                 counted with the champion's main type)
+ *   cc          — hard crowd-control abilities (stuns, roots, knock-ups,
+ *                 charms, taunts, suppressions)
+ *   engage, disengage, waveclear, frontline — 0 (none) to 3 (best in class)
+ *   scaling     — when the champion peaks: "early", "mid" or "late"
+ */
+
+/** @type {Map<string, Object>} championKey → override entry */
+const overrides = new Map(Object.entries(OVERRIDES.champions).map(([name, attrs]) => [championKey(name), attrs]));
+
+/** Attributes assumed for a champion known only from the override file */
+const NEUTRAL = Object.freeze({
+  damage: { physical: 50, magic: 50 },
+  cc: 1,
+  engage: 1,
+  disengage: 0,
+  waveclear: 1,
+  scaling: "mid",
+  frontline: 0,
+});
+
+/** Ranged champions attack from at least this far */
+const RANGED_ATTACK_RANGE = 300;
+
+/**
+ * @typedef {Object} ChampionAttributes
+ * @property {string} champion — Display name
+ * @property {{ physical: number, magic: number }} damage
+ * @property {number} cc
+ * @property {number} engage
+ * @property {number} disengage
+ * @property {number} waveclear
+ * @property {"early" | "mid" | "late"} scaling
+ * @property {number} frontline
+ * @property {"override" | "ddragon"} source — Whether the maintained file covers it
+ */
+
+/**
+ * @param {string} champion — Any spelling
+ * @returns {ChampionAttributes | null} null when neither Data Dragon nor the override file knows it
+ */
+function getChampionAttributes(champion) {
+  const name = resolveChampionName(champion) || champion;
+  const details = getChampionDetails(name);
+  const override = overrides.get(championKey(name));
+  if (!details && !override) return null;
+
+  const base = details ? deriveAttributes(details) : NEUTRAL;
+  return {
+    champion: name,
+    ...base,
+    ...override,
+    damage: { ...(override?.damage || base.damage) },
+    source: override ? "override" : "ddragon",
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * First estimate from Data Dragon's class tags and ratings.
+ * @param {{ tags: string[], info: Object, stats: Object }} details
+ * @returns {Omit<ChampionAttributes, "champion" | "source">}
+ */
+function deriveAttributes({ tags, info, stats }) {
+  const has = (tag) => tags.includes(tag);
+  const primary = tags[0];
+  const ranged = (stats.attackrange || 0) >= RANGED_ATTACK_RANGE;
+
+  const attack = info.attack || 0;
+  const magic = info.magic || 0;
+  const physical = has("Marksman")
+    ? 100
+    : attack + magic > 0 ? Math.round((attack / (attack + magic)) * 10) * 10 : 50;
+
+  return {
+    damage: { physical, magic: 100 - physical },
+    cc: has("Tank") || has("Support") ? 2 : has("Assassin") || has("Marksman") ? 0 : 1,
+    engage: has("Tank") ? 2 : has("Fighter") && !ranged ? 1 : 0,
+    disengage: has("Support") && !has("Tank") ? 1 : 0,
+    waveclear: has("Mage") || has("Marksman") ? 2 : has("Support") ? 0 : 1,
+    scaling: primary === "Marksman" ? "late" : "mid",
+    frontline: has("Tank") ? 3 : info.defense >= 7 ? 2 : info.defense >= 5 && !ranged ? 1 : 0,
+  };
+}
+
+module.exports = { getChampionAttributes };
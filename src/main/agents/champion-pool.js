@@ -0,0 +1,223 @@
+const { queries } = require("../data/db");
+const { POSITION_TO_META_ROLE, normalizePosition, championKey, buildComfortPool } = require("./lobby-planner/planner");
+const { resolveChampionName, hasChampionData, getPatchVersion } = require("../summoner-detector");
+const { logger } = require("../utils/logger");
+
+/**
+ * Champion pools — the champions the player is willing to play, per role.
+ *
+ * Pools live in the `champion_pool` table, keyed by the role names the meta
+ * data uses (top, jungle, mid, adc, support). They are seeded from the
+ * player's own history — champions with a few games in a role — and from
+ * the top masteries the Summoner Detector fetches, placed in the role they
+ * were played in (else their most picked meta role). The player edits them
+ * from the dashboard.
+ *
+ * Removing a champion keeps its row, flagged `removed`, so the next seeding
+ * doesn't put it back.
+ *
+ * The Drafting Oracle reads the pool for the player's role on every call:
+ *   - prefer (default): picks may leave the pool, but come with the best
+ *     pool champion as a comfort alternative;
+ *   - strict: picks must come from the pool.
+ * An empty pool leaves picks unrestricted.
+ */
+
+/** Pool roles, as the meta data names them */
+const POOL_ROLES = Object.freeze(Object.values(POSITION_TO_META_ROLE));
+
+const POOL_MODES = Object.freeze({
+  prefer: {
+    label: "Comfort vs optimal",
+    description: "Show the best pick and the best champion from your pool side by side.",
+  },
+  strict: {
+    label: "Pool only",
+    description: "Only recommend champions from your pool.",
+  },
+});
+
+/** Mode used when nothing (valid) is set */
+const DEFAULT_POOL_MODE = "prefer";
+
+/** Settings key of the pool mode */
+const POOL_MODE_KEY = "champion_pool_mode";
+
+/** Matches read for seeding and champion stats */
+const POOL_HISTORY_SIZE = 200;
+
+/** Games in a role before a champion is seeded into that role's pool */
+const SEED_MIN_GAMES = 2;
+
+/** Most champions a role's pool may hold */
+const MAX_POOL_SIZE = 15;
+
+/**
+ * @param {string | null} position — Any spelling (LCU position or meta role)
+ * @returns {string | null} The pool role, e.g. "MIDDLE" → "mid"
+ */
+function poolRole(position) {
+  return POSITION_TO_META_ROLE[normalizePosition(position)] || null;
+}
+
+/**
+ * @returns {"prefer" | "strict"}
+ */
+function getPoolMode() {
+  const mode = queries.getSetting(POOL_MODE_KEY);
+  return mode && Object.hasOwn(POOL_MODES, mode) ? mode : DEFAULT_POOL_MODE;
+}
+
+/**
+ * @param {string} mode
+ * @returns {string[]} Validation errors — nothing is saved unless empty
+ */
+function setPoolMode(mode) {
+  if (!Object.hasOwn(POOL_MODES, mode)) return [`unknown pool mode "${mode}"`];
+  queries.setSetting(POOL_MODE_KEY, mode);
+  logger.info("Champion pool mode updated", { mode });
+  return [];
+}
+
+/**
+ * @param {string} role — Pool role
+ * @returns {string[]} The role's pool, in the order champions were added
+ */
+function getChampionPool(role) {
+  return queries.getChampionPool(role).map((row) => row.champion);
+}
+
+/**
+ * Every role's pool with the player's history on each champion.
+ * @returns {Object<string, { champion: string, source: string, games: number, win_rate: number | null, avg_kda: number | null }[]>}
+ */
+function getChampionPools() {
+  const matches = queries.getRecentMatches(POOL_HISTORY_SIZE);
+  const rows = queries.getChampionPool();
+
+  return Object.fromEntries(POOL_ROLES.map((role) => {
+    const stats = statsByChampion(matches, role);
+    const pool = rows
+      .filter((row) => row.role === role)
+      .map((row) => {
+        const s = stats.get(championKey(row.champion));
+        return { champion: row.champion, source: row.source, games: s?.games || 0, win_rate: s?.win_rate ?? null, avg_kda: s?.avg_kda ?? null };
+      });
+    return [role, pool];
+  }));
+}
+
+/**
+ * Replace a role's pool with the player's list. Champions left out are
+ * flagged removed, so seeding won't add them back.
+ * @param {string} role — Pool role
+ * @param {string[]} champions
+ * @returns {string[]} Validation errors — nothing is saved unless empty
+ */
+function setChampionPool(role, champions) {
+  if (!POOL_ROLES.includes(role)) return [`unknown role "${role}"`];
+  if (!Array.isArray(champions)) return ["champions must be a list"];
+  if (champions.length > MAX_POOL_SIZE) return [`a pool holds at most ${MAX_POOL_SIZE} champions`];
+
+  const errors = [];
+  const names = new Map();
+  for (const name of champions) {
+    const resolved = typeof name === "string" && name.trim()
+      ? (hasChampionData() ? resolveChampionName(name) : name.trim())
+      : null;
+    if (!resolved) errors.push(`unknown champion ${JSON.stringify(name)}`);
+    else names.set(championKey(resolved), resolved);
+  }
+  if (errors.length > 0) return errors;
+
+  queries.replaceChampionPool(role, [...names.values()]);
+  logger.info("Champion pool updated", { role, champions: [...names.values()] });
+  return [];
+}
+
+/**
+ * Add champions from history and masteries that the pools don't know yet.
+ * Never re-adds a champion the player removed.
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.masteries] — detectSummoner's topMasteries ({ champion })
+ * @returns {number} Champions added
+ */
+function seedChampionPools({ masteries = [] } = {}) {
+  const matches = queries.getRecentMatches(POOL_HISTORY_SIZE);
+  let added = 0;
+
+  const add = (role, champion, source) => {
+    if (queries.getChampionPool(role).length >= MAX_POOL_SIZE) return;
+    if (queries.addChampionPoolEntry({ role, champion, source })) added++;
+  };
+
+  for (const role of POOL_ROLES) {
+    const position = normalizePosition(role);
+    for (const entry of buildComfortPool(matches, position)) {
+      if (entry.games >= SEED_MIN_GAMES) add(role, entry.champion, "history");
+    }
+  }
+
+  const patch = getPatchVersion();
+  for (const { champion } of masteries) {
+    if (!champion || champion.startsWith("Champion #")) continue; // Data Dragon not loaded
+
+    const key = championKey(champion);
+    const played = POOL_ROLES.filter((role) =>
+      buildComfortPool(matches, normalizePosition(role)).some((e) => championKey(e.champion) === key));
+    const roles = played.length > 0
+      ? played
+      : (patch ? queries.getChampionMetaRoles(champion, patch).slice(0, 1).map((r) => r.role) : []);
+
+    for (const role of roles) add(role, champion, "mastery");
+  }
+
+  if (added > 0) logger.info("Champion pools seeded", { added });
+  return added;
+}
+
+/**
+ * The player's own record per champion in a role, from local history.
+ * @param {string} role — Pool role
+ * @param {string} [champion] — Only this champion
+ * @returns {{ games_analyzed: number, champions: Object[] }}
+ */
+function getPlayerChampionStats(role, champion) {
+  const matches = queries.getRecentMatches(POOL_HISTORY_SIZE);
+  const pool = new Set(getChampionPool(role).map(championKey));
+
+  let champions = [...statsByChampion(matches, role).values()];
+  if (champion) champions = champions.filter((c) => championKey(c.champion) === championKey(champion));
+
+  return {
+    games_analyzed: matches.length,
+    champions: champions.map((c) => ({ ...c, in_pool: pool.has(championKey(c.champion)) })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object[]} matches
+ * @param {string} role — Pool role
+ * @returns {Map<string, Object>} championKey → buildComfortPool entry
+ */
+function statsByChampion(matches, role) {
+  return new Map(buildComfortPool(matches, normalizePosition(role)).map((e) => [championKey(e.champion), e]));
+}
+
+module.exports = {
+  POOL_ROLES,
+  POOL_MODES,
+  MAX_POOL_SIZE,
+  poolRole,
+  getPoolMode,
+  setPoolMode,
+  getChampionPool,
+  getChampionPools,
+  setChampionPool,
+  seedChampionPools,
+  getPlayerChampionStats,
+};
@@ -0,0 +1,187 @@
+const { queries } = require("../data/db");
+const { logger } = require("../utils/logger");
+
+/**
+ * Coaching styles — how the agents talk to the player.
+ *
+ * A style is picked globally (settings key `coaching_style`) and can be
+ * overridden per agent under `agent_<id>_coaching_style` (dashes →
+ * underscores, like the model config). Each style carries:
+ *
+ *   - guidance per agent, added to the agent's context as `coaching_style`
+ *     (the balanced default adds nothing, so its prompts are unchanged);
+ *   - knobs the agents enforce on what reaches the overlays, so a style holds
+ *     even when the model ignores the guidance — how much of the Drafting
+ *     Oracle's reasoning a card shows, how long a macro call may be, and
+ *     whether Tilt Guard suggests workouts or only a breathing reset.
+ *
+ * BaseAgent reads the style on every call (`coachingStyle`), so a change
+ * applies to the next call without a restart.
+ */
+
+/**
+ * @typedef {Object} CoachingStyle
+ * @property {string} id
+ * @property {string} label
+ * @property {string} description
+ * @property {"none" | "brief" | "full"} reasoning — Drafting Oracle card reasons: hidden, first sentence, or as written
+ * @property {number} macroCallLength — Longest macro call text shown (characters)
+ * @property {boolean} fitness — Tilt Guard may suggest exercise routines
+ * @property {string | null} instructions — Guidance for the agent it was resolved for
+ */
+
+/** Agents that follow a coaching style */
+const COACHED_AGENTS = Object.freeze(["drafting-oracle", "macro-strategist", "tilt-guard"]);
+
+const COACHING_STYLES = Object.freeze({
+  balanced: {
+    label: "Balanced",
+    description: "The default voice — short reads with the key reason.",
+    reasoning: "full",
+    macroCallLength: 60,
+    fitness: true,
+    guidance: {},
+  },
+  terse: {
+    label: "Terse shotcaller",
+    description: "Commands only, no explanations. No workouts — a breathing reset at most.",
+    reasoning: "none",
+    macroCallLength: 40,
+    fitness: false,
+    guidance: {
+      "drafting-oracle": "Terse shotcaller: no explanations. Reasons are at most a few words (\"safe blind\", \"counters Yasuo\").",
+      "macro-strategist": "Terse shotcaller: each emit_macro_call message is a command of a few words, like a shotcaller on comms (\"Group mid, take tower\"). No reasoning.",
+      "tilt-guard": "Terse shotcaller: headline and message in one short sentence each. Do NOT suggest exercises — a breathing reset at most. Skip the session analysis unless something stands out.",
+    },
+  },
+  educational: {
+    label: "Educational",
+    description: "Explains the why behind every call, to help the player learn.",
+    reasoning: "full",
+    macroCallLength: 120,
+    fitness: true,
+    guidance: {
+      "drafting-oracle": "Educational: in every reason, explain the principle behind the pick or ban (lane matchup, power spike, comp need) so the player learns to draft on their own.",
+      "macro-strategist": "Educational: each emit_macro_call message states the call and the reason for it in one sentence (\"Take tower — their jungler just showed bot\").",
+      "tilt-guard": "Educational: explain briefly why each part of the routine helps (breathing lowers heart rate, movement breaks the loop) and name one learnable pattern from the session.",
+    },
+  },
+  positive: {
+    label: "Positive only",
+    description: "Encouraging framing only — no criticism of the player's play.",
+    reasoning: "brief",
+    macroCallLength: 60,
+    fitness: true,
+    guidance: {
+      "drafting-oracle": "Positive only: frame every reason around what the champion does well for the team — never around what the player or their picks lack.",
+      "macro-strategist": "Positive only: phrase each emit_macro_call as an opportunity (\"Chance to take drake\"), never as a mistake or a warning about the player's play.",
+      "tilt-guard": "Positive only: lead with what went well this session. Never point out the player's mistakes — frame every suggestion as building on a strength.",
+    },
+  },
+  analyst: {
+    label: "Pro analyst",
+    description: "Numbers and timings, like a caster's analysis desk. No workouts.",
+    reasoning: "full",
+    macroCallLength: 90,
+    fitness: false,
+    guidance: {
+      "drafting-oracle": "Pro analyst: back every reason with data — win rate, tier, mastery points, matchup — in the register of an analysis desk.",
+      "macro-strategist": "Pro analyst: each emit_macro_call message cites the numbers behind the call (gold lead, timers, drake count).",
+      "tilt-guard": "Pro analyst: focus the session analysis on numbers — KDA trend, streaks, time between games. Do NOT suggest exercises; a breathing reset at most.",
+    },
+  },
+});
+
+/** Style used when nothing (valid) is set */
+const DEFAULT_COACHING_STYLE = "balanced";
+
+/** Settings key of the global style */
+const GLOBAL_STYLE_KEY = "coaching_style";
+
+/** Stored ids already warned about, so a bad setting logs once, not per call */
+const warnedStyles = new Set();
+
+/**
+ * @param {string} agentId
+ * @returns {string} Settings key holding the agent's style override
+ */
+function coachingStyleKey(agentId) {
+  return `agent_${agentId.replace(/-/g, "_")}_coaching_style`;
+}
+
+/**
+ * @param {string} key — Settings key
+ * @returns {string | null} The stored style id, null when unset or unknown
+ */
+function readStyleSetting(key) {
+  const id = queries.getSetting(key);
+  if (!id) return null;
+  if (Object.hasOwn(COACHING_STYLES, id)) return id;
+
+  if (!warnedStyles.has(id)) {
+    warnedStyles.add(id);
+    logger.warn("Unknown coaching style — ignoring", { key, style: id });
+  }
+  return null;
+}
+
+/**
+ * @returns {string} The global style id
+ */
+function getGlobalCoachingStyle() {
+  return readStyleSetting(GLOBAL_STYLE_KEY) || DEFAULT_COACHING_STYLE;
+}
+
+/**
+ * @param {string} agentId
+ * @returns {string | null} The agent's own style id — null when it follows the global one
+ */
+function getAgentCoachingStyle(agentId) {
+  return readStyleSetting(coachingStyleKey(agentId));
+}
+
+/**
+ * The style in effect for an agent: its override, else the global style.
+ * @param {string} agentId
+ * @returns {CoachingStyle}
+ */
+function getCoachingStyle(agentId) {
+  return buildCoachingStyle(getAgentCoachingStyle(agentId) || getGlobalCoachingStyle(), agentId);
+}
+
+/**
+ * @param {string} styleId — Key of COACHING_STYLES
+ * @param {string} agentId
+ * @returns {CoachingStyle} The style with its guidance for that agent
+ */
+function buildCoachingStyle(styleId, agentId) {
+  const { guidance, ...style } = COACHING_STYLES[styleId];
+  return { id: styleId, ...style, instructions: guidance[agentId] || null };
+}
+
+/**
+ * Set the global style, or an agent's override. Null clears it — the global
+ * style back to the default, an agent back to the global style.
+ * @param {string | null} agentId — null for the global style
+ * @param {string | null} styleId
+ * @returns {string[]} Validation errors — nothing is saved unless empty
+ */
+function setCoachingStyle(agentId, styleId) {
+  if (styleId !== null && !Object.hasOwn(COACHING_STYLES, styleId)) return [`unknown coaching style "${styleId}"`];
+
+  queries.setSetting(agentId ? coachingStyleKey(agentId) : GLOBAL_STYLE_KEY, styleId || "");
+  logger.info("Coaching style updated", { agent: agentId || "global", style: styleId || "default" });
+  return [];
+}
+
+module.exports = {
+  COACHED_AGENTS,
+  COACHING_STYLES,
+  DEFAULT_COACHING_STYLE,
+  coachingStyleKey,
+  getGlobalCoachingStyle,
+  getAgentCoachingStyle,
+  getCoachingStyle,
+  buildCoachingStyle,
+  setCoachingStyle,
+};
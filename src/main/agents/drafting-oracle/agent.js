@@ -1,5 +1,14 @@
 const { BaseAgent } = require("../base-agent");
-const { SYSTEM_PROMPT, TOOLS } = require("./prompt");
+const { GamePhase, GameMode } = require("../../orchestrator/state-machine");
+const { SYSTEM_PROMPT, TOOLS, PROMPTS } = require("./prompt");
+const { rankOfflineBans, chooseOfflinePick } = require("./offline");
+const { buildPickOrder, predictEnemyLanes } = require("./draft-order");
+const { analyzeComposition } = require("./comp-analyzer");
+const { POSITION_TO_META_ROLE, normalizePosition, championKey } = require("../lobby-planner/planner");
+const { poolRole, getPoolMode, getChampionPools, getPlayerChampionStats } = require("../champion-pool");
+const { getMatchupHistory, getToughestMatchups } = require("../matchup-history");
+const { detectPremades } = require("../premade-detection");
+const { ToolInputError } = require("../../integrations/llm/tool-input");
 const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
 const { queries } = require("../../data/db");
 const { getChampionName, getPatchVersion } = require("../../summoner-detector");
@@ -11,6 +20,7 @@ const { logger } = require("../../utils/logger");
  * Active during CHAMP_SELECT. Polls the LCU champ select session,
  * fetches enemy player data from the Riot Cloud API, and uses Claude
  * to produce ban/pick recommendations sent to the draft overlay.
+ * Offline, bans and picks are ranked straight from the meta tier list.
  */
 class DraftingOracle extends BaseAgent {
   /** @type {import('../../riot-api-client').RiotApiClient} */
@@ -28,12 +38,34 @@ class DraftingOracle extends BaseAgent {
   /** Local player cell ID */
   #localCellId = -1;
 
-  /** Whether an invocation is currently in flight (prevents overlap) */
-  #invoking = false;
+  /** Whether a poll — session read through Claude invocation — is in flight (prevents overlap) */
+  #polling = false;
 
   /** Whether the local player has locked in (audit closed) */
   #finalized = false;
 
+  /**
+   * The player's champion pool for their role, as last sent to Claude — null
+   * when the role is unknown or the pool is empty.
+   * @type {{ role: string, mode: "prefer" | "strict", champions: Object[] } | null}
+   */
+  #pool = null;
+
+  /**
+   * Players on either team who queue together, once the scan is done.
+   * @type {import('../premade-detection').Premade[]}
+   */
+  #premades = [];
+
+  /** @type {Promise<void> | null} The premade scan, started once per champ select */
+  #premadeScan = null;
+
+  /** @type {Object | null} Last DRAFT_PHASE_UPDATE payload, re-sent when premades are found */
+  #lastPhaseUpdate = null;
+
+  /** @type {Object[] | null} DRAFT_RECOMMENDATION payloads sent during the current invocation, for the matchup cache */
+  #sentRecommendations = null;
+
   /**
    * @param {Object} deps — Same deps as BaseAgent, plus riotApi
    * @param {import('../../riot-api-client').RiotApiClient} deps.riotApi
@@ -55,6 +87,10 @@ class DraftingOracle extends BaseAgent {
     return TOOLS;
   }
 
+  championInputFields() {
+    return ["champion", "counters", "ally_champions", "enemy_champions", "comfort_champion", "enemy_champion"];
+  }
+
   // ---------------------------------------------------------------------------
   // Lifecycle
   // ---------------------------------------------------------------------------
@@ -63,8 +99,12 @@ class DraftingOracle extends BaseAgent {
     logger.info("[Drafting Oracle] Champ select detected — activating pipeline.");
     this.#enemyDataCache.clear();
     this.#lastActionHash = "";
-    this.#invoking = false;
+    this.#polling = false;
     this.#finalized = false;
+    this.#pool = null;
+    this.#premades = [];
+    this.#premadeScan = null;
+    this.#lastPhaseUpdate = null;
 
     // Poll the champ select session every 3 seconds
     this.#pollTimer = setInterval(() => this.#pollChampSelect(), 3000);
@@ -79,7 +119,7 @@ class DraftingOracle extends BaseAgent {
       this.#pollTimer = null;
     }
     this.#enemyDataCache.clear();
-    this.#invoking = false;
+    this.#polling = false;
     this.#finalized = false;
     logger.info("[Drafting Oracle] Deactivated.");
   }
@@ -88,7 +128,7 @@ class DraftingOracle extends BaseAgent {
   // Tool handlers — called by Claude via BaseAgent.invoke()
   // ---------------------------------------------------------------------------
 
-  async handleToolCall(toolName, toolInput) {
+  async handleToolCall(toolName, toolInput, call) {
     switch (toolName) {
       case "get_enemy_champion_pools":
         return this.#handleGetEnemyPools(toolInput);
@@ -96,20 +136,65 @@ class DraftingOracle extends BaseAgent {
       case "get_meta_tier_list":
         return this.#handleGetMetaTierList(toolInput);
 
+      case "get_my_champion_stats":
+        return this.#handleGetMyChampionStats(toolInput);
+
+      case "get_personal_matchup_history":
+        return this.#handleGetMatchupHistory(toolInput);
+
       case "analyze_team_composition":
         return this.#handleAnalyzeComp(toolInput);
 
       case "suggest_ban":
-        return this.#handleSuggestBan(toolInput);
+        return this.#handleSuggestBan(toolInput, call?.toolUseId);
 
       case "suggest_pick":
-        return this.#handleSuggestPick(toolInput);
+        return this.#handleSuggestPick(toolInput, call?.toolUseId);
 
       default:
         return { error: `Unknown tool: ${toolName}` };
     }
   }
 
+  /**
+   * Stream ban/pick cards into the overlay while Claude is still writing
+   * them — under the champ select timer a partial card beats a late one.
+   * The final card from the tool handler replaces it (same stream_id).
+   */
+  onStreamEvent(event) {
+    if (event.type !== "tool_input") return;
+    if (event.name !== "suggest_ban" && event.name !== "suggest_pick") return;
+    if (!event.input.champion) return; // Nothing worth showing yet
+
+    const action = event.name === "suggest_ban" ? "ban" : "pick";
+    const { champion, role, reason, counters, confidence, pick_type, comfort_champion, comfort_reason } = event.input;
+    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+      type: action,
+      recommendations: [{
+        action,
+        champion,
+        role,
+        reason: this.#styleReason(reason),
+        counters: Array.isArray(counters) ? counters : [],
+        confidence,
+        pick_type,
+        comfort: comfort_champion ? { champion: comfort_champion, reason: this.#styleReason(comfort_reason) } : null,
+        stream_id: event.id,
+        partial: true,
+      }],
+    });
+  }
+
+  /**
+   * A rejected suggest_ban/suggest_pick may already be on screen as a partial
+   * card — take it down; the corrected call streams in under a new id.
+   */
+  onInvalidToolCall(toolName, toolInput, call) {
+    if (toolName !== "suggest_ban" && toolName !== "suggest_pick") return;
+    if (!call?.toolUseId) return;
+    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, { retract: call.toolUseId });
+  }
+
   // ---------------------------------------------------------------------------
   // Tool implementations
   // ---------------------------------------------------------------------------
@@ -121,11 +206,13 @@ class DraftingOracle extends BaseAgent {
     }
 
     // 2. Check SQLite cache (same Yasuo main twice in one night? use cached data)
+    // (The premade scan may have cached only recent_match_ids — not a hit)
     const cached = queries.getCachedEnemyAnalysis(summoner_puuid);
-    if (cached) {
+    if (cached?.top_champions) {
       logger.info("[Drafting Oracle] Enemy analysis cache HIT", { puuid: summoner_puuid });
-      this.#enemyDataCache.set(summoner_puuid, cached);
-      return cached;
+      const { recent_match_ids: _matchIds, ...analysis } = cached;
+      this.#enemyDataCache.set(summoner_puuid, analysis);
+      return analysis;
     }
 
     // 3. Cache MISS — fetch from Riot API
@@ -146,7 +233,7 @@ class DraftingOracle extends BaseAgent {
       // Store in both caches
       this.#enemyDataCache.set(summoner_puuid, result);
       try {
-        queries.setCachedEnemyAnalysis(summoner_puuid, result);
+        queries.setCachedEnemyAnalysis(summoner_puuid, { ...cached, ...result });
       } catch (dbErr) {
         logger.warn("[Drafting Oracle] Failed to cache enemy analysis", { error: dbErr.message });
       }
@@ -185,31 +272,72 @@ class DraftingOracle extends BaseAgent {
     };
   }
 
+  async #handleGetMyChampionStats({ role, champion }) {
+    try {
+      const stats = getPlayerChampionStats(role, champion);
+      return {
+        role,
+        ...stats,
+        note: stats.champions.length > 0
+          ? `The player's own record as ${role} over their last ${stats.games_analyzed} games. in_pool marks their champion pool.`
+          : `No games as ${role}${champion ? ` on ${champion}` : ""} in the player's local history.`,
+      };
+    } catch (err) {
+      logger.warn("[Drafting Oracle] Failed to read champion stats", { error: err.message });
+      return { role, error: err.message, champions: [] };
+    }
+  }
+
+  async #handleGetMatchupHistory({ role, enemy_champion }) {
+    try {
+      if (!enemy_champion) {
+        const toughest = getToughestMatchups(role);
+        return {
+          role,
+          toughest_matchups: toughest,
+          note: toughest.length > 0
+            ? `Lane opponents the player has the lowest win rate against as ${role} (2+ games each). avg_cs_diff is at end of game; negative means the opponent out-farmed them.`
+            : `Not enough recorded games as ${role} with a known lane opponent.`,
+        };
+      }
+
+      const history = getMatchupHistory(enemy_champion, role);
+      return {
+        role,
+        ...history,
+        note: history.games > 0
+          ? `The player's own games as ${role} against ${enemy_champion} in lane. avg_cs_diff is at end of game; negative means ${enemy_champion} out-farmed them.`
+          : `No recorded games as ${role} against ${enemy_champion} in lane — rely on the meta data.`,
+      };
+    } catch (err) {
+      logger.warn("[Drafting Oracle] Failed to read matchup history", { error: err.message });
+      return { role, enemy_champion, error: err.message };
+    }
+  }
+
   async #handleAnalyzeComp({ ally_champions, enemy_champions }) {
-    // This is a "think out loud" tool — Claude does the analysis itself.
-    // We just echo back the data so Claude has it in context.
+    // Same analysis the overlay shows for the locked picks
+    const comp = analyzeComposition(ally_champions, enemy_champions);
     return {
-      ally_champions,
-      enemy_champions,
-      ally_count: ally_champions.length,
-      enemy_count: enemy_champions.length,
-      note: "Analyze these compositions and provide your assessment.",
+      ...comp,
+      note: "Scores from the champion attribute data: cc counts hard-CC abilities; engage, disengage, waveclear and frontline sum 0-3 ratings per champion; scaling.score runs 1 (early) to 3 (late). Quote these numbers and flags rather than describing the comps vaguely.",
     };
   }
 
-  async #handleSuggestBan({ champion, reason, confidence }) {
+  async #handleSuggestBan({ champion, reason, confidence }, streamId) {
     const recommendation = {
       action: "ban",
       champion,
-      reason,
+      reason: this.#styleReason(reason),
       confidence,
+      stream_id: streamId || null,
       timestamp: Date.now(),
     };
 
     logger.info("[Drafting Oracle] Ban recommendation", recommendation);
 
     // Send to overlay
-    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+    this.#sendRecommendation({
       type: "ban",
       recommendations: [recommendation],
     });
@@ -217,27 +345,48 @@ class DraftingOracle extends BaseAgent {
     return { status: "displayed", champion, action: "ban" };
   }
 
-  async #handleSuggestPick({ champion, role, reason, counters, confidence, pick_type }) {
+  async #handleSuggestPick({ champion, role, reason, counters, confidence, pick_type, comfort_champion, comfort_reason }, streamId) {
+    const pool = this.#pool;
+    const inPool = (name) => pool.champions.some((c) => championKey(c.champion) === championKey(name));
+
+    if (pool?.mode === "strict" && !inPool(champion)) {
+      if (streamId) this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, { retract: streamId });
+      throw new ToolInputError("suggest_pick", [
+        `champion: ${champion} is not in the player's ${pool.role} pool — pick one of ${pool.champions.map((c) => c.champion).join(", ")}`,
+      ]);
+    }
+
+    // Only a pool champion other than the pick itself makes a comfort alternative
+    const comfort = pool?.mode === "prefer" && comfort_champion && inPool(comfort_champion) && !inPool(champion)
+      ? { champion: comfort_champion, reason: this.#styleReason(comfort_reason) || "" }
+      : null;
+
     const recommendation = {
       action: "pick",
       champion,
       role,
-      reason,
+      reason: this.#styleReason(reason),
       counters: counters || [],
       confidence,
       pick_type: pick_type || "counter",
+      comfort,
+      stream_id: streamId || null,
       timestamp: Date.now(),
     };
 
     logger.info("[Drafting Oracle] Pick recommendation", recommendation);
 
     // Send to overlay
-    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+    this.#sendRecommendation({
       type: "pick",
       recommendations: [recommendation],
     });
 
-    return { status: "displayed", champion, action: "pick" };
+    const result = { status: "displayed", champion, action: "pick", comfort_champion: comfort?.champion };
+    if (comfort_champion && !comfort) {
+      result.note = `comfort_champion ${comfort_champion} not shown — it must be a pool champion, with an optimal pick from outside the pool, in prefer mode.`;
+    }
+    return result;
   }
 
   // ---------------------------------------------------------------------------
@@ -245,8 +394,19 @@ class DraftingOracle extends BaseAgent {
   // ---------------------------------------------------------------------------
 
   async #pollChampSelect() {
-    if (this.#invoking || this.#finalized) return; // Don't overlap or poll after finalized
+    if (this.#polling || this.#finalized) return; // Don't overlap or poll after finalized
 
+    // Held across the whole poll, so a tick that sees a newer draft can't
+    // start a second invocation that finishes out of order
+    this.#polling = true;
+    try {
+      await this.#checkChampSelect();
+    } finally {
+      this.#polling = false;
+    }
+  }
+
+  async #checkChampSelect() {
     let session;
     try {
       session = await this.lcu.getChampSelectSession();
@@ -271,46 +431,48 @@ class DraftingOracle extends BaseAgent {
     if (actionHash === this.#lastActionHash) return; // No change
     this.#lastActionHash = actionHash;
 
+    this.#startPremadeScan(session);
+
     // Build the context message for Claude
     const context = this.#buildContext(session);
 
     // Send phase update to overlay — RIOT POLICY: anonymous labels only
-    this.sendToOverlay(IPC_CHANNELS.DRAFT_PHASE_UPDATE, {
+    const myTeam = this.#extractTeamPicks(session.myTeam, "Ally");
+    const theirTeam = this.#extractTeamPicks(session.theirTeam, "Enemy");
+    const { pickOrder, enemyLanes } = this.#analyzeDraft(session, myTeam, theirTeam);
+    const locked = (team) => team.filter((p) => p.champion).map((p) => p.champion);
+    this.#lastPhaseUpdate = {
       phase: this.#detectDraftPhase(session),
-      myTeam: this.#extractTeamPicks(session.myTeam, "Ally"),
-      theirTeam: this.#extractTeamPicks(session.theirTeam, "Enemy"),
-    });
+      myTeam,
+      theirTeam,
+      pickOrder,
+      enemyLanes,
+      comp: analyzeComposition(locked(myTeam), locked(theirTeam)),
+      premades: this.#premades,
+    };
+    this.sendToOverlay(IPC_CHANNELS.DRAFT_PHASE_UPDATE, this.#lastPhaseUpdate);
 
     // Check matchup cache before invoking Claude (saves tokens)
-    const allyChamps = session.myTeam
-      .filter((p) => p.championId)
-      .map((p) => getChampionName(p.championId));
-    const enemyChamps = (session.theirTeam || [])
-      .filter((p) => p.championId)
-      .map((p) => getChampionName(p.championId));
-    const localPlayer = session.myTeam.find((p) => p.cellId === this.#localCellId);
-    const myRole = localPlayer ? localPlayer.assignedPosition || "unknown" : "unknown";
-
-    if (allyChamps.length >= 3 && enemyChamps.length >= 3) {
-      const matchupKey = queries.buildMatchupKey(allyChamps, enemyChamps, myRole);
+    const matchupKey = this.#matchupKey(session, myTeam, theirTeam, { pickOrder, enemyLanes });
+    if (matchupKey) {
       const cached = queries.getCachedDraftAdvice(matchupKey);
-      if (cached) {
+      if (Array.isArray(cached?.payloads)) {
         logger.info("[Drafting Oracle] Matchup cache HIT — skipping Claude", { matchupKey });
-        this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, cached);
+        this.#replayRecommendations(cached.payloads);
         return;
       }
     }
 
-    // Invoke Claude
-    this.#invoking = true;
+    // Invoke Claude — the cards the tool handlers send are kept for the cache
+    this.#sentRecommendations = [];
     try {
       const result = await this.invoke(context, "CHAMP_SELECT");
+      if (result.offline) this.#emitOfflineAdvice(session);
 
-      // Cache the advice if we have enough picks to form a meaningful key
-      if (allyChamps.length >= 3 && enemyChamps.length >= 3) {
-        const matchupKey = queries.buildMatchupKey(allyChamps, enemyChamps, myRole);
+      // Cache the cards if we have enough picks to form a meaningful key
+      if (matchupKey && !result.cancelled && !result.offline && !result.error && this.#sentRecommendations.length > 0) {
         try {
-          queries.setCachedDraftAdvice(matchupKey, result);
+          queries.setCachedDraftAdvice(matchupKey, { payloads: this.#sentRecommendations });
         } catch (cacheErr) {
           logger.warn("[Drafting Oracle] Failed to cache draft advice", { error: cacheErr.message });
         }
@@ -318,10 +480,139 @@ class DraftingOracle extends BaseAgent {
     } catch (err) {
       logger.error("[Drafting Oracle] Claude invocation failed", { error: err.message });
     } finally {
-      this.#invoking = false;
+      this.#sentRecommendations = null;
     }
   }
 
+  /**
+   * Send a card payload to the draft overlay, and keep it for the matchup
+   * cache while an invocation is collecting them.
+   * @param {Object} payload — DRAFT_RECOMMENDATION payload
+   */
+  #sendRecommendation(payload) {
+    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, payload);
+    this.#sentRecommendations?.push(payload);
+  }
+
+  /**
+   * Re-send cached card payloads as new cards — their stream IDs belonged to
+   * the invocation that produced them.
+   * @param {Object[]} payloads — DRAFT_RECOMMENDATION payloads
+   */
+  #replayRecommendations(payloads) {
+    const timestamp = Date.now();
+    for (const payload of payloads) {
+      this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+        ...payload,
+        recommendations: payload.recommendations.map((rec) => ({ ...rec, stream_id: null, timestamp })),
+      });
+    }
+  }
+
+  /**
+   * Matchup cache key for the draft — the locked champions plus everything
+   * else the advice depends on, so a hit is advice for this same draft.
+   * @param {Object} session
+   * @param {Object[]} myTeam — Extracted ally picks
+   * @param {Object[]} theirTeam — Extracted enemy picks
+   * @param {{ pickOrder: import('./draft-order').PickOrder | null, enemyLanes: import('./draft-order').EnemyLanes }} draft
+   * @returns {string | null} null until both teams have locked 3 champions
+   */
+  #matchupKey(session, myTeam, theirTeam, { pickOrder, enemyLanes }) {
+    const allyChamps = myTeam.filter((p) => p.champion).map((p) => p.champion);
+    const enemyChamps = theirTeam.filter((p) => p.champion).map((p) => p.champion);
+    if (allyChamps.length < 3 || enemyChamps.length < 3) return null;
+
+    const phase = this.#detectDraftPhase(session);
+    const myRole = myTeam.find((p) => p.cellId === this.#localCellId)?.position || "unknown";
+    const bans = (session.actions || []).flat()
+      .filter((a) => a.type === "ban" && a.completed && a.championId)
+      .map((a) => getChampionName(a.championId));
+
+    // Labels and stats vary from lobby to lobby — only what shapes the advice
+    return queries.buildMatchupKey(allyChamps, enemyChamps, myRole, {
+      phase,
+      bans: bans.sort(),
+      pool: this.#pool ? { mode: this.#pool.mode, champions: this.#pool.champions.map((c) => c.champion).sort() } : null,
+      premades: this.#premades.map((p) => `${p.team}:${p.positions.join("+")}`).sort(),
+      enemy_lanes: enemyLanes.predicted.map((p) => `${p.champion}:${p.lane}`).sort(),
+      lane_opponent: enemyLanes.my_lane_opponent?.champion || null,
+      enemy_picks_after_me: pickOrder?.enemy_picks_after_me ?? null,
+      instructions: this.#getPhaseInstructions(phase, myRole),
+      coaching_style: this.coachingStyle.id,
+    });
+  }
+
+  /**
+   * Offline fallback — rank bans and picks from meta_champions and send them
+   * as regular recommendation cards, flagged `offline`.
+   */
+  #emitOfflineAdvice(session) {
+    const phase = this.#detectDraftPhase(session);
+    if (phase !== "ban_phase_1" && phase !== "ban_phase_2" && phase !== "pick_phase") return;
+
+    const patch = getPatchVersion();
+    if (!patch || !queries.hasMetaData(patch)) {
+      logger.info("[Drafting Oracle] Offline and no meta data for this patch — nothing to recommend.", { patch });
+      return;
+    }
+
+    const myTeam = this.#extractTeamPicks(session.myTeam, "Ally");
+    const theirTeam = this.#extractTeamPicks(session.theirTeam, "Enemy");
+    const localPlayer = myTeam.find((p) => p.cellId === this.#localCellId);
+    const position = normalizePosition(localPlayer?.position);
+    const role = position ? POSITION_TO_META_ROLE[position] : null;
+
+    const taken = [
+      ...(session.actions || []).flat()
+        .filter((a) => a.type === "ban" && a.completed && a.championId)
+        .map((a) => getChampionName(a.championId)),
+      ...[...myTeam, ...theirTeam].map((p) => p.champion || p.championIntent).filter(Boolean),
+    ];
+    const timestamp = Date.now();
+
+    if (phase === "pick_phase") {
+      if (!role) return;
+      const { enemyLanes } = this.#analyzeDraft(session, myTeam, theirTeam);
+      const pick = chooseOfflinePick({
+        tierList: queries.getMetaTierList(role, patch, 20),
+        blindSafe: queries.getBlindSafePicks(role, patch, 3, 5),
+        taken,
+        laneOpponent: enemyLanes.my_lane_opponent?.champion || null,
+        pool: this.#loadPool(role),
+      });
+      if (!pick) return;
+
+      logger.info("[Drafting Oracle] Offline pick recommendation", pick);
+      this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+        type: "pick",
+        recommendations: [{
+          action: "pick",
+          ...pick,
+          reason: this.#styleReason(pick.reason),
+          comfort: pick.comfort ? { ...pick.comfort, reason: this.#styleReason(pick.comfort.reason) } : null,
+          counters: [],
+          offline: true,
+          timestamp,
+        }],
+      });
+      return;
+    }
+
+    // Role unknown (e.g. blind pick queues) — rank across every role
+    const tierList = role
+      ? queries.getMetaTierList(role, patch, 20)
+      : Object.values(POSITION_TO_META_ROLE).flatMap((r) => queries.getMetaTierList(r, patch, 10));
+    const bans = rankOfflineBans(tierList, taken, phase === "ban_phase_1" ? 3 : 2, role ? this.#loadToughestMatchups(role) : []);
+    if (bans.length === 0) return;
+
+    logger.info("[Drafting Oracle] Offline ban recommendations", { champions: bans.map((b) => b.champion) });
+    this.sendToOverlay(IPC_CHANNELS.DRAFT_RECOMMENDATION, {
+      type: "ban",
+      recommendations: bans.map((ban) => ({ action: "ban", ...ban, reason: this.#styleReason(ban.reason), offline: true, timestamp })),
+    });
+  }
+
   /**
    * Check if the local player has completed their pick action (locked in).
    */
@@ -382,6 +673,64 @@ class DraftingOracle extends BaseAgent {
     }));
   }
 
+  /**
+   * Start the premade scan in the background on the first poll of a champ
+   * select — polls never wait on it. Premades it finds go straight to the
+   * overlay, and the next poll re-sends the draft to Claude with them.
+   * @param {Object} session
+   */
+  #startPremadeScan(session) {
+    if (this.#premadeScan) return;
+
+    const players = [
+      ...this.#extractTeamPicks(session.myTeam, "Ally")
+        .filter((p) => p.cellId !== this.#localCellId)
+        .map((p) => ({ label: p.label, team: "ally", puuid: p.puuid, position: p.position })),
+      ...this.#extractTeamPicks(session.theirTeam, "Enemy")
+        .map((p) => ({ label: p.label, team: "enemy", puuid: p.puuid, position: p.position })),
+    ].filter((p) => p.puuid);
+
+    this.#premadeScan = players.length < 2
+      ? Promise.resolve()
+      : detectPremades(this.#riotApi, players)
+        .then((premades) => {
+          if (!this.isActive || premades.length === 0) return;
+          this.#premades = premades;
+          if (this.#lastPhaseUpdate) {
+            this.#lastPhaseUpdate = { ...this.#lastPhaseUpdate, premades };
+            this.sendToOverlay(IPC_CHANNELS.DRAFT_PHASE_UPDATE, this.#lastPhaseUpdate);
+          }
+          this.#lastActionHash = "";
+        })
+        .catch((err) => logger.warn("[Drafting Oracle] Premade scan failed", { error: err.message }));
+  }
+
+  /**
+   * Where the player picks and which lane each enemy champion is likely in.
+   * @param {Object} session
+   * @param {Object[]} myTeam — Extracted ally picks
+   * @param {Object[]} theirTeam — Extracted enemy picks
+   * @returns {{ pickOrder: import('./draft-order').PickOrder | null, enemyLanes: import('./draft-order').EnemyLanes }}
+   */
+  #analyzeDraft(session, myTeam, theirTeam) {
+    const localPlayer = myTeam.find((p) => p.cellId === this.#localCellId);
+    const patch = getPatchVersion();
+    const roleRates = (champion) => {
+      if (!patch) return [];
+      try {
+        return queries.getChampionMetaRoles(champion, patch);
+      } catch (err) {
+        logger.warn("[Drafting Oracle] Failed to read meta roles", { error: err.message });
+        return [];
+      }
+    };
+
+    return {
+      pickOrder: buildPickOrder(session.actions, myTeam, theirTeam, this.#localCellId),
+      enemyLanes: predictEnemyLanes(theirTeam, roleRates, localPlayer?.position),
+    };
+  }
+
   /**
    * Build the full context message sent to Claude.
    */
@@ -415,41 +764,111 @@ class DraftingOracle extends BaseAgent {
       .filter((p) => p.puuid)
       .map((p) => ({ puuid: p.puuid, label: p.label, position: p.position }));
 
+    this.#pool = this.#loadPool(myRole);
+    const { pickOrder, enemyLanes } = this.#analyzeDraft(session, myTeam, theirTeam);
+
     const context = {
+      game_mode: this.gameMode,
       draft_phase: phase,
       my_role: myRole,
+      pick_order: pickOrder || undefined,
+      champion_pool: this.#pool
+        ? {
+          mode: this.#pool.mode,
+          champions: this.#pool.champions.map(({ champion, games, win_rate, avg_kda }) => ({ champion, games, win_rate, avg_kda })),
+        }
+        : undefined,
       banned_champions: bans,
       ally_picks: allyPicks,
       enemy_picks: enemyPicks,
       ally_intents: myTeam
         .filter((p) => p.championIntent && !p.champion)
         .map((p) => `${p.label}: [${p.championIntent}] (${p.position})`),
+      enemy_lanes: enemyLanes.predicted.length > 0 || pickOrder ? enemyLanes : undefined,
       enemy_players: enemyPuuids,
+      premades: this.#premades.length > 0
+        ? this.#premades.map(({ team, labels, positions, shared_games, description }) => ({ team, labels, positions, shared_games, description }))
+        : undefined,
       instructions: this.#getPhaseInstructions(phase, myRole),
+      coaching_style: this.coachingStyle.instructions || undefined,
     };
 
     return `CHAMP SELECT STATE UPDATE:\n${JSON.stringify(context, null, 2)}`;
   }
 
   /**
-   * Get phase-specific instructions for Claude.
+   * Get phase-specific instructions for Claude — the user's override of the
+   * phase's prompt, if any.
    */
   #getPhaseInstructions(phase, myRole = "unknown") {
     const roleLabel = myRole !== "unknown" ? myRole.toUpperCase() : "your role";
+    const key = ["ban_phase_1", "ban_phase_2", "pick_phase", "complete"].includes(phase) ? phase : "default";
+    return this.prompt(key, { role: myRole, role_label: roleLabel });
+  }
 
-    switch (phase) {
-      case "ban_phase_1":
-        return `We are in BAN PHASE 1. The player's assigned role is ${roleLabel}. Use get_enemy_champion_pools to scout enemy one-tricks. Also call get_meta_tier_list for role "${myRole}" to identify high win-rate/ban-rate threats SPECIFIC to ${roleLabel}. If no ally hovers exist, recommend 3 bans: prioritize enemy one-tricks first, then the highest ban-rate/win-rate champions for ${roleLabel} from the meta data. Use suggest_ban for each.`;
-      case "ban_phase_2":
-        return `We are in BAN PHASE 2. The player's role is ${roleLabel}. Some picks are locked. Use analyze_team_composition if enough picks are in. Call get_meta_tier_list for role "${myRole}" to check remaining high-threat champions for ${roleLabel}. Then suggest_ban for remaining bans.`;
-      case "pick_phase":
-        return `We are in PICK PHASE. The player's role is ${roleLabel}. Call get_meta_tier_list for role "${myRole}" FIRST. Then classify your recommendation: if no enemy laner is visible, recommend a BLIND pick (pick_type='blind'). If the enemy laner is picked, recommend a COUNTER pick (pick_type='counter'). If the main driver is team composition fit, recommend a SYNERGY pick (pick_type='synergy'). Use suggest_pick with the appropriate pick_type.`;
-      case "complete":
-        return "Draft is complete. Use analyze_team_composition to give a final draft summary.";
-      default:
-        return "Analyze the current draft state and provide any relevant recommendations.";
+  /**
+   * The player's champion pool for a role, with their history on each champion.
+   * @param {string | null} position — Any spelling of the role
+   * @returns {{ role: string, mode: "prefer" | "strict", champions: Object[] } | null} null when empty or unknown
+   */
+  #loadPool(position) {
+    const role = poolRole(position);
+    if (!role) return null;
+    try {
+      const champions = getChampionPools()[role];
+      return champions.length > 0 ? { role, mode: getPoolMode(), champions } : null;
+    } catch (err) {
+      logger.warn("[Drafting Oracle] Failed to read champion pool", { error: err.message });
+      return null;
     }
   }
+
+  /**
+   * @param {string} role — Meta role
+   * @returns {Object[]} The player's worst lane matchups in the role, for offline bans
+   */
+  #loadToughestMatchups(role) {
+    try {
+      return getToughestMatchups(role, 1);
+    } catch (err) {
+      logger.warn("[Drafting Oracle] Failed to read matchup history", { error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * Cut a card's reason down to what the coaching style shows — nothing,
+   * the first sentence, or all of it.
+   * @param {string | undefined} reason
+   * @returns {string | undefined}
+   */
+  #styleReason(reason) {
+    const { reasoning } = this.coachingStyle;
+    if (!reason || reasoning === "full") return reason;
+    if (reasoning === "none") return "";
+    return reason.match(/^.*?[.!?](?=\s|$)/)?.[0] || reason;
+  }
 }
 
-module.exports = { DraftingOracle };
+/**
+ * Registry manifest — see agents/registry.js.
+ * @type {import('../registry').AgentManifest}
+ */
+const manifest = {
+  id: "drafting-oracle",
+  label: "Drafting Oracle",
+  description: "Ban/pick recommendations during champion select",
+  phases: [GamePhase.CHAMP_SELECT],
+  // Other modes have no bans or pre-select champions
+  modes: [
+    GameMode.SUMMONERS_RIFT,
+    GameMode.CUSTOM,
+    GameMode.UNKNOWN,
+  ],
+  overlays: ["draft"],
+  dependencies: ["riotApi"],
+  prompts: PROMPTS,
+  create: (deps) => new DraftingOracle(deps),
+};
+
+module.exports = { DraftingOracle, manifest };
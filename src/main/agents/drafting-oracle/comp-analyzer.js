@@ -0,0 +1,149 @@
+/**
+ * Drafting Oracle — Team composition analyzer.
+ *
+ * Sums the champion attributes (agents/champion-attributes.js) of each team
+ * into hard numbers — damage split, CC, engage, disengage, waveclear,
+ * frontline, scaling — and short flags such as "full AD", "0 engage" or
+ * "weak late". The same analysis goes to the model (analyze_team_composition)
+ * and to the draft overlay, so both show the same numbers.
+ */
+
+const { getChampionAttributes } = require("../champion-attributes");
+
+/** Scaling curve → score, averaged over the team */
+const SCALING_SCORE = Object.freeze({ early: 1, mid: 2, late: 3 });
+
+/** Champions a team needs before flags about something missing ("0 engage") are raised */
+const FLAG_MIN_CHAMPIONS = 3;
+
+/**
+ * @typedef {Object} TeamComp
+ * @property {string[]} champions
+ * @property {string[]} unknown — Champions without attributes, left out of the numbers
+ * @property {{ physical: number, magic: number } | null} damage — Percentages, null with no known champion
+ * @property {number} cc — Hard CC abilities
+ * @property {number} engage — Summed 0-3 ratings, up to 15
+ * @property {number} disengage
+ * @property {number} waveclear
+ * @property {number} frontline
+ * @property {{ score: number | null, curve: "early" | "mid" | "late" | null }} scaling — score 1 (early) to 3 (late)
+ * @property {string[]} engage_champions — Rated 2 or more
+ * @property {string[]} frontline_champions — Rated 2 or more
+ * @property {string[]} flags — e.g. "full AD", "0 engage", "weak late"
+ * @property {string} summary — The flags joined, e.g. "full AD, 0 engage, weak late"
+ */
+
+/**
+ * @param {string[]} champions — Any spelling
+ * @returns {TeamComp}
+ */
+function analyzeTeam(champions) {
+  const known = [];
+  const unknown = [];
+  for (const champion of champions) {
+    const attrs = getChampionAttributes(champion);
+    if (attrs) known.push(attrs);
+    else unknown.push(champion);
+  }
+
+  const sum = (field) => known.reduce((total, a) => total + a[field], 0);
+  const physical = known.length > 0
+    ? Math.round(known.reduce((total, a) => total + a.damage.physical, 0) / known.length)
+    : null;
+  const scalingScore = known.length > 0
+    ? Math.round((known.reduce((total, a) => total + SCALING_SCORE[a.scaling], 0) / known.length) * 10) / 10
+    : null;
+
+  const team = {
+    champions: known.map((a) => a.champion).concat(unknown),
+    unknown,
+    damage: physical === null ? null : { physical, magic: 100 - physical },
+    cc: sum("cc"),
+    engage: sum("engage"),
+    disengage: sum("disengage"),
+    waveclear: sum("waveclear"),
+    frontline: sum("frontline"),
+    scaling: { score: scalingScore, curve: scalingCurve(scalingScore) },
+    engage_champions: known.filter((a) => a.engage >= 2).map((a) => a.champion),
+    frontline_champions: known.filter((a) => a.frontline >= 2).map((a) => a.champion),
+  };
+
+  const flags = teamFlags(team, known.length);
+  return { ...team, flags, summary: flags.join(", ") };
+}
+
+/**
+ * Both teams, and which side is ahead on each axis.
+ * @param {string[]} allyChampions
+ * @param {string[]} enemyChampions
+ * @returns {{ ally: TeamComp, enemy: TeamComp, edges: Object<string, "ally" | "enemy" | "even"> }}
+ */
+function analyzeComposition(allyChampions, enemyChampions) {
+  const ally = analyzeTeam(allyChampions);
+  const enemy = analyzeTeam(enemyChampions);
+
+  const edge = (a, b, margin) => (a - b >= margin ? "ally" : b - a >= margin ? "enemy" : "even");
+  return {
+    ally,
+    enemy,
+    edges: {
+      cc: edge(ally.cc, enemy.cc, 2),
+      engage: edge(ally.engage, enemy.engage, 2),
+      frontline: edge(ally.frontline, enemy.frontline, 2),
+      waveclear: edge(ally.waveclear, enemy.waveclear, 2),
+      late_game: edge(ally.scaling.score ?? 2, enemy.scaling.score ?? 2, 0.4),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {number | null} score
+ * @returns {"early" | "mid" | "late" | null}
+ */
+function scalingCurve(score) {
+  if (score === null) return null;
+  if (score <= 1.6) return "early";
+  if (score >= 2.4) return "late";
+  return "mid";
+}
+
+/**
+ * @param {Omit<TeamComp, "flags" | "summary">} team
+ * @param {number} count — Champions with attributes
+ * @returns {string[]}
+ */
+function teamFlags(team, count) {
+  if (count === 0) return [];
+  const flags = [];
+
+  const { physical, magic } = team.damage;
+  if (count >= 2) {
+    if (physical >= 85) flags.push("full AD");
+    else if (magic >= 85) flags.push("full AP");
+    else if (physical >= 70) flags.push("AD-heavy");
+    else if (magic >= 70) flags.push("AP-heavy");
+    else flags.push("mixed damage");
+  }
+
+  if (count >= FLAG_MIN_CHAMPIONS) {
+    if (team.engage === 0) flags.push("0 engage");
+    else if (team.engage_champions.length === 0) flags.push("weak engage");
+    if (team.frontline_champions.length === 0) flags.push("no frontline");
+    if (team.cc <= 2) flags.push(`low CC (${team.cc})`);
+    if (team.waveclear / count < 1.5) flags.push("weak waveclear");
+  }
+  if (team.engage >= 8) flags.push("strong engage");
+  if (team.disengage >= 5) flags.push("strong disengage");
+  if (team.cc >= 9) flags.push(`heavy CC (${team.cc})`);
+
+  if (count >= FLAG_MIN_CHAMPIONS && team.scaling.curve === "early") flags.push("weak late");
+  if (count >= FLAG_MIN_CHAMPIONS && team.scaling.curve === "late") flags.push("strong late");
+
+  return flags;
+}
+
+module.exports = { analyzeTeam, analyzeComposition };
@@ -0,0 +1,196 @@
+/**
+ * Drafting Oracle — Pick order and enemy lane inference.
+ *
+ * Deterministic reads of the champ select session: where the player picks,
+ * what each team still has to pick, and which lane each enemy champion is
+ * headed to. Ranked draft hides enemy positions, and flex champions (Sylas,
+ * Gragas, Pantheon) could go to several, so lanes are inferred from each
+ * champion's pick rate per role in meta_champions.
+ */
+
+const { POSITION_TO_META_ROLE, normalizePosition } = require("../lobby-planner/planner");
+
+/** Lanes, as the meta data names them */
+const LANES = Object.freeze(Object.values(POSITION_TO_META_ROLE));
+
+/** Share of a champion's picks a role needs before it counts as one of its flex roles */
+const FLEX_SHARE = 0.2;
+
+/** Below this, a predicted lane is only a guess — the lane still counts as hidden */
+const CONFIDENT_LANE = 0.5;
+
+/**
+ * @typedef {Object} PickOrder
+ * @property {{ order: number, label: string, team: "ally" | "enemy", status: "picked" | "picking" | "waiting", you?: true }[]} sequence
+ * @property {number | null} my_pick — 1-10 overall, null when the player has no pick action
+ * @property {number | null} my_team_pick — 1-5 within the team
+ * @property {boolean} first_pick — Nobody picks before the player
+ * @property {boolean} last_pick — Nobody picks after the player
+ * @property {number} ally_picks_remaining
+ * @property {number} enemy_picks_remaining
+ * @property {number} enemy_picks_before_me — Enemy picks still to come before the player's turn
+ * @property {number} enemy_picks_after_me — Enemy picks after the player's turn (counter-pick risk)
+ */
+
+/**
+ * The pick order from the session's actions. Each entry of `actions` is a
+ * turn; picks in the same turn happen at once.
+ * @param {Array<Object[]>} actions — Champ select session actions
+ * @param {Object[]} myTeam — Extracted ally picks (cellId, label)
+ * @param {Object[]} theirTeam — Extracted enemy picks (cellId, label)
+ * @param {number} localCellId
+ * @returns {PickOrder | null} null when the session has no pick actions
+ */
+function buildPickOrder(actions, myTeam, theirTeam, localCellId) {
+  const labels = new Map([...myTeam, ...theirTeam].map((p) => [p.cellId, p.label]));
+  const allyCells = new Set(myTeam.map((p) => p.cellId));
+
+  const picks = [];
+  (actions || []).forEach((turn, turnIndex) => {
+    for (const a of turn) {
+      if (a.type !== "pick") continue;
+      picks.push({
+        turn: turnIndex,
+        cellId: a.actorCellId,
+        team: a.isAllyAction ?? allyCells.has(a.actorCellId) ? "ally" : "enemy",
+        status: a.completed ? "picked" : a.isInProgress ? "picking" : "waiting",
+      });
+    }
+  });
+  if (picks.length === 0) return null;
+
+  const mine = picks.find((p) => p.cellId === localCellId) || null;
+  const open = picks.filter((p) => p.status !== "picked");
+  const allyPicks = picks.filter((p) => p.team === "ally");
+
+  return {
+    sequence: picks.map((p, i) => ({
+      order: i + 1,
+      label: labels.get(p.cellId) || (p.team === "ally" ? "Ally" : "Enemy"),
+      team: p.team,
+      status: p.status,
+      ...(p === mine ? { you: true } : {}),
+    })),
+    my_pick: mine ? picks.indexOf(mine) + 1 : null,
+    my_team_pick: mine ? allyPicks.indexOf(mine) + 1 : null,
+    first_pick: mine ? picks.every((p) => p.turn >= mine.turn) : false,
+    last_pick: mine ? picks.every((p) => p.turn <= mine.turn) : false,
+    ally_picks_remaining: open.filter((p) => p.team === "ally").length,
+    enemy_picks_remaining: open.filter((p) => p.team === "enemy").length,
+    enemy_picks_before_me: mine ? open.filter((p) => p.team === "enemy" && p.turn < mine.turn).length : 0,
+    enemy_picks_after_me: mine ? picks.filter((p) => p.team === "enemy" && p.turn > mine.turn).length : 0,
+  };
+}
+
+/**
+ * @typedef {Object} EnemyLanes
+ * @property {{ label: string, champion: string, lane: string | null, confidence: number, flex_roles: string[] }[]} predicted
+ *   One per locked enemy champion; lane null when there's no role data for it
+ * @property {string[]} hidden_lanes — Lanes with no enemy confidently in them
+ * @property {{ label: string, champion: string, confidence: number } | null} my_lane_opponent
+ * @property {boolean} blind_pick_needed — The player's lane opponent isn't known
+ */
+
+/**
+ * Assign locked enemy champions to lanes. Known positions (blind pick, custom
+ * games) are kept; the rest are matched to the open lanes so that the total
+ * pick-rate share is highest.
+ * @param {Object[]} theirTeam — Extracted enemy picks (label, position, champion)
+ * @param {(champion: string) => { role: string, pick_rate: number }[]} roleRates — Meta pick rate per role
+ * @param {string | null} myPosition — The player's position, any spelling
+ * @returns {EnemyLanes}
+ */
+function predictEnemyLanes(theirTeam, roleRates, myPosition) {
+  const locked = theirTeam.filter((p) => p.champion);
+  const known = [];
+  const unknown = [];
+
+  for (const p of locked) {
+    const position = normalizePosition(p.position);
+    const shares = roleShares(roleRates(p.champion));
+    const flexRoles = LANES.filter((lane) => (shares[lane] || 0) >= FLEX_SHARE);
+    if (position) known.push({ player: p, lane: POSITION_TO_META_ROLE[position], confidence: 1, flexRoles });
+    else unknown.push({ player: p, shares, flexRoles });
+  }
+
+  const takenLanes = new Set(known.map((k) => k.lane));
+  const assignment = bestAssignment(unknown.map((u) => u.shares), LANES.filter((lane) => !takenLanes.has(lane)));
+
+  const predicted = [
+    ...known,
+    ...unknown.map((u, i) => {
+      const lane = assignment[i];
+      const confidence = lane ? u.shares[lane] || 0 : 0;
+      return { player: u.player, lane: confidence > 0 ? lane : null, confidence, flexRoles: u.flexRoles };
+    }),
+  ].map(({ player, lane, confidence, flexRoles }) => ({
+    label: player.label,
+    champion: player.champion,
+    lane,
+    confidence: Math.round(confidence * 100) / 100,
+    flex_roles: flexRoles.length > 1 ? flexRoles : [],
+  }));
+
+  const confident = predicted.filter((p) => p.lane && p.confidence >= CONFIDENT_LANE);
+  const myLane = POSITION_TO_META_ROLE[normalizePosition(myPosition)] || null;
+  const opponent = myLane ? confident.find((p) => p.lane === myLane) : null;
+
+  return {
+    predicted,
+    hidden_lanes: LANES.filter((lane) => !confident.some((p) => p.lane === lane)),
+    my_lane_opponent: opponent ? { label: opponent.label, champion: opponent.champion, confidence: opponent.confidence } : null,
+    blind_pick_needed: Boolean(myLane) && !opponent,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ role: string, pick_rate: number }[]} rates
+ * @returns {Object<string, number>} Lane → share of the champion's picks (0-1)
+ */
+function roleShares(rates) {
+  const total = rates.reduce((sum, r) => sum + (r.pick_rate || 0), 0);
+  if (total <= 0) return {};
+  return Object.fromEntries(rates.map((r) => [r.role, (r.pick_rate || 0) / total]));
+}
+
+/**
+ * Lane for each champion maximizing the summed shares — exhaustive, at most
+ * 5 champions over 5 lanes (120 orderings).
+ * @param {Object<string, number>[]} shares — Per champion
+ * @param {string[]} lanes — Open lanes
+ * @returns {(string | null)[]} Lane per champion (null when lanes run out)
+ */
+function bestAssignment(shares, lanes) {
+  let best = { score: -1, lanes: shares.map(() => null) };
+
+  const search = (i, used, chosen, score) => {
+    if (i === shares.length) {
+      if (score > best.score) best = { score, lanes: [...chosen] };
+      return;
+    }
+    let placed = false;
+    for (const lane of lanes) {
+      if (used.has(lane)) continue;
+      placed = true;
+      used.add(lane);
+      chosen.push(lane);
+      search(i + 1, used, chosen, score + (shares[i][lane] || 0));
+      chosen.pop();
+      used.delete(lane);
+    }
+    if (!placed) {
+      chosen.push(null);
+      search(i + 1, used, chosen, score);
+      chosen.pop();
+    }
+  };
+
+  search(0, new Set(), [], 0);
+  return best.lanes;
+}
+
+module.exports = { LANES, CONFIDENT_LANE, buildPickOrder, predictEnemyLanes };
@@ -0,0 +1,163 @@
+/**
+ * Drafting Oracle — Offline fallback.
+ *
+ * Deterministic ban/pick ranking from the scraped meta tier list
+ * (meta_champions), used when no LLM is available. No enemy scouting and no
+ * matchup knowledge — just patch strength, ban rates, blind safety, the
+ * player's champion pool and their own lane record.
+ */
+
+const { championKey } = require("../lobby-planner/planner");
+
+/** Numeric value of each meta tier, for ban threat */
+const TIER_WEIGHT = Object.freeze({ S: 1, A: 0.8, B: 0.6, C: 0.4, D: 0.2 });
+
+/**
+ * @param {Object} row — meta_champions row (rates are percentages)
+ * @returns {number} How much a champion is worth banning
+ */
+function banThreat(row) {
+  return (row.ban_rate || 0) + (row.win_rate || 0) * (TIER_WEIGHT[row.tier] || 0);
+}
+
+/**
+ * @param {number} rate — Percentage, as scraped
+ * @returns {string} e.g. "52.3%"
+ */
+function percent(rate) {
+  return `${Math.round((rate || 0) * 10) / 10}%`;
+}
+
+/**
+ * Strongest champions still available to ban — after the lane opponents the
+ * player has a losing record against, if any.
+ * @param {Object[]} tierList — meta_champions rows (any roles)
+ * @param {string[]} taken — Champions already banned or picked
+ * @param {number} [count=3]
+ * @param {Object[]} [toughest=[]] — getToughestMatchups entries, worst first
+ * @returns {{ champion: string, reason: string }[]}
+ */
+function rankOfflineBans(tierList, taken, count = 3, toughest = []) {
+  const excluded = new Set(taken.map(championKey));
+  const seen = new Set();
+
+  const personal = toughest
+    .filter((m) => m.win_rate < 50 && !excluded.has(championKey(m.enemy_champion)))
+    .slice(0, count)
+    .map((m) => {
+      seen.add(championKey(m.enemy_champion));
+      return {
+        champion: m.enemy_champion,
+        reason: `Your toughest lane: ${m.wins}-${m.losses} against them, ${m.avg_deaths} deaths a game.`,
+      };
+    });
+
+  return personal.concat([...tierList]
+    .sort((a, b) => banThreat(b) - banThreat(a))
+    .filter((row) => {
+      const key = championKey(row.name);
+      if (excluded.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count - personal.length)
+    .map((row) => ({
+      champion: row.name,
+      reason: `${row.tier}-tier ${row.role} — ${percent(row.win_rate)} win rate, ${percent(row.ban_rate)} ban rate this patch.`,
+    })));
+}
+
+/**
+ * Best available pick for the player's role. Blind-safe picks (few counters)
+ * come first while the lane opponent is hidden; otherwise the strongest
+ * tier-list pick is shown, untyped, since offline mode can't judge the matchup.
+ *
+ * With a champion pool, strict mode only picks from the pool (falling back to
+ * the player's most played pool champion when none is on the tier list);
+ * prefer mode adds the best pool champion as `comfort` when the pick is
+ * outside the pool.
+ * @param {Object} opts
+ * @param {Object[]} opts.tierList — meta_champions rows for the role
+ * @param {Object[]} opts.blindSafe — getBlindSafePicks rows for the role
+ * @param {string[]} opts.taken — Champions already banned or picked
+ * @param {string | null} opts.laneOpponent — Enemy champion in the lane, if picked
+ * @param {{ role: string, mode: "prefer" | "strict", champions: Object[] } | null} [opts.pool] — The player's pool for the role
+ * @returns {{ champion: string, role: string, reason: string, pick_type: string | null, comfort?: { champion: string, reason: string } | null } | null}
+ */
+function chooseOfflinePick({ tierList, blindSafe, taken, laneOpponent, pool = null }) {
+  const excluded = new Set(taken.map(championKey));
+
+  if (pool?.mode === "strict") {
+    const keys = new Set(pool.champions.map((c) => championKey(c.champion)));
+    const inPool = (rows) => rows.filter((row) => keys.has(championKey(row.name)));
+    const pick = chooseMetaPick(inPool(tierList), inPool(blindSafe), excluded, laneOpponent);
+    if (pick) return pick;
+
+    const fallback = bestPoolChampion(pool.champions, excluded);
+    if (!fallback) return null;
+    return { champion: fallback.champion, role: pool.role, reason: poolReason(fallback), pick_type: null };
+  }
+
+  const pick = chooseMetaPick(tierList, blindSafe, excluded, laneOpponent);
+  if (!pick || !pool || pool.champions.some((c) => championKey(c.champion) === championKey(pick.champion))) return pick;
+
+  const comfort = bestPoolChampion(pool.champions, excluded);
+  return { ...pick, comfort: comfort ? { champion: comfort.champion, reason: poolReason(comfort) } : null };
+}
+
+/**
+ * @param {Object[]} tierList
+ * @param {Object[]} blindSafe
+ * @param {Set<string>} excluded — championKeys already banned or picked
+ * @param {string | null} laneOpponent
+ * @returns {{ champion: string, role: string, reason: string, pick_type: string | null } | null}
+ */
+function chooseMetaPick(tierList, blindSafe, excluded, laneOpponent) {
+  const available = (rows) => rows.find((row) => !excluded.has(championKey(row.name)));
+
+  if (!laneOpponent) {
+    const safe = available(blindSafe);
+    if (safe) {
+      return {
+        champion: safe.name,
+        role: safe.role,
+        reason: `Blind-safe: ${percent(safe.win_rate)} win rate with ${safe.counter_count} hard counter${safe.counter_count === 1 ? "" : "s"}.`,
+        pick_type: "blind",
+      };
+    }
+  }
+
+  const best = available(tierList);
+  if (!best) return null;
+  return {
+    champion: best.name,
+    role: best.role,
+    reason: laneOpponent
+      ? `Strongest ${best.role} left this patch (${best.tier}-tier, ${percent(best.win_rate)} win rate) — matchup vs ${laneOpponent} not checked offline.`
+      : `Strongest ${best.role} left this patch (${best.tier}-tier, ${percent(best.win_rate)} win rate).`,
+    pick_type: null,
+  };
+}
+
+/**
+ * The player's most played pool champion still available.
+ * @param {{ champion: string, games: number, win_rate: number | null }[]} champions
+ * @param {Set<string>} excluded
+ * @returns {Object | null}
+ */
+function bestPoolChampion(champions, excluded) {
+  return [...champions]
+    .sort((a, b) => b.games - a.games || (b.win_rate ?? 0) - (a.win_rate ?? 0))
+    .find((c) => !excluded.has(championKey(c.champion))) || null;
+}
+
+/**
+ * @param {{ games: number, win_rate: number | null }} entry
+ * @returns {string}
+ */
+function poolReason(entry) {
+  if (!entry.games) return "From your champion pool.";
+  return `From your champion pool — ${entry.games} game${entry.games === 1 ? "" : "s"}, ${entry.win_rate}% win rate.`;
+}
+
+module.exports = { rankOfflineBans, chooseOfflinePick };
@@ -1,5 +1,5 @@
 /**
- * Drafting Oracle — System prompt and tool definitions.
+ * Drafting Oracle — System prompt, phase instructions and tool definitions.
  */
 
 const SYSTEM_PROMPT = `You are the Drafting Oracle, an elite League of Legends draft analyst embedded in a real-time companion app. You observe champion select as it unfolds and provide actionable draft intelligence.
@@ -13,7 +13,8 @@ You will receive a JSON snapshot of the current champ select state including:
 Your job is to use your tools to analyze this data and produce recommendations.
 
 RULES:
-- Always consider the PLAYER's champion pool, not just meta picks. If they don't play a champion, don't recommend it.
+- Always consider the PLAYER's champion pool, not just meta picks (see CHAMPION POOL RULES).
+- Weight the player's own matchup history: call get_personal_matchup_history during bans (no enemy_champion) to find the lane opponents they struggle against, and with the enemy laner before a counter pick. Frame it as what to avoid, never as a weakness of the player.
 - Weight enemy one-trick patterns heavily — mastery score > 100k on a champion means they will likely pick it if available.
 - Consider team composition archetypes: teamfight, pick, split-push, poke, siege.
 - Provide confidence scores honestly: 1.0 = absolutely certain, 0.5 = coin flip, 0.0 = wild guess.
@@ -32,13 +33,30 @@ RIOT POLICY COMPLIANCE:
 
 META INTELLIGENCE RULES:
 - Always call get_meta_tier_list for the player's role to inform your recommendations with real data.
-- When NO enemy picks are visible for the player's lane, recommend "blind" picks — champions with high win rates and few hard counters. Set pick_type to "blind".
-- When enemy picks ARE visible for the player's lane, recommend "counter" picks — champions that exploit the enemy's weaknesses. Set pick_type to "counter".
-- When ally hovers or picks exist, evaluate "synergy" — consider damage type balance (AD/AP mix), engage tools, waveclear, and scaling curves. Set pick_type to "synergy" when the recommendation is primarily driven by team composition fit.
+- When NO enemy is known to be in the player's lane (enemy_lanes.blind_pick_needed), recommend "blind" picks — champions with high win rates and few hard counters. Set pick_type to "blind".
+- When the player's lane opponent IS known (enemy_lanes.my_lane_opponent), recommend "counter" picks — champions that exploit the enemy's weaknesses. Set pick_type to "counter".
+- When ally hovers or picks exist, evaluate "synergy" — call analyze_team_composition and weigh its damage split, engage, waveclear and scaling numbers. Cite its flags ("full AD", "0 engage") in your reasons instead of vague descriptions. Set pick_type to "synergy" when the recommendation is primarily driven by team composition fit.
 - Always specify pick_type in every suggest_pick call. If unsure, default to "counter".
 - Blind picks should have few counters and consistent performance regardless of matchup.
 - Counter picks should directly exploit a known enemy champion's weaknesses.
-- Synergy picks should complement the existing team composition's win condition.`;
+- Synergy picks should complement the existing team composition's win condition.
+
+PICK ORDER RULES:
+- The context's pick_order is the full pick sequence: my_pick (1-10 overall), my_team_pick (1-5), first_pick / last_pick, the picks each team has left, and enemy_picks_after_me — enemies who can still counter the player.
+- Enemy positions are hidden in ranked draft. enemy_lanes.predicted is each locked enemy champion's likely lane, inferred from meta pick rates; confidence is the share of that champion's games in the lane and flex_roles lists the other lanes it is played in. Treat a flex champion's lane as a guess until its team has filled the other lanes.
+- enemy_lanes.hidden_lanes are the lanes no enemy is confidently in yet. If the player's lane is among them, their opponent is hidden — pick for safety, and say which lane is still hidden.
+- With enemy_picks_after_me > 0, prefer champions that are hard to counter even in a counter pick. With last pick (or no enemy picks after the player), counter freely.
+
+PREMADE RULES:
+- The context's premades lists players on either team who queue together, found from shared recent games (e.g. "Enemy JG + MID duo, 14 shared games"). Refer to them only by their labels and positions.
+- An enemy duo plays around each other early — a jungle + lane duo means early ganks and dives on that lane. Raise the ban priority of the duo's strongest or best-known champions, and favor picks that survive early pressure in that lane.
+- An allied duo can be played around: prefer picks that follow up on their lane or jungle pathing.
+
+CHAMPION POOL RULES:
+- The context's champion_pool lists the champions the player plays in their role, with their own games, win rate and KDA. Call get_my_champion_stats for their full record in the role.
+- champion_pool.mode "prefer": suggest_pick's champion is the OPTIMAL pick for the draft, in the pool or not. If it isn't in the pool, also set comfort_champion and comfort_reason to the best pick FROM the pool — the player chooses between comfort and optimal.
+- champion_pool.mode "strict": only pick champions from the pool. Leave comfort_champion out.
+- With no champion_pool in the context, the player has no pool set — recommend freely.`;
 
 const TOOLS = [
   {
@@ -74,9 +92,47 @@ const TOOLS = [
       required: ["role"],
     },
   },
+  {
+    name: "get_my_champion_stats",
+    description: "Get the player's own record per champion in a role, from their local match history: games, wins, win rate, average KDA, and whether the champion is in their pool.",
+    input_schema: {
+      type: "object",
+      properties: {
+        role: {
+          type: "string",
+          enum: ["top", "jungle", "mid", "adc", "support"],
+          description: "The role to get the player's champion stats for",
+        },
+        champion: {
+          type: "string",
+          description: "Only this champion (default: every champion played in the role)",
+        },
+      },
+      required: ["role"],
+    },
+  },
+  {
+    name: "get_personal_matchup_history",
+    description: "Get the player's own record in lane against an enemy champion, from their local match history: games, wins, win rate, average deaths, average end-of-game CS difference, which of their champions they played and the most recent games. Omit enemy_champion to get the lane opponents they have done worst against in the role.",
+    input_schema: {
+      type: "object",
+      properties: {
+        role: {
+          type: "string",
+          enum: ["top", "jungle", "mid", "adc", "support"],
+          description: "The player's role — only games they played in it count",
+        },
+        enemy_champion: {
+          type: "string",
+          description: "The enemy champion to look up (default: the player's toughest lane opponents)",
+        },
+      },
+      required: ["role"],
+    },
+  },
   {
     name: "analyze_team_composition",
-    description: "Analyze the current ally and enemy team compositions. Evaluates synergies, win conditions, damage profiles, and weaknesses. Use this after several picks are locked in.",
+    description: "Score the ally and enemy team compositions from champion attribute data: physical/magic damage split, hard-CC count, engage, disengage, waveclear, frontline and scaling curve per team, flags such as \"full AD\", \"0 engage\" or \"weak late\", and which side is ahead on each. Use this after several picks are locked in, and to check how a candidate pick changes your team's numbers.",
     input_schema: {
       type: "object",
       properties: {
@@ -110,6 +166,8 @@ const TOOLS = [
         },
         confidence: {
           type: "number",
+          minimum: 0,
+          maximum: 1,
           description: "Confidence score from 0.0 to 1.0",
         },
       },
@@ -141,6 +199,8 @@ const TOOLS = [
         },
         confidence: {
           type: "number",
+          minimum: 0,
+          maximum: 1,
           description: "Confidence score from 0.0 to 1.0",
         },
         pick_type: {
@@ -148,10 +208,56 @@ const TOOLS = [
           enum: ["blind", "counter", "synergy"],
           description: "The type of pick recommendation: blind (safe first-pick), counter (exploits enemy), or synergy (complements team)",
         },
+        comfort_champion: {
+          type: "string",
+          description: "Best pick from the player's champion pool, when champion is not in it (prefer mode only)",
+        },
+        comfort_reason: {
+          type: "string",
+          description: "Short reason for the comfort pick (shown to player)",
+        },
       },
       required: ["champion", "role", "reason", "confidence", "pick_type"],
     },
   },
 ];
 
-module.exports = { SYSTEM_PROMPT, TOOLS };
+/** Phase instruction placeholders: the player's role as the meta data names it, and for display */
+const ROLE_VARIABLES = ["role", "role_label"];
+
+/**
+ * Editable prompts (see agents/prompt-overrides.js) — the system prompt and
+ * the instructions sent with each draft phase.
+ * @type {Record<string, import('../prompt-overrides').PromptDefinition>}
+ */
+const PROMPTS = {
+  system: {
+    label: "System prompt",
+    template: SYSTEM_PROMPT,
+  },
+  ban_phase_1: {
+    label: "Ban phase 1 instructions",
+    template: `We are in BAN PHASE 1. The player's assigned role is {{role_label}}. Use get_enemy_champion_pools to scout enemy one-tricks. Also call get_meta_tier_list for role "{{role}}" to identify high win-rate/ban-rate threats SPECIFIC to {{role_label}}. If no ally hovers exist, recommend 3 bans: prioritize enemy one-tricks first, then the highest ban-rate/win-rate champions for {{role_label}} from the meta data. Use suggest_ban for each.`,
+    variables: ROLE_VARIABLES,
+  },
+  ban_phase_2: {
+    label: "Ban phase 2 instructions",
+    template: `We are in BAN PHASE 2. The player's role is {{role_label}}. Some picks are locked. Use analyze_team_composition if enough picks are in. Call get_meta_tier_list for role "{{role}}" to check remaining high-threat champions for {{role_label}}. Then suggest_ban for remaining bans.`,
+    variables: ROLE_VARIABLES,
+  },
+  pick_phase: {
+    label: "Pick phase instructions",
+    template: `We are in PICK PHASE. The player's role is {{role_label}}. Call get_meta_tier_list for role "{{role}}" FIRST. Then classify your recommendation: if enemy_lanes.blind_pick_needed is true, recommend a BLIND pick (pick_type='blind'). If enemy_lanes.my_lane_opponent is known, recommend a COUNTER pick (pick_type='counter'). If the main driver is team composition fit, recommend a SYNERGY pick (pick_type='synergy'). Use suggest_pick with the appropriate pick_type.`,
+    variables: ROLE_VARIABLES,
+  },
+  complete: {
+    label: "Draft complete instructions",
+    template: "Draft is complete. Use analyze_team_composition to give a final draft summary.",
+  },
+  default: {
+    label: "Other draft states",
+    template: "Analyze the current draft state and provide any relevant recommendations.",
+  },
+};
+
+module.exports = { SYSTEM_PROMPT, TOOLS, PROMPTS };
@@ -0,0 +1,418 @@
+const { BaseAgent } = require("../base-agent");
+const { GamePhase, GameMode } = require("../../orchestrator/state-machine");
+const { SYSTEM_PROMPT, TOOLS } = require("./prompt");
+const { identifyEnemies, summarizeMasteries, summarizeRecentMatches } = require("./scouting");
+const { buildOfflineBriefings } = require("./offline");
+const { detectPremades } = require("../premade-detection");
+const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
+const { queries } = require("../../data/db");
+const { logger } = require("../../utils/logger");
+
+/**
+ * Loading Scout — Agent 4.
+ *
+ * Active from LOADING into the first minute of IN_GAME. Enemy names are
+ * hidden in ranked champ select, but the Live Client player list exposes
+ * every Riot ID once the loading screen starts. The scout resolves the
+ * enemies through the Riot API (account, mastery, recent matches), and
+ * uses Claude to brief the player on their lane opponent and the enemy
+ * jungler in the loading overlay.
+ *
+ * The LCU only sits in GameStart for a moment — most of the loading screen
+ * is already InProgress — so the agent stays active into IN_GAME and hides
+ * its overlay once the game clock passes DISMISS_AFTER_SECONDS.
+ */
+class LoadingScout extends BaseAgent {
+  /** @type {import('../../riot-api-client').RiotApiClient} */
+  #riotApi;
+
+  /** @type {import('../../integrations/riot/live-client').LiveClientAPI} */
+  #liveClient;
+
+  /** @type {NodeJS.Timeout | null} */
+  #pollTimer = null;
+
+  /** @type {import('./scouting').ScoutedPlayer[]} Enemy team for this game */
+  #enemies = [];
+
+  /** @type {Map<string, Object>} label → scouting report (mastery + recent form) */
+  #reports = new Map();
+
+  /** @type {Map<string, string>} label → PUUID, for premade detection only — never sent anywhere */
+  #puuids = new Map();
+
+  /** @type {import('../premade-detection').Premade[]} Players queueing together, either team */
+  #premades = [];
+
+  /** Whether the scouting run has started (it runs once per game) */
+  #scouted = false;
+
+  /** Whether a poll is in flight (prevents overlap) */
+  #polling = false;
+
+  /** Whether the overlay has been dismissed for this game */
+  #dismissed = false;
+
+  /** Hide the briefing once the game clock passes this (seconds) */
+  #DISMISS_AFTER_SECONDS = 90;
+
+  /** Recent matches fetched for the lane opponent and jungler */
+  #RECENT_MATCH_COUNT = 8;
+
+  /**
+   * @param {Object} deps — BaseAgent deps + riotApi + liveClient
+   * @param {import('../../riot-api-client').RiotApiClient} deps.riotApi
+   * @param {import('../../integrations/riot/live-client').LiveClientAPI} deps.liveClient
+   */
+  constructor(deps) {
+    super(deps);
+    this.#riotApi = deps.riotApi;
+    this.#liveClient = deps.liveClient;
+  }
+
+  get name() {
+    return "loading-scout";
+  }
+
+  systemPrompt() {
+    return SYSTEM_PROMPT;
+  }
+
+  tools() {
+    return TOOLS;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  async onActivate() {
+    logger.info("[Loading Scout] Loading screen detected — activating pipeline.");
+    this.#enemies = [];
+    this.#reports.clear();
+    this.#puuids.clear();
+    this.#premades = [];
+    this.#scouted = false;
+    this.#polling = false;
+    this.#dismissed = false;
+
+    // The player list shows up a few seconds into loading — poll until it does
+    this.#pollTimer = setInterval(() => this.#poll(), 3000);
+    await this.#poll();
+  }
+
+  async onDeactivate() {
+    if (this.#pollTimer) {
+      clearInterval(this.#pollTimer);
+      this.#pollTimer = null;
+    }
+    this.#enemies = [];
+    this.#reports.clear();
+    this.#puuids.clear();
+    this.#premades = [];
+    logger.info("[Loading Scout] Deactivated.");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tool handlers — called by Claude via BaseAgent.invoke()
+  // ---------------------------------------------------------------------------
+
+  async handleToolCall(toolName, toolInput) {
+    switch (toolName) {
+      case "get_enemy_scouting_report":
+        return this.#handleGetReport(toolInput);
+
+      case "emit_briefing":
+        return this.#handleEmitBriefing(toolInput);
+
+      default:
+        return { error: `Unknown tool: ${toolName}` };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tool implementations
+  // ---------------------------------------------------------------------------
+
+  #handleGetReport({ label }) {
+    const enemy = this.#enemies.find((e) => e.label === label);
+    if (!enemy) {
+      return { error: `Unknown enemy label "${label}". Use one of: ${this.#enemies.map((e) => e.label).join(", ")}` };
+    }
+
+    return {
+      label,
+      champion: enemy.champion,
+      position: enemy.position || "unknown",
+      tag: enemy.tag,
+      ...(this.#reports.get(label) || { error: "No Riot API data for this player." }),
+    };
+  }
+
+  /**
+   * @param {Object} input — emit_briefing input
+   * @param {Object} [opts]
+   * @param {boolean} [opts.offline=false] — Built locally by the offline fallback
+   */
+  #handleEmitBriefing({ section, label, headline, points, confidence }, { offline = false } = {}) {
+    const enemy = this.#enemies.find((e) => e.label === label);
+    const briefing = {
+      section,
+      label: label || null,
+      champion: enemy ? enemy.champion : null,
+      headline,
+      points: (points || []).slice(0, 3),
+      confidence,
+      offline,
+      timestamp: Date.now(),
+    };
+
+    logger.info("[Loading Scout] Briefing", briefing);
+    this.sendToOverlay(IPC_CHANNELS.LOADING_BRIEFING, briefing);
+
+    return { status: "displayed", section };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scouting pipeline
+  // ---------------------------------------------------------------------------
+
+  async #poll() {
+    if (this.#polling || this.#dismissed) return;
+    this.#polling = true;
+
+    try {
+      if (await this.#shouldDismiss()) {
+        this.#dismiss();
+        return;
+      }
+      if (!this.#scouted) await this.#scout();
+    } finally {
+      this.#polling = false;
+    }
+  }
+
+  /**
+   * Whether the game has been running long enough that the briefing is stale.
+   * Also covers the app starting mid-game.
+   */
+  async #shouldDismiss() {
+    try {
+      const stats = await this.#liveClient.getGameStats();
+      return (stats?.gameTime || 0) > this.#DISMISS_AFTER_SECONDS;
+    } catch {
+      return false; // Still loading
+    }
+  }
+
+  #dismiss() {
+    this.#dismissed = true;
+    if (this.#pollTimer) {
+      clearInterval(this.#pollTimer);
+      this.#pollTimer = null;
+    }
+    for (const overlay of manifest.overlays) this.overlayManager.hide(overlay);
+    logger.info("[Loading Scout] Game underway — briefing dismissed.");
+  }
+
+  async #scout() {
+    let playerList, activePlayer;
+    try {
+      [playerList, activePlayer] = await Promise.all([
+        this.#liveClient.getPlayerList(),
+        this.#liveClient.getActivePlayer(),
+      ]);
+    } catch (err) {
+      logger.debug("[Loading Scout] Player list not available yet", { error: err.message });
+      return;
+    }
+
+    const localRiotId = activePlayer?.riotId || activePlayer?.summonerName;
+    const teams = Array.isArray(playerList) ? identifyEnemies(playerList, localRiotId) : null;
+    if (!teams || teams.enemies.length === 0) return;
+
+    this.#scouted = true;
+    this.#enemies = teams.enemies;
+    logger.info("[Loading Scout] Enemy team found — scouting.", {
+      enemies: this.#enemies.map((e) => `${e.label}: ${e.champion} (${e.position || "?"}${e.tag ? `, ${e.tag}` : ""})`),
+    });
+    this.#sendRoster();
+
+    // Lane opponent and jungler first — they get recent matches too
+    const ordered = [...this.#enemies].sort((a, b) => (b.tag ? 1 : 0) - (a.tag ? 1 : 0));
+    for (const enemy of ordered) {
+      if (!this.isActive || this.#dismissed) return;
+      const report = await this.#fetchReport(enemy);
+      if (report) this.#reports.set(enemy.label, report);
+    }
+
+    if (!this.isActive || this.#dismissed) return;
+    await this.#findPremades(teams.allies);
+    this.#sendRoster();
+
+    if (!this.isActive || this.#dismissed) return;
+
+    try {
+      const result = await this.invoke(this.#buildContext(teams.local), "LOADING");
+      if (result.offline) {
+        logger.info("[Loading Scout] Offline — sending the local briefing.");
+        const briefings = buildOfflineBriefings({ local: teams.local, enemies: this.#enemies, reports: this.#reports, premades: this.#premades });
+        for (const briefing of briefings) this.#handleEmitBriefing(briefing, { offline: true });
+      }
+    } catch (err) {
+      logger.error("[Loading Scout] Claude invocation failed", { error: err.message });
+    }
+  }
+
+  /**
+   * Resolve one enemy: Riot ID → PUUID → mastery (+ recent matches for tagged
+   * enemies). Reuses and extends the Drafting Oracle's enemy_analysis_cache.
+   * @param {import('./scouting').ScoutedPlayer} enemy
+   * @returns {Promise<Object | null>}
+   */
+  async #fetchReport(enemy) {
+    if (!enemy.gameName || !enemy.tagLine) return null;
+
+    try {
+      const account = await this.#riotApi.getAccountByRiotId(enemy.gameName, enemy.tagLine);
+      const puuid = account.puuid;
+      this.#puuids.set(enemy.label, puuid);
+
+      const cached = queries.getCachedEnemyAnalysis(puuid);
+      const analysis = cached ? { ...cached } : { puuid };
+      let changed = false;
+
+      if (!analysis.top_champions) {
+        analysis.top_champions = summarizeMasteries(await this.#riotApi.getTopMasteries(puuid, 5));
+        changed = true;
+      }
+
+      if (enemy.tag && !analysis.recent_form) {
+        const matchIds = await this.#riotApi.getMatchIds(puuid, this.#RECENT_MATCH_COUNT);
+        const matches = [];
+        for (const matchId of matchIds) {
+          try {
+            matches.push(await this.#riotApi.getMatch(matchId));
+          } catch (err) {
+            logger.debug("[Loading Scout] Match fetch failed", { matchId, error: err.message });
+          }
+        }
+        analysis.recent_form = summarizeRecentMatches(matches, puuid);
+        changed = true;
+      }
+
+      logger.info(`[Loading Scout] Enemy analysis cache ${changed ? "MISS" : "HIT"}`, { label: enemy.label });
+      if (changed) {
+        try {
+          queries.setCachedEnemyAnalysis(puuid, analysis);
+        } catch (dbErr) {
+          logger.warn("[Loading Scout] Failed to cache enemy analysis", { error: dbErr.message });
+        }
+      }
+
+      // PUUID stays out of the report — Claude only needs labels
+      const { puuid: _puuid, recent_match_ids: _matchIds, ...report } = analysis;
+      return report;
+    } catch (err) {
+      logger.warn("[Loading Scout] Failed to scout enemy", { label: enemy.label, error: err.message });
+      return { error: err.message };
+    }
+  }
+
+  /**
+   * Cross-reference recent matches to find players queueing together. The
+   * enemies' PUUIDs are known from scouting; the allies are looked up by
+   * Riot ID here.
+   * @param {import('./scouting').ScoutedPlayer[]} allies — The player's teammates
+   */
+  async #findPremades(allies) {
+    const players = this.#enemies.map((e) => ({ label: e.label, team: "enemy", puuid: this.#puuids.get(e.label), position: e.position }));
+    for (const ally of allies) {
+      if (!ally.gameName || !ally.tagLine) continue;
+      try {
+        const account = await this.#riotApi.getAccountByRiotId(ally.gameName, ally.tagLine);
+        players.push({ label: ally.label, team: "ally", puuid: account.puuid, position: ally.position });
+      } catch (err) {
+        logger.debug("[Loading Scout] Ally lookup failed", { label: ally.label, error: err.message });
+      }
+    }
+
+    try {
+      this.#premades = await detectPremades(this.#riotApi, players.filter((p) => p.puuid));
+    } catch (err) {
+      logger.warn("[Loading Scout] Premade detection failed", { error: err.message });
+    }
+  }
+
+  /**
+   * Send the enemy roster to the overlay — RIOT POLICY: anonymous labels only.
+   */
+  #sendRoster() {
+    this.sendToOverlay(IPC_CHANNELS.LOADING_ROSTER, {
+      enemies: this.#enemies.map((e) => {
+        const report = this.#reports.get(e.label);
+        const mastery = report?.top_champions?.find((c) => c.champion === e.champion);
+        return {
+          label: e.label,
+          champion: e.champion,
+          position: e.position || "unknown",
+          tag: e.tag,
+          mastery_points: mastery ? mastery.mastery_points : null,
+          is_one_trick: mastery ? mastery.is_one_trick : false,
+          recent_games: report?.recent_form?.games ?? null,
+          recent_win_rate: report?.recent_form?.games ? report.recent_form.win_rate : null,
+          scouted: this.#reports.has(e.label),
+        };
+      }),
+      premades: this.#premades.map(({ team, labels, description }) => ({ team, labels, description })),
+    });
+  }
+
+  /**
+   * Build the context message sent to Claude.
+   */
+  #buildContext(local) {
+    const context = {
+      game_mode: this.gameMode,
+      my_champion: local.champion,
+      my_position: local.position || "unknown",
+      enemies: this.#enemies.map((e) => ({
+        label: e.label,
+        champion: e.champion,
+        position: e.position || "unknown",
+        tag: e.tag,
+        has_report: this.#reports.has(e.label) && !this.#reports.get(e.label).error,
+      })),
+      premades: this.#premades.length > 0
+        ? this.#premades.map(({ team, labels, positions, shared_games, description }) => ({ team, labels, positions, shared_games, description }))
+        : undefined,
+      instructions: local.position === "JUNGLE"
+        ? "The player is the jungler. Read the enemy jungler's report, then emit one 'jungler' briefing. Add a 'team' briefing only if another enemy stands out."
+        : "Read the lane opponent's and the jungler's reports, then emit a 'lane_opponent' and a 'jungler' briefing. Add a 'team' briefing only if another enemy stands out.",
+    };
+
+    return `LOADING SCREEN:\n${JSON.stringify(context, null, 2)}`;
+  }
+}
+
+/**
+ * Registry manifest — see agents/registry.js.
+ * @type {import('../registry').AgentManifest}
+ */
+const manifest = {
+  id: "loading-scout",
+  label: "Loading Scout",
+  description: "Lane opponent and jungler briefing on the loading screen",
+  phases: [GamePhase.LOADING, GamePhase.IN_GAME],
+  // Lane and jungle reads need Summoner's Rift positions
+  modes: [
+    GameMode.SUMMONERS_RIFT,
+    GameMode.SWIFTPLAY,
+    GameMode.UNKNOWN,
+  ],
+  overlays: ["loading"],
+  dependencies: ["riotApi", "liveClient"],
+  create: (deps) => new LoadingScout(deps),
+};
+
+module.exports = { LoadingScout, manifest };
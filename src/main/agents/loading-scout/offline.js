@@ -0,0 +1,138 @@
+/**
+ * Loading Scout — Offline fallback.
+ *
+ * Deterministic briefings when no LLM is available, read straight from the
+ * scouting reports: mastery on the champion they locked, recent form, and
+ * laning or jungle habits for the lane opponent and the jungler. Same shape
+ * as emit_briefing.
+ */
+
+const { championKey } = require("../lobby-planner/planner");
+
+/** emit_briefing limits (see the system prompt) */
+const MAX_HEADLINE = 60;
+const MAX_POINT = 100;
+const MAX_POINTS = 3;
+
+/** Averages that mark a habit worth a headline */
+const AGGRESSIVE_SOLO_KILLS = 1;
+const EARLY_GANKS = 1.5;
+const INVADES = 4;
+
+/**
+ * @param {Object} opts
+ * @param {{ champion: string, position: string }} opts.local — The player
+ * @param {import('./scouting').ScoutedPlayer[]} opts.enemies
+ * @param {Map<string, Object>} opts.reports — label → scouting report
+ * @param {import('../premade-detection').Premade[]} [opts.premades]
+ * @returns {{ section: string, label: string, headline: string, points: string[], confidence: number }[]}
+ *   A "jungler" briefing, after a "lane_opponent" one unless the player jungles
+ */
+function buildOfflineBriefings({ local, enemies, reports, premades = [] }) {
+  const jungler = enemies.find((e) => e.position === "JUNGLE") || enemies.find((e) => e.tag === "jungler");
+  const laneOpponent = local.position === "JUNGLE"
+    ? null
+    : enemies.find((e) => e.tag === "lane_opponent" && e.position === local.position)
+      || enemies.find((e) => e.tag === "lane_opponent");
+
+  return [["lane_opponent", laneOpponent], ["jungler", jungler]]
+    .filter(([, enemy]) => enemy)
+    .map(([section, enemy]) => describeEnemy(section, enemy, reports.get(enemy.label), premades));
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {"lane_opponent"|"jungler"} section
+ * @param {import('./scouting').ScoutedPlayer} enemy
+ * @param {Object} [report]
+ * @param {import('../premade-detection').Premade[]} premades
+ * @returns {{ section: string, label: string, headline: string, points: string[], confidence: number }}
+ */
+function describeEnemy(section, enemy, report, premades) {
+  const premade = premades.find((p) => p.team === "enemy" && p.labels.includes(enemy.label));
+
+  if (!report || report.error) {
+    return {
+      section,
+      label: enemy.label,
+      headline: clip(`${enemy.champion} — no scouting data`, MAX_HEADLINE),
+      points: [premade && `Premade: ${premade.description}`, "Play your standard game plan for the matchup."]
+        .filter(Boolean)
+        .map((p) => clip(p, MAX_POINT)),
+      confidence: 0,
+    };
+  }
+
+  const mastery = (report.top_champions || []).find((c) => championKey(c.champion) === championKey(enemy.champion));
+  const form = report.recent_form?.games ? report.recent_form : null;
+
+  const points = [
+    mastery
+      ? `${formatPoints(mastery.mastery_points)} mastery points on ${enemy.champion}${mastery.is_one_trick ? " — a one-trick" : ""}`
+      : `${enemy.champion} isn't one of their most played champions`,
+    form && `${form.wins}W-${form.games - form.wins}L in their last ${form.games} games (${form.win_rate}% WR)`,
+    premade && `Premade: ${premade.description}`,
+    form && habits(section, form),
+  ].filter(Boolean);
+
+  return {
+    section,
+    label: enemy.label,
+    headline: clip(headline(section, enemy.champion, mastery, form), MAX_HEADLINE),
+    points: points.slice(0, MAX_POINTS).map((p) => clip(p, MAX_POINT)),
+    confidence: form ? (form.games >= 5 ? 0.8 : 0.5) : 0.3,
+  };
+}
+
+/**
+ * @returns {string} The strongest read for the headline
+ */
+function headline(section, champion, mastery, form) {
+  if (section === "jungler" && form?.jungle) {
+    if (form.jungle.early_kills_on_laners >= EARLY_GANKS) return `Early ganker on ${champion} — ward early`;
+    if (form.jungle.enemy_camps_taken >= INVADES) return `Invades on ${champion} — track your camps`;
+  }
+  if (section === "lane_opponent" && form?.solo_kills_per_game >= AGGRESSIVE_SOLO_KILLS) {
+    return `Aggressive laner on ${champion} — respect early trades`;
+  }
+  if (mastery?.is_one_trick) return `One-trick ${champion} — expect a practiced player`;
+  if (mastery) return `Comfortable on ${champion}`;
+  return `${champion} — not a main pick for them`;
+}
+
+/**
+ * @param {"lane_opponent"|"jungler"} section
+ * @param {Object} form — recent_form
+ * @returns {string | null}
+ */
+function habits(section, form) {
+  if (section === "jungler") {
+    if (!form.jungle) return `Mostly plays ${form.main_role} — jungling may be off-role`;
+    return `${form.jungle.early_kills_on_laners} early kills on laners, ${form.jungle.enemy_camps_taken} enemy camps a game`;
+  }
+  return `${form.solo_kills_per_game} solo kills a game, ${form.first_blood_rate}% first blood involvement`;
+}
+
+/**
+ * @param {number} points
+ * @returns {string} e.g. "245k", "1.2M"
+ */
+function formatPoints(points) {
+  if (points >= 1e6) return `${Math.round(points / 1e5) / 10}M`;
+  if (points >= 1e3) return `${Math.round(points / 1e3)}k`;
+  return String(points);
+}
+
+/**
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function clip(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+module.exports = { buildOfflineBriefings };
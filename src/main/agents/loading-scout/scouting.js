@@ -0,0 +1,203 @@
+/**
+ * Loading Scout — Deterministic scouting helpers.
+ *
+ * Works out who the lane opponent and jungler are from the Live Client
+ * player list, and boils Riot API mastery / match-v5 data down to the
+ * small summaries Claude reads.
+ */
+
+const { getChampionName } = require("../../summoner-detector");
+
+/** Summoner's Rift map ID — other maps don't say anything about lane habits */
+const SUMMONERS_RIFT_MAP_ID = 11;
+
+/** Positions that share a lane */
+const LANE_GROUPS = Object.freeze({
+  TOP: ["TOP"],
+  JUNGLE: ["JUNGLE"],
+  MIDDLE: ["MIDDLE"],
+  BOTTOM: ["BOTTOM", "UTILITY"],
+  UTILITY: ["BOTTOM", "UTILITY"],
+});
+
+/**
+ * @typedef {Object} ScoutedPlayer
+ * @property {string} label        — Anonymous label ("Enemy 1".."Enemy 5", "Ally 1".."Ally 4")
+ * @property {string} champion
+ * @property {string} position     — Live Client position ("" when unassigned)
+ * @property {"lane_opponent"|"jungler"|null} tag
+ * @property {string} gameName     — Riot ID parts, used for the account lookup only — never displayed
+ * @property {string} tagLine
+ */
+
+/**
+ * Split a Live Client player entry into its Riot ID parts.
+ * @param {Object} p — Live Client player
+ * @returns {{ gameName: string, tagLine: string } | null}
+ */
+function parseRiotId(p) {
+  if (p.riotIdGameName && p.riotIdTagLine) {
+    return { gameName: p.riotIdGameName, tagLine: p.riotIdTagLine };
+  }
+  const riotId = p.riotId || "";
+  const hash = riotId.lastIndexOf("#");
+  if (hash <= 0) return null;
+  return { gameName: riotId.slice(0, hash), tagLine: riotId.slice(hash + 1) };
+}
+
+/**
+ * @param {Object} p — Live Client player
+ * @returns {boolean}
+ */
+function hasSmite(p) {
+  const spells = p.summonerSpells || {};
+  return [spells.summonerSpellOne, spells.summonerSpellTwo]
+    .some((s) => (s?.displayName || s?.rawDisplayName || "").toLowerCase().includes("smite"));
+}
+
+/**
+ * Pick out the enemy team and tag the lane opponent(s) and jungler. The
+ * player's teammates come back too (untagged), for premade detection.
+ *
+ * Positions come from matchmaking and are empty in some queues; the jungler
+ * falls back to whoever took Smite, the lane opponent to unknown.
+ *
+ * @param {Object[]} playerList — Live Client /playerlist
+ * @param {string} localRiotId — activePlayer.riotId (or summonerName)
+ * @returns {{ local: Object, enemies: ScoutedPlayer[], allies: ScoutedPlayer[] } | null} null if the local player isn't listed yet
+ */
+function identifyEnemies(playerList, localRiotId) {
+  const local = playerList.find((p) => (p.riotId || p.summonerName) === localRiotId);
+  if (!local) return null;
+
+  const myPosition = local.position || "";
+  const myLane = LANE_GROUPS[myPosition] || [];
+
+  const enemies = playerList
+    .filter((p) => p.team !== local.team && !p.isBot)
+    .map((p, i) => {
+      const id = parseRiotId(p);
+      const isJungler = p.position === "JUNGLE" || (!p.position && hasSmite(p));
+
+      let tag = null;
+      if (isJungler) tag = "jungler";
+      if (p.position && myLane.includes(p.position)) tag = "lane_opponent";
+
+      return {
+        label: `Enemy ${i + 1}`,
+        champion: p.championName,
+        position: p.position || "",
+        tag,
+        gameName: id?.gameName || "",
+        tagLine: id?.tagLine || "",
+      };
+    });
+
+  const allies = playerList
+    .filter((p) => p.team === local.team && p !== local && !p.isBot)
+    .map((p, i) => {
+      const id = parseRiotId(p);
+      return {
+        label: `Ally ${i + 1}`,
+        champion: p.championName,
+        position: p.position || "",
+        tag: null,
+        gameName: id?.gameName || "",
+        tagLine: id?.tagLine || "",
+      };
+    });
+
+  return {
+    local: { champion: local.championName, position: myPosition, team: local.team },
+    enemies,
+    allies,
+  };
+}
+
+/**
+ * Shape top masteries the same way the Drafting Oracle caches them.
+ * @param {Object[]} masteries — champion-mastery-v4 entries
+ * @returns {Object[]}
+ */
+function summarizeMasteries(masteries) {
+  return masteries.map((m) => ({
+    champion: getChampionName(m.championId),
+    championId: m.championId,
+    mastery_level: m.championLevel,
+    mastery_points: m.championPoints,
+    is_one_trick: m.championPoints > 100000,
+  }));
+}
+
+/**
+ * Summarize a player's recent Summoner's Rift games.
+ *
+ * @param {Object[]} matches — match-v5 match objects
+ * @param {string} puuid
+ * @returns {Object} recent_form — games, win rate, roles, champions, KDA,
+ *   laning numbers and (if they jungled) early jungle habits
+ */
+function summarizeRecentMatches(matches, puuid) {
+  const games = [];
+  for (const match of matches) {
+    if (match?.info?.mapId !== SUMMONERS_RIFT_MAP_ID) continue;
+    const me = match.info.participants.find((p) => p.puuid === puuid);
+    if (me) games.push({ me, minutes: Math.max(match.info.gameDuration / 60, 1) });
+  }
+
+  if (games.length === 0) {
+    return { games: 0, note: "No recent Summoner's Rift games found." };
+  }
+
+  const avg = (fn, list = games) =>
+    list.length ? Math.round((list.reduce((s, g) => s + (fn(g) || 0), 0) / list.length) * 10) / 10 : 0;
+  const countBy = (fn) => {
+    const counts = {};
+    for (const g of games) {
+      const key = fn(g);
+      if (!key) continue;
+      counts[key] = counts[key] || { games: 0, wins: 0 };
+      counts[key].games++;
+      if (g.me.win) counts[key].wins++;
+    }
+    return Object.entries(counts).sort((a, b) => b[1].games - a[1].games);
+  };
+
+  const wins = games.filter((g) => g.me.win).length;
+  const roles = countBy((g) => g.me.teamPosition);
+  const jungleGames = games.filter((g) => g.me.teamPosition === "JUNGLE");
+
+  const form = {
+    games: games.length,
+    wins,
+    win_rate: Math.round((wins / games.length) * 100),
+    main_role: roles[0]?.[0] || "unknown",
+    roles: Object.fromEntries(roles.map(([role, r]) => [role, r.games])),
+    champions: countBy((g) => g.me.championName).slice(0, 3)
+      .map(([champion, r]) => ({ champion, games: r.games, wins: r.wins })),
+    avg_kda: {
+      kills: avg((g) => g.me.kills),
+      deaths: avg((g) => g.me.deaths),
+      assists: avg((g) => g.me.assists),
+    },
+    cs_per_min: avg((g) => (g.me.totalMinionsKilled + g.me.neutralMinionsKilled) / g.minutes),
+    solo_kills_per_game: avg((g) => g.me.challenges?.soloKills),
+    lane_cs_at_10: avg((g) => g.me.challenges?.laneMinionsFirst10Minutes),
+    first_blood_rate: Math.round((games.filter((g) => g.me.firstBloodKill || g.me.firstBloodAssist).length / games.length) * 100),
+  };
+
+  if (jungleGames.length > 0) {
+    form.jungle = {
+      games: jungleGames.length,
+      early_kills_on_laners: avg((g) => g.me.challenges?.killsOnLanersEarlyJungleAsJungler, jungleGames),
+      enemy_camps_taken: avg((g) => g.me.challenges?.enemyJungleMonsterKills, jungleGames),
+      dragon_takedowns: avg((g) => g.me.challenges?.dragonTakedowns, jungleGames),
+      herald_takedowns: avg((g) => g.me.challenges?.riftHeraldTakedowns, jungleGames),
+      scuttle_crabs: avg((g) => g.me.challenges?.scuttleCrabKills, jungleGames),
+    };
+  }
+
+  return form;
+}
+
+module.exports = { identifyEnemies, summarizeMasteries, summarizeRecentMatches, parseRiotId };
@@ -0,0 +1,397 @@
+const { BaseAgent } = require("../base-agent");
+const { GamePhase, GameMode } = require("../../orchestrator/state-machine");
+const { SYSTEM_PROMPT, TOOLS } = require("./prompt");
+const {
+  POSITION_TO_META_ROLE,
+  normalizePosition,
+  buildComfortPool,
+  mostPlayedPositions,
+  rankCandidates,
+  findDuoConflicts,
+} = require("./planner");
+const { buildOfflinePlan } = require("./offline");
+const { poolRole, getPoolMode, getChampionPools } = require("../champion-pool");
+const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
+const { queries } = require("../../data/db");
+const { getChampionName, getPatchVersion } = require("../../summoner-detector");
+const { logger } = require("../../utils/logger");
+
+/**
+ * Lobby Planner — Agent 5.
+ *
+ * Active during LOBBY. Polls the LCU lobby for role preferences and party
+ * members, ranks comfort-plus-meta picks per role from the matches table
+ * and meta_champions, checks a duo partner's pool for conflicts, and uses
+ * Claude to turn that into a "what you should play tonight" plan.
+ */
+class LobbyPlanner extends BaseAgent {
+  /** @type {import('../../riot-api-client').RiotApiClient} */
+  #riotApi;
+
+  /** @type {NodeJS.Timeout | null} */
+  #pollTimer = null;
+
+  /** Tracks the last lobby state so we only invoke Claude on changes */
+  #lastLobbyHash = "";
+
+  /** Whether an invocation is currently in flight (prevents overlap) */
+  #invoking = false;
+
+  /** @type {string[]} Player's positions for the current lobby, first choice first */
+  #positions = [];
+
+  /** @type {Object<string, Object[]>} position → ranked candidates */
+  #candidates = {};
+
+  /** @type {Object[]} Party members (excluding the player) with their pools */
+  #party = [];
+
+  /** @type {Object[]} Detected duo conflicts */
+  #conflicts = [];
+
+  /** @type {Map<string, Object[]>} puuid → top champions, for this activation */
+  #poolCache = new Map();
+
+  /** Match history rows considered for comfort picks */
+  #HISTORY_SIZE = 100;
+
+  /**
+   * @param {Object} deps — BaseAgent deps + riotApi
+   * @param {import('../../riot-api-client').RiotApiClient} deps.riotApi
+   */
+  constructor(deps) {
+    super(deps);
+    this.#riotApi = deps.riotApi;
+  }
+
+  get name() {
+    return "lobby-planner";
+  }
+
+  systemPrompt() {
+    return SYSTEM_PROMPT;
+  }
+
+  tools() {
+    return TOOLS;
+  }
+
+  championInputFields() {
+    return ["champion"];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  async onActivate() {
+    logger.info("[Lobby Planner] Lobby detected — activating pipeline.");
+    this.#lastLobbyHash = "";
+    this.#invoking = false;
+    this.#poolCache.clear();
+
+    // Poll the lobby every 5 seconds — role changes and invites are infrequent
+    this.#pollTimer = setInterval(() => this.#pollLobby(), 5000);
+    await this.#pollLobby();
+  }
+
+  async onDeactivate() {
+    if (this.#pollTimer) {
+      clearInterval(this.#pollTimer);
+      this.#pollTimer = null;
+    }
+    this.#invoking = false;
+    this.#poolCache.clear();
+    logger.info("[Lobby Planner] Deactivated.");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tool handlers — called by Claude via BaseAgent.invoke()
+  // ---------------------------------------------------------------------------
+
+  async handleToolCall(toolName, toolInput) {
+    switch (toolName) {
+      case "get_role_candidates":
+        return this.#handleGetRoleCandidates(toolInput);
+
+      case "get_party_pools":
+        return this.#handleGetPartyPools();
+
+      case "emit_lobby_plan":
+        return this.#handleEmitPlan(toolInput);
+
+      default:
+        return { error: `Unknown tool: ${toolName}` };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tool implementations
+  // ---------------------------------------------------------------------------
+
+  #handleGetRoleCandidates({ role }) {
+    const position = normalizePosition(role);
+    if (!position) return { error: `Unknown role "${role}"` };
+
+    const candidates = this.#candidates[position] || this.#rankRole(position, this.#loadHistory());
+    return {
+      role: position,
+      candidates,
+      note: candidates.some((c) => c.comfort)
+        ? "score blends comfort (history) and meta tier. comfort is null for champions the player hasn't played in this role."
+        : "No match history in this role — candidates are meta picks only.",
+    };
+  }
+
+  #handleGetPartyPools() {
+    return {
+      party: this.#party.map((m) => ({
+        label: m.label,
+        positions: m.positions,
+        top_champions: m.champions,
+      })),
+      conflicts: this.#conflicts,
+    };
+  }
+
+  /**
+   * @param {Object} input — emit_lobby_plan input
+   * @param {Object} [opts]
+   * @param {boolean} [opts.offline=false] — Built locally by the offline fallback
+   */
+  #handleEmitPlan({ roles, duo_note, summary }, { offline = false } = {}) {
+    const plan = {
+      roles: (roles || []).map((r) => ({ role: r.role, picks: (r.picks || []).slice(0, 3) })),
+      duo_note: duo_note || "",
+      summary,
+      conflicts: this.#conflicts,
+      offline,
+      timestamp: Date.now(),
+    };
+
+    logger.info("[Lobby Planner] Plan", { roles: plan.roles.map((r) => `${r.role}: ${r.picks.map((p) => p.champion).join("/")}`) });
+    this.sendToOverlay(IPC_CHANNELS.LOBBY_PLAN, plan);
+
+    return { status: "displayed", roles: plan.roles.length };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lobby polling pipeline
+  // ---------------------------------------------------------------------------
+
+  async #pollLobby() {
+    if (this.#invoking) return;
+
+    let lobby;
+    try {
+      lobby = await this.lcu.getLobby();
+    } catch (err) {
+      // Not in a lobby (e.g. still on the home screen)
+      logger.debug("[Lobby Planner] Could not fetch lobby", { error: err.message });
+      return;
+    }
+    if (!lobby?.localMember) return;
+
+    const lobbyHash = this.#hashLobby(lobby);
+    if (lobbyHash === this.#lastLobbyHash) return; // No change
+    this.#lastLobbyHash = lobbyHash;
+
+    this.#invoking = true;
+    try {
+      await this.#plan(lobby);
+      const result = await this.invoke(this.#buildContext(lobby), "LOBBY");
+      if (result.offline) this.#emitOfflinePlan();
+    } catch (err) {
+      logger.error("[Lobby Planner] Planning failed", { error: err.message });
+    } finally {
+      this.#invoking = false;
+    }
+  }
+
+  /**
+   * Work out positions, candidates, party pools and conflicts, and send the
+   * deterministic part to the overlay straight away.
+   * @param {Object} lobby — /lol-lobby/v2/lobby
+   */
+  async #plan(lobby) {
+    const history = this.#loadHistory();
+    const local = lobby.localMember;
+
+    this.#positions = this.#memberPositions(local, lobby, history);
+    this.#candidates = {};
+    for (const position of this.#positions) {
+      this.#candidates[position] = this.#rankRole(position, history);
+    }
+
+    const others = (lobby.members || []).filter((m) => m.puuid !== local.puuid);
+    this.#party = [];
+    for (const [i, member] of others.entries()) {
+      this.#party.push({
+        label: others.length === 1 ? "Duo partner" : `Party member ${i + 2}`,
+        positions: this.#memberPositions(member, lobby, []),
+        champions: await this.#fetchPool(member.puuid),
+      });
+    }
+
+    this.#conflicts = this.#party.flatMap((partner) =>
+      findDuoConflicts({ positions: this.#positions, candidates: this.#candidates }, partner)
+    );
+
+    // RIOT POLICY: anonymous labels only
+    this.sendToOverlay(IPC_CHANNELS.LOBBY_STATE, {
+      queue_id: lobby.gameConfig?.queueId ?? null,
+      positions: this.#positions,
+      candidates: this.#candidates,
+      party: this.#party.map((m) => ({ label: m.label, positions: m.positions })),
+      conflicts: this.#conflicts,
+      has_history: history.length > 0,
+    });
+  }
+
+  /**
+   * Offline fallback — the player's roles with picks from their champion pool
+   * and the ranked candidates, sent as a regular plan flagged `offline`.
+   */
+  #emitOfflinePlan() {
+    let pools = {};
+    let poolMode = "prefer";
+    try {
+      const byRole = getChampionPools();
+      pools = Object.fromEntries(this.#positions.map((p) => [p, byRole[poolRole(p)] || []]));
+      poolMode = getPoolMode();
+    } catch (err) {
+      logger.warn("[Lobby Planner] Failed to read champion pools", { error: err.message });
+    }
+
+    logger.info("[Lobby Planner] Offline — sending the local plan.");
+    this.#handleEmitPlan(buildOfflinePlan({
+      positions: this.#positions,
+      candidates: this.#candidates,
+      pools,
+      poolMode,
+      conflicts: this.#conflicts,
+    }), { offline: true });
+  }
+
+  /**
+   * @returns {Object[]} Recent rows from the matches table
+   */
+  #loadHistory() {
+    try {
+      return queries.getRecentMatches(this.#HISTORY_SIZE);
+    } catch (err) {
+      logger.warn("[Lobby Planner] Failed to load match history", { error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} position
+   * @param {Object[]} history
+   * @returns {Object[]}
+   */
+  #rankRole(position, history) {
+    const patch = getPatchVersion();
+    const tierList = patch && queries.hasMetaData(patch)
+      ? queries.getMetaTierList(POSITION_TO_META_ROLE[position], patch, 20)
+      : [];
+    return rankCandidates(buildComfortPool(history, position), tierList);
+  }
+
+  /**
+   * A member's positions, first choice first. FILL, or a queue without role
+   * selection, falls back to the most played roles in `history`.
+   * @param {Object} member — Lobby member
+   * @param {Object} lobby
+   * @param {Object[]} history
+   * @returns {string[]}
+   */
+  #memberPositions(member, lobby, history) {
+    const picked = [member.firstPositionPreference, member.secondPositionPreference]
+      .map(normalizePosition)
+      .filter(Boolean);
+    const fill = [member.firstPositionPreference, member.secondPositionPreference].includes("FILL");
+
+    if (lobby.gameConfig?.showPositionSelector === false || picked.length === 0 || fill) {
+      const fallback = mostPlayedPositions(history).filter((p) => !picked.includes(p));
+      return [...picked, ...fallback].slice(0, 2);
+    }
+    return [...new Set(picked)];
+  }
+
+  /**
+   * A party member's top champions by mastery.
+   * @param {string} puuid
+   * @returns {Promise<{ champion: string, mastery_level: number, mastery_points: number }[]>}
+   */
+  async #fetchPool(puuid) {
+    if (!puuid) return [];
+    if (this.#poolCache.has(puuid)) return this.#poolCache.get(puuid);
+
+    try {
+      const masteries = await this.#riotApi.getTopMasteries(puuid, 10);
+      const pool = masteries.map((m) => ({
+        champion: getChampionName(m.championId),
+        mastery_level: m.championLevel,
+        mastery_points: m.championPoints,
+      }));
+      this.#poolCache.set(puuid, pool);
+      return pool;
+    } catch (err) {
+      logger.warn("[Lobby Planner] Failed to fetch party member pool", { error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * Hash the parts of the lobby the plan depends on.
+   */
+  #hashLobby(lobby) {
+    return JSON.stringify([
+      lobby.gameConfig?.queueId,
+      lobby.gameConfig?.showPositionSelector,
+      (lobby.members || []).map((m) => `${m.puuid}:${m.firstPositionPreference}:${m.secondPositionPreference}`),
+    ]);
+  }
+
+  /**
+   * Build the context message sent to Claude.
+   */
+  #buildContext(lobby) {
+    const context = {
+      game_mode: this.gameMode,
+      queue_id: lobby.gameConfig?.queueId ?? null,
+      role_selection: lobby.gameConfig?.showPositionSelector !== false,
+      my_roles: this.#positions,
+      party: this.#party.map((m) => ({ label: m.label, roles: m.positions })),
+      duo_conflicts: this.#conflicts,
+      instructions: this.#party.length > 0
+        ? "Call get_role_candidates for each of my_roles and get_party_pools, then emit_lobby_plan with 3 picks per role and a duo_note for any conflicts."
+        : "Call get_role_candidates for each of my_roles, then emit_lobby_plan with 3 picks per role.",
+    };
+
+    return `LOBBY STATE UPDATE:\n${JSON.stringify(context, null, 2)}`;
+  }
+}
+
+/**
+ * Registry manifest — see agents/registry.js.
+ * @type {import('../registry').AgentManifest}
+ */
+const manifest = {
+  id: "lobby-planner",
+  label: "Lobby Planner",
+  description: "Role-by-role pick plan and duo checks while in the lobby",
+  phases: [GamePhase.LOBBY],
+  // Picks are planned per Summoner's Rift role
+  modes: [
+    GameMode.SUMMONERS_RIFT,
+    GameMode.SWIFTPLAY,
+    GameMode.UNKNOWN,
+  ],
+  overlays: ["lobby"],
+  dependencies: ["riotApi"],
+  create: (deps) => new LobbyPlanner(deps),
+};
+
+module.exports = { LobbyPlanner, manifest };
@@ -0,0 +1,110 @@
+/**
+ * Lobby Planner — Offline fallback.
+ *
+ * Deterministic plan when no LLM is available: the player's roles (queued, or
+ * the ones they play most) with three picks each — champions from their pool
+ * for the role first, then the best comfort-plus-meta candidates. Pool only
+ * mode stops at the pool. Same shape as emit_lobby_plan.
+ */
+
+const { championKey } = require("./planner");
+
+/** Picks per role, as emit_lobby_plan asks of the model */
+const PICKS_PER_ROLE = 3;
+
+/**
+ * @param {Object} opts
+ * @param {string[]} opts.positions — The player's roles, first choice first
+ * @param {Object<string, Object[]>} opts.candidates — position → rankCandidates output
+ * @param {Object<string, Object[]>} opts.pools — position → getChampionPools entries
+ * @param {"prefer"|"strict"} opts.poolMode
+ * @param {{ message: string }[]} opts.conflicts — Duo conflicts
+ * @returns {{ roles: { role: string, picks: { champion: string, kind: string, reason: string }[] }[], duo_note: string, summary: string }}
+ */
+function buildOfflinePlan({ positions, candidates, pools, poolMode, conflicts }) {
+  const roles = positions
+    .map((position) => ({ role: position, picks: rolePicks(candidates[position] || [], pools[position] || [], poolMode) }))
+    .filter((r) => r.picks.length > 0);
+
+  return {
+    roles,
+    duo_note: conflicts.map((c) => c.message).join(" "),
+    summary: summarize(roles, candidates),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object[]} candidates — Ranked, best first
+ * @param {Object[]} pool — The role's pool with the player's history
+ * @param {"prefer"|"strict"} poolMode
+ * @returns {{ champion: string, kind: string, reason: string }[]}
+ */
+function rolePicks(candidates, pool, poolMode) {
+  const byKey = new Map(candidates.map((c) => [championKey(c.champion), c]));
+  const picks = new Map();
+
+  // Pool first, most played first (stable, so ties keep the player's order)
+  for (const entry of [...pool].sort((a, b) => b.games - a.games)) {
+    const candidate = byKey.get(championKey(entry.champion));
+    const comfort = entry.games > 0;
+    const tier = candidate?.meta?.tier;
+    picks.set(championKey(entry.champion), {
+      champion: entry.champion,
+      kind: !tier ? "comfort" : comfort ? "both" : "meta",
+      reason: comfort
+        ? `In your pool — ${entry.games} games, ${entry.win_rate}% WR${tier ? `, ${tier} tier` : ""}`
+        : `In your pool${tier ? ` — ${tier} tier this patch` : ""}`,
+    });
+  }
+
+  if (poolMode !== "strict" || pool.length === 0) {
+    for (const c of candidates) {
+      const key = championKey(c.champion);
+      if (picks.has(key)) continue;
+      picks.set(key, { champion: c.champion, kind: kindOf(c), reason: candidateReason(c) });
+    }
+  }
+
+  return [...picks.values()].slice(0, PICKS_PER_ROLE);
+}
+
+/**
+ * @param {Object} candidate — rankCandidates entry
+ * @returns {"comfort"|"meta"|"both"}
+ */
+function kindOf(candidate) {
+  if (candidate.comfort && candidate.meta) return "both";
+  return candidate.comfort ? "comfort" : "meta";
+}
+
+/**
+ * @param {Object} candidate — rankCandidates entry
+ * @returns {string}
+ */
+function candidateReason(candidate) {
+  const parts = [];
+  if (candidate.comfort) parts.push(`${candidate.comfort.games} games, ${candidate.comfort.win_rate}% WR`);
+  if (candidate.meta) parts.push(`${candidate.meta.tier} tier this patch`);
+  return parts.join(" — ") || "Meta pick";
+}
+
+/**
+ * @param {{ role: string }[]} roles
+ * @param {Object<string, Object[]>} candidates
+ * @returns {string}
+ */
+function summarize(roles, candidates) {
+  if (roles.length === 0) return "No roles to plan yet — pick your positions or play a few games first.";
+
+  const order = roles.map((r) => r.role).join(" then ");
+  const hasHistory = Object.values(candidates).flat().some((c) => c.comfort);
+  return hasHistory
+    ? `Queue ${order} — picks from your pool and match history.`
+    : `Queue ${order} — no match history yet, so picks lean on the meta.`;
+}
+
+module.exports = { buildOfflinePlan };
@@ -0,0 +1,196 @@
+/**
+ * Lobby Planner — Deterministic pick planning.
+ *
+ * Blends the player's own history (matches table) with the scraped meta
+ * tier list (meta_champions) into ranked candidates per role, and checks a
+ * duo partner's champion pool and role preferences for conflicts.
+ */
+
+/** Lobby/LCU positions → meta_champions role names */
+const POSITION_TO_META_ROLE = Object.freeze({
+  TOP: "top",
+  JUNGLE: "jungle",
+  MIDDLE: "mid",
+  BOTTOM: "adc",
+  UTILITY: "support",
+});
+
+/** Numeric value of each meta tier */
+const TIER_SCORE = Object.freeze({ S: 1, A: 0.8, B: 0.6, C: 0.4, D: 0.2 });
+
+/** Meta score when no tier data exists for the patch — leaves comfort in charge */
+const NO_META_SCORE = 0.5;
+
+/** Meta score for champions missing from an existing tier list */
+const UNLISTED_META_SCORE = 0.3;
+
+/** Games on a champion for full comfort credit */
+const COMFORT_GAMES = 10;
+
+/**
+ * Normalize the many spellings of a position (lobby, champ select, end-of-game)
+ * to the lobby form: TOP, JUNGLE, MIDDLE, BOTTOM, UTILITY.
+ * @param {string | null} position
+ * @returns {string | null}
+ */
+function normalizePosition(position) {
+  if (!position) return null;
+  const p = String(position).toUpperCase();
+  const aliases = { MID: "MIDDLE", ADC: "BOTTOM", BOT: "BOTTOM", CARRY: "BOTTOM", SUPPORT: "UTILITY", SUP: "UTILITY" };
+  const normalized = aliases[p] || p;
+  return POSITION_TO_META_ROLE[normalized] ? normalized : null;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Lower-case alphanumerics only ("Kai'Sa" → "kaisa")
+ */
+function championKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * The player's champions in a role, from match history.
+ * @param {Object[]} matches — Rows from the matches table
+ * @param {string} position — Normalized position
+ * @returns {{ champion: string, games: number, wins: number, win_rate: number, avg_kda: number }[]}
+ *   Most played first
+ */
+function buildComfortPool(matches, position) {
+  const pool = new Map();
+  for (const m of matches) {
+    if (normalizePosition(m.role) !== position) continue;
+    const key = championKey(m.champion_name);
+    const entry = pool.get(key) || { champion: m.champion_name, games: 0, wins: 0, kda: 0 };
+    entry.games++;
+    if (m.win) entry.wins++;
+    entry.kda += ((m.kills || 0) + (m.assists || 0)) / Math.max(m.deaths || 0, 1);
+    pool.set(key, entry);
+  }
+
+  return [...pool.values()]
+    .map((e) => ({
+      champion: e.champion,
+      games: e.games,
+      wins: e.wins,
+      win_rate: Math.round((e.wins / e.games) * 100),
+      avg_kda: Math.round((e.kda / e.games) * 100) / 100,
+    }))
+    .sort((a, b) => b.games - a.games || b.win_rate - a.win_rate);
+}
+
+/**
+ * The roles the player has played most, for FILL or lobbies without
+ * position selection.
+ * @param {Object[]} matches
+ * @param {number} [count=2]
+ * @returns {string[]}
+ */
+function mostPlayedPositions(matches, count = 2) {
+  const counts = {};
+  for (const m of matches) {
+    const p = normalizePosition(m.role);
+    if (p) counts[p] = (counts[p] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([p]) => p);
+}
+
+/**
+ * Rank comfort-plus-meta candidates for a role.
+ *
+ * comfort = games (capped at COMFORT_GAMES) and a smoothed win rate, half each
+ * meta    = tier value, or a neutral score without tier data
+ * score   = 0.6 × comfort + 0.4 × meta
+ *
+ * @param {Object[]} comfortPool — From buildComfortPool
+ * @param {Object[]} tierList — getMetaTierList rows (may be empty)
+ * @param {number} [limit=5]
+ * @returns {Object[]}
+ */
+function rankCandidates(comfortPool, tierList, limit = 5) {
+  const tiers = new Map(tierList.map((t) => [championKey(t.name), t]));
+  const candidates = new Map();
+
+  const add = (champion, comfort) => {
+    const key = championKey(champion);
+    if (candidates.has(key)) return;
+
+    const meta = tiers.get(key) || null;
+    const comfortScore = comfort
+      ? (Math.min(comfort.games, COMFORT_GAMES) / COMFORT_GAMES) * 0.5 + ((comfort.wins + 2.5) / (comfort.games + 5)) * 0.5
+      : 0;
+    const metaScore = tierList.length === 0
+      ? NO_META_SCORE
+      : meta ? (TIER_SCORE[meta.tier] ?? UNLISTED_META_SCORE) : UNLISTED_META_SCORE;
+
+    candidates.set(key, {
+      champion,
+      comfort: comfort ? { games: comfort.games, win_rate: comfort.win_rate, avg_kda: comfort.avg_kda } : null,
+      meta: meta ? { tier: meta.tier, win_rate: meta.win_rate, pick_rate: meta.pick_rate } : null,
+      score: Math.round((comfortScore * 0.6 + metaScore * 0.4) * 100) / 100,
+    });
+  };
+
+  for (const c of comfortPool) add(c.champion, c);
+  for (const t of tierList.slice(0, 10)) add(t.name, null);
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Check a duo partner against the local player's plan.
+ *
+ * @param {Object} local
+ * @param {string[]} local.positions — Normalized positions, first choice first
+ * @param {Object<string, Object[]>} local.candidates — position → rankCandidates output
+ * @param {Object} partner
+ * @param {string} partner.label
+ * @param {string[]} partner.positions
+ * @param {{ champion: string, mastery_points: number }[]} partner.champions — Partner's top champions
+ * @returns {{ type: "role"|"champion", message: string, champions?: string[] }[]}
+ */
+function findDuoConflicts(local, partner) {
+  const conflicts = [];
+
+  if (local.positions[0] && local.positions[0] === partner.positions[0]) {
+    conflicts.push({
+      type: "role",
+      message: `${partner.label} also queued ${local.positions[0]} first — one of you will get a secondary role.`,
+    });
+  }
+
+  // Champions both players would want — only in roles both of them queued
+  const partnerPool = new Set(partner.champions.map((c) => championKey(c.champion)));
+  for (const position of local.positions) {
+    if (!partner.positions.includes(position)) continue;
+
+    const overlap = (local.candidates[position] || [])
+      .slice(0, 3)
+      .filter((c) => partnerPool.has(championKey(c.champion)))
+      .map((c) => c.champion);
+    if (overlap.length === 0) continue;
+
+    conflicts.push({
+      type: "champion",
+      champions: overlap,
+      message: `${overlap.join(", ")} ${overlap.length > 1 ? "are" : "is"} in both pools and you both queued ${position} — agree who gets ${overlap.length > 1 ? "them" : "it"}.`,
+    });
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  POSITION_TO_META_ROLE,
+  normalizePosition,
+  championKey,
+  buildComfortPool,
+  mostPlayedPositions,
+  rankCandidates,
+  findDuoConflicts,
+};
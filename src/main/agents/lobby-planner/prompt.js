@@ -0,0 +1,104 @@
+/**
+ * Lobby Planner — System prompt and tool definitions.
+ */
+
+const SYSTEM_PROMPT = `You are the Lobby Planner, a League of Legends coach embedded in a real-time companion app. You run while the player sits in the lobby, before they queue, and give them a short "what you should play tonight" plan.
+
+You will receive a JSON summary of the lobby:
+- The queue and whether roles are selected in the lobby
+- The player's role preferences (first and second choice)
+- Party members as anonymous labels with their role preferences
+- Duo conflicts already detected (same first role, champions both players want)
+
+Use get_role_candidates for each of the player's roles — it returns champions ranked by a blend of the player's own match history (comfort) and the current patch meta tier list. Use get_party_pools if there is a party. Then call emit_lobby_plan once.
+
+RULES:
+- Recommend exactly 3 picks per role, chosen from get_role_candidates. Prefer champions the player has actually played; only fill with meta picks when their pool is thin.
+- Classify each pick: "comfort" (their history carries it), "meta" (strong this patch, little history) or "both".
+- Keep each reason under 80 characters — the plan is read at a glance.
+- If duo conflicts exist, explain them in duo_note and suggest how to split roles or champions. Otherwise leave duo_note empty.
+- If there is no match history, say so in the summary and lean on meta picks with honest reasons.
+- Never invent stats that are not in the tool results.
+
+RIOT POLICY COMPLIANCE:
+- NEVER display, reference, or output Summoner Names or Riot IDs. Refer to party members ONLY by their label ("Duo partner", "Party member 3").
+- Frame everything positively — suggest what to play, never criticize a party member's pool.`;
+
+const TOOLS = [
+  {
+    name: "get_role_candidates",
+    description: "Get ranked champion candidates for one of the player's roles, blending their match history (games, win rate, KDA) with the current patch tier list. Higher score = better comfort-plus-meta fit.",
+    input_schema: {
+      type: "object",
+      properties: {
+        role: {
+          type: "string",
+          enum: ["TOP", "JUNGLE", "MIDDLE", "BOTTOM", "UTILITY"],
+          description: "The role to get candidates for",
+        },
+      },
+      required: ["role"],
+    },
+  },
+  {
+    name: "get_party_pools",
+    description: "Get each party member's role preferences and top champions (by mastery), plus detected duo conflicts.",
+    input_schema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "emit_lobby_plan",
+    description: "Show the plan in the player's lobby overlay. Displayed immediately.",
+    input_schema: {
+      type: "object",
+      properties: {
+        roles: {
+          type: "array",
+          description: "One entry per role the player queued, first choice first",
+          items: {
+            type: "object",
+            properties: {
+              role: {
+                type: "string",
+                enum: ["TOP", "JUNGLE", "MIDDLE", "BOTTOM", "UTILITY"],
+              },
+              picks: {
+                type: "array",
+                description: "Exactly 3 picks, best first",
+                items: {
+                  type: "object",
+                  properties: {
+                    champion: { type: "string" },
+                    kind: {
+                      type: "string",
+                      enum: ["comfort", "meta", "both"],
+                    },
+                    reason: {
+                      type: "string",
+                      description: "Short reason (max 80 chars)",
+                    },
+                  },
+                  required: ["champion", "kind", "reason"],
+                },
+              },
+            },
+            required: ["role", "picks"],
+          },
+        },
+        duo_note: {
+          type: "string",
+          description: "How to resolve duo conflicts (empty if none)",
+        },
+        summary: {
+          type: "string",
+          description: "One-sentence plan for the session",
+        },
+      },
+      required: ["roles", "summary"],
+    },
+  },
+];
+
+module.exports = { SYSTEM_PROMPT, TOOLS };
@@ -1,5 +1,6 @@
 const { BaseAgent } = require("../base-agent");
-const { SYSTEM_PROMPT, TOOLS } = require("./prompt");
+const { GamePhase, GameMode } = require("../../orchestrator/state-machine");
+const { SYSTEM_PROMPT, TOOLS, PROMPTS } = require("./prompt");
 const { TriggerDetector } = require("./triggers");
 const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
 const { logger } = require("../../utils/logger");
@@ -15,6 +16,12 @@ const { logger } = require("../../utils/logger");
  *
  * 60-second global cooldown between any advice to prevent screen clutter.
  * Red/Gold high-contrast urgent toasts for win-condition calls.
+ *
+ * Offline (no LLM), only LOCAL calls are made — the highest-priority trigger
+ * that has one.
+ *
+ * The player can also ask a question (ask-the-coach hotkey, see ask()); the
+ * answer comes back as a toast, outside the trigger cooldown.
  */
 class MacroStrategist extends BaseAgent {
   /** @type {import('../../integrations/riot/live-client').LiveClientAPI} */
@@ -38,6 +45,9 @@ class MacroStrategist extends BaseAgent {
   /** Whether a Claude invocation is currently in flight */
   #invoking = false;
 
+  /** Whether a player question is being answered */
+  #asking = false;
+
   /** @type {Function | null} Snapshot listener ref for cleanup */
   #onSnapshot = null;
 
@@ -80,6 +90,7 @@ class MacroStrategist extends BaseAgent {
     this.#recentEvents = [];
     this.#lastAdviceTime = 0;
     this.#invoking = false;
+    this.#asking = false;
     this.#callCounter = 0;
 
     // Wire up snapshot listener
@@ -111,6 +122,33 @@ class MacroStrategist extends BaseAgent {
     logger.info("[Macro Strategist] Deactivated.");
   }
 
+  // ---------------------------------------------------------------------------
+  // Player questions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Answer a free-form question from the player ("should we do baron?") with
+   * the latest snapshot and recent events as context. Returns once the
+   * question is accepted; the answer arrives later as a MACRO_CALL toast.
+   * @param {string} question
+   * @returns {{ accepted: boolean, error?: string }}
+   */
+  ask(question) {
+    const text = typeof question === "string" ? question.trim() : "";
+    if (!text) return { accepted: false, error: "Type a question first." };
+    if (!this.isActive || !this.#latestSnapshot) return { accepted: false, error: "No game data yet — ask again in a few seconds." };
+    if (this.offline) return { accepted: false, error: "The coach is offline — no AI provider available." };
+    if (this.#asking) return { accepted: false, error: "Still answering your last question." };
+
+    this.#asking = true;
+    this.#answerQuestion(text.substring(0, 300))
+      .catch((err) => logger.error("[Macro Strategist] Question failed", { error: err.message }))
+      .finally(() => {
+        this.#asking = false;
+      });
+    return { accepted: true };
+  }
+
   // ---------------------------------------------------------------------------
   // Tool handlers — called by Claude via BaseAgent.invoke()
   // ---------------------------------------------------------------------------
@@ -123,6 +161,9 @@ class MacroStrategist extends BaseAgent {
       case "emit_macro_call":
         return this.#handleEmitMacroCall(toolInput);
 
+      case "answer_question":
+        return this.#handleAnswerQuestion(toolInput);
+
       default:
         return { error: `Unknown tool: ${toolName}` };
     }
@@ -205,6 +246,14 @@ class MacroStrategist extends BaseAgent {
     return { status: "displayed", type, urgency };
   }
 
+  /**
+   * answer_question — the reply to a player question, as a toast.
+   */
+  #handleAnswerQuestion({ answer, urgency = "info" }) {
+    this.#emitAnswer(answer, urgency);
+    return { status: "displayed", urgency };
+  }
+
   // ---------------------------------------------------------------------------
   // Data pipeline
   // ---------------------------------------------------------------------------
@@ -241,8 +290,9 @@ class MacroStrategist extends BaseAgent {
       (a, b) => (priorityOrder[a.urgency] ?? 3) - (priorityOrder[b.urgency] ?? 3)
     );
 
-    // Process the highest-priority trigger
-    const top = triggers[0];
+    // Process the highest-priority trigger — offline, the highest that has a local call
+    const top = this.offline ? triggers.find((t) => t.localCall) : triggers[0];
+    if (!top) return;
 
     if (top.localCall) {
       // ── LOCAL DISPATCH: Deterministic call, emit instantly ──
@@ -293,6 +343,7 @@ class MacroStrategist extends BaseAgent {
     }
 
     // Only forward Claude-worthy event triggers
+    if (this.offline) return;
     const claudeWorthy = triggers.filter((t) => t.claudeWorthy);
     if (claudeWorthy.length > 0) {
       this.#maybeInvokeClaude(claudeWorthy);
@@ -336,12 +387,15 @@ class MacroStrategist extends BaseAgent {
     if (!this.#latestSnapshot) return;
 
     this.#invoking = true;
+    const previousAdviceTime = this.#lastAdviceTime;
     this.#lastAdviceTime = Date.now();
 
     const context = this.#buildContext(triggers);
 
     try {
-      await this.invoke(context, "IN_GAME");
+      const result = await this.invoke(context, "IN_GAME");
+      // Nothing was shown — don't hold back the next local call
+      if (result.offline) this.#lastAdviceTime = previousAdviceTime;
     } catch (err) {
       logger.error("[Macro Strategist] Claude invocation failed", {
         error: err.message,
@@ -351,10 +405,72 @@ class MacroStrategist extends BaseAgent {
     }
   }
 
+  /**
+   * Invoke the model with the player's question. A model that answers in
+   * plain text instead of answer_question still gets its answer shown.
+   * @param {string} question
+   */
+  async #answerQuestion(question) {
+    logger.info("[Macro Strategist] Player question", { question });
+    // The answer is on screen — hold back trigger calls for the usual cooldown
+    this.#lastAdviceTime = Date.now();
+
+    const result = await this.invoke(this.#buildQuestionContext(question), "IN_GAME");
+    if (result.cancelled) return;
+
+    const answered = result.toolResults.some((r) => ["answer_question", "emit_macro_call"].includes(r.tool) && !r.failed);
+    if (!answered && result.text.trim()) {
+      this.#emitAnswer(result.text.trim(), "info");
+    } else if (!answered) {
+      this.#emitAnswer(result.offline ? "The coach is offline right now — try again in a couple of minutes." : "No answer this time — try asking again.", "info");
+    }
+  }
+
+  /**
+   * Show an answer to a player question as a macro toast.
+   * @param {string} answer
+   * @param {string} urgency
+   */
+  #emitAnswer(answer, urgency) {
+    this.#callCounter++;
+
+    const macroCall = {
+      id: `macro-${Date.now()}-${this.#callCounter}`,
+      timestamp: Date.now(),
+      game_time: this.#latestSnapshot?.gameData?.gameTime || 0,
+      call_type: "COACH_ANSWER",
+      urgency,
+      message: answer.length > 200 ? answer.substring(0, 197) + "..." : answer,
+      reasoning: answer,
+      window_seconds: 25,
+    };
+
+    logger.info("[Macro Strategist] Answer to player question", macroCall);
+    this.sendToOverlay(IPC_CHANNELS.MACRO_CALL, macroCall);
+  }
+
   // ---------------------------------------------------------------------------
   // Context building — enriched game state for Claude
   // ---------------------------------------------------------------------------
 
+  /**
+   * Build the context for a player question: the question, the full game
+   * snapshot (items included, for build questions) and recent events.
+   * @param {string} question
+   * @returns {string}
+   */
+  #buildQuestionContext(question) {
+    const context = {
+      question,
+      game_mode: this.gameMode,
+      ...this.#handleGetSnapshot({ include_items: true, include_events: true }),
+      instructions: this.prompt("ask"),
+      coaching_style: this.coachingStyle.instructions || undefined,
+    };
+
+    return `PLAYER QUESTION:\n${JSON.stringify(context, null, 2)}`;
+  }
+
   /**
    * Build context message for Claude with triggers, macro state, and
    * game overview. Gives Claude enough info to make a strategic call
@@ -367,6 +483,7 @@ class MacroStrategist extends BaseAgent {
       gameTime < 840 ? "early" : gameTime < 1500 ? "mid" : "late";
 
     const context = {
+      game_mode: this.gameMode,
       game_time: Math.round(gameTime),
       game_time_formatted: `${Math.floor(gameTime / 60)}:${String(Math.floor(gameTime % 60)).padStart(2, "0")}`,
       game_phase: gamePhase,
@@ -387,8 +504,8 @@ class MacroStrategist extends BaseAgent {
         champion: snap.activePlayer?.championName,
         level: snap.activePlayer?.level,
       },
-      instructions:
-        "Analyze the triggers and macro state. Use get_game_snapshot for full data if needed. Emit ONE clear call via emit_macro_call. Max 80 chars for message.",
+      instructions: this.prompt("in_game"),
+      coaching_style: this.coachingStyle.instructions || undefined,
     };
 
     return `MACRO STATE UPDATE:\n${JSON.stringify(context, null, 2)}`;
@@ -399,7 +516,8 @@ class MacroStrategist extends BaseAgent {
   // ---------------------------------------------------------------------------
 
   /**
-   * Format a short display message from call type and reasoning.
+   * Format a short display message from call type and reasoning, cut to the
+   * coaching style's call length.
    */
   #formatCallMessage(callType, message) {
     const labels = {
@@ -419,10 +537,33 @@ class MacroStrategist extends BaseAgent {
     };
 
     const label = labels[callType] || callType;
+    const maxLength = this.coachingStyle.macroCallLength;
     const short =
-      message.length > 60 ? message.substring(0, 57) + "..." : message;
+      message.length > maxLength ? message.substring(0, maxLength - 3) + "..." : message;
     return `${label} — ${short}`;
   }
 }
 
-module.exports = { MacroStrategist };
+/**
+ * Registry manifest — see agents/registry.js.
+ * @type {import('../registry').AgentManifest}
+ */
+const manifest = {
+  id: "macro-strategist",
+  label: "Macro Strategist",
+  description: "In-game strategic toast notifications",
+  phases: [GamePhase.IN_GAME],
+  // Baron, soul and side-lane triggers assume Summoner's Rift
+  modes: [
+    GameMode.SUMMONERS_RIFT,
+    GameMode.SWIFTPLAY,
+    GameMode.CUSTOM,
+    GameMode.UNKNOWN,
+  ],
+  overlays: ["macro"],
+  dependencies: ["liveClient"],
+  prompts: PROMPTS,
+  create: (deps) => new MacroStrategist(deps),
+};
+
+module.exports = { MacroStrategist, manifest };
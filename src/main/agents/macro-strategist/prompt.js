@@ -1,5 +1,5 @@
 /**
- * Macro Strategist — System prompt and tool definitions.
+ * Macro Strategist — System prompt, instructions and tool definitions.
  *
  * Designed to coach players through Emerald via Objective Tempo,
  * Closing Logic, and Gold Efficiency.
@@ -23,6 +23,7 @@ RULES:
 4. Use urgency "urgent" ONLY for game-deciding moments (Baron, Soul, Win Condition, Throw Risk).
 5. Use urgency "suggestion" for positive opportunities (free tower, vision setup, reset timing).
 6. Use urgency "info" for awareness (enemy spike, drake timer, wave state).
+7. When the update carries a "question" from the player, answer it with answer_question instead of emitting a call.
 
 GAME PHASE CONTEXT:
 - Early (0-14m): Track jungle timers, first drake priority, lane state.
@@ -108,6 +109,8 @@ const TOOLS = [
         },
         window_seconds: {
           type: "number",
+          minimum: 5,
+          maximum: 60,
           description:
             "Auto-dismiss timer in seconds (default 15, use 20 for urgent calls)",
         },
@@ -115,6 +118,49 @@ const TOOLS = [
       required: ["type", "urgency", "message"],
     },
   },
+  {
+    name: "answer_question",
+    description:
+      "Answer a question the player asked (\"should we do baron?\", \"what do I build vs their comp?\"). Shown as a toast on the player's overlay. Only use this when the update contains a question.",
+    input_schema: {
+      type: "object",
+      properties: {
+        answer: {
+          type: "string",
+          minLength: 1,
+          maxLength: 200,
+          description: "The answer — one or two short sentences (max 200 chars), leading with the decision",
+        },
+        urgency: {
+          type: "string",
+          enum: ["info", "suggestion", "urgent"],
+          description: "How urgent acting on the answer is (default 'info')",
+        },
+      },
+      required: ["answer"],
+    },
+  },
 ];
 
-module.exports = { SYSTEM_PROMPT, TOOLS };
+/**
+ * Editable prompts (see agents/prompt-overrides.js) — the system prompt, the
+ * instructions sent with every macro state update, and those sent with a
+ * question from the player.
+ * @type {Record<string, import('../prompt-overrides').PromptDefinition>}
+ */
+const PROMPTS = {
+  system: {
+    label: "System prompt",
+    template: SYSTEM_PROMPT,
+  },
+  in_game: {
+    label: "Macro call instructions",
+    template: "Analyze the triggers and macro state. Use get_game_snapshot for full data if needed. Emit ONE clear call via emit_macro_call. Max 80 chars for message.",
+  },
+  ask: {
+    label: "Player question instructions",
+    template: "The player pressed the ask-the-coach hotkey mid-game. Answer their question from the game state above via answer_question — lead with the decision, then the one reason that matters most. Max 200 chars. If the state doesn't tell you enough, say what to watch for instead of guessing.",
+  },
+};
+
+module.exports = { SYSTEM_PROMPT, TOOLS, PROMPTS };
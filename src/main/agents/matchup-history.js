@@ -0,0 +1,201 @@
+const { queries } = require("../data/db");
+const { normalizePosition, championKey } = require("./lobby-planner/planner");
+const { getChampionName, hasChampionData } = require("../summoner-detector");
+const { logger } = require("../utils/logger");
+
+/**
+ * Matchup history — how the player has done against each champion in lane.
+ *
+ * Tilt Guard records every match from the end-of-game stats block, whose
+ * `teams` list every participant. The lane opponent is the enemy in the
+ * player's position; it is stored on the match (lane_opponent_id / _name /
+ * _cs) so matchups can be queried without parsing data_json. Matches
+ * recorded before that are backfilled from their data_json at startup.
+ *
+ * CS difference is at the end of the game — the block has no per-minute
+ * numbers.
+ */
+
+/** Matches read when ranking the player's toughest matchups */
+const MATCHUP_HISTORY_SIZE = 300;
+
+/** Games against a champion before it can rank as a tough matchup */
+const TOUGH_MIN_GAMES = 2;
+
+/**
+ * The enemy in the local player's position.
+ * @param {Object | null} eogStats — /lol-end-of-game/v1/eog-stats-block
+ * @returns {{ champion_id: number, champion_name: string, cs: number | null } | null}
+ *   null when the game has no positions (ARAM, Arena) or nobody matches
+ */
+function findLaneOpponent(eogStats) {
+  const local = eogStats?.localPlayer;
+  if (!local || !Array.isArray(eogStats.teams)) return null;
+
+  const position = normalizePosition(playerPosition(local));
+  if (!position) return null;
+
+  const isLocal = (p) => (local.puuid ? p.puuid === local.puuid : p.championId === local.championId);
+  const myTeam = eogStats.teams.find((t) => (t.players || []).some(isLocal));
+  const enemyTeam = eogStats.teams.find((t) => t !== myTeam);
+  if (!myTeam || !enemyTeam) return null;
+
+  const opponent = (enemyTeam.players || []).find((p) => normalizePosition(playerPosition(p)) === position);
+  if (!opponent?.championId) return null;
+
+  const stats = opponent.stats;
+  return {
+    champion_id: opponent.championId,
+    champion_name: opponent.championName || getChampionName(opponent.championId),
+    cs: stats ? (stats.MINIONS_KILLED ?? 0) + (stats.NEUTRAL_MINIONS_KILLED ?? 0) : null,
+  };
+}
+
+/**
+ * The matches-table columns for a game's lane opponent.
+ * @param {Object | null} eogStats
+ * @returns {{ lane_opponent_id: number, lane_opponent_name: string | null, lane_opponent_cs: number | null }}
+ *   lane_opponent_id 0 when there is none
+ */
+function laneOpponentColumns(eogStats) {
+  const opponent = findLaneOpponent(eogStats);
+  return {
+    lane_opponent_id: opponent?.champion_id || 0,
+    lane_opponent_name: opponent?.champion_name || null,
+    lane_opponent_cs: opponent?.cs ?? null,
+  };
+}
+
+/**
+ * Look up the lane opponent of matches recorded before it was stored.
+ * Waits for Data Dragon, so names are never stored as "Champion #N".
+ * @returns {number} Matches given a lane opponent
+ */
+function backfillLaneOpponents() {
+  if (!hasChampionData()) return 0;
+
+  let found = 0;
+  for (const row of queries.getMatchesMissingLaneOpponent()) {
+    let eogStats = null;
+    try {
+      eogStats = JSON.parse(row.data_json);
+    } catch {
+      // Unreadable — stored as "no opponent" so it isn't parsed again
+    }
+    const columns = laneOpponentColumns(eogStats);
+    queries.setLaneOpponent(row.id, columns);
+    if (columns.lane_opponent_name) found++;
+  }
+
+  if (found > 0) logger.info("Lane opponents backfilled", { matches: found });
+  return found;
+}
+
+/**
+ * The player's record against one champion in lane.
+ * @param {string} enemyChampion — Display name
+ * @param {string | null} [role] — Only games in this role (any spelling)
+ * @returns {Object}
+ */
+function getMatchupHistory(enemyChampion, role = null) {
+  const position = normalizePosition(role);
+  const matches = queries.getMatchesAgainst(enemyChampion)
+    .filter((m) => !position || normalizePosition(m.role) === position);
+
+  const mine = new Map();
+  for (const m of matches) {
+    const key = championKey(m.champion_name);
+    const entry = mine.get(key) || { champion: m.champion_name, games: 0, wins: 0 };
+    entry.games++;
+    if (m.win) entry.wins++;
+    mine.set(key, entry);
+  }
+
+  const now = Date.now();
+  return {
+    enemy_champion: enemyChampion,
+    ...summarize(matches),
+    my_champions: [...mine.values()].sort((a, b) => b.games - a.games),
+    recent: matches.slice(0, 5).map((m) => ({
+      champion: m.champion_name,
+      result: m.win ? "WIN" : "LOSS",
+      kda: `${m.kills}/${m.deaths}/${m.assists}`,
+      cs_diff: csDiff(m),
+      days_ago: Math.floor((now - m.game_creation) / 86400000),
+    })),
+  };
+}
+
+/**
+ * Lane opponents the player has done worst against — lowest win rate, then
+ * most deaths.
+ * @param {string | null} [role] — Only games in this role (any spelling)
+ * @param {number} [limit=5]
+ * @returns {Object[]}
+ */
+function getToughestMatchups(role = null, limit = 5) {
+  const position = normalizePosition(role);
+  const byOpponent = new Map();
+  for (const m of queries.getMatchesWithLaneOpponent(MATCHUP_HISTORY_SIZE)) {
+    if (position && normalizePosition(m.role) !== position) continue;
+    const key = championKey(m.lane_opponent_name);
+    if (!byOpponent.has(key)) byOpponent.set(key, { champion: m.lane_opponent_name, matches: [] });
+    byOpponent.get(key).matches.push(m);
+  }
+
+  return [...byOpponent.values()]
+    .filter((o) => o.matches.length >= TOUGH_MIN_GAMES)
+    .map((o) => ({ enemy_champion: o.champion, ...summarize(o.matches) }))
+    .sort((a, b) => a.win_rate - b.win_rate || b.avg_deaths - a.avg_deaths)
+    .slice(0, limit);
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} player — End-of-game player (or localPlayer)
+ * @returns {string | null}
+ */
+function playerPosition(player) {
+  return player.selectedPosition || player.detectedTeamPosition || null;
+}
+
+/**
+ * @param {Object} match — matches row
+ * @returns {number | null} The player's CS minus the lane opponent's
+ */
+function csDiff(match) {
+  return match.lane_opponent_cs === null || match.lane_opponent_cs === undefined
+    ? null
+    : (match.cs || 0) - match.lane_opponent_cs;
+}
+
+/**
+ * @param {Object[]} matches
+ * @returns {{ games: number, wins: number, losses: number, win_rate: number | null, avg_deaths: number | null, avg_cs_diff: number | null }}
+ */
+function summarize(matches) {
+  const games = matches.length;
+  const wins = matches.filter((m) => m.win).length;
+  const diffs = matches.map(csDiff).filter((d) => d !== null);
+  const round1 = (n) => Math.round(n * 10) / 10;
+
+  return {
+    games,
+    wins,
+    losses: games - wins,
+    win_rate: games > 0 ? Math.round((wins / games) * 100) : null,
+    avg_deaths: games > 0 ? round1(matches.reduce((sum, m) => sum + (m.deaths || 0), 0) / games) : null,
+    avg_cs_diff: diffs.length > 0 ? round1(diffs.reduce((sum, d) => sum + d, 0) / diffs.length) : null,
+  };
+}
+
+module.exports = {
+  findLaneOpponent,
+  laneOpponentColumns,
+  backfillLaneOpponents,
+  getMatchupHistory,
+  getToughestMatchups,
+};
@@ -0,0 +1,194 @@
+const { queries } = require("../data/db");
+const { logger } = require("../utils/logger");
+
+/**
+ * Per-agent model configuration.
+ *
+ * Each agent can override the model, max tokens, temperature, max tool rounds
+ * and request timeout. Overrides are stored as JSON in the settings table
+ * under `agent_<id>_model_config` (dashes → underscores, like the enable
+ * toggle). Model names only mean something to the provider that serves them,
+ * so the model is kept per provider name and an agent only uses the one saved
+ * for the active provider, e.g.:
+ *   { "models": { "anthropic": "claude-haiku-4-5" }, "maxTokens": 1024, "temperature": 0.3 }
+ *
+ * BaseAgent reads the config on every invoke(), so edits apply to the next
+ * call without a restart. A missing or null field uses the default — the
+ * provider's model (CLAUDE_MODEL / LLM_MODEL) and timeout.
+ */
+
+/**
+ * @typedef {Object} ModelConfig
+ * @property {string | null} model
+ * @property {number} maxTokens
+ * @property {number | null} temperature
+ * @property {number} maxToolRounds
+ * @property {number | null} timeoutMs
+ */
+
+/** @type {ModelConfig} */
+const DEFAULT_MODEL_CONFIG = Object.freeze({
+  model: null,
+  maxTokens: 2048,
+  temperature: null,
+  maxToolRounds: 10,
+  timeoutMs: null,
+});
+
+/** Allowed range per numeric field (inclusive) */
+const LIMITS = Object.freeze({
+  maxTokens: { min: 64, max: 16384, integer: true },
+  temperature: { min: 0, max: 1, integer: false },
+  maxToolRounds: { min: 1, max: 25, integer: true },
+  timeoutMs: { min: 5000, max: 600000, integer: true },
+});
+
+/** Overrides already warned about, so a bad setting logs once, not per call */
+const warnedConfigs = new Set();
+
+/**
+ * @param {string} agentId
+ * @returns {string} Settings key holding the agent's overrides
+ */
+function modelConfigKey(agentId) {
+  return `agent_${agentId.replace(/-/g, "_")}_model_config`;
+}
+
+/**
+ * Check an override object.
+ * @param {*} config
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateModelConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) return ["model config must be an object"];
+
+  const errors = [];
+  for (const [field, value] of Object.entries(config)) {
+    if (!(field in DEFAULT_MODEL_CONFIG)) {
+      errors.push(`unknown field "${field}"`);
+      continue;
+    }
+    if (value === null) continue;
+
+    if (field === "model") {
+      if (typeof value !== "string" || !value.trim()) errors.push("model must be a non-empty string");
+      continue;
+    }
+
+    const { min, max, integer } = LIMITS[field];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${field} must be a number`);
+    } else if (integer && !Number.isInteger(value)) {
+      errors.push(`${field} must be a whole number`);
+    } else if (value < min || value > max) {
+      errors.push(`${field} must be between ${min} and ${max}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The agent's overrides for a provider: the model saved for that provider
+ * plus the provider-independent fields.
+ * @param {string} agentId
+ * @param {string} provider — LLMProvider name, e.g. "anthropic", "openai"
+ * @returns {Partial<ModelConfig>}
+ */
+function getModelOverrides(agentId, provider) {
+  const { models, ...overrides } = readStoredOverrides(agentId);
+  const model = models[provider];
+  return model ? { model, ...overrides } : overrides;
+}
+
+/**
+ * The config in effect for an agent: defaults plus its overrides.
+ * @param {string} agentId
+ * @param {string} provider — LLMProvider name
+ * @returns {ModelConfig}
+ */
+function getModelConfig(agentId, provider) {
+  const config = { ...DEFAULT_MODEL_CONFIG };
+  for (const [field, value] of Object.entries(getModelOverrides(agentId, provider))) {
+    if (value !== null) config[field] = value;
+  }
+  return config;
+}
+
+/**
+ * Save an agent's overrides. Null fields are dropped (back to default). The
+ * model is saved for `provider` only — models saved for other providers stay.
+ * @param {string} agentId
+ * @param {Partial<ModelConfig>} overrides
+ * @param {string} provider — LLMProvider name
+ * @returns {string[]} Validation errors — nothing is saved unless empty
+ */
+function setModelOverrides(agentId, overrides, provider) {
+  const errors = validateModelConfig(overrides);
+  if (errors.length > 0) return errors;
+
+  const { model = null, ...rest } = overrides;
+  const models = { ...readStoredOverrides(agentId).models };
+  if (model === null) delete models[provider];
+  else models[provider] = model;
+
+  const kept = Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== null));
+  if (Object.keys(models).length > 0) kept.models = models;
+  queries.setSetting(modelConfigKey(agentId), Object.keys(kept).length > 0 ? JSON.stringify(kept) : "");
+  logger.info("Agent model config updated", { agent: agentId, provider, ...kept });
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * The agent's overrides as saved, with the per-provider models split out.
+ * @param {string} agentId
+ * @returns {Partial<ModelConfig> & { models: Object<string, string> }}
+ */
+function readStoredOverrides(agentId) {
+  const raw = queries.getSetting(modelConfigKey(agentId));
+  if (!raw) return { models: {} };
+
+  try {
+    // A bare "model" predates per-provider models — which provider it was for is unknown
+    const { models = {}, model, ...overrides } = JSON.parse(raw);
+    const errors = validateModelConfig(overrides);
+    if (!models || typeof models !== "object" || Array.isArray(models)) {
+      errors.push("models must be an object");
+    } else {
+      for (const [provider, name] of Object.entries(models)) {
+        if (typeof name !== "string" || !name.trim()) errors.push(`model for ${provider} must be a non-empty string`);
+      }
+    }
+    if (errors.length > 0) throw new Error(errors.join("; "));
+    if (model !== undefined) warnOnce(raw, agentId, "Agent model override has no provider — ignoring it; save it again");
+    return { models, ...overrides };
+  } catch (err) {
+    warnOnce(raw, agentId, "Invalid agent model config — using defaults", err.message);
+    return { models: {} };
+  }
+}
+
+/**
+ * @param {string} raw — The stored setting
+ * @param {string} agentId
+ * @param {string} message
+ * @param {string} [error]
+ */
+function warnOnce(raw, agentId, message, error) {
+  if (warnedConfigs.has(raw)) return;
+  warnedConfigs.add(raw);
+  logger.warn(message, error ? { agent: agentId, error } : { agent: agentId });
+}
+
+module.exports = {
+  DEFAULT_MODEL_CONFIG,
+  LIMITS,
+  modelConfigKey,
+  validateModelConfig,
+  getModelOverrides,
+  getModelConfig,
+  setModelOverrides,
+};
@@ -0,0 +1,157 @@
+const { queries } = require("../data/db");
+const { POSITION_TO_META_ROLE, normalizePosition } = require("./lobby-planner/planner");
+const { logger } = require("../utils/logger");
+
+/**
+ * Premade detection — players on the same team who queue together.
+ *
+ * Each player's recent match-v5 IDs are cross-referenced: two players who
+ * share several recent games are a duo, and duos that overlap merge into a
+ * trio or bigger premade. The ID lists are stored in enemy_analysis_cache
+ * (as `recent_match_ids`, next to the mastery data the Drafting Oracle and
+ * Loading Scout keep there), so a player seen in champ select isn't fetched
+ * again at loading.
+ *
+ * Premades are described by position ("Enemy JG + MID duo, 14 shared
+ * games") — RIOT POLICY: never by name.
+ */
+
+/** Recent match IDs fetched per player */
+const PREMADE_MATCH_COUNT = 20;
+
+/** Shared recent games before two players count as queueing together */
+const MIN_SHARED_GAMES = 3;
+
+/** Meta role → short position name */
+const POSITION_SHORT = Object.freeze({ top: "TOP", jungle: "JG", mid: "MID", adc: "ADC", support: "SUP" });
+
+/**
+ * @typedef {Object} PremadePlayer
+ * @property {string} label — Anonymous label, e.g. "Enemy 2"
+ * @property {"ally" | "enemy"} team
+ * @property {string} puuid — Used for the lookups only — never displayed
+ * @property {string | null} [position] — Any spelling
+ */
+
+/**
+ * @typedef {Object} Premade
+ * @property {"ally" | "enemy"} team
+ * @property {string[]} labels
+ * @property {(string | null)[]} positions — Short names (JG, MID...), null when unknown
+ * @property {number} size
+ * @property {number} shared_games — Fewest shared recent games between linked members
+ * @property {string} description — e.g. "Enemy JG + MID duo, 14 shared games"
+ */
+
+/**
+ * Fetch every player's recent matches and find the premades on each team.
+ * Players whose matches can't be fetched are left out.
+ * @param {import('../riot-api-client').RiotApiClient} riotApi
+ * @param {PremadePlayer[]} players
+ * @returns {Promise<Premade[]>}
+ */
+async function detectPremades(riotApi, players) {
+  const matchIds = new Map();
+  for (const player of players) {
+    if (!player.puuid) continue;
+    try {
+      matchIds.set(player.label, new Set(await getRecentMatchIds(riotApi, player.puuid)));
+    } catch (err) {
+      logger.debug("Recent match IDs fetch failed", { label: player.label, error: err.message });
+    }
+  }
+
+  const premades = ["ally", "enemy"].flatMap((team) =>
+    findPremades(players.filter((p) => p.team === team && matchIds.has(p.label)), matchIds));
+
+  if (premades.length > 0) {
+    logger.info("Premades found", { premades: premades.map((p) => p.description) });
+  }
+  return premades;
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * A player's recent match IDs, from enemy_analysis_cache when fresh.
+ * @param {import('../riot-api-client').RiotApiClient} riotApi
+ * @param {string} puuid
+ * @returns {Promise<string[]>}
+ */
+async function getRecentMatchIds(riotApi, puuid) {
+  const cached = queries.getCachedEnemyAnalysis(puuid);
+  if (cached?.recent_match_ids) return cached.recent_match_ids;
+
+  const matchIds = await riotApi.getMatchIds(puuid, PREMADE_MATCH_COUNT);
+  try {
+    queries.setCachedEnemyAnalysis(puuid, { ...(cached || { puuid }), recent_match_ids: matchIds });
+  } catch (dbErr) {
+    logger.warn("Failed to cache recent match IDs", { error: dbErr.message });
+  }
+  return matchIds;
+}
+
+/**
+ * Group one team's players by shared recent games.
+ * @param {PremadePlayer[]} players — Same team
+ * @param {Map<string, Set<string>>} matchIds — label → recent match IDs
+ * @returns {Premade[]} Largest first
+ */
+function findPremades(players, matchIds) {
+  const links = [];
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const a = matchIds.get(players[i].label);
+      const b = matchIds.get(players[j].label);
+      const shared = [...a].filter((id) => b.has(id)).length;
+      if (shared >= MIN_SHARED_GAMES) links.push({ i, j, shared });
+    }
+  }
+
+  // Union linked players into groups
+  const group = players.map((_, i) => i);
+  const root = (i) => (group[i] === i ? i : (group[i] = root(group[i])));
+  for (const { i, j } of links) group[root(i)] = root(j);
+
+  const groups = new Map();
+  for (const link of links) {
+    const key = root(link.i);
+    const entry = groups.get(key) || { members: new Set(), shared: Infinity };
+    entry.members.add(link.i).add(link.j);
+    entry.shared = Math.min(entry.shared, link.shared);
+    groups.set(key, entry);
+  }
+
+  return [...groups.values()]
+    .map(({ members, shared }) => describe([...members].sort((a, b) => a - b).map((i) => players[i]), shared))
+    .sort((a, b) => b.size - a.size || b.shared_games - a.shared_games);
+}
+
+/**
+ * @param {PremadePlayer[]} members
+ * @param {number} shared
+ * @returns {Premade}
+ */
+function describe(members, shared) {
+  const positions = members.map((p) => POSITION_SHORT[POSITION_TO_META_ROLE[normalizePosition(p.position)]] || null);
+  const team = members[0].team;
+  const size = members.length;
+  const kind = size === 2 ? "duo" : size === 3 ? "trio" : `${size}-stack`;
+  // "Enemy JG + MID" when every position is known, else "Enemy 2 + Enemy 4 (MID)"
+  const who = positions.every(Boolean)
+    ? `${team === "ally" ? "Ally" : "Enemy"} ${positions.join(" + ")}`
+    : members.map((p, i) => (positions[i] ? `${p.label} (${positions[i]})` : p.label)).join(" + ");
+
+  return {
+    team,
+    labels: members.map((p) => p.label),
+    positions,
+    size,
+    shared_games: shared,
+    description: `${who} ${kind}, ${shared} shared games`,
+  };
+}
+
+module.exports = { detectPremades };
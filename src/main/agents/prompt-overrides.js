@@ -0,0 +1,169 @@
+const { queries } = require("../data/db");
+const { logger } = require("../utils/logger");
+const { diffLines } = require("../utils/text-diff");
+
+/**
+ * User-editable agent prompts.
+ *
+ * Agents declare their editable prompts in the manifest (`prompts`): the
+ * system prompt under "system", plus any per-phase instructions they put in
+ * the context message. Each has a default template; `{{name}}` placeholders
+ * are filled in when the prompt is used, e.g. the player's role:
+ *
+ *   prompts: {
+ *     system: { label: "System prompt", template: SYSTEM_PROMPT },
+ *     pick_phase: { label: "Pick phase", template: "The player's role is {{role_label}}...", variables: ["role_label"] },
+ *   }
+ *
+ * Every save — including a reset to default, stored as a null content — adds
+ * a row to `prompt_versions`, so the history is never lost. An agent's prompt
+ * version is the id of its newest row; agent_logs records it with every call,
+ * so any logged call can be traced back to the exact prompts it ran with
+ * (each prompt's newest row at or below that id). No version means every
+ * prompt was the built-in default.
+ *
+ * BaseAgent reads overrides on every invoke(), so edits apply to the next
+ * call without a restart.
+ */
+
+/**
+ * @typedef {Object} PromptDefinition
+ * @property {string} label — Shown in the settings window
+ * @property {string} [description]
+ * @property {string} template — The built-in default
+ * @property {string[]} [variables] — Placeholders the template may use
+ */
+
+/** Longest prompt a user can save */
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Fill `{{name}}` placeholders. Unknown names are left as they are.
+ * @param {string} template
+ * @param {Object<string, *>} [vars]
+ * @returns {string}
+ */
+function renderPrompt(template, vars = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/**
+ * Check an override before saving it.
+ * @param {PromptDefinition | undefined} definition
+ * @param {*} content
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validatePromptOverride(definition, content) {
+  if (typeof content !== "string" || !content.trim()) return ["prompt must be non-empty text"];
+  if (content.length > MAX_PROMPT_LENGTH) return [`prompt must be at most ${MAX_PROMPT_LENGTH} characters`];
+
+  const allowed = new Set(definition?.variables || []);
+  const unknown = [...content.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(([, name]) => name)
+    .filter((name) => !allowed.has(name));
+  if (unknown.length > 0) {
+    const known = allowed.size > 0 ? ` — available: ${[...allowed].map((v) => `{{${v}}}`).join(", ")}` : "";
+    return [`unknown placeholder${unknown.length === 1 ? "" : "s"} ${[...new Set(unknown)].map((v) => `{{${v}}}`).join(", ")}${known}`];
+  }
+  return [];
+}
+
+/**
+ * The user's override of one prompt.
+ * @param {string} agentId
+ * @param {string} key
+ * @returns {string | null} null when the default is in use
+ */
+function getPromptOverride(agentId, key) {
+  return queries.getLatestPromptVersion(agentId, key)?.content ?? null;
+}
+
+/**
+ * @param {string} agentId
+ * @returns {number | null} The agent's prompt version — null if never edited
+ */
+function getPromptVersion(agentId) {
+  return queries.getAgentPromptVersion(agentId);
+}
+
+/**
+ * The prompt in effect, with its placeholders filled.
+ * @param {string} agentId
+ * @param {string} key
+ * @param {string} fallback — Default template
+ * @param {Object<string, *>} [vars]
+ * @returns {string}
+ */
+function resolvePrompt(agentId, key, fallback, vars = {}) {
+  let template = fallback;
+  try {
+    template = getPromptOverride(agentId, key) ?? fallback;
+  } catch (err) {
+    logger.debug("Prompt override read failed — using default", { agent: agentId, key, error: err.message });
+  }
+  return renderPrompt(template, vars);
+}
+
+/**
+ * Save an override as a new version. Saving the default text, or null, resets
+ * to the default. Saving the text already in effect adds no version.
+ * @param {string} agentId
+ * @param {string} key
+ * @param {PromptDefinition} definition
+ * @param {string | null} content
+ * @returns {{ errors: string[], version: number | null }} Nothing is saved unless errors is empty
+ */
+function setPromptOverride(agentId, key, definition, content) {
+  const normalized = content === null || content === definition.template ? null : content;
+  if (normalized !== null) {
+    const errors = validatePromptOverride(definition, normalized);
+    if (errors.length > 0) return { errors, version: null };
+  }
+
+  const current = queries.getLatestPromptVersion(agentId, key);
+  if ((current?.content ?? null) === normalized) {
+    return { errors: [], version: getPromptVersion(agentId) };
+  }
+
+  const version = queries.insertPromptVersion({ agent_name: agentId, prompt_key: key, content: normalized });
+  logger.info(normalized === null ? "Agent prompt reset to default" : "Agent prompt updated", { agent: agentId, key, version });
+  return { errors: [], version };
+}
+
+/**
+ * A prompt's saved versions, newest first, each with its diff from the text
+ * it replaced (the default before the first edit).
+ * @param {string} agentId
+ * @param {string} key
+ * @param {PromptDefinition} definition
+ * @returns {{ id: number, created_at: string, is_default: boolean, content: string, diff: import('../utils/text-diff').DiffLine[] }[]}
+ */
+function getPromptHistory(agentId, key, definition) {
+  const rows = queries.getPromptVersions(agentId, key).reverse();
+
+  let previous = definition.template;
+  const history = rows.map((row) => {
+    const content = row.content ?? definition.template;
+    const entry = {
+      id: row.id,
+      created_at: row.created_at,
+      is_default: row.content === null,
+      content,
+      diff: diffLines(previous, content),
+    };
+    previous = content;
+    return entry;
+  });
+  return history.reverse();
+}
+
+module.exports = {
+  MAX_PROMPT_LENGTH,
+  renderPrompt,
+  validatePromptOverride,
+  getPromptOverride,
+  getPromptVersion,
+  resolvePrompt,
+  setPromptOverride,
+  getPromptHistory,
+};
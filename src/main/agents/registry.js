@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { GamePhase, GameMode } = require("../orchestrator/state-machine");
+const { logger } = require("../utils/logger");
+
+/**
+ * Services an agent can declare in `dependencies`. Everything else
+ * (llm, eventBus, lcu, overlayManager, gameMode, gameId) is always passed.
+ */
+const AGENT_SERVICES = Object.freeze(["riotApi", "liveClient"]);
+
+/**
+ * @typedef {Object} AgentManifest
+ * @property {string}   id            — Unique kebab-case id (also the settings key: agent_<id>_enabled)
+ * @property {string}   [label]       — Display name
+ * @property {string}   [description]
+ * @property {string[]} phases        — GamePhase values the agent runs in
+ * @property {string[] | "*"} modes   — GameMode values the agent runs in ("*" = every mode)
+ * @property {string[]} [overlays]    — Overlay names shown while the agent is active
+ * @property {Record<string, import('../windows/overlay-manager').OverlayConfig>} [overlayConfigs]
+ *   — Overlays the agent brings with it (plugins); htmlFile may be absolute
+ * @property {string[]} [dependencies] — Services from AGENT_SERVICES
+ * @property {Record<string, import('./prompt-overrides').PromptDefinition>} [prompts]
+ *   — Prompts the user may override from the settings window ("system" = the system prompt)
+ * @property {(deps: Object) => import('./base-agent').BaseAgent} create
+ * @property {"builtin"|"plugin"} [source] — Set by the registry
+ * @property {string} [pluginPath]         — Set by the registry for plugins
+ */
+
+/**
+ * Agent Registry — the set of agents the orchestrator can run.
+ *
+ * Each agent declares the phases and game modes it runs in, the overlays it
+ * drives and the services it needs. Several agents may share a phase; the
+ * orchestrator runs all of them concurrently.
+ *
+ * Plugins live in <userData>/plugins — one .js file or one directory (with an
+ * index.js or package.json "main") per plugin. A plugin exports either a
+ * manifest, an array of manifests, or a function receiving the plugin API
+ * (see #pluginApi) and returning one of those:
+ *
+ *   module.exports = ({ BaseAgent, GamePhase, GameMode }) => {
+ *     class LaningCoach extends BaseAgent { ... }
+ *     return {
+ *       id: "laning-coach",
+ *       phases: [GamePhase.IN_GAME],
+ *       modes: [GameMode.SUMMONERS_RIFT],
+ *       dependencies: ["liveClient"],
+ *       create: (deps) => new LaningCoach(deps),
+ *     };
+ *   };
+ *
+ * Plugins run in the main process with full privileges — only install
+ * plugins you trust.
+ */
+class AgentRegistry {
+  /** @type {Map<string, AgentManifest>} */
+  #agents = new Map();
+
+  /**
+   * Register an agent.
+   * @param {AgentManifest} manifest
+   * @param {Object} [meta]
+   * @param {"builtin"|"plugin"} [meta.source="builtin"]
+   * @param {string} [meta.pluginPath]
+   * @throws {Error} If the manifest is invalid or the id is taken
+   */
+  register(manifest, { source = "builtin", pluginPath } = {}) {
+    this.#validate(manifest);
+    if (this.#agents.has(manifest.id)) {
+      throw new Error(`Agent "${manifest.id}" is already registered`);
+    }
+
+    this.#agents.set(manifest.id, {
+      label: manifest.id,
+      description: "",
+      overlays: [],
+      overlayConfigs: {},
+      dependencies: [],
+      prompts: {},
+      ...manifest,
+      source,
+      pluginPath,
+    });
+    logger.info("Agent registered", { agent: manifest.id, source });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {AgentManifest | null}
+   */
+  get(id) {
+    return this.#agents.get(id) || null;
+  }
+
+  /** @returns {AgentManifest[]} In registration order (builtins first) */
+  list() {
+    return [...this.#agents.values()];
+  }
+
+  /**
+   * Agents declared for a phase in a game mode.
+   * @param {string} phase — GamePhase value
+   * @param {string} mode — GameMode value
+   * @returns {string[]} Agent ids
+   */
+  agentsFor(phase, mode) {
+    return this.list()
+      .filter((m) => m.phases.includes(phase) && (m.modes === "*" || m.modes.includes(mode)))
+      .map((m) => m.id);
+  }
+
+  /**
+   * The declared routing as a table: mode → phase → agent ids.
+   * @returns {Object<string, Object<string, string[]>>}
+   */
+  modeAgentTable() {
+    const table = {};
+    for (const mode of Object.values(GameMode)) {
+      table[mode] = {};
+      for (const phase of Object.values(GamePhase)) {
+        table[mode][phase] = this.agentsFor(phase, mode);
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Load every plugin in a directory. Invalid plugins are logged and skipped.
+   * @param {string} dir
+   * @returns {string[]} Ids of the agents that were registered
+   */
+  loadPlugins(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const pluginPath = path.join(dir, entry.name);
+      if (entry.isFile() && !entry.name.endsWith(".js")) continue;
+      if (!entry.isFile() && !entry.isDirectory()) continue;
+
+      try {
+        let exported = require(pluginPath);
+        if (typeof exported === "function") exported = exported(this.#pluginApi());
+        const manifests = Array.isArray(exported) ? exported : [exported];
+
+        for (const manifest of manifests) {
+          this.register(manifest, { source: "plugin", pluginPath });
+          loaded.push(manifest.id);
+        }
+      } catch (err) {
+        logger.warn("Failed to load agent plugin — skipping", { plugin: entry.name, error: err.message });
+      }
+    }
+
+    if (loaded.length > 0) logger.info("Agent plugins loaded", { dir, agents: loaded });
+    return loaded;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Modules handed to plugins (they can't resolve the app's files themselves).
+   */
+  #pluginApi() {
+    return {
+      BaseAgent: require("./base-agent").BaseAgent,
+      GamePhase,
+      GameMode,
+      IPC_CHANNELS: require("../../shared/ipc-channels").IPC_CHANNELS,
+      logger,
+    };
+  }
+
+  /**
+   * @param {AgentManifest} m
+   */
+  #validate(m) {
+    if (!m || typeof m !== "object") throw new Error("Agent manifest must be an object");
+    if (typeof m.id !== "string" || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(m.id)) {
+      throw new Error(`Invalid agent id "${m?.id}" — use kebab-case`);
+    }
+    if (typeof m.create !== "function") throw new Error(`Agent "${m.id}" has no create(deps)`);
+
+    const phases = Object.values(GamePhase);
+    if (!Array.isArray(m.phases) || m.phases.length === 0 || m.phases.some((p) => !phases.includes(p))) {
+      throw new Error(`Agent "${m.id}" has invalid phases (expected some of ${phases.join(", ")})`);
+    }
+
+    const modes = Object.values(GameMode);
+    if (m.modes !== "*" && (!Array.isArray(m.modes) || m.modes.some((x) => !modes.includes(x)))) {
+      throw new Error(`Agent "${m.id}" has invalid modes (expected "*" or some of ${modes.join(", ")})`);
+    }
+
+    const unknownDeps = (m.dependencies || []).filter((d) => !AGENT_SERVICES.includes(d));
+    if (unknownDeps.length > 0) {
+      throw new Error(`Agent "${m.id}" depends on unknown services: ${unknownDeps.join(", ")}`);
+    }
+
+    const badPrompts = Object.entries(m.prompts || {})
+      .filter(([, p]) => !p || typeof p.label !== "string" || typeof p.template !== "string")
+      .map(([key]) => key);
+    if (badPrompts.length > 0) {
+      throw new Error(`Agent "${m.id}" has prompts without a label and template: ${badPrompts.join(", ")}`);
+    }
+  }
+}
+
+/**
+ * Get the directory agent plugins are loaded from.
+ * In Electron, uses the userData directory; standalone, the project root.
+ * @returns {string}
+ */
+function getPluginsDir() {
+  try {
+    const { app } = require("electron");
+    return path.join(app.getPath("userData"), "plugins");
+  } catch {
+    return path.join(__dirname, "../../../plugins");
+  }
+}
+
+/**
+ * Registry with the built-in agents.
+ * @returns {AgentRegistry}
+ */
+function createDefaultRegistry() {
+  const registry = new AgentRegistry();
+  registry.register(require("./lobby-planner/agent").manifest);
+  registry.register(require("./drafting-oracle/agent").manifest);
+  registry.register(require("./macro-strategist/agent").manifest);
+  registry.register(require("./loading-scout/agent").manifest);
+  registry.register(require("./tilt-guard/agent").manifest);
+  return registry;
+}
+
+module.exports = { AgentRegistry, AGENT_SERVICES, getPluginsDir, createDefaultRegistry };
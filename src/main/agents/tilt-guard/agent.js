@@ -1,6 +1,9 @@
 const { BaseAgent } = require("../base-agent");
-const { SYSTEM_PROMPT, TOOLS, COOLDOWN_ROUTINES } = require("./prompt");
+const { GamePhase, GameMode } = require("../../orchestrator/state-machine");
+const { SYSTEM_PROMPT, TOOLS, COOLDOWN_ROUTINES, PROMPTS } = require("./prompt");
 const { buildTiltMetrics, calculateTiltScore, getTiltLevel } = require("./tilt-metrics");
+const { buildOfflineRecommendation } = require("./offline");
+const { laneOpponentColumns } = require("../matchup-history");
 const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
 const { queries } = require("../../data/db");
 const { getChampionName } = require("../../summoner-detector");
@@ -12,6 +15,7 @@ const { logger } = require("../../utils/logger");
  * Active during POST_GAME. Fetches end-of-game stats from LCU,
  * records the match in the database, calculates a deterministic
  * tilt score, and invokes Claude to produce wellness recommendations.
+ * Offline, the cooldown routine is picked from the tilt level instead.
  */
 class TiltGuard extends BaseAgent {
   /** @type {import('../../riot-api-client').RiotApiClient} */
@@ -93,6 +97,26 @@ class TiltGuard extends BaseAgent {
     }
   }
 
+  /**
+   * Render the recommendation text as Claude writes it. The final
+   * emit_wellness_recommendation call replaces it and stores the snapshot.
+   */
+  onStreamEvent(event) {
+    if (event.type !== "tool_input" || event.name !== "emit_wellness_recommendation") return;
+    if (!event.input.headline) return;
+
+    const { tilt_level, headline, message, activity, session_analysis } = event.input;
+    this.sendToOverlay(IPC_CHANNELS.TILT_RECOMMENDATION, {
+      tilt_level,
+      tilt_score: this.#latestTiltScore,
+      headline,
+      message,
+      activity: this.#styleActivity(activity),
+      session_analysis: session_analysis || null,
+      partial: true,
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Tool implementations
   // ---------------------------------------------------------------------------
@@ -169,7 +193,7 @@ class TiltGuard extends BaseAgent {
       tilt_score: this.#latestTiltScore,
       headline,
       message,
-      activity: activity || null,
+      activity: this.#styleActivity(activity),
       session_analysis: session_analysis || null,
       timestamp: Date.now(),
     };
@@ -177,7 +201,7 @@ class TiltGuard extends BaseAgent {
     logger.info("[Tilt Guard] Wellness recommendation", {
       tiltLevel: tilt_level,
       headline,
-      hasActivity: !!activity,
+      hasActivity: !!recommendation.activity,
     });
 
     // Send tilt score update
@@ -286,7 +310,16 @@ class TiltGuard extends BaseAgent {
     // 6. Invoke Claude (always invoke — even "cool" gets a nice summary)
     const context = this.#buildContext(tiltLevel);
     try {
-      await this.invoke(context, "POST_GAME");
+      const result = await this.invoke(context, "POST_GAME");
+      if (result.offline) {
+        logger.info("[Tilt Guard] Offline — sending the local recommendation.", { tiltLevel });
+        this.#handleEmitRecommendation(buildOfflineRecommendation({
+          tiltLevel,
+          metrics: this.#latestMetrics,
+          matches: this.#sessionMatches,
+          fitness: this.coachingStyle.fitness,
+        }));
+      }
     } catch (err) {
       logger.error("[Tilt Guard] Claude invocation failed", { error: err.message });
     }
@@ -309,7 +342,7 @@ class TiltGuard extends BaseAgent {
         champion_id: localPlayer.championId || 0,
         champion_name: localPlayer.championName || getChampionName(localPlayer.championId) || "Unknown",
         role: localPlayer.selectedPosition || localPlayer.detectedTeamPosition || null,
-        win: localPlayer.isWinningTeam ?? localPlayer.stats?.WIN ?? false,
+        win: (localPlayer.isWinningTeam ?? localPlayer.stats?.WIN) ? 1 : 0,
         kills: localPlayer.stats?.CHAMPIONS_KILLED ?? localPlayer.kills ?? 0,
         deaths: localPlayer.stats?.NUM_DEATHS ?? localPlayer.deaths ?? 0,
         assists: localPlayer.stats?.ASSISTS ?? localPlayer.assists ?? 0,
@@ -317,6 +350,7 @@ class TiltGuard extends BaseAgent {
         vision_score: localPlayer.stats?.VISION_SCORE ?? 0,
         gold_earned: localPlayer.stats?.GOLD_EARNED ?? 0,
         data_json: JSON.stringify(eogStats),
+        ...laneOpponentColumns(eogStats),
       });
 
       logger.info("[Tilt Guard] Match recorded", { gameId });
@@ -351,6 +385,7 @@ class TiltGuard extends BaseAgent {
       : null;
 
     const context = {
+      game_mode: this.gameMode,
       tilt_score: this.#latestTiltScore,
       tilt_level: tiltLevel,
       session_games: this.#sessionMatches.length,
@@ -368,25 +403,54 @@ class TiltGuard extends BaseAgent {
         avg_time_between_games: this.#latestMetrics?.avg_time_between_games || 0,
       },
       instructions: this.#getInstructions(tiltLevel),
+      coaching_style: this.coachingStyle.instructions || undefined,
     };
 
     return `POST-GAME TILT ANALYSIS:\n${JSON.stringify(context, null, 2)}`;
   }
 
+  /**
+   * Workouts are swapped for the breathing reset when the coaching style
+   * leaves them out — whatever the model suggested.
+   * @param {Object | undefined} activity — As emitted
+   * @returns {Object | null}
+   */
+  #styleActivity(activity) {
+    if (!activity) return null;
+    if (["breathing", "walk"].includes(activity.type) || this.coachingStyle.fitness) return activity;
+
+    const routine = COOLDOWN_ROUTINES.breathing_reset;
+    return { ...routine, exercises: routine.exercises.map((e) => ({ ...e })) };
+  }
+
   #getInstructions(tiltLevel) {
-    switch (tiltLevel) {
-      case "cool":
-        return "Player is doing well. Give a brief positive summary. No exercise needed, but you can suggest a light stretch if they've been playing a while.";
-      case "warming":
-        return "Player is starting to tilt. Suggest a gentle 5-minute desk stretch or box breathing. Frame it as performance optimization.";
-      case "tilted":
-        return "Player is tilted. Recommend a 10-minute calisthenics circuit. Be supportive, not condescending. Include breathing exercises.";
-      case "danger_zone":
-        return "Player is in the danger zone. Strongly recommend a 15-20 minute full HYROX-style routine. Provide detailed session analysis and a full exercise plan.";
-      default:
-        return "Analyze the session and provide appropriate feedback.";
-    }
+    const key = ["cool", "warming", "tilted", "danger_zone"].includes(tiltLevel) ? tiltLevel : "default";
+    return this.prompt(key);
   }
 }
 
-module.exports = { TiltGuard };
+/**
+ * Registry manifest — see agents/registry.js.
+ * @type {import('../registry').AgentManifest}
+ */
+const manifest = {
+  id: "tilt-guard",
+  label: "Tilt Guard",
+  description: "Post-game wellness and performance tracking",
+  phases: [GamePhase.POST_GAME],
+  // Practice Tool and customs shouldn't move the tilt score
+  modes: [
+    GameMode.SUMMONERS_RIFT,
+    GameMode.SWIFTPLAY,
+    GameMode.ARAM,
+    GameMode.ARENA,
+    GameMode.FEATURED,
+    GameMode.UNKNOWN,
+  ],
+  overlays: ["tilt"],
+  dependencies: ["riotApi"],
+  prompts: PROMPTS,
+  create: (deps) => new TiltGuard(deps),
+};
+
+module.exports = { TiltGuard, manifest };
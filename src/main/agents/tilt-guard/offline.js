@@ -0,0 +1,88 @@
+/**
+ * Tilt Guard — Offline fallback.
+ *
+ * Deterministic wellness recommendation when no LLM is available: the
+ * cooldown routine is chosen by tilt level (a breathing reset when the
+ * coaching style leaves out workouts), and the session analysis is built from
+ * the tilt metrics. Same shape as emit_wellness_recommendation.
+ */
+
+const { COOLDOWN_ROUTINES } = require("./prompt");
+const { TiltLevel } = require("./tilt-metrics");
+
+/** Routine per tilt level, matching the intensity scale in the system prompt */
+const ROUTINE_FOR_LEVEL = Object.freeze({
+  [TiltLevel.COOL]: null,
+  [TiltLevel.WARMING]: "desk_stretch",
+  [TiltLevel.TILTED]: "calisthenics_circuit",
+  [TiltLevel.DANGER_ZONE]: "hyrox_reset",
+});
+
+const COPY = Object.freeze({
+  [TiltLevel.COOL]: {
+    headline: "Nice session — you're in a good state",
+    message: "Your numbers look steady. Keep queueing while you're in peak state, and take a short break whenever you feel it.",
+  },
+  [TiltLevel.WARMING]: {
+    headline: "Quick reset before the next queue",
+    message: "A few signals are creeping up. Five minutes of stretching and box breathing now keeps your decision-making sharp for the next game.",
+  },
+  [TiltLevel.TILTED]: {
+    headline: "Recovery window — 10 minutes off the keyboard",
+    message: "Your session trends say it's time for a mental reset. A short circuit gets blood flowing and breaks the loop — come back fresh.",
+  },
+  [TiltLevel.DANGER_ZONE]: {
+    headline: "Full reset recommended before queueing again",
+    message: "This is the point where games slip away on autopilot. Step away for a full routine and a cool-down — your next game will thank you.",
+  },
+});
+
+/** Messages that go with the breathing reset, when workouts are off */
+const BREATHING_MESSAGES = Object.freeze({
+  [TiltLevel.WARMING]: "A few signals are creeping up. Three minutes of slow breathing now keeps your decision-making sharp for the next game.",
+  [TiltLevel.TILTED]: "Your session trends say it's time for a mental reset. Step away from the screen and slow your breathing down — come back fresh.",
+  [TiltLevel.DANGER_ZONE]: "This is the point where games slip away on autopilot. Take a real break: breathe, get some water, and only queue again once you feel settled.",
+});
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.tiltLevel — TiltLevel value
+ * @param {Object} opts.metrics — From buildTiltMetrics
+ * @param {Object[]} opts.matches — Session matches
+ * @param {boolean} [opts.fitness=true] — Coaching style allows workouts
+ * @returns {{ tilt_level: string, headline: string, message: string, activity: Object | null, session_analysis: string }}
+ */
+function buildOfflineRecommendation({ tiltLevel, metrics, matches, fitness = true }) {
+  const copy = COPY[tiltLevel] || COPY[TiltLevel.COOL];
+  const routineName = ROUTINE_FOR_LEVEL[tiltLevel] && !fitness ? "breathing_reset" : ROUTINE_FOR_LEVEL[tiltLevel];
+  const routine = COOLDOWN_ROUTINES[routineName] || null;
+
+  return {
+    tilt_level: tiltLevel,
+    headline: copy.headline,
+    message: (!fitness && BREATHING_MESSAGES[tiltLevel]) || copy.message,
+    activity: routine ? { ...routine, exercises: routine.exercises.map((e) => ({ ...e })) } : null,
+    session_analysis: describeSession(metrics, matches),
+  };
+}
+
+/**
+ * Plain-language summary of the session's patterns.
+ * @param {Object} metrics
+ * @param {Object[]} matches
+ * @returns {string}
+ */
+function describeSession(metrics, matches) {
+  const wins = matches.filter((m) => m.win).length;
+  const parts = [`${wins}W-${matches.length - wins}L over ${matches.length} game${matches.length === 1 ? "" : "s"}.`];
+
+  if (metrics.current_loss_streak >= 2) parts.push(`${metrics.current_loss_streak} losses in a row.`);
+  if (metrics.current_win_streak >= 2) parts.push(`${metrics.current_win_streak} wins in a row.`);
+  if (metrics.kda_trend === "declining") parts.push("KDA trending down in recent games.");
+  if (metrics.kda_trend === "improving") parts.push("KDA trending up in recent games.");
+  if (metrics.avg_time_between_games < 60) parts.push("Queueing back-to-back with little break.");
+
+  return parts.join(" ");
+}
+
+module.exports = { buildOfflineRecommendation };
@@ -1,5 +1,5 @@
 /**
- * Tilt Guard — System prompt and tool definitions.
+ * Tilt Guard — System prompt, tilt-level instructions and tool definitions.
  */
 
 const SYSTEM_PROMPT = `You are the Tilt Guard, a performance psychologist and physical wellness coach for competitive gamers. You specialize in HYROX-style functional fitness and calisthenics recovery routines.
@@ -126,6 +126,15 @@ const TOOLS = [
  * Claude can reference these or create custom routines.
  */
 const COOLDOWN_ROUTINES = {
+  // For coaching styles without workouts (see agents/coaching-style.js)
+  breathing_reset: {
+    type: "breathing",
+    duration_minutes: 3,
+    exercises: [
+      { name: "Box Breathing", reps_or_duration: "4 cycles (4-4-4-4)", description: "Inhale 4s, hold 4s, exhale 4s, hold 4s. Eyes closed." },
+      { name: "4-7-8 Breathing", reps_or_duration: "3 cycles", description: "Inhale 4s, hold 7s, exhale 8s. Slower exhale activates parasympathetic." },
+    ],
+  },
   desk_stretch: {
     type: "stretch",
     duration_minutes: 5,
@@ -165,4 +174,36 @@ const COOLDOWN_ROUTINES = {
   },
 };
 
-module.exports = { SYSTEM_PROMPT, TOOLS, COOLDOWN_ROUTINES };
+/**
+ * Editable prompts (see agents/prompt-overrides.js) — the system prompt and
+ * the instructions sent for each tilt level.
+ * @type {Record<string, import('../prompt-overrides').PromptDefinition>}
+ */
+const PROMPTS = {
+  system: {
+    label: "System prompt",
+    template: SYSTEM_PROMPT,
+  },
+  cool: {
+    label: "Cool instructions",
+    template: "Player is doing well. Give a brief positive summary. No exercise needed, but you can suggest a light stretch if they've been playing a while.",
+  },
+  warming: {
+    label: "Warming instructions",
+    template: "Player is starting to tilt. Suggest a gentle 5-minute desk stretch or box breathing. Frame it as performance optimization.",
+  },
+  tilted: {
+    label: "Tilted instructions",
+    template: "Player is tilted. Recommend a 10-minute calisthenics circuit. Be supportive, not condescending. Include breathing exercises.",
+  },
+  danger_zone: {
+    label: "Danger zone instructions",
+    template: "Player is in the danger zone. Strongly recommend a 15-20 minute full HYROX-style routine. Provide detailed session analysis and a full exercise plan.",
+  },
+  default: {
+    label: "Other tilt levels",
+    template: "Analyze the session and provide appropriate feedback.",
+  },
+};
+
+module.exports = { SYSTEM_PROMPT, TOOLS, COOLDOWN_ROUTINES, PROMPTS };
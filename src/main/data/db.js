@@ -1,6 +1,6 @@
+const crypto = require("crypto");
 const Database = require("better-sqlite3");
 const path = require("path");
-const { app } = require("electron");
 const { logger } = require("../utils/logger");
 
 /** @type {Database.Database | null} */
@@ -8,12 +8,15 @@ let db = null;
 
 /**
  * Get the database file path.
+ * RIFT_DB_PATH overrides it (":memory:" for a throwaway in-memory database).
  * In production, uses Electron's userData directory.
  * In dev/standalone, uses the project root.
  */
 function getDbPath() {
+  if (process.env.RIFT_DB_PATH) return process.env.RIFT_DB_PATH;
   try {
     // Electron context — store in app data
+    const { app } = require("electron");
     return path.join(app.getPath("userData"), "rift-architect.db");
   } catch {
     // Standalone / testing — store in project root
@@ -23,10 +26,10 @@ function getDbPath() {
 
 /**
  * Initialize the SQLite database. Creates tables if they don't exist.
+ * @param {string} [dbPath] — Defaults to getDbPath(); ":memory:" for a throwaway database
  * @returns {Database.Database}
  */
-function initDatabase() {
-  const dbPath = getDbPath();
+function initDatabase(dbPath = getDbPath()) {
   logger.info("Initializing database", { path: dbPath });
 
   db = new Database(dbPath);
@@ -123,6 +126,32 @@ function migrate(db) {
       claude_model TEXT,
       tokens_used INTEGER,
       latency_ms INTEGER,
+      status TEXT NOT NULL DEFAULT 'ok',
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+      cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+      cost_usd REAL,
+      game_id TEXT,
+      tool_errors INTEGER NOT NULL DEFAULT 0,
+      tool_errors_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_traces (
+      log_id INTEGER PRIMARY KEY REFERENCES agent_logs(id),
+      user_message TEXT NOT NULL,
+      output_text TEXT,
+      rounds_json TEXT NOT NULL,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS prompt_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_name TEXT NOT NULL,
+      prompt_key TEXT NOT NULL,
+      content TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -158,7 +187,49 @@ function migrate(db) {
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(name, role, patch_version)
     );
+
+    CREATE TABLE IF NOT EXISTS champion_pool (
+      role TEXT NOT NULL,
+      champion TEXT NOT NULL,
+      source TEXT NOT NULL,
+      removed INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (role, champion)
+    );
   `);
+
+  // Columns added after a table first shipped
+  addColumnIfMissing(db, "agent_logs", "status", "TEXT NOT NULL DEFAULT 'ok'");
+  addColumnIfMissing(db, "agent_logs", "input_tokens", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing(db, "agent_logs", "output_tokens", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing(db, "agent_logs", "cache_read_tokens", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing(db, "agent_logs", "cache_write_tokens", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing(db, "agent_logs", "cost_usd", "REAL");
+  addColumnIfMissing(db, "agent_logs", "game_id", "TEXT");
+  addColumnIfMissing(db, "agent_logs", "tool_errors", "INTEGER NOT NULL DEFAULT 0");
+  addColumnIfMissing(db, "agent_logs", "tool_errors_json", "TEXT");
+  addColumnIfMissing(db, "agent_logs", "prompt_version", "INTEGER");
+  addColumnIfMissing(db, "matches", "lane_opponent_id", "INTEGER");
+  addColumnIfMissing(db, "matches", "lane_opponent_name", "TEXT");
+  addColumnIfMissing(db, "matches", "lane_opponent_cs", "INTEGER");
+
+  db.exec("CREATE INDEX IF NOT EXISTS idx_agent_logs_created_at ON agent_logs(created_at)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_agent_logs_game_id ON agent_logs(game_id)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_prompt_versions_agent ON prompt_versions(agent_name, prompt_key)");
+}
+
+/**
+ * Add a column to an existing table unless it is already there.
+ * @param {Database.Database} db
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition — Type and constraints, e.g. "TEXT NOT NULL DEFAULT 'ok'"
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+  if (columns.includes(column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  logger.info("Database column added", { table, column });
 }
 
 // ---------------------------------------------------------------------------
@@ -167,14 +238,56 @@ function migrate(db) {
 
 const queries = {
   /**
-   * Insert or replace a match record.
+   * Insert or replace a match record. The lane opponent columns are optional.
    */
   upsertMatch(match) {
     const stmt = getDb().prepare(`
-      INSERT OR REPLACE INTO matches (id, game_creation, game_duration, game_mode, champion_id, champion_name, role, win, kills, deaths, assists, cs, vision_score, gold_earned, data_json)
-      VALUES (@id, @game_creation, @game_duration, @game_mode, @champion_id, @champion_name, @role, @win, @kills, @deaths, @assists, @cs, @vision_score, @gold_earned, @data_json)
+      INSERT OR REPLACE INTO matches (id, game_creation, game_duration, game_mode, champion_id, champion_name, role, win, kills, deaths, assists, cs, vision_score, gold_earned, data_json, lane_opponent_id, lane_opponent_name, lane_opponent_cs)
+      VALUES (@id, @game_creation, @game_duration, @game_mode, @champion_id, @champion_name, @role, @win, @kills, @deaths, @assists, @cs, @vision_score, @gold_earned, @data_json, @lane_opponent_id, @lane_opponent_name, @lane_opponent_cs)
     `);
-    return stmt.run(match);
+    return stmt.run({ lane_opponent_id: null, lane_opponent_name: null, lane_opponent_cs: null, ...match });
+  },
+
+  /**
+   * @param {string} championName — Lane opponent's champion
+   * @returns {Object[]} Matches against it in lane, newest first
+   */
+  getMatchesAgainst(championName) {
+    return getDb().prepare(
+      "SELECT * FROM matches WHERE lane_opponent_name = ? ORDER BY game_creation DESC"
+    ).all(championName);
+  },
+
+  /**
+   * @param {number} [limit=200]
+   * @returns {Object[]} Recent matches with a known lane opponent, newest first
+   */
+  getMatchesWithLaneOpponent(limit = 200) {
+    return getDb().prepare(
+      "SELECT * FROM matches WHERE lane_opponent_name IS NOT NULL ORDER BY game_creation DESC LIMIT ?"
+    ).all(limit);
+  },
+
+  /**
+   * @returns {Object[]} Matches with stored end-of-game data but no lane opponent looked up yet
+   */
+  getMatchesMissingLaneOpponent() {
+    return getDb().prepare(
+      "SELECT id, role, data_json FROM matches WHERE data_json IS NOT NULL AND lane_opponent_id IS NULL"
+    ).all();
+  },
+
+  /**
+   * Record a match's lane opponent. An id of 0 marks a match that has none
+   * (no lanes, or no player in the same position).
+   * @param {string} matchId
+   * @param {{ lane_opponent_id: number, lane_opponent_name: string | null, lane_opponent_cs: number | null }} opponent
+   */
+  setLaneOpponent(matchId, opponent) {
+    getDb().prepare(`
+      UPDATE matches SET lane_opponent_id = @lane_opponent_id, lane_opponent_name = @lane_opponent_name, lane_opponent_cs = @lane_opponent_cs
+      WHERE id = @id
+    `).run({ id: matchId, ...opponent });
   },
 
   /**
@@ -212,13 +325,229 @@ const queries = {
 
   /**
    * Log an agent invocation.
+   * `status` is "ok" (default), "error", "cancelled", "over_budget" or "offline"
+   * (no LLM configured, or cooling off after a failure — the local fallback ran).
+   * `tool_errors` counts tool calls rejected as invalid; `tool_errors_json`
+   * lists them as [{ tool, errors }]. `prompt_version` is the agent's prompt
+   * version (see prompt-overrides.js) — null when it ran on the defaults.
    */
   logAgent(entry) {
     const stmt = getDb().prepare(`
-      INSERT INTO agent_logs (agent_name, game_phase, input_summary, output_summary, claude_model, tokens_used, latency_ms)
-      VALUES (@agent_name, @game_phase, @input_summary, @output_summary, @claude_model, @tokens_used, @latency_ms)
+      INSERT INTO agent_logs (agent_name, game_phase, input_summary, output_summary, claude_model, tokens_used, latency_ms, status,
+        input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, game_id, tool_errors, tool_errors_json, prompt_version)
+      VALUES (@agent_name, @game_phase, @input_summary, @output_summary, @claude_model, @tokens_used, @latency_ms, @status,
+        @input_tokens, @output_tokens, @cache_read_tokens, @cache_write_tokens, @cost_usd, @game_id, @tool_errors, @tool_errors_json, @prompt_version)
     `);
-    return stmt.run(entry);
+    return stmt.run({
+      status: "ok",
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_read_tokens: 0,
+      cache_write_tokens: 0,
+      cost_usd: null,
+      game_id: null,
+      tool_errors: 0,
+      tool_errors_json: null,
+      prompt_version: null,
+      ...entry,
+    });
+  },
+
+  // ---------------------------------------------------------------------------
+  // Prompt versions — user overrides of agent prompts, never overwritten
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a version of an agent prompt. `content` null means back to the default.
+   * @param {{ agent_name: string, prompt_key: string, content: string | null }} version
+   * @returns {number} The version id
+   */
+  insertPromptVersion(version) {
+    return Number(getDb().prepare(`
+      INSERT INTO prompt_versions (agent_name, prompt_key, content) VALUES (@agent_name, @prompt_key, @content)
+    `).run(version).lastInsertRowid);
+  },
+
+  /**
+   * @param {string} agentName
+   * @param {string} promptKey
+   * @returns {Object | undefined} Newest version of the prompt
+   */
+  getLatestPromptVersion(agentName, promptKey) {
+    return getDb().prepare(
+      "SELECT * FROM prompt_versions WHERE agent_name = ? AND prompt_key = ? ORDER BY id DESC LIMIT 1"
+    ).get(agentName, promptKey);
+  },
+
+  /**
+   * @param {string} agentName
+   * @returns {number | null} Newest version id across the agent's prompts
+   */
+  getAgentPromptVersion(agentName) {
+    return getDb().prepare(
+      "SELECT MAX(id) FROM prompt_versions WHERE agent_name = ?"
+    ).pluck().get(agentName) ?? null;
+  },
+
+  /**
+   * @param {string} agentName
+   * @param {string} promptKey
+   * @returns {Object[]} Every version of the prompt, newest first
+   */
+  getPromptVersions(agentName, promptKey) {
+    return getDb().prepare(
+      "SELECT * FROM prompt_versions WHERE agent_name = ? AND prompt_key = ? ORDER BY id DESC"
+    ).all(agentName, promptKey);
+  },
+
+  // ---------------------------------------------------------------------------
+  // Agent traces — the full reasoning chain behind an agent_logs row
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Store an invocation's trace.
+   * `rounds_json` is the tool loop's rounds (see TraceRound in provider.js).
+   * @param {{ log_id: number, user_message: string, output_text: string, rounds_json: string, error: string | null }} trace
+   */
+  insertAgentTrace(trace) {
+    getDb().prepare(`
+      INSERT OR REPLACE INTO agent_traces (log_id, user_message, output_text, rounds_json, error)
+      VALUES (@log_id, @user_message, @output_text, @rounds_json, @error)
+    `).run({ error: null, ...trace });
+  },
+
+  /**
+   * Traced invocations, newest first, optionally filtered.
+   * @param {Object} [filter]
+   * @param {string} [filter.game_id]
+   * @param {string} [filter.agent_name]
+   * @param {string} [filter.game_phase]
+   * @param {number} [filter.limit=100]
+   * @returns {Object[]} agent_logs rows, with the match's champion and result when recorded
+   */
+  listAgentTraces({ game_id = null, agent_name = null, game_phase = null, limit = 100 } = {}) {
+    return getDb().prepare(`
+      SELECT l.id, l.agent_name, l.game_phase, l.status, l.claude_model, l.latency_ms, l.tokens_used,
+             l.cost_usd, l.tool_errors, l.game_id, l.output_summary, l.created_at,
+             m.champion_name, m.win
+      FROM agent_logs l
+      JOIN agent_traces t ON t.log_id = l.id
+      LEFT JOIN matches m ON m.id = l.game_id
+      WHERE (@game_id IS NULL OR l.game_id = @game_id)
+        AND (@agent_name IS NULL OR l.agent_name = @agent_name)
+        AND (@game_phase IS NULL OR l.game_phase = @game_phase)
+      ORDER BY l.id DESC LIMIT @limit
+    `).all({ game_id, agent_name, game_phase, limit });
+  },
+
+  /**
+   * One traced invocation in full.
+   * @param {number} logId
+   * @returns {Object | null} The agent_logs row plus user_message, output_text, error and rounds
+   */
+  getAgentTrace(logId) {
+    const row = getDb().prepare(`
+      SELECT l.*, t.user_message, t.output_text, t.rounds_json, t.error, m.champion_name, m.win
+      FROM agent_logs l
+      JOIN agent_traces t ON t.log_id = l.id
+      LEFT JOIN matches m ON m.id = l.game_id
+      WHERE l.id = ?
+    `).get(logId);
+    if (!row) return null;
+
+    const { rounds_json, ...trace } = row;
+    return {
+      ...trace,
+      rounds: JSON.parse(rounds_json),
+      tool_errors: row.tool_errors_json ? JSON.parse(row.tool_errors_json) : [],
+    };
+  },
+
+  /**
+   * What the trace viewer can filter by.
+   * @param {number} [gameLimit=30]
+   * @returns {{ games: Object[], agents: string[], phases: string[] }}
+   */
+  getAgentTraceFilters(gameLimit = 30) {
+    const traced = "FROM agent_logs l JOIN agent_traces t ON t.log_id = l.id";
+    return {
+      games: getDb().prepare(`
+        SELECT l.game_id, MIN(l.created_at) AS started_at, m.champion_name, m.win
+        ${traced} LEFT JOIN matches m ON m.id = l.game_id
+        WHERE l.game_id IS NOT NULL
+        GROUP BY l.game_id ORDER BY started_at DESC LIMIT ?
+      `).all(gameLimit),
+      agents: getDb().prepare(`SELECT DISTINCT l.agent_name ${traced} ORDER BY l.agent_name`).pluck().all(),
+      phases: getDb().prepare(`SELECT DISTINCT l.game_phase ${traced} ORDER BY l.game_phase`).pluck().all(),
+    };
+  },
+
+  /**
+   * Drop traces older than `days` — the agent_logs rows stay for spend accounting.
+   * @param {number} [days=30]
+   * @returns {number} Traces deleted
+   */
+  pruneAgentTraces(days = 30) {
+    return getDb().prepare(
+      "DELETE FROM agent_traces WHERE created_at < datetime('now', ?)"
+    ).run(`-${days} days`).changes;
+  },
+
+  // ---------------------------------------------------------------------------
+  // Claude spend — summed from agent_logs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Total spend since a timestamp.
+   * @param {string} since — UTC "YYYY-MM-DD HH:MM:SS"
+   * @returns {{ calls: number, cost_usd: number, input_tokens: number, output_tokens: number, cache_read_tokens: number, cache_write_tokens: number }}
+   */
+  getSpendSince(since) {
+    return getDb().prepare(`
+      SELECT COUNT(*) AS calls,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd,
+             COALESCE(SUM(input_tokens), 0) AS input_tokens,
+             COALESCE(SUM(output_tokens), 0) AS output_tokens,
+             COALESCE(SUM(cache_read_tokens), 0) AS cache_read_tokens,
+             COALESCE(SUM(cache_write_tokens), 0) AS cache_write_tokens
+      FROM agent_logs WHERE created_at >= ? AND status NOT IN ('over_budget', 'offline')
+    `).get(since);
+  },
+
+  /**
+   * Spend per agent since a timestamp, most expensive first.
+   * @param {string} since
+   * @returns {Object[]}
+   */
+  getSpendByAgent(since) {
+    return getDb().prepare(`
+      SELECT agent_name,
+             COUNT(*) AS calls,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd,
+             COALESCE(SUM(input_tokens + output_tokens + cache_read_tokens + cache_write_tokens), 0) AS tokens,
+             COALESCE(SUM(cache_read_tokens), 0) AS cache_read_tokens
+      FROM agent_logs WHERE created_at >= ? AND status NOT IN ('over_budget', 'offline')
+      GROUP BY agent_name ORDER BY cost_usd DESC
+    `).all(since);
+  },
+
+  /**
+   * Spend per game, newest first. Joined with matches where the game was recorded.
+   * @param {number} [limit=10]
+   * @returns {Object[]}
+   */
+  getSpendByGame(limit = 10) {
+    return getDb().prepare(`
+      SELECT l.game_id,
+             MIN(l.created_at) AS started_at,
+             COUNT(*) AS calls,
+             COALESCE(SUM(l.cost_usd), 0) AS cost_usd,
+             m.champion_name,
+             m.win
+      FROM agent_logs l LEFT JOIN matches m ON m.id = l.game_id
+      WHERE l.game_id IS NOT NULL AND l.status NOT IN ('over_budget', 'offline')
+      GROUP BY l.game_id ORDER BY started_at DESC LIMIT ?
+    `).all(limit);
   },
 
   /**
@@ -341,16 +670,20 @@ const queries = {
   // ---------------------------------------------------------------------------
 
   /**
-   * Build a deterministic cache key from champion names in a matchup.
-   * @param {string[]} allyPicks - Sorted ally champion names
-   * @param {string[]} enemyPicks - Sorted enemy champion names
+   * Build a deterministic cache key from champion names in a matchup and
+   * the other inputs the advice depends on.
+   * @param {string[]} allyPicks - Ally champion names
+   * @param {string[]} enemyPicks - Enemy champion names
    * @param {string} role - Player's assigned role
+   * @param {Object} [inputs] - Draft phase, champion pool, premades... — hashed into the key, so
+   *   it must serialize the same way for the same draft (sorted arrays, fixed field order)
    * @returns {string}
    */
-  buildMatchupKey(allyPicks, enemyPicks, role) {
+  buildMatchupKey(allyPicks, enemyPicks, role, inputs = {}) {
     const allies = [...allyPicks].sort().join(",");
     const enemies = [...enemyPicks].sort().join(",");
-    return `${role}|A:${allies}|E:${enemies}`;
+    const digest = crypto.createHash("sha256").update(JSON.stringify(inputs)).digest("hex").substring(0, 16);
+    return `${role}|A:${allies}|E:${enemies}|I:${digest}`;
   },
 
   /**
@@ -440,6 +773,63 @@ const queries = {
     ).get(patchVersion);
     return row.cnt > 0;
   },
+
+  /**
+   * Roles a champion is played in on a patch, most picked first.
+   * @param {string} name
+   * @param {string} patchVersion
+   * @returns {{ role: string, pick_rate: number }[]}
+   */
+  getChampionMetaRoles(name, patchVersion) {
+    return getDb().prepare(
+      "SELECT role, pick_rate FROM meta_champions WHERE name = ? AND patch_version = ? ORDER BY pick_rate DESC"
+    ).all(name, patchVersion);
+  },
+
+  // ---------------------------------------------------------------------------
+  // Champion pools — see agents/champion-pool.js
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string | null} [role] — Every role when omitted
+   * @returns {Object[]} Pool rows not removed by the player, oldest first
+   */
+  getChampionPool(role = null) {
+    return getDb().prepare(`
+      SELECT role, champion, source, created_at FROM champion_pool
+      WHERE removed = 0 AND (@role IS NULL OR role = @role)
+      ORDER BY created_at ASC, rowid ASC
+    `).all({ role });
+  },
+
+  /**
+   * Add a champion to a pool unless it has a row already (removed or not).
+   * @param {{ role: string, champion: string, source: string }} entry
+   * @returns {boolean} Whether it was added
+   */
+  addChampionPoolEntry(entry) {
+    return getDb().prepare(`
+      INSERT OR IGNORE INTO champion_pool (role, champion, source) VALUES (@role, @champion, @source)
+    `).run(entry).changes > 0;
+  },
+
+  /**
+   * Make a role's pool exactly `champions` — the rest are flagged removed.
+   * @param {string} role
+   * @param {string[]} champions
+   */
+  replaceChampionPool(role, champions) {
+    const db = getDb();
+    const removeAll = db.prepare("UPDATE champion_pool SET removed = 1 WHERE role = ?");
+    const keep = db.prepare(`
+      INSERT INTO champion_pool (role, champion, source) VALUES (?, ?, 'manual')
+      ON CONFLICT (role, champion) DO UPDATE SET removed = 0
+    `);
+    db.transaction(() => {
+      removeAll.run(role);
+      for (const champion of champions) keep.run(role, champion);
+    })();
+  },
 };
 
 module.exports = { initDatabase, getDb, closeDatabase, queries };
@@ -0,0 +1,238 @@
+/**
+ * Eval assertions — checks run against what an agent did in a scenario.
+ *
+ * Each assertion in a scenario's `assertions` array is an object with a
+ * `type`, the type's fields, and an optional `description` for the report:
+ *
+ *   { type: "tool_called", tool, where?, min?=1, max? }
+ *       Successful calls of `tool` whose input matches `where`.
+ *   { type: "tool_not_called", tool, where? }
+ *   { type: "overlay", channel, where?, min?=1, max? }
+ *       Final (non-partial) overlay messages on `channel` — an IPC_CHANNELS
+ *       key ("MACRO_CALL") or value ("macro:call").
+ *   { type: "no_overlay", channel, where? }
+ *   { type: "champion_not_in", tool | channel, field, set }
+ *       No tool call (or overlay message) names a champion in `field` from
+ *       `set`: one of "ally_hovers", "ally_picks", "enemy_picks", "bans"
+ *       (from the champ select session), or an explicit array of names.
+ *   { type: "max_length", tool, field, max }
+ *   { type: "tilt_level_matches_score" }
+ *       Every wellness recommendation's tilt_level is the level of the
+ *       deterministic tilt score it was sent with.
+ *   { type: "no_tool_errors" }
+ *       The model never sent a tool call that failed validation.
+ *   { type: "connector_event", event, where?, min?=1, max? }
+ *       Events the LCUConnector emitted in a connector scenario
+ *       (connector-harness.js), e.g. "lcu-event" where { uri }.
+ *   { type: "phase_sequence", phases }
+ *       The connector's phase-changed events, exactly and in order.
+ *
+ * Fields are dotted paths into the tool input or message; arrays along the
+ * way are flattened, so "recommendations.champion" reaches every card of a
+ * DRAFT_RECOMMENDATION. `where` matches when every listed path holds the
+ * expected value (an array of values means "any of these"). Strings compare
+ * ignoring case and punctuation, so champion names match however they're
+ * written ("Kai'Sa" = "kaisa").
+ */
+
+const { IPC_CHANNELS } = require("../../../shared/ipc-channels");
+const { getTiltLevel } = require("../../agents/tilt-guard/tilt-metrics");
+const { championKey } = require("../../agents/lobby-planner/planner");
+
+/**
+ * What an agent did during a scenario.
+ * @typedef {Object} EvalOutcome
+ * @property {{ tool: string, input: Object, output: *, failed?: boolean }[]} toolCalls — Every call, in order
+ * @property {{ overlay: string, channel: string, data: Object }[]} messages — Overlay messages, in order
+ * @property {{ tool: string, errors: string[] }[]} toolErrors — Rejected tool calls
+ * @property {Object<string, string[]>} championSets — Named champion lists from the scenario
+ * @property {{ event: string, data: * }[]} connectorEvents — LCUConnector events, in order (connector scenarios)
+ */
+
+/** @type {Object<string, (assertion: Object, outcome: EvalOutcome) => { pass: boolean, detail: string }>} */
+const ASSERTIONS = {
+  tool_called({ tool, where, min = 1, max = Infinity }, outcome) {
+    const count = succeeded(outcome, tool).filter((c) => matches(c.input, where)).length;
+    return {
+      pass: count >= min && count <= max,
+      detail: `${count} matching ${tool} call${count === 1 ? "" : "s"} (expected ${range(min, max)})`,
+    };
+  },
+
+  tool_not_called({ tool, where }, outcome) {
+    const count = succeeded(outcome, tool).filter((c) => matches(c.input, where)).length;
+    return { pass: count === 0, detail: `${count} matching ${tool} call${count === 1 ? "" : "s"} (expected none)` };
+  },
+
+  overlay({ channel, where, min = 1, max = Infinity }, outcome) {
+    const count = finalMessages(outcome, channel).filter((m) => matches(m.data, where)).length;
+    return {
+      pass: count >= min && count <= max,
+      detail: `${count} matching ${channel} message${count === 1 ? "" : "s"} (expected ${range(min, max)})`,
+    };
+  },
+
+  no_overlay({ channel, where }, outcome) {
+    const count = finalMessages(outcome, channel).filter((m) => matches(m.data, where)).length;
+    return { pass: count === 0, detail: `${count} matching ${channel} message${count === 1 ? "" : "s"} (expected none)` };
+  },
+
+  champion_not_in({ tool, channel, field, set }, outcome) {
+    const names = Array.isArray(set) ? set : outcome.championSets[set];
+    if (!names) return { pass: false, detail: `unknown champion set "${set}"` };
+
+    const source = tool || channel;
+    const values = tool
+      ? succeeded(outcome, tool).map((c) => c.input)
+      : finalMessages(outcome, channel).map((m) => m.data);
+    const excluded = new Set(names.map(championKey));
+    const hits = values.flatMap((value) => pluck(value, field)).filter((name) => excluded.has(championKey(name)));
+    const setLabel = Array.isArray(set) ? "the list" : set;
+    return {
+      pass: hits.length === 0,
+      detail: hits.length === 0
+        ? `no ${source} ${field} in ${setLabel} (${names.join(", ") || "empty"})`
+        : `${source} named ${[...new Set(hits)].join(", ")} from ${setLabel}`,
+    };
+  },
+
+  max_length({ tool, field, max }, outcome) {
+    const long = succeeded(outcome, tool)
+      .flatMap((c) => pluck(c.input, field).map(String))
+      .filter((text) => text.length > max);
+    return {
+      pass: long.length === 0,
+      detail: long.length === 0
+        ? `every ${tool} ${field} within ${max} chars`
+        : `${long.length} ${field}${long.length === 1 ? "" : "s"} over ${max} chars, e.g. ${JSON.stringify(long[0])}`,
+    };
+  },
+
+  tilt_level_matches_score(assertion, outcome) {
+    const recommendations = finalMessages(outcome, "TILT_RECOMMENDATION");
+    if (recommendations.length === 0) return { pass: false, detail: "no wellness recommendation sent" };
+
+    const wrong = recommendations.filter((m) => m.data.tilt_level !== getTiltLevel(m.data.tilt_score));
+    return {
+      pass: wrong.length === 0,
+      detail: wrong.length === 0
+        ? `tilt_level "${recommendations[0].data.tilt_level}" matches score ${recommendations[0].data.tilt_score}`
+        : `tilt_level "${wrong[0].data.tilt_level}" but score ${wrong[0].data.tilt_score} is "${getTiltLevel(wrong[0].data.tilt_score)}"`,
+    };
+  },
+
+  no_tool_errors(assertion, outcome) {
+    const errors = outcome.toolErrors;
+    return {
+      pass: errors.length === 0,
+      detail: errors.length === 0
+        ? "every tool call was valid"
+        : `${errors.length} rejected: ${errors.map((e) => `${e.tool} (${e.errors.join("; ")})`).join(", ")}`,
+    };
+  },
+
+  connector_event({ event, where, min = 1, max = Infinity }, outcome) {
+    const count = outcome.connectorEvents.filter((e) => e.event === event && matches(e.data, where)).length;
+    return {
+      pass: count >= min && count <= max,
+      detail: `${count} matching ${event} event${count === 1 ? "" : "s"} (expected ${range(min, max)})`,
+    };
+  },
+
+  phase_sequence({ phases }, outcome) {
+    const actual = outcome.connectorEvents.filter((e) => e.event === "phase-changed").map((e) => e.data);
+    return {
+      pass: actual.length === phases.length && actual.every((phase, i) => phase === phases[i]),
+      detail: `phases ${actual.join(" → ") || "none"} (expected ${phases.join(" → ")})`,
+    };
+  },
+};
+
+/**
+ * Run one assertion.
+ * @param {Object} assertion — From the scenario
+ * @param {EvalOutcome} outcome
+ * @returns {{ pass: boolean, detail: string }}
+ */
+function runAssertion(assertion, outcome) {
+  const check = ASSERTIONS[assertion.type];
+  if (!check) return { pass: false, detail: `unknown assertion type "${assertion.type}"` };
+  return check(assertion, outcome);
+}
+
+/**
+ * @param {Object} assertion
+ * @returns {string} Short label for the report, e.g. "tool_called suggest_ban"
+ */
+function describeAssertion(assertion) {
+  if (assertion.description) return assertion.description;
+  const subject = assertion.tool || assertion.channel || assertion.event || "";
+  const where = assertion.where ? ` ${JSON.stringify(assertion.where)}` : "";
+  return `${assertion.type}${subject ? ` ${subject}` : ""}${where}`;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {EvalOutcome} outcome
+ * @param {string} tool
+ * @returns {Object[]} Calls of `tool` that passed validation
+ */
+function succeeded(outcome, tool) {
+  return outcome.toolCalls.filter((c) => c.tool === tool && !c.failed);
+}
+
+/**
+ * @param {EvalOutcome} outcome
+ * @param {string} channel — IPC_CHANNELS key or value
+ * @returns {Object[]}
+ */
+function finalMessages(outcome, channel) {
+  const name = IPC_CHANNELS[channel] || channel;
+  return outcome.messages.filter((m) => m.channel === name && !m.data?.partial);
+}
+
+/**
+ * @param {Object} value
+ * @param {Object} [where]
+ * @returns {boolean}
+ */
+function matches(value, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([field, expected]) =>
+    pluck(value, field).some((actual) => [].concat(expected).some((e) => same(actual, e)))
+  );
+}
+
+/**
+ * @param {*} value
+ * @param {string} path — Dotted, e.g. "recommendations.champion"
+ * @returns {*[]} Every value at the path, with arrays flattened (missing → [])
+ */
+function pluck(value, path) {
+  let values = [value];
+  for (const key of path.split(".")) {
+    values = values.flatMap((v) => (v === null || typeof v !== "object" ? [] : [].concat(v[key] ?? [])));
+  }
+  return values;
+}
+
+/**
+ * @returns {boolean} Equal — strings ignoring case and punctuation
+ */
+function same(actual, expected) {
+  if (typeof actual === "string" && typeof expected === "string") {
+    return championKey(actual) === championKey(expected);
+  }
+  return actual === expected;
+}
+
+/** @returns {string} e.g. "at least 1", "1–3", "exactly 2" */
+function range(min, max) {
+  if (max === Infinity) return `at least ${min}`;
+  return min === max ? `exactly ${min}` : `${min}–${max}`;
+}
+
+module.exports = { runAssertion, describeAssertion, ASSERTIONS };
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LCUConnector } = require("../../lcu-connector");
+const { MockLCUServer } = require("../mock-lcu-server");
+const { runAssertion, describeAssertion } = require("./assertions");
+
+/** Mock client scenarios shared with `npm run mock:lcu` */
+const LCU_SCENARIOS_DIR = path.join(__dirname, "..", "scenarios");
+
+/** Events the connector emits that a scenario can assert on */
+const CONNECTOR_EVENTS = Object.freeze([
+  "connected",
+  "disconnected",
+  "websocket-connected",
+  "websocket-disconnected",
+  "lcu-event",
+  "response",
+  "phase-changed",
+]);
+
+/** Published once the scenario is done — everything before it has arrived */
+const DONE_URI = "/rift-eval/scenario-complete";
+
+/**
+ * Connector harness — runs the real LCUConnector against a MockLCUServer,
+ * end to end: the mock writes a lockfile, the connector finds it through
+ * RIFT_LCU_LOCKFILE, authenticates its REST calls and WebSocket, and receives
+ * the scenario's events over WAMP. Stopping the mock removes the lockfile,
+ * which the connector must report as a disconnect.
+ *
+ * Scenario format (JSON):
+ *   {
+ *     name,
+ *     connector: "lcu-*.json" | Object, — Mock client scenario (dev/scenarios name or inline)
+ *     speed?: number,                    — Scenario speed-up (default 1)
+ *     requests?: { [phase]: string[] },  — LCU GETs to make on entering a phase
+ *                                          ("connected" = right after connecting)
+ *     timeoutMs?: number,                — Whole run (default 30000)
+ *     assertions: Object[]               — See assertions.js (connector_event, phase_sequence)
+ *   }
+ */
+
+/**
+ * Run a connector scenario.
+ * @param {Object} scenario
+ * @returns {Promise<{ outcome: import('./assertions').EvalOutcome, checks: { label: string, pass: boolean, detail: string }[] }>}
+ */
+async function runConnectorScenario(scenario) {
+  const clientScenario = loadClientScenario(scenario.connector);
+  const requests = scenario.requests || {};
+  const deadline = Date.now() + (scenario.timeoutMs || 30000);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rift-eval-lcu-"));
+  const server = new MockLCUServer({ lockfilePath: path.join(tmpDir, "lockfile") });
+  const connector = new LCUConnector();
+  const previousLockfile = process.env.RIFT_LCU_LOCKFILE;
+
+  /** @type {{ event: string, data: * }[]} */
+  const events = [];
+  /** @type {Promise<void>[]} */
+  const pending = [];
+
+  const get = (endpoint) => {
+    // Failures show up as a missing "response" event
+    pending.push(connector.request("GET", endpoint).then(() => {}, () => {}));
+  };
+
+  for (const event of CONNECTOR_EVENTS) {
+    connector.on(event, (data = null) => {
+      if (event === "lcu-event" && data.uri === DONE_URI) return;
+      events.push({ event, data });
+    });
+  }
+  connector.on("connected", () => (requests.connected || []).forEach(get));
+  connector.on("phase-changed", (phase) => (requests[phase] || []).forEach(get));
+
+  try {
+    await server.start();
+    process.env.RIFT_LCU_LOCKFILE = server.lockfilePath;
+
+    const subscribed = waitFor(connector, "websocket-connected", deadline, "the WebSocket to connect");
+    connector.start();
+    await subscribed;
+    await Promise.all(pending); // "connected" requests see the client before the scenario starts
+
+    const complete = waitFor(server, "scenario-complete", deadline, "the mock scenario to finish");
+    server.runScenario(clientScenario, { speed: scenario.speed || 1 });
+    await complete;
+
+    // WAMP events arrive in order: once the marker is in, so is the rest
+    const delivered = waitFor(connector, "lcu-event", deadline, "the last events", (e) => e.uri === DONE_URI);
+    server.publish(DONE_URI, null);
+    await delivered;
+    await Promise.all(pending);
+
+    const disconnected = waitFor(connector, "disconnected", deadline, "the connector to see the client close");
+    await server.stop();
+    await disconnected;
+  } finally {
+    connector.shutdown();
+    await server.stop();
+    if (previousLockfile === undefined) delete process.env.RIFT_LCU_LOCKFILE;
+    else process.env.RIFT_LCU_LOCKFILE = previousLockfile;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  const outcome = { toolCalls: [], messages: [], toolErrors: [], championSets: {}, connectorEvents: events };
+  const checks = (scenario.assertions || []).map((assertion) => ({
+    label: describeAssertion(assertion),
+    ...runAssertion(assertion, outcome),
+  }));
+
+  return { outcome, checks };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string | Object} connector — File name under dev/scenarios, or the scenario itself
+ * @returns {Object}
+ */
+function loadClientScenario(connector) {
+  if (typeof connector !== "string") return connector;
+  return JSON.parse(fs.readFileSync(path.join(LCU_SCENARIOS_DIR, connector), "utf-8"));
+}
+
+/**
+ * @param {import('events').EventEmitter} emitter
+ * @param {string} event
+ * @param {number} deadline — Epoch ms
+ * @param {string} what — For the timeout error, e.g. "the WebSocket to connect"
+ * @param {(data: *) => boolean} [predicate]
+ * @returns {Promise<*>} The event's first argument
+ */
+function waitFor(emitter, event, deadline, what, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const onEvent = (data) => {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      emitter.off(event, onEvent);
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      emitter.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${what}`));
+    }, Math.max(0, deadline - Date.now()));
+    emitter.on(event, onEvent);
+  });
+}
+
+module.exports = { runConnectorScenario };
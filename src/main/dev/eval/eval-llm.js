@@ -0,0 +1,166 @@
+const { LLMProvider } = require("../../integrations/llm/provider");
+
+/**
+ * One model turn as stored in a scenario — Anthropic content blocks without
+ * ids: { type: "text", text } and { type: "tool_use", name, input }.
+ * @typedef {Object[]} ScriptedRound
+ */
+
+/**
+ * LLM provider for the agent eval runner. Either:
+ *
+ *   - replays a scenario's model turns (`invocations`) — hand-written stubs
+ *     or a recording — one list of rounds per invoke(), in order; or
+ *   - wraps a real provider (`inner`) and records every turn it returns, so
+ *     the run can be saved back into the scenario.
+ *
+ * Invocations are told apart by their opening user message, so concurrent
+ * tool loops don't steal each other's rounds. A replay that runs out of
+ * rounds ends the turn with no text — the model "said nothing".
+ *
+ * Also tracks in-flight tool loops so the runner can wait for agents that
+ * invoke from event handlers (settled()).
+ */
+class EvalLLM extends LLMProvider {
+  /** @type {ScriptedRound[][]} Rounds per invocation — replayed, or recorded into */
+  #invocations;
+
+  /** @type {LLMProvider | null} Real provider, when recording */
+  #inner;
+
+  /** @type {boolean} */
+  #available;
+
+  /** @type {WeakMap<Object, ScriptedRound[]>} Opening message → that invocation's rounds */
+  #byInvocation = new WeakMap();
+
+  /** Invocations started so far */
+  #started = 0;
+
+  /** Tool calls replayed so far, for unique tool_use ids */
+  #callCount = 0;
+
+  /** @type {Set<Promise>} In-flight tool loops */
+  #pending = new Set();
+
+  /** @type {import('../../integrations/llm/provider').ToolLoopResult[]} */
+  #results = [];
+
+  /**
+   * @param {Object} [opts]
+   * @param {ScriptedRound[][]} [opts.invocations=[]] — Turns to replay
+   * @param {LLMProvider} [opts.inner] — Call this provider and record instead of replaying
+   * @param {boolean} [opts.available=true] — false simulates "no LLM configured"
+   */
+  constructor({ invocations = [], inner = null, available = true } = {}) {
+    super();
+    this.#invocations = inner ? [] : invocations;
+    this.#inner = inner;
+    this.#available = available;
+  }
+
+  get name() {
+    return this.#inner ? this.#inner.name : "scripted";
+  }
+
+  get model() {
+    return this.#inner ? this.#inner.model : "scripted";
+  }
+
+  get available() {
+    return this.#available && (!this.#inner || this.#inner.available);
+  }
+
+  /** Replays cost nothing and never touch the daily budget */
+  get local() {
+    return this.#inner ? this.#inner.local : true;
+  }
+
+  /** @returns {ScriptedRound[][]} Turns recorded from the real provider (or the replayed script) */
+  get invocations() {
+    return this.#invocations;
+  }
+
+  /** @returns {import('../../integrations/llm/provider').ToolLoopResult[]} Every finished tool loop */
+  get results() {
+    return this.#results;
+  }
+
+  async createMessage(request, opts) {
+    const rounds = this.#roundsFor(request.messages[0]);
+
+    if (this.#inner) {
+      const response = await this.#inner.createMessage(request, opts);
+      rounds.push(response.content.map(stripId));
+      return response;
+    }
+
+    const round = (request.messages.length - 1) / 2;
+    const blocks = (rounds[round] || []).map((block) =>
+      block.type === "tool_use" ? { ...block, id: `toolu_eval_${++this.#callCount}` } : { ...block }
+    );
+
+    // Streamed agents render partial output from tool_input events — give them one per call
+    if (opts?.onStream) {
+      for (const block of blocks) {
+        if (block.type === "text") this.emitStream(opts.onStream, { type: "text", delta: block.text, text: block.text });
+        if (block.type === "tool_use") this.emitStream(opts.onStream, { type: "tool_input", id: block.id, name: block.name, input: block.input });
+      }
+    }
+
+    return {
+      content: blocks,
+      stopReason: blocks.some((b) => b.type === "tool_use") ? "tool_use" : "end_turn",
+      usage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+    };
+  }
+
+  async runToolLoop(opts) {
+    const loop = super.runToolLoop(opts);
+    this.#pending.add(loop);
+    try {
+      const result = await loop;
+      this.#results.push(result);
+      return result;
+    } finally {
+      this.#pending.delete(loop);
+    }
+  }
+
+  /**
+   * Wait until no tool loop is in flight.
+   */
+  async settled() {
+    while (this.#pending.size > 0) {
+      await Promise.allSettled([...this.#pending]);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Object} opening — The invocation's first message (same object every round)
+   * @returns {ScriptedRound[]}
+   */
+  #roundsFor(opening) {
+    if (!this.#byInvocation.has(opening)) {
+      const index = this.#started++;
+      if (this.#inner) this.#invocations.push([]);
+      this.#byInvocation.set(opening, this.#invocations[index] || []);
+    }
+    return this.#byInvocation.get(opening);
+  }
+}
+
+/**
+ * @param {Object} block — Content block from a provider
+ * @returns {Object} The block as stored in a scenario
+ */
+function stripId(block) {
+  if (block.type === "tool_use") return { type: "tool_use", name: block.name, input: block.input };
+  return { type: block.type, text: block.text };
+}
+
+module.exports = { EvalLLM };
@@ -0,0 +1,414 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { LCUConnector } = require("../../lcu-connector");
+const { LiveClientAPI } = require("../../integrations/riot/live-client");
+const { SyntheticGame } = require("../synthetic-game");
+const { EvalLLM } = require("./eval-llm");
+const { runAssertion, describeAssertion } = require("./assertions");
+const { initDatabase, closeDatabase, getDb, queries } = require("../../data/db");
+const { EventBus } = require("../../orchestrator/event-bus");
+const { getChampionName, getPatchVersion } = require("../../summoner-detector");
+
+/** Live Client scenarios shared with the mock server */
+const LIVE_SCENARIOS_DIR = path.join(__dirname, "..", "scenarios");
+
+/**
+ * Eval harness — runs one agent through one scenario, in-process.
+ *
+ * The agent is built from its registry manifest exactly as the orchestrator
+ * builds it, but its world comes from the scenario: a fresh in-memory
+ * database seeded with the scenario's data, an LCU that answers from the
+ * scenario, a Live Client driven by a SyntheticGame, and an EvalLLM that
+ * replays (or records) the model. Whatever the agent sends its overlays is
+ * captured and checked against the scenario's assertions.
+ *
+ * Scenario format (JSON):
+ *   {
+ *     name, agent: "<manifest id>", gameMode?: "SUMMONERS_RIFT",
+ *     meta?: [{ name, role, tier, win_rate, pick_rate, ban_rate, counter_count }],
+ *                                   — meta_champions rows for the current patch
+ *     champSelect?: Object,         — /lol-champ-select/v1/session
+ *     masteries?: { [puuid]: [{ championId, championLevel, championPoints }] },
+ *     matchIds?: { [puuid]: string[] }, — Recent match-v5 IDs (premade detection, recent form)
+ *     accounts?: { [riotId]: puuid }, — Riot ID ("Name#TAG") → PUUID for account lookups
+ *     riotMatches?: { [matchId]: Object }, — match-v5 matches, e.g. { info: { mapId, gameDuration, participants } }
+ *     enemyAnalysis?: { [puuid]: Object }, — enemy_analysis_cache rows (cached scouting)
+ *     live?: "live-*.json" | Object — Synthetic game (dev/scenarios name or inline)
+ *     polls?: number[],             — Game times to poll at (default: its startTime)
+ *     ask?: string[],               — Questions put to the agent's ask() after the
+ *                                     polls (Macro Strategist's ask-the-coach)
+ *     matches?: [{ minutes_ago, champion_name, champion_id, role, win, kills,
+ *                  deaths, assists, cs, vision_score, gold_earned, game_duration,
+ *                  lane_opponent_name, lane_opponent_id, lane_opponent_cs }],
+ *                                   — Earlier games this session
+ *     eog?: Object,                 — /lol-end-of-game/v1/eog-stats-block
+ *     lcu?: { [endpoint]: Object }, — Any other LCU responses
+ *     settings?: { [key]: string }, — Settings rows, e.g. { coaching_style: "terse" }
+ *     championPool?: { [role]: string[] }, — The player's champion pools, by meta role
+ *     model?: {
+ *       offline?: boolean,          — Simulate no LLM configured
+ *       invocations?: ScriptedRound[][], — Model turns per invoke() (see eval-llm.js)
+ *       recorded?: { provider, model, at, prompt_hash } — Set by --record
+ *     },
+ *     assertions: Object[]          — See assertions.js
+ *   }
+ */
+
+/**
+ * @typedef {Object} ScenarioRun
+ * @property {import('./assertions').EvalOutcome} outcome
+ * @property {{ label: string, pass: boolean, detail: string }[]} checks
+ * @property {EvalLLM} llm — Holds the recorded turns when recording
+ * @property {string} promptHash — Of the agent's system prompt and tools
+ */
+
+/**
+ * Run a scenario.
+ * @param {Object} scenario
+ * @param {Object} opts
+ * @param {import('../../agents/registry').AgentRegistry} opts.registry
+ * @param {import('../../integrations/llm/provider').LLMProvider} [opts.provider] — Real model; replays the scenario when omitted
+ * @returns {Promise<ScenarioRun>}
+ */
+async function runScenario(scenario, { registry, provider = null }) {
+  const manifest = registry.get(scenario.agent);
+  if (!manifest) throw new Error(`Unknown agent "${scenario.agent}"`);
+
+  closeDatabase();
+  initDatabase(":memory:");
+  seedDatabase(scenario);
+
+  const llm = new EvalLLM({
+    invocations: scenario.model?.invocations || [],
+    inner: provider,
+    available: !scenario.model?.offline,
+  });
+
+  /** @type {{ overlay: string, channel: string, data: Object }[]} */
+  const messages = [];
+  const overlayManager = {
+    sendToOverlay: (overlay, channel, data) => messages.push({ overlay, channel, data }),
+  };
+
+  const game = scenario.live ? new SyntheticGame(loadLiveScenario(scenario.live)) : null;
+  const liveClient = new EvalLiveClient(game);
+
+  const agent = manifest.create({
+    llm,
+    eventBus: new EventBus(),
+    lcu: new EvalLCUConnector(lcuResponses(scenario)),
+    overlayManager,
+    gameMode: scenario.gameMode || "SUMMONERS_RIFT",
+    gameId: "eval",
+    overlays: manifest.overlays,
+    prompts: manifest.prompts,
+    riotApi: new EvalRiotApi(scenario),
+    liveClient,
+  });
+
+  try {
+    await agent.start();
+    await llm.settled();
+
+    if (game) {
+      for (const gameTime of scenario.polls || [game.gameTime]) {
+        liveClient.poll(gameTime);
+        await llm.settled();
+      }
+    }
+
+    for (const question of scenario.ask || []) {
+      const { accepted, error } = agent.ask(question);
+      if (!accepted) throw new Error(`Question not accepted: ${error}`);
+      await llm.settled();
+    }
+  } finally {
+    await agent.stop();
+    await llm.settled();
+  }
+
+  const outcome = {
+    toolCalls: llm.results.flatMap((r) => r.toolResults),
+    messages,
+    toolErrors: llm.results.flatMap((r) => r.toolErrors || []),
+    championSets: championSets(scenario.champSelect),
+    connectorEvents: [],
+  };
+
+  const checks = (scenario.assertions || []).map((assertion) => ({
+    label: describeAssertion(assertion),
+    ...runAssertion(assertion, outcome),
+  }));
+
+  return { outcome, checks, llm, promptHash: promptHash(agent) };
+}
+
+/**
+ * @param {import('../../agents/base-agent').BaseAgent} agent
+ * @returns {string} Short hash of what the model is shown besides the context —
+ *   a recording made under a different hash predates a prompt change
+ */
+function promptHash(agent) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify({ system: agent.systemPrompt(), tools: agent.tools() }))
+    .digest("hex")
+    .substring(0, 12);
+}
+
+// ---------------------------------------------------------------------------
+// Scenario world
+// ---------------------------------------------------------------------------
+
+/**
+ * Fill the in-memory database from the scenario.
+ * @param {Object} scenario
+ */
+function seedDatabase(scenario) {
+  for (const [key, value] of Object.entries(scenario.settings || {})) {
+    queries.setSetting(key, value);
+  }
+
+  for (const [role, champions] of Object.entries(scenario.championPool || {})) {
+    queries.replaceChampionPool(role, champions);
+  }
+
+  for (const [puuid, analysis] of Object.entries(scenario.enemyAnalysis || {})) {
+    queries.setCachedEnemyAnalysis(puuid, { puuid, ...analysis });
+  }
+
+  if (scenario.meta?.length) {
+    const insert = getDb().prepare(`
+      INSERT OR REPLACE INTO meta_champions (name, role, tier, win_rate, pick_rate, ban_rate, counter_count, patch_version, source)
+      VALUES (@name, @role, @tier, @win_rate, @pick_rate, @ban_rate, @counter_count, @patch_version, 'eval')
+    `);
+    for (const row of scenario.meta) {
+      insert.run({ pick_rate: 0, ban_rate: 0, counter_count: 0, ...row, patch_version: getPatchVersion() });
+    }
+  }
+
+  if (scenario.matches) {
+    queries.startSession();
+    const now = Date.now();
+    scenario.matches.forEach(({ minutes_ago = 0, ...match }, i) => {
+      queries.upsertMatch({
+        id: `eval-${i + 1}`,
+        game_creation: now - minutes_ago * 60 * 1000,
+        game_duration: 1800,
+        game_mode: "CLASSIC",
+        champion_id: 0,
+        role: null,
+        win: false,
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        cs: 0,
+        vision_score: 0,
+        gold_earned: 0,
+        data_json: null,
+        ...match,
+        win: match.win ? 1 : 0,
+      });
+    });
+  }
+}
+
+/**
+ * @param {Object} scenario
+ * @returns {Object<string, *>} LCU endpoint → response
+ */
+function lcuResponses(scenario) {
+  return {
+    ...(scenario.champSelect ? { "/lol-champ-select/v1/session": scenario.champSelect } : {}),
+    ...(scenario.eog ? { "/lol-end-of-game/v1/eog-stats-block": scenario.eog } : {}),
+    ...scenario.lcu,
+  };
+}
+
+/**
+ * @param {string | Object} live — File name under dev/scenarios, or the scenario itself
+ * @returns {Object}
+ */
+function loadLiveScenario(live) {
+  if (typeof live !== "string") return live;
+  return JSON.parse(fs.readFileSync(path.join(LIVE_SCENARIOS_DIR, live), "utf-8"));
+}
+
+/**
+ * Champion lists that champion_not_in assertions can refer to.
+ * @param {Object} [session] — Champ select session
+ * @returns {Object<string, string[]>}
+ */
+function championSets(session) {
+  if (!session) return {};
+  const names = (ids) => ids.filter(Boolean).map(getChampionName);
+  const myTeam = session.myTeam || [];
+  const theirTeam = session.theirTeam || [];
+
+  return {
+    ally_hovers: names(myTeam.filter((p) => !p.championId).map((p) => p.championPickIntent)),
+    ally_picks: names(myTeam.map((p) => p.championId)),
+    enemy_picks: names(theirTeam.map((p) => p.championId)),
+    bans: names((session.actions || []).flat().filter((a) => a.type === "ban" && a.completed).map((a) => a.championId)),
+  };
+}
+
+/**
+ * LCUConnector that answers REST calls from the scenario. Never connects to
+ * anything and never changes phase.
+ */
+class EvalLCUConnector extends LCUConnector {
+  /** @type {Object<string, *>} */
+  #responses;
+
+  /**
+   * @param {Object<string, *>} responses — Endpoint → response
+   */
+  constructor(responses) {
+    super();
+    this.#responses = responses;
+  }
+
+  start() {}
+
+  shutdown() {}
+
+  isConnected() {
+    return true;
+  }
+
+  request(method, endpoint) {
+    if (!(endpoint in this.#responses)) {
+      return Promise.reject(new Error(`LCU 404: scenario has no response for ${method} ${endpoint}`));
+    }
+    return Promise.resolve(structuredClone(this.#responses[endpoint]));
+  }
+}
+
+/**
+ * LiveClientAPI backed by a SyntheticGame. The harness polls it explicitly
+ * (poll()), emitting the same "new-events" and "snapshot" the real poller does.
+ */
+class EvalLiveClient extends LiveClientAPI {
+  /** @type {SyntheticGame | null} */
+  #game;
+
+  /** Highest EventID already emitted */
+  #lastEventId = -1;
+
+  /**
+   * @param {SyntheticGame | null} game
+   */
+  constructor(game) {
+    super();
+    this.#game = game;
+  }
+
+  async getAllGameData() {
+    return this.#require().allGameData();
+  }
+
+  async getActivePlayer() {
+    return this.#require().activePlayer();
+  }
+
+  async getPlayerList() {
+    return this.#require().playerList();
+  }
+
+  async getEventData() {
+    return this.#require().eventData();
+  }
+
+  async getGameStats() {
+    return this.#require().gameStats();
+  }
+
+  /**
+   * Polling is driven by the harness (poll()). Like the real poller, starting
+   * sends one snapshot right away, so the first events can be attributed.
+   */
+  startPolling() {
+    if (this.#game) this.emit("snapshot", this.#game.allGameData());
+  }
+
+  stopPolling() {}
+
+  /**
+   * Advance the game and emit what a real poll would: new events, then a snapshot.
+   * @param {number} gameTime — Seconds
+   */
+  poll(gameTime) {
+    const game = this.#require();
+    game.advanceTo(gameTime);
+
+    const events = game.eventData().Events.filter((e) => e.EventID > this.#lastEventId);
+    if (events.length > 0) {
+      this.#lastEventId = Math.max(...events.map((e) => e.EventID));
+      this.emit("new-events", events);
+    }
+    this.emit("snapshot", game.allGameData());
+  }
+
+  #require() {
+    if (!this.#game) throw new Error("Live Client API timeout — scenario has no live game");
+    return this.#game;
+  }
+}
+
+/**
+ * Riot API stand-in serving accounts, champion masteries and matches from the scenario.
+ */
+class EvalRiotApi {
+  /** @type {Object<string, string>} */
+  #accounts;
+
+  /** @type {Object<string, Object[]>} */
+  #masteries;
+
+  /** @type {Object<string, string[]>} */
+  #matchIds;
+
+  /** @type {Object<string, Object>} */
+  #matches;
+
+  /**
+   * @param {Object} scenario
+   * @param {Object<string, string>} [scenario.accounts] — Riot ID → PUUID
+   * @param {Object<string, Object[]>} [scenario.masteries] — PUUID → top masteries
+   * @param {Object<string, string[]>} [scenario.matchIds] — PUUID → recent match IDs
+   * @param {Object<string, Object>} [scenario.riotMatches] — Match ID → match-v5 match
+   */
+  constructor({ accounts = {}, masteries = {}, matchIds = {}, riotMatches = {} }) {
+    this.#accounts = accounts;
+    this.#masteries = masteries;
+    this.#matchIds = matchIds;
+    this.#matches = riotMatches;
+  }
+
+  async getAccountByRiotId(gameName, tagLine) {
+    const puuid = this.#accounts[`${gameName}#${tagLine}`];
+    if (!puuid) throw new Error(`Riot API 404: scenario has no account for ${gameName}#${tagLine}`);
+    return { puuid, gameName, tagLine };
+  }
+
+  async getTopMasteries(puuid, count = 3) {
+    const masteries = this.#masteries[puuid];
+    if (!masteries) throw new Error(`Riot API 404: scenario has no masteries for ${puuid}`);
+    return masteries.slice(0, count);
+  }
+
+  async getMatchIds(puuid, count = 20) {
+    const matchIds = this.#matchIds[puuid];
+    if (!matchIds) throw new Error(`Riot API 404: scenario has no match IDs for ${puuid}`);
+    return matchIds.slice(0, count);
+  }
+
+  async getMatch(matchId) {
+    const match = this.#matches[matchId];
+    if (!match) throw new Error(`Riot API 404: scenario has no match ${matchId}`);
+    return structuredClone(match);
+  }
+}
+
+module.exports = { runScenario };
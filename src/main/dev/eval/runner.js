@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+const { runScenario } = require("./harness");
+const { runConnectorScenario } = require("./connector-harness");
+const { createDefaultRegistry } = require("../../agents/registry");
+const { createProvider } = require("../../integrations/llm");
+const { setChampionData } = require("../../summoner-detector");
+const { closeDatabase } = require("../../data/db");
+
+/** Golden scenarios */
+const SCENARIOS_DIR = path.join(__dirname, "scenarios");
+
+/** Champion data for the scenarios — a Data Dragon champion.json subset */
+const CHAMPIONS_FILE = path.join(__dirname, "champions.json");
+
+/**
+ * @typedef {Object} ScenarioReport
+ * @property {string} file
+ * @property {string} name
+ * @property {string} agent
+ * @property {{ label: string, pass: boolean, detail: string }[]} checks
+ * @property {string | null} error — Set when the scenario threw
+ * @property {boolean} stale — Replayed a recording made under a different prompt
+ * @property {boolean} pass
+ */
+
+/**
+ * Agent eval runner — runs every golden scenario (or a filtered subset)
+ * through its agent and scores the assertions.
+ *
+ * Modes:
+ *   replay (default) — the model's turns come from the scenario, so runs are
+ *                      free, offline and deterministic; they catch regressions
+ *                      in context building, tool handlers, validation and
+ *                      local fallbacks.
+ *   live             — the configured LLM provider (LLM_PROVIDER etc.) plays
+ *                      the model, so prompt changes are scored for real.
+ *   record           — live, and the model's turns are saved into each
+ *                      scenario as its new replay.
+ *
+ * @param {Object} [opts]
+ * @param {"replay"|"live"|"record"} [opts.mode="replay"]
+ * @param {string} [opts.agent] — Only this agent's scenarios
+ * @param {string} [opts.filter] — Only scenarios whose file name contains this
+ * @returns {Promise<ScenarioReport[]>}
+ */
+async function runEvals({ mode = "replay", agent, filter } = {}) {
+  const champions = JSON.parse(fs.readFileSync(CHAMPIONS_FILE, "utf-8"));
+  setChampionData(champions.version, champions.data);
+
+  const registry = createDefaultRegistry();
+  const provider = mode === "replay" ? null : createProvider();
+  if (provider && !provider.available) {
+    throw new Error(`${provider.name} provider is not configured — set LLM_PROVIDER / ANTHROPIC_API_KEY, or run without --live`);
+  }
+
+  const files = fs.readdirSync(SCENARIOS_DIR)
+    .filter((f) => f.endsWith(".json") && (!filter || f.includes(filter)))
+    .sort();
+
+  const reports = [];
+  for (const file of files) {
+    const filePath = path.join(SCENARIOS_DIR, file);
+    const scenario = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (agent && scenario.agent !== agent) continue;
+
+    const report = { file, name: scenario.name || file, agent: scenario.agent, checks: [], error: null, stale: false, pass: false };
+    try {
+      // Connector scenarios drive the LCU connector against the mock client — no agent, no model
+      if (scenario.connector) {
+        ({ checks: report.checks } = await runConnectorScenario(scenario));
+      } else {
+        const run = await runScenario(scenario, { registry, provider });
+        report.checks = run.checks;
+        report.stale = mode === "replay" && !!scenario.model?.recorded && scenario.model.recorded.prompt_hash !== run.promptHash;
+
+        if (mode === "record" && !scenario.model?.offline) {
+          scenario.model = {
+            ...scenario.model,
+            invocations: run.llm.invocations,
+            recorded: { provider: provider.name, model: provider.model, at: new Date().toISOString(), prompt_hash: run.promptHash },
+          };
+          fs.writeFileSync(filePath, JSON.stringify(scenario, null, 2) + "\n");
+        }
+      }
+    } catch (err) {
+      report.error = err.message;
+    }
+    report.pass = !report.error && report.checks.every((c) => c.pass);
+    reports.push(report);
+  }
+
+  closeDatabase();
+  return reports;
+}
+
+/**
+ * Print reports as a pass/fail table with the failing checks underneath.
+ * @param {ScenarioReport[]} reports
+ * @param {string} mode
+ */
+function printReport(reports, mode) {
+  const modeLabel = {
+    replay: "replaying scripted/recorded model turns",
+    live: "live model",
+    record: "live model, recording",
+  }[mode];
+  console.log(`\nAgent evals — ${modeLabel}\n`);
+
+  const width = Math.max(0, ...reports.map((r) => r.file.length));
+  for (const report of reports) {
+    const passed = report.checks.filter((c) => c.pass).length;
+    const score = report.error ? "error" : `${passed}/${report.checks.length}`;
+    console.log(`  ${report.pass ? "PASS" : "FAIL"}  ${report.file.padEnd(width)}  ${score.padStart(5)}  ${report.name}`);
+
+    if (report.error) console.log(`          ✗ ${report.error}`);
+    for (const check of report.checks.filter((c) => !c.pass)) {
+      console.log(`          ✗ ${check.label} — ${check.detail}`);
+    }
+    if (report.stale) console.log("          ! recorded under a different prompt or tool set — re-record with --record");
+  }
+
+  const checks = reports.flatMap((r) => r.checks);
+  console.log(
+    `\n${reports.filter((r) => r.pass).length}/${reports.length} scenarios passed, ` +
+    `${checks.filter((c) => c.pass).length}/${checks.length} assertions.\n`
+  );
+}
+
+module.exports = { runEvals, printReport };
+
+// ---------------------------------------------------------------------------
+// Run standalone (under Electron's Node — see dev/run-as-node.js):
+//   npm run eval -- [--live | --record] [--agent=id] [--scenario=text] [--verbose]
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+
+  // Agent logs drown the report — show warnings and errors only
+  if (!args.includes("--verbose")) process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+  require("dotenv").config();
+
+  const mode = args.includes("--record") ? "record" : args.includes("--live") ? "live" : "replay";
+
+  runEvals({ mode, agent: flag("agent"), filter: flag("scenario") })
+    .then((reports) => {
+      printReport(reports, mode);
+      process.exit(reports.length > 0 && reports.every((r) => r.pass) ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error("Eval run failed:", err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,533 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+const { getDevTlsOptions } = require("./tls");
+const { logger } = require("../utils/logger");
+
+/** LCU endpoints served by the mock (the ones LCUConnector.request uses) */
+const ENDPOINTS = Object.freeze({
+  GAMEFLOW_PHASE: "/lol-gameflow/v1/gameflow-phase",
+  GAMEFLOW_SESSION: "/lol-gameflow/v1/session",
+  LOBBY: "/lol-lobby/v2/lobby",
+  CHAMP_SELECT_SESSION: "/lol-champ-select/v1/session",
+  EOG_STATS: "/lol-end-of-game/v1/eog-stats-block",
+  CURRENT_SUMMONER: "/lol-summoner/v1/current-summoner",
+});
+
+/** Ranked Solo/Duo on Summoner's Rift */
+const DEFAULT_QUEUE = Object.freeze({
+  id: 420,
+  gameMode: "CLASSIC",
+  mapId: 11,
+  type: "RANKED_SOLO_5x5",
+  isRanked: true,
+  isCustom: false,
+});
+
+/**
+ * Default lockfile location for the mock client.
+ * Point the app at it with RIFT_LCU_LOCKFILE.
+ * @returns {string}
+ */
+function getDefaultLockfilePath() {
+  return path.join(os.tmpdir(), "rift-architect-mock-lcu", "lockfile");
+}
+
+/**
+ * Mock League Client — a local stand-in for the LCU.
+ *
+ * Writes a lockfile in the real format, serves the LCU REST endpoints the
+ * app uses over self-signed HTTPS (Basic auth "riot:<password>"), and pushes
+ * WAMP events over a WebSocket on the same port, exactly like the client:
+ *   client → [5, "OnJsonApiEvent"]                       (subscribe)
+ *   server → [8, "OnJsonApiEvent", { uri, data, eventType }]
+ *
+ * State is driven through setters (setPhase, setChampSelectSession, ...) or
+ * by running a scenario file that walks Lobby → ChampSelect → InProgress → EndOfGame.
+ *
+ * Events:
+ *   "request"   — ({ method, endpoint, status })
+ *   "step"      — ({ index, step }) a scenario step was applied
+ *   "scenario-complete" — ()
+ */
+class MockLCUServer extends EventEmitter {
+  /** @type {https.Server | null} */
+  #server = null;
+
+  /** @type {WebSocketServer | null} */
+  #wss = null;
+
+  /** @type {Set<import('ws').WebSocket>} Subscribed WAMP clients */
+  #subscribers = new Set();
+
+  /** @type {number} */
+  #port;
+
+  /** @type {string} */
+  #password;
+
+  /** @type {string} */
+  #lockfilePath;
+
+  /** @type {NodeJS.Timeout | null} */
+  #scenarioTimer = null;
+
+  // ── Client state ──
+  #phase = "None";
+  /** @type {Object} Queue of the current lobby/game (see DEFAULT_QUEUE) */
+  #queue = DEFAULT_QUEUE;
+  /** @type {Object | null} */
+  #lobby = null;
+  /** @type {Object | null} */
+  #champSelect = null;
+  /** @type {Object | null} */
+  #eogStats = null;
+  /** @type {Object} */
+  #summoner = {
+    gameName: "MockPlayer",
+    tagLine: "MOCK",
+    displayName: "MockPlayer",
+    puuid: "mock-puuid-local-player-0000000000000000000000000000000000000000",
+    summonerId: "mock-summoner-id",
+    accountId: 0,
+    summonerLevel: 100,
+  };
+
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.port=0]          — 0 picks a free port
+   * @param {string} [opts.password]        — Defaults to a random token
+   * @param {string} [opts.lockfilePath]    — Defaults to <tmp>/rift-architect-mock-lcu/lockfile
+   */
+  constructor({ port = 0, password, lockfilePath } = {}) {
+    super();
+    this.#port = port;
+    this.#password = password || crypto.randomBytes(16).toString("base64url");
+    this.#lockfilePath = lockfilePath || getDefaultLockfilePath();
+  }
+
+  /** @returns {number} */
+  get port() {
+    return this.#port;
+  }
+
+  /** @returns {string} */
+  get password() {
+    return this.#password;
+  }
+
+  /** @returns {string} */
+  get lockfilePath() {
+    return this.#lockfilePath;
+  }
+
+  /** @returns {string} Current gameflow phase */
+  get phase() {
+    return this.#phase;
+  }
+
+  /**
+   * Start the HTTPS + WebSocket server and write the lockfile.
+   * @returns {Promise<{ port: number, password: string, lockfilePath: string }>}
+   */
+  async start() {
+    this.#server = https.createServer(getDevTlsOptions(), (req, res) => this.#handleRequest(req, res));
+
+    this.#wss = new WebSocketServer({
+      server: this.#server,
+      verifyClient: ({ req }) => this.#isAuthorized(req),
+    });
+    this.#wss.on("connection", (ws) => this.#handleSocket(ws));
+
+    await new Promise((resolve, reject) => {
+      this.#server.once("error", reject);
+      this.#server.listen(this.#port, "127.0.0.1", resolve);
+    });
+    this.#port = this.#server.address().port;
+
+    // Lockfile format: LeagueClient:{pid}:{port}:{password}:{protocol}
+    await fs.mkdir(path.dirname(this.#lockfilePath), { recursive: true });
+    await fs.writeFile(
+      this.#lockfilePath,
+      `LeagueClient:${process.pid}:${this.#port}:${this.#password}:https`
+    );
+
+    logger.info("Mock LCU server started", { port: this.#port, lockfile: this.#lockfilePath });
+    return { port: this.#port, password: this.#password, lockfilePath: this.#lockfilePath };
+  }
+
+  /**
+   * Stop the server and remove the lockfile (the app sees a disconnect).
+   */
+  async stop() {
+    this.stopScenario();
+
+    try {
+      await fs.unlink(this.#lockfilePath);
+    } catch {
+      // Already gone
+    }
+
+    for (const ws of this.#subscribers) ws.terminate();
+    this.#subscribers.clear();
+
+    if (this.#wss) {
+      this.#wss.close();
+      this.#wss = null;
+    }
+    if (this.#server) {
+      await new Promise((resolve) => this.#server.close(resolve));
+      this.#server = null;
+    }
+
+    logger.info("Mock LCU server stopped.");
+  }
+
+  // ---------------------------------------------------------------------------
+  // State setters — each pushes the matching WAMP event
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} phase — Raw LCU phase, e.g. "Lobby", "ChampSelect", "InProgress"
+   */
+  setPhase(phase) {
+    this.#phase = phase;
+    this.publish(ENDPOINTS.GAMEFLOW_SESSION, this.#gameflowSession());
+    this.publish(ENDPOINTS.GAMEFLOW_PHASE, phase);
+  }
+
+  /**
+   * Set the queue reported by the gameflow session.
+   * @param {Object} queue — { id, gameMode, mapId, type?, isRanked?, isCustom? }
+   */
+  setQueue(queue) {
+    this.#queue = { ...DEFAULT_QUEUE, ...queue };
+    this.publish(ENDPOINTS.GAMEFLOW_SESSION, this.#gameflowSession());
+  }
+
+  /**
+   * Replace the lobby. null leaves the lobby (404 from REST).
+   * @param {Object | null} lobby — /lol-lobby/v2/lobby payload
+   */
+  setLobby(lobby) {
+    const eventType = lobby === null ? "Delete" : this.#lobby ? "Update" : "Create";
+    this.#lobby = lobby;
+    this.publish(ENDPOINTS.LOBBY, lobby, eventType);
+  }
+
+  /**
+   * Replace the champ select session. null ends champ select (404 from REST).
+   * @param {Object | null} session
+   */
+  setChampSelectSession(session) {
+    const eventType = session === null ? "Delete" : this.#champSelect ? "Update" : "Create";
+    this.#champSelect = session;
+    this.publish(ENDPOINTS.CHAMP_SELECT_SESSION, session, eventType);
+  }
+
+  /**
+   * @param {Object | null} stats — eog-stats-block payload
+   */
+  setEndOfGameStats(stats) {
+    this.#eogStats = stats;
+    this.publish(ENDPOINTS.EOG_STATS, stats, stats === null ? "Delete" : "Update");
+  }
+
+  /**
+   * Merge fields into the current summoner.
+   * @param {Object} summoner
+   */
+  setCurrentSummoner(summoner) {
+    this.#summoner = { ...this.#summoner, ...summoner };
+    this.publish(ENDPOINTS.CURRENT_SUMMONER, this.#summoner);
+  }
+
+  /**
+   * Complete a champ select action (ban or pick). Pick actions also lock the
+   * champion onto the acting player's cell.
+   * @param {number} actionId
+   * @param {number} [championId]
+   */
+  completeAction(actionId, championId) {
+    if (!this.#champSelect) return;
+
+    const session = structuredClone(this.#champSelect);
+    const action = (session.actions || []).flat().find((a) => a.id === actionId);
+    if (!action) {
+      logger.warn("Mock LCU: unknown champ select action", { actionId });
+      return;
+    }
+
+    if (championId !== undefined) action.championId = championId;
+    action.completed = true;
+    action.isInProgress = false;
+
+    if (action.type === "pick") {
+      const player = [...(session.myTeam || []), ...(session.theirTeam || [])]
+        .find((p) => p.cellId === action.actorCellId);
+      if (player) {
+        player.championId = action.championId;
+        player.championPickIntent = 0;
+      }
+    }
+
+    this.setChampSelectSession(session);
+  }
+
+  /**
+   * Set an ally's hovered champion (championPickIntent).
+   * @param {number} cellId
+   * @param {number} championId
+   */
+  hover(cellId, championId) {
+    if (!this.#champSelect) return;
+    const session = structuredClone(this.#champSelect);
+    const player = (session.myTeam || []).find((p) => p.cellId === cellId);
+    if (player) player.championPickIntent = championId;
+    this.setChampSelectSession(session);
+  }
+
+  /**
+   * Push a WAMP event to every subscribed WebSocket client.
+   * @param {string} uri
+   * @param {any} data
+   * @param {"Create"|"Update"|"Delete"} [eventType="Update"]
+   */
+  publish(uri, data, eventType = "Update") {
+    const message = JSON.stringify([8, "OnJsonApiEvent", { uri, data, eventType }]);
+    for (const ws of this.#subscribers) {
+      if (ws.readyState === ws.OPEN) ws.send(message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scenarios
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a scenario: a list of steps applied in order, each after `delayMs`.
+   *
+   * Step fields (all optional, applied in this order):
+   *   delayMs        — Wait before applying the step (divided by `speed`)
+   *   summoner       — Merged into the current summoner
+   *   queue          — Queue for the gameflow session (see setQueue)
+   *   lobby          — Full lobby object (null leaves the lobby)
+   *   champSelect    — Full session object (null ends champ select)
+   *   hover          — { cellId, championId }
+   *   completeAction — { id, championId } or an array of them
+   *   eogStats       — eog-stats-block payload
+   *   phase          — Raw LCU gameflow phase
+   *   log            — Message printed when the step runs
+   *
+   * @param {{ name?: string, summoner?: Object, queue?: Object, steps: Object[] }} scenario
+   * @param {Object} [opts]
+   * @param {number} [opts.speed=1]
+   * @param {boolean} [opts.loop=false] — Restart from step 0 when finished
+   */
+  runScenario(scenario, { speed = 1, loop = false } = {}) {
+    this.stopScenario();
+    if (scenario.summoner) this.setCurrentSummoner(scenario.summoner);
+    if (scenario.queue) this.setQueue(scenario.queue);
+
+    const steps = scenario.steps || [];
+    let index = 0;
+
+    logger.info("Mock LCU: running scenario", { name: scenario.name || "unnamed", steps: steps.length, speed });
+
+    const next = () => {
+      if (index >= steps.length) {
+        if (loop && steps.length > 0) {
+          index = 0;
+        } else {
+          this.#scenarioTimer = null;
+          logger.info("Mock LCU: scenario complete.");
+          this.emit("scenario-complete");
+          return;
+        }
+      }
+
+      const step = steps[index];
+      this.#scenarioTimer = setTimeout(() => {
+        this.#applyStep(step);
+        this.emit("step", { index, step });
+        index++;
+        next();
+      }, (step.delayMs || 0) / speed);
+    };
+
+    next();
+  }
+
+  /**
+   * Cancel a running scenario (state stays where it is).
+   */
+  stopScenario() {
+    if (this.#scenarioTimer) {
+      clearTimeout(this.#scenarioTimer);
+      this.#scenarioTimer = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  #applyStep(step) {
+    if (step.log) logger.info(`Mock LCU: ${step.log}`);
+    if (step.summoner) this.setCurrentSummoner(step.summoner);
+    if (step.queue) this.setQueue(step.queue);
+    if (step.lobby !== undefined) this.setLobby(step.lobby);
+    if (step.champSelect !== undefined) this.setChampSelectSession(step.champSelect);
+    if (step.hover) this.hover(step.hover.cellId, step.hover.championId);
+    if (step.completeAction) {
+      const list = Array.isArray(step.completeAction) ? step.completeAction : [step.completeAction];
+      for (const a of list) this.completeAction(a.id, a.championId);
+    }
+    if (step.eogStats !== undefined) this.setEndOfGameStats(step.eogStats);
+    if (step.phase) this.setPhase(step.phase);
+  }
+
+  /**
+   * Gameflow session in the shape of /lol-gameflow/v1/session (fields the app reads).
+   * @returns {Object}
+   */
+  #gameflowSession() {
+    return {
+      phase: this.#phase,
+      gameData: {
+        gameId: 0,
+        isCustomGame: this.#queue.isCustom,
+        queue: {
+          id: this.#queue.id,
+          gameMode: this.#queue.gameMode,
+          mapId: this.#queue.mapId,
+          type: this.#queue.type,
+          isRanked: this.#queue.isRanked,
+        },
+      },
+      map: { id: this.#queue.mapId, gameMode: this.#queue.gameMode },
+    };
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {boolean}
+   */
+  #isAuthorized(req) {
+    const expected = `Basic ${Buffer.from(`riot:${this.#password}`).toString("base64")}`;
+    return req.headers.authorization === expected;
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  #handleRequest(req, res) {
+    const endpoint = new URL(req.url, "https://127.0.0.1").pathname;
+
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+      this.emit("request", { method: req.method, endpoint, status });
+    };
+
+    if (!this.#isAuthorized(req)) {
+      return reply(401, { errorCode: "RPC_ERROR", httpStatus: 401, message: "Unauthorized" });
+    }
+    if (req.method !== "GET") {
+      return reply(405, { errorCode: "RPC_ERROR", httpStatus: 405, message: "Method not allowed" });
+    }
+
+    const notFound = (message) => reply(404, { errorCode: "RPC_ERROR", httpStatus: 404, message });
+
+    switch (endpoint) {
+      case ENDPOINTS.GAMEFLOW_PHASE:
+        return reply(200, this.#phase);
+
+      case ENDPOINTS.GAMEFLOW_SESSION:
+        return reply(200, this.#gameflowSession());
+
+      case ENDPOINTS.LOBBY:
+        return this.#lobby ? reply(200, this.#lobby) : notFound("LOBBY_NOT_FOUND");
+
+      case ENDPOINTS.CHAMP_SELECT_SESSION:
+        return this.#champSelect ? reply(200, this.#champSelect) : notFound("No active delegate");
+
+      case ENDPOINTS.EOG_STATS:
+        return this.#eogStats ? reply(200, this.#eogStats) : notFound("No end of game stats available");
+
+      case ENDPOINTS.CURRENT_SUMMONER:
+        return reply(200, this.#summoner);
+
+      default:
+        return notFound(`Mock LCU does not serve ${endpoint}`);
+    }
+  }
+
+  /**
+   * @param {import('ws').WebSocket} ws
+   */
+  #handleSocket(ws) {
+    ws.on("message", (raw) => {
+      try {
+        const [opcode, topic] = JSON.parse(raw.toString());
+        if (opcode === 5 && topic === "OnJsonApiEvent") this.#subscribers.add(ws);
+        if (opcode === 6 && topic === "OnJsonApiEvent") this.#subscribers.delete(ws);
+      } catch {
+        // Ignore malformed WAMP frames
+      }
+    });
+    ws.on("close", () => this.#subscribers.delete(ws));
+  }
+}
+
+module.exports = { MockLCUServer, ENDPOINTS, getDefaultLockfilePath };
+
+// ---------------------------------------------------------------------------
+// Run standalone:
+//   node src/main/dev/mock-lcu-server.js [scenario.json] [--speed=N] [--loop] [--port=N] [--lockfile=PATH]
+// then start the app with RIFT_LCU_LOCKFILE=<printed lockfile path>.
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const scenarioPath = args.find((a) => !a.startsWith("--"))
+    || path.join(__dirname, "scenarios/lcu-ranked-game.json");
+
+  const server = new MockLCUServer({
+    port: parseInt(flag("port") || "0", 10),
+    lockfilePath: flag("lockfile") || undefined,
+  });
+
+  server.start().then(async ({ port, lockfilePath }) => {
+    const scenario = JSON.parse(await fs.readFile(scenarioPath, "utf-8"));
+    console.log(`\n>>> Mock LCU listening on https://127.0.0.1:${port}`);
+    console.log(`>>> Lockfile: ${lockfilePath}`);
+    console.log(`>>> Start the app with: RIFT_LCU_LOCKFILE="${lockfilePath}" npm run dev\n`);
+
+    server.on("step", ({ index, step }) => {
+      console.log(`>>> Step ${index + 1}/${scenario.steps.length}${step.phase ? ` → ${step.phase}` : ""}`);
+    });
+
+    server.runScenario(scenario, {
+      speed: parseFloat(flag("speed") || "1"),
+      loop: args.includes("--loop"),
+    });
+  }).catch((err) => {
+    console.error("Mock LCU failed to start:", err.message);
+    process.exit(1);
+  });
+
+  process.on("SIGINT", async () => {
+    console.log("\nShutting down mock LCU...");
+    await server.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,229 @@
+const { EventEmitter } = require("events");
+const fs = require("fs/promises");
+const https = require("https");
+const path = require("path");
+const { getDevTlsOptions } = require("./tls");
+const { SyntheticGame } = require("./synthetic-game");
+const { logger } = require("../utils/logger");
+
+/** Same port as the real game client */
+const DEFAULT_PORT = 2999;
+
+/**
+ * Mock Live Client Data API — serves a SyntheticGame over self-signed HTTPS
+ * with the same paths as the game client:
+ *   /liveclientdata/allgamedata, /activeplayer, /playerlist, /eventdata, /gamestats
+ *
+ * The game clock starts when start() resolves and advances at `speed`
+ * game-seconds per real second. After the scenario's endTime every request
+ * is refused, like the real API once the game closes.
+ *
+ * Point the app at a non-default port with
+ *   RIFT_LIVE_CLIENT_URL=https://127.0.0.1:<port>/liveclientdata
+ *
+ * Events:
+ *   "request" — ({ endpoint, status, gameTime })
+ *   "ended"   — () the scenario reached its endTime
+ */
+class MockLiveClientServer extends EventEmitter {
+  /** @type {https.Server | null} */
+  #server = null;
+
+  /** @type {number} */
+  #port;
+
+  /** @type {SyntheticGame | null} */
+  #game = null;
+
+  /** @type {Object | null} */
+  #scenario = null;
+
+  /** @type {number} */
+  #speed = 1;
+
+  /** Wall-clock ms when the current scenario started */
+  #realStart = 0;
+
+  /** @type {boolean} */
+  #endedEmitted = false;
+
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.port=2999] — 0 picks a free port
+   */
+  constructor({ port = DEFAULT_PORT } = {}) {
+    super();
+    this.#port = port;
+  }
+
+  /** @returns {number} */
+  get port() {
+    return this.#port;
+  }
+
+  /** @returns {string} Base URL to give LiveClientAPI */
+  get baseUrl() {
+    return `https://127.0.0.1:${this.#port}/liveclientdata`;
+  }
+
+  /** @returns {number | null} Current game clock, or null with no scenario loaded */
+  get gameTime() {
+    return this.#game ? this.#tick().gameTime : null;
+  }
+
+  /**
+   * Start serving.
+   * @returns {Promise<{ port: number, baseUrl: string }>}
+   */
+  async start() {
+    this.#server = https.createServer(getDevTlsOptions(), (req, res) => this.#handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.#server.once("error", reject);
+      this.#server.listen(this.#port, "127.0.0.1", resolve);
+    });
+    this.#port = this.#server.address().port;
+
+    logger.info("Mock Live Client API started", { baseUrl: this.baseUrl });
+    return { port: this.#port, baseUrl: this.baseUrl };
+  }
+
+  /**
+   * Stop serving.
+   */
+  async stop() {
+    if (!this.#server) return;
+    this.#server.closeAllConnections();
+    await new Promise((resolve) => this.#server.close(resolve));
+    this.#server = null;
+    logger.info("Mock Live Client API stopped.");
+  }
+
+  /**
+   * Load a scenario and start its game clock now.
+   * @param {Object} scenario — See synthetic-game.js for the format
+   * @param {Object} [opts]
+   * @param {number} [opts.speed=1] — Game seconds per real second
+   */
+  loadScenario(scenario, { speed = 1 } = {}) {
+    this.#scenario = scenario;
+    this.#speed = speed > 0 ? speed : 1;
+    this.#game = new SyntheticGame(scenario);
+    this.#realStart = Date.now();
+    this.#endedEmitted = false;
+
+    logger.info("Mock Live Client: scenario loaded", {
+      name: scenario.name || "unnamed",
+      startTime: scenario.startTime || 0,
+      speed: this.#speed,
+    });
+  }
+
+  /**
+   * Drop the current game — every request fails until a scenario is loaded.
+   */
+  unloadScenario() {
+    this.#game = null;
+    this.#scenario = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Advance the game to the current clock.
+   * @returns {SyntheticGame}
+   */
+  #tick() {
+    const elapsed = ((Date.now() - this.#realStart) / 1000) * this.#speed;
+    this.#game.advanceTo((this.#scenario.startTime || 0) + elapsed);
+
+    if (this.#game.ended && !this.#endedEmitted) {
+      this.#endedEmitted = true;
+      logger.info("Mock Live Client: game ended.", { gameTime: Math.round(this.#game.gameTime) });
+      this.emit("ended");
+    }
+    return this.#game;
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  #handleRequest(req, res) {
+    const pathname = new URL(req.url, "https://127.0.0.1").pathname;
+    const endpoint = pathname.replace(/^\/liveclientdata/, "");
+
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+      this.emit("request", { endpoint, status, gameTime: this.#game ? this.#game.gameTime : null });
+    };
+
+    if (!this.#game) {
+      return reply(404, { errorCode: "RESOURCE_NOT_FOUND", httpStatus: 404, message: "No game in progress" });
+    }
+
+    const game = this.#tick();
+    if (game.ended) {
+      // The real API disappears with the game process — drop the socket
+      res.destroy();
+      return;
+    }
+
+    switch (endpoint) {
+      case "/allgamedata":
+        return reply(200, game.allGameData());
+      case "/activeplayer":
+        return reply(200, game.activePlayer());
+      case "/playerlist":
+        return reply(200, game.playerList());
+      case "/eventdata":
+        return reply(200, game.eventData());
+      case "/gamestats":
+        return reply(200, game.gameStats());
+      default:
+        return reply(404, { errorCode: "RESOURCE_NOT_FOUND", httpStatus: 404, message: `Unknown endpoint ${pathname}` });
+    }
+  }
+}
+
+module.exports = { MockLiveClientServer, DEFAULT_PORT };
+
+// ---------------------------------------------------------------------------
+// Run standalone:
+//   node src/main/dev/mock-live-client-server.js [scenario.json] [--port=2999] [--speed=N]
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const scenarioPath = args.find((a) => !a.startsWith("--"))
+    || path.join(__dirname, "scenarios/live-late-game.json");
+
+  const server = new MockLiveClientServer({ port: parseInt(flag("port") || String(DEFAULT_PORT), 10) });
+
+  server.start().then(async ({ port, baseUrl }) => {
+    const scenario = JSON.parse(await fs.readFile(scenarioPath, "utf-8"));
+    server.loadScenario(scenario, { speed: parseFloat(flag("speed") || "1") });
+
+    console.log(`\n>>> Mock Live Client API: ${baseUrl}`);
+    console.log(`>>> Scenario: ${scenario.name || scenarioPath}`);
+    if (port !== DEFAULT_PORT) {
+      console.log(`>>> Start the app with: RIFT_LIVE_CLIENT_URL="${baseUrl}" npm run dev`);
+    }
+    console.log("");
+  }).catch((err) => {
+    console.error("Mock Live Client failed to start:", err.message);
+    process.exit(1);
+  });
+
+  process.on("SIGINT", async () => {
+    console.log("\nShutting down mock Live Client API...");
+    await server.stop();
+    process.exit(0);
+  });
+}
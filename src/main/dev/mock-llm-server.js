@@ -0,0 +1,269 @@
+const { EventEmitter } = require("events");
+const http = require("http");
+const { logger } = require("../utils/logger");
+
+/** Default port — clear of Ollama (11434) and llama-server (8080) */
+const DEFAULT_PORT = 11435;
+
+/**
+ * @typedef {Object} MockReply
+ * @property {string} [content] — Assistant text
+ * @property {{ name: string, arguments: Object }[]} [toolCalls]
+ */
+
+/**
+ * Mock LLM server — a stub OpenAI-compatible Chat Completions API, so agents
+ * can run their full tool loop with no model at all:
+ *
+ *   LLM_PROVIDER=openai LLM_BASE_URL=http://127.0.0.1:11435/v1 LLM_MODEL=mock npm run dev
+ *
+ * Default behavior per request:
+ *   - Tools offered and no tool results yet → call one tool (the first, or
+ *     `tool`), with arguments synthesized from its JSON schema.
+ *   - Otherwise → a short text reply.
+ * Pass `reply` to script responses instead. Streams when asked ("stream": true).
+ *
+ * Events:
+ *   "request" — ({ messages, tools, stream }) every chat completion request
+ */
+class MockLLMServer extends EventEmitter {
+  /** @type {http.Server | null} */
+  #server = null;
+
+  /** @type {number} */
+  #port;
+
+  /** @type {string | null} Tool to call by default (null = the first one offered) */
+  #tool;
+
+  /** @type {((request: Object) => MockReply) | null} */
+  #reply;
+
+  /** Delay between streamed chunks (ms) */
+  #chunkDelayMs;
+
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.port=11435] — 0 picks a free port
+   * @param {string} [opts.tool] — Tool to call by default
+   * @param {(request: Object) => MockReply} [opts.reply] — Scripted replies
+   * @param {number} [opts.chunkDelayMs=10]
+   */
+  constructor({ port = DEFAULT_PORT, tool = null, reply = null, chunkDelayMs = 10 } = {}) {
+    super();
+    this.#port = port;
+    this.#tool = tool;
+    this.#reply = reply;
+    this.#chunkDelayMs = chunkDelayMs;
+  }
+
+  /** @returns {number} */
+  get port() {
+    return this.#port;
+  }
+
+  /** @returns {string} Base URL to give LLM_BASE_URL */
+  get baseUrl() {
+    return `http://127.0.0.1:${this.#port}/v1`;
+  }
+
+  /**
+   * Start serving.
+   * @returns {Promise<{ port: number, baseUrl: string }>}
+   */
+  async start() {
+    this.#server = http.createServer((req, res) => this.#handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.#server.once("error", reject);
+      this.#server.listen(this.#port, "127.0.0.1", resolve);
+    });
+    this.#port = this.#server.address().port;
+
+    logger.info("Mock LLM server started", { baseUrl: this.baseUrl });
+    return { port: this.#port, baseUrl: this.baseUrl };
+  }
+
+  /**
+   * Stop serving.
+   */
+  async stop() {
+    if (!this.#server) return;
+    this.#server.closeAllConnections();
+    await new Promise((resolve) => this.#server.close(resolve));
+    this.#server = null;
+    logger.info("Mock LLM server stopped.");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  #handleRequest(req, res) {
+    const pathname = new URL(req.url, "http://127.0.0.1").pathname;
+    const json = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "GET" && pathname === "/v1/models") {
+      return json(200, { object: "list", data: [{ id: "mock", object: "model", owned_by: "rift-architect" }] });
+    }
+    if (req.method !== "POST" || pathname !== "/v1/chat/completions") {
+      return json(404, { error: { message: `Unknown endpoint ${req.method} ${pathname}` } });
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      let request;
+      try {
+        request = JSON.parse(raw);
+      } catch {
+        return json(400, { error: { message: "Body is not JSON" } });
+      }
+
+      this.emit("request", { messages: request.messages, tools: request.tools || [], stream: !!request.stream });
+      const reply = this.#reply ? this.#reply(request) : this.#defaultReply(request);
+
+      const toolCalls = (reply.toolCalls || []).map((call, i) => ({
+        id: `call_mock_${Date.now()}_${i}`,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+      }));
+      const usage = { prompt_tokens: raw.length >> 2, completion_tokens: 20, total_tokens: (raw.length >> 2) + 20 };
+      const finishReason = toolCalls.length > 0 ? "tool_calls" : "stop";
+
+      if (request.stream) {
+        this.#stream(res, reply.content || "", toolCalls, finishReason, usage);
+        return;
+      }
+      json(200, {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: "chat.completion",
+        model: request.model,
+        choices: [{
+          index: 0,
+          message: { role: "assistant", content: reply.content || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+          finish_reason: finishReason,
+        }],
+        usage,
+      });
+    });
+  }
+
+  /**
+   * @param {Object} request
+   * @returns {MockReply}
+   */
+  #defaultReply(request) {
+    const tools = request.tools || [];
+    const hasToolResults = request.messages.some((m) => m.role === "tool");
+
+    if (tools.length > 0 && !hasToolResults) {
+      const tool = tools.find((t) => t.function.name === this.#tool) || tools[0];
+      return {
+        content: "Mock analysis.",
+        toolCalls: [{ name: tool.function.name, arguments: synthesize(tool.function.parameters, tool.function.name) }],
+      };
+    }
+    return { content: "Mock response — no model behind this server." };
+  }
+
+  /**
+   * Write a reply as Chat Completions SSE chunks.
+   */
+  async #stream(res, content, toolCalls, finishReason, usage) {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    const id = `chatcmpl-mock-${Date.now()}`;
+    const send = async (delta, extra = {}) => {
+      res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", choices: [{ index: 0, delta, finish_reason: null }], ...extra })}\n\n`);
+      await new Promise((resolve) => setTimeout(resolve, this.#chunkDelayMs));
+    };
+
+    for (const word of content.match(/\S+\s*/g) || []) await send({ content: word });
+
+    for (const [index, call] of toolCalls.entries()) {
+      await send({ tool_calls: [{ index, id: call.id, type: "function", function: { name: call.function.name, arguments: "" } }] });
+      const args = call.function.arguments;
+      for (let i = 0; i < args.length; i += 12) {
+        await send({ tool_calls: [{ index, function: { arguments: args.slice(i, i + 12) } }] });
+      }
+    }
+
+    res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", choices: [{ index: 0, delta: {}, finish_reason: finishReason }] })}\n\n`);
+    res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", choices: [], usage })}\n\n`);
+    res.end("data: [DONE]\n\n");
+  }
+}
+
+/**
+ * Build a value that satisfies a JSON schema well enough for a tool handler.
+ * @param {Object} schema
+ * @param {string} name — Property (or tool) name, used in placeholder strings
+ * @returns {*}
+ */
+function synthesize(schema = {}, name = "value") {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case "object": {
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        out[key] = synthesize(prop, key);
+      }
+      return out;
+    }
+    case "array":
+      return [synthesize(schema.items, name)];
+    case "number":
+      return schema.minimum ?? (schema.maximum !== undefined ? schema.maximum / 2 : 0.5);
+    case "integer":
+      return schema.minimum ?? 1;
+    case "boolean":
+      return true;
+    default:
+      return `mock ${name}`;
+  }
+}
+
+module.exports = { MockLLMServer, DEFAULT_PORT };
+
+// ---------------------------------------------------------------------------
+// Run standalone:
+//   node src/main/dev/mock-llm-server.js [--port=11435] [--tool=name]
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+
+  const server = new MockLLMServer({
+    port: parseInt(flag("port") || String(DEFAULT_PORT), 10),
+    tool: flag("tool"),
+  });
+
+  server.start().then(({ baseUrl }) => {
+    console.log(`\n>>> Mock LLM server: ${baseUrl}`);
+    console.log(`>>> Start the app with: LLM_PROVIDER=openai LLM_BASE_URL="${baseUrl}" LLM_MODEL=mock npm run dev\n`);
+  }).catch((err) => {
+    console.error("Mock LLM server failed to start:", err.message);
+    process.exit(1);
+  });
+
+  server.on("request", ({ messages, tools, stream }) => {
+    console.log(`[mock-llm] ${messages.length} messages, ${tools.length} tools${stream ? ", streamed" : ""}`);
+  });
+
+  process.on("SIGINT", async () => {
+    console.log("\nShutting down mock LLM server...");
+    await server.stop();
+    process.exit(0);
+  });
+}
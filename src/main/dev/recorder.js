@@ -0,0 +1,153 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../utils/logger");
+
+/** Recording file format version — bump when the entry shape changes */
+const RECORDING_VERSION = 1;
+
+/**
+ * LCU WebSocket event URIs worth recording. The client pushes hundreds of
+ * unrelated events per minute (chat, store, patcher) — only the ones that
+ * drive the orchestrator and agents are kept.
+ */
+const RECORDED_EVENT_PREFIXES = [
+  "/lol-gameflow/",
+  "/lol-champ-select/",
+  "/lol-end-of-game/",
+  "/lol-lobby/",
+];
+
+/**
+ * Get the directory recordings are written to.
+ * In Electron, uses the userData directory; standalone, the project root.
+ * @returns {string}
+ */
+function getRecordingsDir() {
+  try {
+    const { app } = require("electron");
+    return path.join(app.getPath("userData"), "recordings");
+  } catch {
+    return path.join(__dirname, "../../../recordings");
+  }
+}
+
+/**
+ * Session Recorder — captures everything the LCU Connector and Live Client
+ * API produce during a real session into a timestamped NDJSON file, so it
+ * can be fed back into the Orchestrator later by the replay harness.
+ *
+ * File format (one JSON object per line):
+ *   { type: "header", version, started_at }
+ *   { t, source: "lcu",  type: "connected" | "disconnected" }
+ *   { t, source: "lcu",  type: "event",    event: { uri, data, eventType } }
+ *   { t, source: "lcu",  type: "response", method, endpoint, data }
+ *   { t, source: "live", type: "response", endpoint, data }
+ *
+ * `t` is milliseconds since the recording started.
+ */
+class SessionRecorder {
+  /** @type {fs.WriteStream | null} */
+  #stream = null;
+
+  /** @type {string | null} */
+  #filePath = null;
+
+  /** @type {number} */
+  #startedAt = 0;
+
+  /** @type {Array<{ emitter: import('events').EventEmitter, event: string, handler: Function }>} */
+  #listeners = [];
+
+  /** @returns {string | null} Path of the file being written */
+  get filePath() {
+    return this.#filePath;
+  }
+
+  /**
+   * Start recording. Creates the output file and attaches to both sources.
+   *
+   * @param {Object} sources
+   * @param {import('../lcu-connector').LCUConnector} sources.lcuConnector
+   * @param {import('../integrations/riot/live-client').LiveClientAPI} sources.liveClient
+   * @param {string} [outputDir] — Defaults to <userData>/recordings
+   * @returns {string} The recording file path
+   */
+  start({ lcuConnector, liveClient }, outputDir = getRecordingsDir()) {
+    if (this.#stream) return this.#filePath;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    this.#filePath = path.join(outputDir, `session-${stamp}.ndjson`);
+    this.#stream = fs.createWriteStream(this.#filePath, { flags: "a" });
+    this.#startedAt = Date.now();
+
+    this.#writeLine({
+      type: "header",
+      version: RECORDING_VERSION,
+      started_at: new Date(this.#startedAt).toISOString(),
+    });
+
+    // --- LCU ---
+    this.#listen(lcuConnector, "connected", () => {
+      this.#write({ source: "lcu", type: "connected" });
+    });
+    this.#listen(lcuConnector, "disconnected", () => {
+      this.#write({ source: "lcu", type: "disconnected" });
+    });
+    this.#listen(lcuConnector, "lcu-event", (event) => {
+      if (!RECORDED_EVENT_PREFIXES.some((prefix) => event.uri?.startsWith(prefix))) return;
+      this.#write({ source: "lcu", type: "event", event });
+    });
+    this.#listen(lcuConnector, "response", ({ method, endpoint, data }) => {
+      this.#write({ source: "lcu", type: "response", method, endpoint, data });
+    });
+
+    // --- Live Client ---
+    this.#listen(liveClient, "response", ({ endpoint, data }) => {
+      this.#write({ source: "live", type: "response", endpoint, data });
+    });
+
+    logger.info("Session recorder started.", { file: this.#filePath });
+    return this.#filePath;
+  }
+
+  /**
+   * Stop recording and flush the file.
+   */
+  stop() {
+    if (!this.#stream) return;
+
+    for (const { emitter, event, handler } of this.#listeners) {
+      emitter.removeListener(event, handler);
+    }
+    this.#listeners = [];
+
+    this.#stream.end();
+    this.#stream = null;
+    logger.info("Session recorder stopped.", { file: this.#filePath });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  #listen(emitter, event, handler) {
+    emitter.on(event, handler);
+    this.#listeners.push({ emitter, event, handler });
+  }
+
+  #write(entry) {
+    this.#writeLine({ t: Date.now() - this.#startedAt, ...entry });
+  }
+
+  #writeLine(obj) {
+    if (!this.#stream) return;
+    try {
+      this.#stream.write(JSON.stringify(obj) + "\n");
+    } catch (err) {
+      logger.warn("Session recorder write failed", { error: err.message });
+    }
+  }
+}
+
+module.exports = { SessionRecorder, RECORDING_VERSION, getRecordingsDir };
@@ -0,0 +1,370 @@
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { LCUConnector } = require("../lcu-connector");
+const { LiveClientAPI } = require("../integrations/riot/live-client");
+const { RECORDING_VERSION } = require("./recorder");
+const { logger } = require("../utils/logger");
+
+/**
+ * A Live Client response older than this (recording time) means the game
+ * was no longer reachable — mirrors the real API going away after a game.
+ */
+const LIVE_STALE_MS = 30000;
+
+/**
+ * Load and validate a recording produced by SessionRecorder.
+ * @param {string} filePath
+ * @returns {Object[]} Entries (header excluded), ordered by `t`
+ */
+function loadRecording(filePath) {
+  const lines = fs.readFileSync(filePath, "utf-8").split("\n").filter((l) => l.trim());
+  if (lines.length === 0) throw new Error(`Recording is empty: ${filePath}`);
+
+  const header = JSON.parse(lines[0]);
+  if (header.type !== "header") {
+    throw new Error(`Not a Rift Architect recording: ${filePath}`);
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version} (expected ${RECORDING_VERSION})`);
+  }
+
+  const entries = [];
+  for (const line of lines.slice(1)) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A crash mid-write can leave a truncated last line — skip it
+    }
+  }
+
+  return entries.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Replay Timeline — drives a recording forward on a (possibly accelerated)
+ * clock shared by the replay LCU and Live Client sources.
+ *
+ * Connection and WebSocket entries are dispatched at their recorded time.
+ * REST responses are passive: sources look up the most recent response for
+ * an endpoint at the current replay time.
+ *
+ * Events:
+ *   "entry"    — (entry) a scheduled entry reached its time
+ *   "finished" — () every scheduled entry has been dispatched
+ */
+class ReplayTimeline extends EventEmitter {
+  /** @type {Object[]} Entries dispatched by time (connection + WebSocket events) */
+  #scheduled;
+
+  /** @type {Map<string, Object[]>} "source endpoint" → responses ordered by t */
+  #responses = new Map();
+
+  /** Playback speed multiplier (1 = real time) */
+  #speed;
+
+  /** Recording time the replay starts at (skips the idle lead-in) */
+  #originT = 0;
+
+  /** Wall-clock ms when playback started */
+  #realStart = 0;
+
+  /** Index of the next scheduled entry */
+  #cursor = 0;
+
+  /** @type {NodeJS.Timeout | null} */
+  #timer = null;
+
+  /** @type {boolean} */
+  #running = false;
+
+  /**
+   * @param {Object[]} entries — From loadRecording()
+   * @param {Object} [opts]
+   * @param {number} [opts.speed=1]
+   */
+  constructor(entries, { speed = 1 } = {}) {
+    super();
+    this.#speed = speed > 0 ? speed : 1;
+    this.#scheduled = entries.filter((e) => e.type !== "response");
+
+    for (const entry of entries) {
+      if (entry.type !== "response") continue;
+      const key = `${entry.source} ${entry.endpoint}`;
+      if (!this.#responses.has(key)) this.#responses.set(key, []);
+      this.#responses.get(key).push(entry);
+    }
+
+    this.#originT = entries.length > 0 ? entries[0].t : 0;
+  }
+
+  /** @returns {number} */
+  get speed() {
+    return this.#speed;
+  }
+
+  /** @returns {number} Current position in recording time (ms) */
+  now() {
+    if (!this.#running) return this.#originT;
+    return this.#originT + (Date.now() - this.#realStart) * this.#speed;
+  }
+
+  /**
+   * Start playback. Safe to call more than once.
+   */
+  start() {
+    if (this.#running) return;
+    this.#running = true;
+    this.#realStart = Date.now();
+    this.#cursor = 0;
+    logger.info("Replay started", { entries: this.#scheduled.length, speed: this.#speed });
+    this.#scheduleNext();
+  }
+
+  /**
+   * Stop playback.
+   */
+  stop() {
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+    this.#running = false;
+  }
+
+  /**
+   * Find the recorded response for an endpoint at the current replay time.
+   *
+   * @param {"lcu"|"live"} source
+   * @param {string} endpoint
+   * @param {Object} [opts]
+   * @param {boolean} [opts.allowEarly=false] — If nothing was recorded yet,
+   *   serve the first response instead (covers the few ms between an event
+   *   and the REST call it triggered during recording)
+   * @param {number} [opts.maxAgeMs=Infinity] — Treat older responses as gone
+   * @returns {{ found: boolean, data?: any }}
+   */
+  lookup(source, endpoint, { allowEarly = false, maxAgeMs = Infinity } = {}) {
+    const list = this.#responses.get(`${source} ${endpoint}`);
+    if (!list || list.length === 0) return { found: false };
+
+    const now = this.now();
+    let latest = null;
+    for (const entry of list) {
+      if (entry.t > now) break;
+      latest = entry;
+    }
+
+    if (!latest) {
+      return allowEarly ? { found: true, data: list[0].data } : { found: false };
+    }
+    if (now - latest.t > maxAgeMs) return { found: false };
+    return { found: true, data: latest.data };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  #scheduleNext() {
+    if (!this.#running) return;
+
+    if (this.#cursor >= this.#scheduled.length) {
+      logger.info("Replay finished — all recorded events dispatched.");
+      this.emit("finished");
+      return;
+    }
+
+    const entry = this.#scheduled[this.#cursor];
+    const delayMs = Math.max(0, (entry.t - this.now()) / this.#speed);
+
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#cursor++;
+      try {
+        this.emit("entry", entry);
+      } catch (err) {
+        logger.error("Replay entry handler failed", { error: err.message });
+      }
+      this.#scheduleNext();
+    }, delayMs);
+  }
+}
+
+/**
+ * Drop-in LCUConnector that serves a recording instead of a real client.
+ * Emits the same events and answers the same REST calls.
+ */
+class ReplayLCUConnector extends LCUConnector {
+  /** @type {ReplayTimeline} */
+  #timeline;
+
+  /** @type {boolean} */
+  #connected = false;
+
+  /** @type {Function | null} */
+  #onEntry = null;
+
+  /**
+   * @param {ReplayTimeline} timeline
+   */
+  constructor(timeline) {
+    super();
+    this.#timeline = timeline;
+  }
+
+  start() {
+    logger.info("Replay LCU Connector starting.");
+    this.#onEntry = (entry) => this.#handleEntry(entry);
+    this.#timeline.on("entry", this.#onEntry);
+    this.#timeline.start();
+  }
+
+  shutdown() {
+    if (this.#onEntry) {
+      this.#timeline.removeListener("entry", this.#onEntry);
+      this.#onEntry = null;
+    }
+    this.#timeline.stop();
+    this.#connected = false;
+    logger.info("Replay LCU Connector shut down.");
+  }
+
+  getCredentials() {
+    if (!this.#connected) return null;
+    return { processId: 0, port: 0, password: "replay", protocol: "https" };
+  }
+
+  getSession() {
+    if (!this.#connected) return null;
+    return {
+      ...this.getCredentials(),
+      authHeader: "",
+      baseUrl: "replay://lcu",
+      ready: true,
+    };
+  }
+
+  isConnected() {
+    return this.#connected;
+  }
+
+  request(method, endpoint) {
+    if (!this.#connected) {
+      return Promise.reject(new Error("Not connected to League client"));
+    }
+
+    const { found, data } = this.#timeline.lookup("lcu", endpoint, { allowEarly: true });
+    if (!found) {
+      return Promise.reject(new Error(`LCU 404: no recorded response for ${method} ${endpoint}`));
+    }
+    this.emit("response", { method, endpoint, data });
+    return Promise.resolve(data);
+  }
+
+  #handleEntry(entry) {
+    if (entry.source !== "lcu") return;
+
+    switch (entry.type) {
+      case "connected":
+        this.#connected = true;
+        this.emit("connected", this.getSession());
+        break;
+
+      case "disconnected":
+        this.#connected = false;
+        this.emit("disconnected");
+        break;
+
+      case "event":
+        this.emit("lcu-event", entry.event);
+        if (entry.event.uri === "/lol-gameflow/v1/gameflow-phase") {
+          logger.info("Game phase changed (replay)", { phase: entry.event.data });
+          this.emit("phase-changed", entry.event.data);
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Drop-in LiveClientAPI that serves recorded Live Client responses.
+ * Polling intervals are divided by the replay speed.
+ */
+class ReplayLiveClient extends LiveClientAPI {
+  /** @type {ReplayTimeline} */
+  #timeline;
+
+  /**
+   * @param {ReplayTimeline} timeline
+   */
+  constructor(timeline) {
+    super();
+    this.#timeline = timeline;
+  }
+
+  async getAllGameData() {
+    return this.#serve("/allgamedata");
+  }
+
+  async getActivePlayer() {
+    return this.#serve("/activeplayer");
+  }
+
+  async getPlayerList() {
+    return this.#serve("/playerlist");
+  }
+
+  async getEventData() {
+    return this.#serve("/eventdata");
+  }
+
+  async getGameStats() {
+    return this.#serve("/gamestats");
+  }
+
+  startPolling(snapshotMs = 15000, eventMs = 5000) {
+    const speed = this.#timeline.speed;
+    super.startPolling(Math.max(250, snapshotMs / speed), Math.max(250, eventMs / speed));
+  }
+
+  #serve(endpoint) {
+    const { found, data } = this.#timeline.lookup("live", endpoint, { maxAgeMs: LIVE_STALE_MS });
+    if (!found) throw new Error("Live Client API timeout");
+    this.emit("response", { endpoint, data });
+    return data;
+  }
+}
+
+/**
+ * Build replay LCU + Live Client sources sharing one timeline.
+ *
+ * @param {string} filePath — Recording produced by SessionRecorder
+ * @param {Object} [opts]
+ * @param {number} [opts.speed=1] — Playback speed (e.g. 4 = four times faster)
+ * @returns {{ timeline: ReplayTimeline, lcuConnector: ReplayLCUConnector, liveClient: ReplayLiveClient }}
+ */
+function createReplaySources(filePath, { speed = 1 } = {}) {
+  const entries = loadRecording(filePath);
+  const timeline = new ReplayTimeline(entries, { speed });
+
+  logger.info("Recording loaded for replay", {
+    file: filePath,
+    entries: entries.length,
+    durationSec: entries.length > 0 ? Math.round((entries[entries.length - 1].t - entries[0].t) / 1000) : 0,
+    speed: timeline.speed,
+  });
+
+  return {
+    timeline,
+    lcuConnector: new ReplayLCUConnector(timeline),
+    liveClient: new ReplayLiveClient(timeline),
+  };
+}
+
+module.exports = {
+  loadRecording,
+  createReplaySources,
+  ReplayTimeline,
+  ReplayLCUConnector,
+  ReplayLiveClient,
+};
@@ -0,0 +1,64 @@
+const { spawn } = require("child_process");
+const path = require("path");
+
+/**
+ * Run a dev script under Electron's Node (ELECTRON_RUN_AS_NODE=1).
+ *
+ * Native modules — better-sqlite3 — are rebuilt for Electron's ABI at install
+ * (npx electron-rebuild), so a plain `node` can't load them. Scripts that open
+ * the database, like the eval runner, go through here to run on the same
+ * runtime as the app:
+ *
+ *   node src/main/dev/run-as-node.js src/main/dev/eval/runner.js --agent=tilt-guard
+ *
+ * When the Electron binary isn't installed (e.g. a CI box that skipped its
+ * download), the script runs under this Node instead — native modules must
+ * then be built for Node (npm rebuild better-sqlite3).
+ */
+
+/**
+ * @returns {string | null} Path of the Electron binary, or null when it isn't installed
+ */
+function getElectronBinary() {
+  try {
+    // Under plain Node the electron package exports the binary's path
+    return require("electron");
+  } catch (err) {
+    console.warn(`Electron binary unavailable (${err.message}) — running under Node ${process.version}`);
+    return null;
+  }
+}
+
+/**
+ * @param {string} script
+ * @param {string[]} args
+ * @returns {import('child_process').ChildProcess}
+ */
+function runAsNode(script, args) {
+  const electron = getElectronBinary();
+  return spawn(electron || process.execPath, [path.resolve(script), ...args], {
+    stdio: "inherit",
+    env: electron ? { ...process.env, ELECTRON_RUN_AS_NODE: "1" } : process.env,
+  });
+}
+
+module.exports = { runAsNode };
+
+// ---------------------------------------------------------------------------
+// Run standalone:
+//   node src/main/dev/run-as-node.js <script> [args...]
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const [script, ...args] = process.argv.slice(2);
+  if (!script) {
+    console.error("Usage: node src/main/dev/run-as-node.js <script> [args...]");
+    process.exit(1);
+  }
+
+  const child = runAsNode(script, args);
+  child.on("error", (err) => {
+    console.error("Could not start the script:", err.message);
+    process.exit(1);
+  });
+  child.on("exit", (code, signal) => process.exit(signal ? 1 : code));
+}
@@ -0,0 +1,414 @@
+/**
+ * Synthetic Game — a plausible, evolving League game for the mock Live
+ * Client Data API server.
+ *
+ * The game clock runs from the scenario's `startTime` (scaled by `speed`).
+ * CS and levels grow with the clock per role; scripted timeline entries add
+ * kills, objectives, structures and item purchases as real GameEvents.
+ * Every response is derived from the state at the current clock, so the
+ * same scenario always produces the same game.
+ *
+ * Scenario format (JSON):
+ *   {
+ *     name, startTime (s), endTime? (s — API goes away after this),
+ *     activePlayer: "<championName>",          — Defaults to the first ORDER player
+ *     players?: PlayerSpec[],                  — Defaults to DEFAULT_ROSTER
+ *     goldLead?: number,                       — Initial ally gold lead (omit for natural)
+ *     timeline: [
+ *       { at, kill:   { killer, victim, assisters?, respawn? } },
+ *       { at, dragon: { killer, type? } },
+ *       { at, baron:  { killer, stolen? } },
+ *       { at, herald: { killer } },
+ *       { at, turret: { killer, name } },      — e.g. "Turret_T2_L_03_A"
+ *       { at, inhib:  { killer, name } },      — e.g. "Barracks_T2_L1"
+ *       { at, inhibRespawn: { name } },
+ *       { at, buy:    { champion, itemId } },
+ *       { at, goldLead: number },
+ *     ]
+ *   }
+ *
+ * Players are referenced by championName. Gold leads are expressed the way
+ * TriggerDetector estimates them (CS ×20 + kills ×300 + assists ×150) — the
+ * Live Client API exposes no team gold — and are hit by shifting CS.
+ */
+
+/** CS per minute by position, from minion spawn (1:05) onward */
+const CS_PER_MINUTE = Object.freeze({
+  TOP: 7,
+  JUNGLE: 6,
+  MIDDLE: 7.5,
+  BOTTOM: 8,
+  UTILITY: 1.2,
+});
+
+const MINION_SPAWN_TIME = 65;
+
+/** Default respawn timer when a kill entry doesn't specify one */
+const DEFAULT_RESPAWN = 30;
+
+/** Display names for item IDs used by the bundled scenarios */
+const ITEM_NAMES = Object.freeze({
+  1055: "Doran's Blade",
+  1056: "Doran's Ring",
+  1054: "Doran's Shield",
+  3006: "Berserker's Greaves",
+  3020: "Sorcerer's Shoes",
+  3047: "Plated Steelcaps",
+  3111: "Mercury's Treads",
+  3158: "Ionian Boots of Lucidity",
+  3031: "Infinity Edge",
+  3071: "Black Cleaver",
+  3068: "Sunfire Aegis",
+  3089: "Rabadon's Deathcap",
+  6655: "Luden's Companion",
+  6672: "Kraken Slayer",
+  3364: "Oracle Lens",
+  3340: "Stealth Ward",
+});
+
+/**
+ * @typedef {Object} PlayerSpec
+ * @property {string} championName
+ * @property {"ORDER"|"CHAOS"} team
+ * @property {"TOP"|"JUNGLE"|"MIDDLE"|"BOTTOM"|"UTILITY"} position
+ * @property {string} [riotId]          — "Name#TAG"; generated when omitted
+ * @property {string[]} [spells]        — Summoner spell display names
+ * @property {number[]} [items]         — Item IDs owned at startTime
+ * @property {string} [keystone]
+ * @property {string} [primaryTree]
+ * @property {string} [secondaryTree]   — "Inspiration" grants Cosmic Insight
+ */
+
+/** @type {PlayerSpec[]} */
+const DEFAULT_ROSTER = [
+  { championName: "Garen", team: "ORDER", position: "TOP", spells: ["Flash", "Ignite"], items: [3047, 3071], keystone: "Conqueror", primaryTree: "Precision", secondaryTree: "Resolve" },
+  { championName: "Lee Sin", team: "ORDER", position: "JUNGLE", spells: ["Flash", "Smite"], items: [3047, 3071], keystone: "Conqueror", primaryTree: "Precision", secondaryTree: "Domination" },
+  { championName: "Ahri", team: "ORDER", position: "MIDDLE", spells: ["Flash", "Ignite"], items: [3020, 6655], keystone: "Electrocute", primaryTree: "Domination", secondaryTree: "Sorcery" },
+  { championName: "Jinx", team: "ORDER", position: "BOTTOM", spells: ["Flash", "Heal"], items: [3006, 6672], keystone: "Lethal Tempo", primaryTree: "Precision", secondaryTree: "Sorcery" },
+  { championName: "Thresh", team: "ORDER", position: "UTILITY", spells: ["Flash", "Ignite"], items: [3111, 3364], keystone: "Glacial Augment", primaryTree: "Inspiration", secondaryTree: "Resolve" },
+  { championName: "Darius", team: "CHAOS", position: "TOP", spells: ["Flash", "Teleport"], items: [3047, 3071], keystone: "Conqueror", primaryTree: "Precision", secondaryTree: "Resolve" },
+  { championName: "Vi", team: "CHAOS", position: "JUNGLE", spells: ["Flash", "Smite"], items: [3111, 3071], keystone: "Lethal Tempo", primaryTree: "Precision", secondaryTree: "Inspiration" },
+  { championName: "Zed", team: "CHAOS", position: "MIDDLE", spells: ["Flash", "Ignite"], items: [3006], keystone: "Electrocute", primaryTree: "Domination", secondaryTree: "Precision" },
+  { championName: "Kai'Sa", team: "CHAOS", position: "BOTTOM", spells: ["Flash", "Heal"], items: [3006, 6672], keystone: "Hail of Blades", primaryTree: "Domination", secondaryTree: "Inspiration" },
+  { championName: "Leona", team: "CHAOS", position: "UTILITY", spells: ["Flash", "Exhaust"], items: [3047, 3364], keystone: "Aftershock", primaryTree: "Resolve", secondaryTree: "Inspiration" },
+];
+
+/**
+ * Deterministic game state driven by a scenario.
+ */
+class SyntheticGame {
+  /** @type {Object} */
+  #scenario;
+
+  /** @type {Object[]} Per-player mutable state, in roster order */
+  #players;
+
+  /** @type {Object} Active player's roster entry */
+  #active;
+
+  /** @type {Object[]} Timeline entries, ordered by `at` */
+  #timeline;
+
+  /** Index of the next timeline entry to apply */
+  #cursor = 0;
+
+  /** @type {Object[]} GameEvents emitted so far */
+  #events = [];
+
+  /** @type {number | null} Current ally gold lead target (null = whatever CS/kills give) */
+  #goldLead;
+
+  /** @type {number} Last clock value the state was advanced to */
+  #gameTime;
+
+  /**
+   * @param {Object} scenario — See the module doc for the format
+   */
+  constructor(scenario) {
+    this.#scenario = scenario;
+    this.#gameTime = scenario.startTime || 0;
+    this.#goldLead = scenario.goldLead ?? null;
+    this.#timeline = [...(scenario.timeline || [])].sort((a, b) => a.at - b.at);
+
+    this.#players = (scenario.players || DEFAULT_ROSTER).map((spec, i) => ({
+      spec,
+      riotId: spec.riotId || `${spec.team === "ORDER" ? "Ally" : "Enemy"}${(i % 5) + 1}#SIM`,
+      items: [...(spec.items || [])],
+      kills: 0,
+      deaths: 0,
+      assists: 0,
+      diedAt: -Infinity,
+      respawnAt: -Infinity,
+    }));
+
+    this.#active = (scenario.activePlayer && this.#find(scenario.activePlayer))
+      || this.#players.find((p) => p.spec.team === "ORDER");
+    if (!this.#active) throw new Error("Scenario has no ORDER players");
+
+    this.#pushEvent("GameStart", 0, {});
+    this.advanceTo(this.#gameTime);
+  }
+
+  /** @returns {number} */
+  get gameTime() {
+    return this.#gameTime;
+  }
+
+  /** @returns {boolean} True once the clock passes the scenario's endTime */
+  get ended() {
+    return this.#scenario.endTime !== undefined && this.#gameTime >= this.#scenario.endTime;
+  }
+
+  /**
+   * Move the game clock forward, applying every timeline entry that is due.
+   * @param {number} gameTime — Seconds
+   */
+  advanceTo(gameTime) {
+    if (gameTime < this.#gameTime) return;
+    this.#gameTime = gameTime;
+
+    if (gameTime >= MINION_SPAWN_TIME && !this.#events.some((e) => e.EventName === "MinionsSpawning")) {
+      this.#pushEvent("MinionsSpawning", MINION_SPAWN_TIME, {});
+    }
+
+    while (this.#cursor < this.#timeline.length && this.#timeline[this.#cursor].at <= gameTime) {
+      this.#apply(this.#timeline[this.#cursor]);
+      this.#cursor++;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Live Client Data API payloads
+  // ---------------------------------------------------------------------------
+
+  /** @returns {Object} /allgamedata */
+  allGameData() {
+    return {
+      activePlayer: this.activePlayer(),
+      allPlayers: this.playerList(),
+      events: this.eventData(),
+      gameData: this.gameStats(),
+    };
+  }
+
+  /** @returns {Object} /activeplayer */
+  activePlayer() {
+    const p = this.#active;
+    const level = this.#level(p);
+    const [gameName, tagLine] = p.riotId.split("#");
+
+    return {
+      abilities: {},
+      championName: p.spec.championName,
+      championStats: {
+        abilityPower: p.spec.position === "MIDDLE" ? 40 + level * 25 : 0,
+        armor: 30 + level * 4.5,
+        attackDamage: 60 + level * 5 + p.items.length * 12,
+        attackSpeed: 0.65 + level * 0.025,
+        currentHealth: this.#isDead(p) ? 0 : 600 + level * 95,
+        maxHealth: 600 + level * 95,
+        magicResist: 30 + level * 1.5,
+        moveSpeed: 345,
+      },
+      currentGold: Math.round(250 + ((this.#gameTime * 7) % 2800)),
+      level,
+      riotId: p.riotId,
+      riotIdGameName: gameName,
+      riotIdTagLine: tagLine,
+      summonerName: p.riotId,
+    };
+  }
+
+  /** @returns {Object[]} /playerlist */
+  playerList() {
+    const extraCs = this.#goldLeadCsAdjustment();
+
+    return this.#players.map((p) => {
+      const [gameName, tagLine] = p.riotId.split("#");
+      const [spellOne, spellTwo] = p.spec.spells || ["Flash", "Ignite"];
+      const dead = this.#isDead(p);
+
+      return {
+        championName: p.spec.championName,
+        isBot: false,
+        isDead: dead,
+        items: p.items.map((itemID, slot) => ({
+          itemID,
+          displayName: ITEM_NAMES[itemID] || `Item ${itemID}`,
+          slot,
+          count: 1,
+        })),
+        level: this.#level(p),
+        position: p.spec.position,
+        rawChampionName: `game_character_displayname_${p.spec.championName.replace(/[^A-Za-z]/g, "")}`,
+        respawnTimer: dead ? Math.round((p.respawnAt - this.#gameTime) * 10) / 10 : 0,
+        riotId: p.riotId,
+        riotIdGameName: gameName,
+        riotIdTagLine: tagLine,
+        runes: {
+          keystone: { displayName: p.spec.keystone || "Conqueror" },
+          primaryRuneTree: { displayName: p.spec.primaryTree || "Precision" },
+          secondaryRuneTree: { displayName: p.spec.secondaryTree || "Resolve" },
+        },
+        scores: {
+          assists: p.assists,
+          creepScore: this.#creepScore(p) + (extraCs[p.spec.team] || 0),
+          deaths: p.deaths,
+          kills: p.kills,
+          wardScore: Math.round(this.#gameTime / (p.spec.position === "UTILITY" ? 25 : 80)),
+        },
+        skinID: 0,
+        summonerName: p.riotId,
+        summonerSpells: {
+          summonerSpellOne: { displayName: spellOne },
+          summonerSpellTwo: { displayName: spellTwo },
+        },
+        team: p.spec.team,
+      };
+    });
+  }
+
+  /** @returns {{ Events: Object[] }} /eventdata */
+  eventData() {
+    return { Events: this.#events.map((e) => ({ ...e })) };
+  }
+
+  /** @returns {Object} /gamestats */
+  gameStats() {
+    return {
+      gameMode: "CLASSIC",
+      gameTime: Math.round(this.#gameTime * 1000) / 1000,
+      mapName: "Map11",
+      mapNumber: 11,
+      mapTerrain: "Default",
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  #apply(entry) {
+    if (entry.goldLead !== undefined) this.#goldLead = entry.goldLead;
+
+    if (entry.kill) {
+      const killer = this.#find(entry.kill.killer);
+      const victim = this.#find(entry.kill.victim);
+      const assisters = (entry.kill.assisters || []).map((n) => this.#find(n)).filter(Boolean);
+      if (victim) {
+        victim.deaths++;
+        victim.diedAt = entry.at;
+        victim.respawnAt = entry.at + (entry.kill.respawn ?? DEFAULT_RESPAWN);
+      }
+      if (killer) killer.kills++;
+      for (const a of assisters) a.assists++;
+
+      this.#pushEvent("ChampionKill", entry.at, {
+        KillerName: killer ? killer.riotId : entry.kill.killer,
+        VictimName: victim ? victim.riotId : entry.kill.victim,
+        Assisters: assisters.map((a) => a.riotId),
+      });
+    }
+
+    if (entry.dragon) {
+      this.#pushEvent("DragonKill", entry.at, {
+        KillerName: this.#nameOf(entry.dragon.killer),
+        DragonType: entry.dragon.type || "Fire",
+        Stolen: entry.dragon.stolen ? "True" : "False",
+        Assisters: [],
+      });
+    }
+
+    if (entry.baron) {
+      this.#pushEvent("BaronKill", entry.at, {
+        KillerName: this.#nameOf(entry.baron.killer),
+        Stolen: entry.baron.stolen ? "True" : "False",
+        Assisters: [],
+      });
+    }
+
+    if (entry.herald) {
+      this.#pushEvent("HeraldKill", entry.at, {
+        KillerName: this.#nameOf(entry.herald.killer),
+        Stolen: "False",
+        Assisters: [],
+      });
+    }
+
+    if (entry.turret) {
+      this.#pushEvent("TurretKilled", entry.at, {
+        KillerName: this.#nameOf(entry.turret.killer),
+        TurretKilled: entry.turret.name,
+        Assisters: [],
+      });
+    }
+
+    if (entry.inhib) {
+      this.#pushEvent("InhibKilled", entry.at, {
+        KillerName: this.#nameOf(entry.inhib.killer),
+        InhibKilled: entry.inhib.name,
+        Assisters: [],
+      });
+    }
+
+    if (entry.inhibRespawn) {
+      this.#pushEvent("InhibRespawned", entry.at, { InhibRespawned: entry.inhibRespawn.name });
+    }
+
+    if (entry.buy) {
+      const player = this.#find(entry.buy.champion);
+      if (player && player.items.length < 6) player.items.push(entry.buy.itemId);
+    }
+  }
+
+  #pushEvent(name, time, fields) {
+    this.#events.push({ EventID: this.#events.length, EventName: name, EventTime: time, ...fields });
+  }
+
+  #find(championName) {
+    return this.#players.find((p) => p.spec.championName === championName) || null;
+  }
+
+  #nameOf(championName) {
+    const p = this.#find(championName);
+    return p ? p.riotId : championName;
+  }
+
+  #isDead(p) {
+    return this.#gameTime >= p.diedAt && this.#gameTime < p.respawnAt;
+  }
+
+  #level(p) {
+    // Saturating XP curve: ~5 at 6:00, ~13 at 25:00, ~15 at 40:00
+    const curve = 1 + 17 * (1 - Math.exp(-this.#gameTime / 1300));
+    const roleFactor = p.spec.position === "UTILITY" ? 0.85 : 1;
+    return Math.max(1, Math.min(18, Math.floor(curve * roleFactor + p.kills * 0.15)));
+  }
+
+  #creepScore(p) {
+    const minutes = Math.max(0, this.#gameTime - MINION_SPAWN_TIME) / 60;
+    return Math.floor(minutes * (CS_PER_MINUTE[p.spec.position] || 5));
+  }
+
+  /**
+   * Extra CS per player (by team) so the estimated gold lead matches the target.
+   * @returns {{ ORDER?: number, CHAOS?: number }}
+   */
+  #goldLeadCsAdjustment() {
+    if (this.#goldLead === null) return {};
+
+    const allyTeam = this.#active.spec.team;
+    const estimate = (team) => this.#players
+      .filter((p) => p.spec.team === team)
+      .reduce((sum, p) => sum + this.#creepScore(p) * 20 + p.kills * 300 + p.assists * 150, 0);
+
+    const enemyTeam = allyTeam === "ORDER" ? "CHAOS" : "ORDER";
+    const natural = estimate(allyTeam) - estimate(enemyTeam);
+    const missing = this.#goldLead - natural;
+    const perPlayer = Math.round(Math.abs(missing) / 20 / 5);
+
+    return missing >= 0 ? { [allyTeam]: perPlayer } : { [enemyTeam]: perPlayer };
+  }
+}
+
+module.exports = { SyntheticGame, DEFAULT_ROSTER };
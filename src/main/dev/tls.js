@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const selfsigned = require("selfsigned");
+
+/**
+ * Self-signed certificate for the local mock servers (127.0.0.1 / localhost).
+ *
+ * The real LCU and Live Client Data API both serve self-signed certs, and our
+ * clients already skip verification for them — so a throwaway dev cert is
+ * all the mocks need. It is generated on first use and kept in the OS temp
+ * directory, never in the repo. NEVER use this key for anything else.
+ */
+
+/** Where the generated key + cert are kept between runs */
+const TLS_DIR = path.join(os.tmpdir(), "rift-architect-dev-tls");
+const KEY_PATH = path.join(TLS_DIR, "localhost-key.pem");
+const CERT_PATH = path.join(TLS_DIR, "localhost-cert.pem");
+
+/** Validity of a generated cert */
+const CERT_DAYS = 365;
+
+/** Regenerate when the cached cert expires within this window */
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {{ key: Buffer, cert: Buffer }}
+ */
+function getDevTlsOptions() {
+  const cached = readCachedTls();
+  if (cached) return cached;
+
+  const pems = selfsigned.generate([{ name: "commonName", value: "localhost" }], {
+    keySize: 2048,
+    days: CERT_DAYS,
+    algorithm: "sha256",
+    extensions: [
+      { name: "basicConstraints", cA: false },
+      { name: "subjectAltName", altNames: [{ type: 2, value: "localhost" }, { type: 7, ip: "127.0.0.1" }] },
+    ],
+  });
+
+  fs.mkdirSync(TLS_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(KEY_PATH, pems.private, { mode: 0o600 });
+  fs.writeFileSync(CERT_PATH, pems.cert);
+  return { key: Buffer.from(pems.private), cert: Buffer.from(pems.cert) };
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {{ key: Buffer, cert: Buffer } | null} The cached pair, or null when missing or about to expire
+ */
+function readCachedTls() {
+  try {
+    const key = fs.readFileSync(KEY_PATH);
+    const cert = fs.readFileSync(CERT_PATH);
+    const validTo = Date.parse(new crypto.X509Certificate(cert).validTo);
+    if (!(validTo - Date.now() > RENEW_BEFORE_MS)) return null;
+    return { key, cert };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { getDevTlsOptions };
@@ -2,23 +2,54 @@ require("dotenv").config();
 const { app, BrowserWindow, ipcMain } = require("electron");
 const { LCUConnector } = require("./lcu-connector");
 const { RiotApiClient } = require("./riot-api-client");
-const { ClaudeClient } = require("./integrations/claude/client");
+const { createProvider } = require("./integrations/llm");
 const { LiveClientAPI } = require("./integrations/riot/live-client");
 const { Orchestrator } = require("./orchestrator/orchestrator");
+const { createDefaultRegistry, getPluginsDir } = require("./agents/registry");
+const { DEFAULT_MODEL_CONFIG, LIMITS, getModelOverrides, setModelOverrides } = require("./agents/model-config");
+const { getPromptOverride, getPromptVersion, setPromptOverride, getPromptHistory } = require("./agents/prompt-overrides");
+const { COACHING_STYLES, COACHED_AGENTS, getGlobalCoachingStyle, getAgentCoachingStyle, setCoachingStyle } = require("./agents/coaching-style");
+const { backfillLaneOpponents } = require("./agents/matchup-history");
+const { POOL_MODES, MAX_POOL_SIZE, getPoolMode, setPoolMode, getChampionPools, setChampionPool, seedChampionPools } = require("./agents/champion-pool");
+const { diffLines } = require("./utils/text-diff");
 const { OverlayManager } = require("./windows/overlay-manager");
 const { TrayManager } = require("./tray");
-const { detectSummoner, loadChampionData, getPatchVersion } = require("./summoner-detector");
+const { detectSummoner, loadChampionData, getChampionNames, getPatchVersion } = require("./summoner-detector");
 const { refreshMetaIfNeeded } = require("./data/meta-scraper");
 const { SpellTracker } = require("./spell-tracker");
 const { initDatabase, closeDatabase, queries } = require("./data/db");
 const { initKeyStore, getAllKeys, setKey } = require("./key-store");
+const { getBudgetStatus, validatePriceTable, startOfToday, toDbTimestamp } = require("./integrations/claude/spend");
+const { IPC_CHANNELS } = require("../shared/ipc-channels");
 const { logger } = require("./utils/logger");
 
 let tray;
 let orchestrator;
 let overlayManager;
+let recorder = null;
 let tabHookStarted = false;
 
+/** Top masteries from the last Summoner Detector run — seed the champion pools */
+let topMasteries = [];
+
+/** App start as an agent_logs timestamp — "this session" on the Spend tab */
+const sessionStartedAt = toDbTimestamp(new Date());
+
+/**
+ * Read a command-line flag value. Accepts "--flag=value" and "--flag value".
+ * @param {string} flag
+ * @returns {string | null}
+ */
+function getArgValue(flag) {
+  const inline = process.argv.find((a) => a.startsWith(`${flag}=`));
+  if (inline) return inline.slice(flag.length + 1);
+  const idx = process.argv.indexOf(flag);
+  if (idx !== -1 && process.argv[idx + 1] && !process.argv[idx + 1].startsWith("--")) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
 app.whenReady().then(async () => {
   logger.info("Rift Architect starting...");
 
@@ -31,7 +62,22 @@ app.whenReady().then(async () => {
   // 1. Initialize SQLite database
   initDatabase();
 
-  // 1b. Fire-and-forget meta data refresh (non-blocking)
+  // 1a. Agent traces are for recent "why did it say that?" questions — keep a month
+  try {
+    const pruned = queries.pruneAgentTraces(30);
+    if (pruned > 0) logger.info("Old agent traces pruned", { count: pruned });
+  } catch (err) {
+    logger.warn("Agent trace pruning failed (non-fatal)", { error: err.message });
+  }
+
+  // 1b. Matches recorded before lane opponents were stored — look them up from data_json
+  try {
+    backfillLaneOpponents();
+  } catch (err) {
+    logger.warn("Lane opponent backfill failed (non-fatal)", { error: err.message });
+  }
+
+  // 1c. Fire-and-forget meta data refresh (non-blocking)
   refreshMetaIfNeeded(getPatchVersion()).catch((err) => {
     logger.warn("Meta scraper startup refresh failed (non-fatal)", { error: err.message });
   });
@@ -48,26 +94,52 @@ app.whenReady().then(async () => {
     onShowSettings: () => overlayManager.showSettingsWindow(),
     onQuit: () => {
       orchestrator.shutdown();
+      if (recorder) recorder.stop();
       closeDatabase();
       app.exit(0);
     },
   });
   tray.create();
 
-  // 4. Create LCU connector, Riot API client, Claude client, and Live Client API
-  const lcuConnector = new LCUConnector();
+  // 4. Create LCU connector, Riot API client, LLM provider, and Live Client API.
+  //    --replay <file> swaps the LCU + Live Client for a recorded session.
+  const replayFile = getArgValue("--replay");
+  let lcuConnector;
+  let liveClient;
+  if (replayFile) {
+    // dev/ isn't packaged — only source checkouts can record or replay
+    const { createReplaySources } = require("./dev/replay");
+    const speed = parseFloat(getArgValue("--replay-speed")) || 1;
+    ({ lcuConnector, liveClient } = createReplaySources(replayFile, { speed }));
+    tray.updateStatus(`Replaying ${replayFile} (${speed}x)`);
+  } else {
+    lcuConnector = new LCUConnector();
+    liveClient = new LiveClientAPI();
+  }
   const riotApi = new RiotApiClient();
-  const claudeClient = new ClaudeClient();
-  const liveClient = new LiveClientAPI();
+  const llm = createProvider();
+
+  // 4b. --record captures all LCU + Live Client traffic for later replay
+  if (process.argv.includes("--record") && !replayFile) {
+    const { SessionRecorder } = require("./dev/recorder");
+    recorder = new SessionRecorder();
+    recorder.start({ lcuConnector, liveClient });
+  }
 
   // 5. Wire up Summoner Detector — runs on every LCU connect
   lcuConnector.on("connected", async (session) => {
     logger.info("LCU session established. Running Summoner Detector...");
     try {
-      await detectSummoner(lcuConnector, riotApi);
+      ({ topMasteries } = await detectSummoner(lcuConnector, riotApi));
     } catch (err) {
       logger.error("Summoner Detector failed", { error: err.message });
     }
+
+    try {
+      seedChampionPools({ masteries: topMasteries });
+    } catch (err) {
+      logger.warn("Champion pool seeding failed", { error: err.message });
+    }
   });
 
   // 5b. Global 403 handler — red tray, notification, open Settings window
@@ -75,7 +147,7 @@ app.whenReady().then(async () => {
     logger.error("Global 403: Riot API key expired — pausing all agents.");
     tray.showKeyExpired();
     if (orchestrator) orchestrator.pauseAgents();
-    overlayManager.sendToMain("status:update", "API KEY EXPIRED — open Settings to update");
+    overlayManager.sendToMain(IPC_CHANNELS.STATUS_UPDATE, "API KEY EXPIRED — open Settings to update");
     overlayManager.showSettingsWindow();
   });
 
@@ -94,11 +166,11 @@ app.whenReady().then(async () => {
   });
 
   // 6. Register IPC handlers for API key management
-  ipcMain.handle("keys:get", () => {
+  ipcMain.handle(IPC_CHANNELS.KEYS_GET, () => {
     return getAllKeys();
   });
 
-  ipcMain.handle("keys:save", (_event, keys) => {
+  ipcMain.handle(IPC_CHANNELS.KEYS_SAVE, (_event, keys) => {
     if (keys.RIOT_API_KEY !== undefined) setKey("RIOT_API_KEY", keys.RIOT_API_KEY);
     if (keys.ANTHROPIC_API_KEY !== undefined) setKey("ANTHROPIC_API_KEY", keys.ANTHROPIC_API_KEY);
     if (keys.RIOT_REGION !== undefined) setKey("RIOT_REGION", keys.RIOT_REGION);
@@ -131,11 +203,11 @@ app.whenReady().then(async () => {
   });
 
   // 7. Register IPC handlers for settings
-  ipcMain.handle("settings:get", (_event, key) => {
+  ipcMain.handle(IPC_CHANNELS.SETTINGS_GET, (_event, key) => {
     return queries.getSetting(key);
   });
 
-  ipcMain.on("settings:set", (_event, key, value) => {
+  ipcMain.on(IPC_CHANNELS.SETTINGS_SET, (_event, key, value) => {
     queries.setSetting(key, value);
     logger.info("Setting updated", { key, value });
 
@@ -148,7 +220,7 @@ app.whenReady().then(async () => {
     }
   });
 
-  ipcMain.on("overlay:toggle", (_event, overlayName) => {
+  ipcMain.on(IPC_CHANNELS.OVERLAY_TOGGLE, (_event, overlayName) => {
     const key = `overlay_${overlayName}_enabled`;
     const current = queries.getSetting(key);
     const newValue = current === "false" ? "true" : "false";
@@ -156,10 +228,83 @@ app.whenReady().then(async () => {
     logger.info("Overlay toggled", { overlay: overlayName, enabled: newValue });
   });
 
-  ipcMain.handle("session:history", () => {
+  ipcMain.handle(IPC_CHANNELS.SESSION_HISTORY, () => {
     return queries.getRecentMatches(20);
   });
 
+  ipcMain.handle(IPC_CHANNELS.SPEND_SUMMARY, () => {
+    return {
+      session: queries.getSpendSince(sessionStartedAt),
+      today: queries.getSpendSince(startOfToday()),
+      budget: getBudgetStatus(),
+      by_agent: queries.getSpendByAgent(sessionStartedAt),
+      by_game: queries.getSpendByGame(10),
+      price_overrides: queries.getSetting("claude_price_table") || "",
+    };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.SPEND_SET_PRICES, (_event, json) => {
+    if (!json || !json.trim()) {
+      queries.setSetting("claude_price_table", "");
+      return { success: true };
+    }
+
+    let table;
+    try {
+      table = JSON.parse(json);
+    } catch (err) {
+      return { success: false, errors: [`Invalid JSON: ${err.message}`] };
+    }
+    const errors = validatePriceTable(table);
+    if (errors.length > 0) return { success: false, errors };
+
+    queries.setSetting("claude_price_table", JSON.stringify(table));
+    logger.info("Claude price table updated", { models: Object.keys(table) });
+    return { success: true };
+  });
+
+  // Champion pools (main window Champion Pool tab)
+  ipcMain.handle(IPC_CHANNELS.POOLS_GET, () => {
+    return {
+      roles: getChampionPools(),
+      mode: getPoolMode(),
+      modes: Object.entries(POOL_MODES).map(([id, m]) => ({ id, label: m.label, description: m.description })),
+      champions: getChampionNames(),
+      max: MAX_POOL_SIZE,
+    };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.POOLS_SET, (_event, role, champions) => {
+    const errors = setChampionPool(role, champions);
+    return { success: errors.length === 0, errors };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.POOLS_SET_MODE, (_event, mode) => {
+    const errors = setPoolMode(mode);
+    return { success: errors.length === 0, errors };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.POOLS_SEED, () => {
+    return { added: seedChampionPools({ masteries: topMasteries }) };
+  });
+
+  // Agent traces (main window Traces tab)
+  ipcMain.handle(IPC_CHANNELS.TRACES_FILTERS, () => {
+    return queries.getAgentTraceFilters();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.TRACES_LIST, (_event, filter = {}) => {
+    return queries.listAgentTraces({
+      game_id: filter.gameId || null,
+      agent_name: filter.agent || null,
+      game_phase: filter.phase || null,
+    });
+  });
+
+  ipcMain.handle(IPC_CHANNELS.TRACES_GET, (_event, logId) => {
+    return queries.getAgentTrace(Number(logId));
+  });
+
   // 8. Apply auto-launch setting (defaults to enabled on first run)
   const autoLaunch = queries.getSetting("auto_launch");
   const shouldAutoLaunch = autoLaunch === null ? true : autoLaunch === "true";
@@ -171,15 +316,120 @@ app.whenReady().then(async () => {
     queries.setSetting("auto_launch", "true");
   }
 
+  // 8b. Agent registry — built-in agents plus plugins from <userData>/plugins
+  const agentRegistry = createDefaultRegistry();
+  agentRegistry.loadPlugins(getPluginsDir());
+  for (const manifest of agentRegistry.list()) {
+    for (const [name, config] of Object.entries(manifest.overlayConfigs)) {
+      overlayManager.registerOverlay(name, config);
+    }
+  }
+
+  ipcMain.handle(IPC_CHANNELS.AGENTS_LIST, () => {
+    return agentRegistry.list().map((m) => ({
+      id: m.id,
+      label: m.label,
+      description: m.description,
+      source: m.source,
+      phases: m.phases,
+      modes: m.modes,
+      settingKey: `agent_${m.id.replace(/-/g, "_")}_enabled`,
+    }));
+  });
+
+  // Per-agent model settings (Settings window) — read on every invoke, so no restart
+  ipcMain.handle(IPC_CHANNELS.AGENTS_MODEL_CONFIGS, () => {
+    return {
+      provider: llm.name,
+      defaultModel: llm.model,
+      defaults: DEFAULT_MODEL_CONFIG,
+      limits: LIMITS,
+      agents: agentRegistry.list().map((m) => ({
+        id: m.id,
+        label: m.label,
+        overrides: getModelOverrides(m.id, llm.name),
+      })),
+    };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.AGENTS_SET_MODEL_CONFIG, (_event, agentId, overrides) => {
+    if (!agentRegistry.get(agentId)) return { success: false, errors: [`Unknown agent "${agentId}"`] };
+    const errors = setModelOverrides(agentId, overrides, llm.name);
+    return { success: errors.length === 0, errors };
+  });
+
+  // Prompt overrides (Settings window) — versioned, read on every invoke
+  const promptDefinition = (agentId, key) => agentRegistry.get(agentId)?.prompts[key] || null;
+
+  ipcMain.handle(IPC_CHANNELS.PROMPTS_LIST, () => {
+    return agentRegistry.list()
+      .filter((m) => Object.keys(m.prompts).length > 0)
+      .map((m) => ({
+        id: m.id,
+        label: m.label,
+        version: getPromptVersion(m.id),
+        prompts: Object.entries(m.prompts).map(([key, p]) => {
+          const override = getPromptOverride(m.id, key);
+          return {
+            key,
+            label: p.label,
+            description: p.description || "",
+            variables: p.variables || [],
+            default: p.template,
+            content: override ?? p.template,
+            overridden: override !== null,
+            diff: override !== null ? diffLines(p.template, override) : [],
+          };
+        }),
+      }));
+  });
+
+  // content null resets to the default
+  ipcMain.handle(IPC_CHANNELS.PROMPTS_SAVE, (_event, agentId, key, content) => {
+    const definition = promptDefinition(agentId, key);
+    if (!definition) return { success: false, errors: [`Unknown prompt "${agentId}/${key}"`] };
+    const { errors, version } = setPromptOverride(agentId, key, definition, content);
+    return { success: errors.length === 0, errors, version };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PROMPTS_HISTORY, (_event, agentId, key) => {
+    const definition = promptDefinition(agentId, key);
+    return definition ? getPromptHistory(agentId, key, definition) : [];
+  });
+
+  // Coaching styles (Settings window) — global, with per-agent overrides
+  ipcMain.handle(IPC_CHANNELS.COACHING_STYLES, () => {
+    return {
+      styles: Object.entries(COACHING_STYLES).map(([id, s]) => ({ id, label: s.label, description: s.description })),
+      global: getGlobalCoachingStyle(),
+      agents: agentRegistry.list()
+        .filter((m) => COACHED_AGENTS.includes(m.id))
+        .map((m) => ({ id: m.id, label: m.label, style: getAgentCoachingStyle(m.id) })),
+    };
+  });
+
+  // agentId null sets the global style; styleId null clears it
+  ipcMain.handle(IPC_CHANNELS.COACHING_SET_STYLE, (_event, agentId, styleId) => {
+    if (agentId !== null && !agentRegistry.get(agentId)) return { success: false, errors: [`Unknown agent "${agentId}"`] };
+    const errors = setCoachingStyle(agentId, styleId);
+    return { success: errors.length === 0, errors };
+  });
+
   // 9. Create and start orchestrator (with all agent dependencies)
   orchestrator = new Orchestrator({
     lcuConnector,
     overlayManager,
-    claudeClient,
+    llm,
     riotApi,
     liveClient,
+    registry: agentRegistry,
   });
   orchestrator.setTrayStatusUpdater((status) => tray.updateStatus(status));
+
+  // 9b. --bus-log [file] persists all event bus traffic as NDJSON for debugging
+  if (process.argv.some((a) => a === "--bus-log" || a.startsWith("--bus-log="))) {
+    orchestrator.eventBus.attachSink(getArgValue("--bus-log") || undefined);
+  }
   orchestrator.start();
 
   // 10. Create spell tracker and wire to orchestrator lifecycle
@@ -197,12 +447,13 @@ app.whenReady().then(async () => {
   //     the key, so League's scoreboard still opens normally.
   let inGamePhase = false;
   let tabHeld = false;
+  let askOpen = false;
 
   try {
     const { uIOhook, UiohookKey } = require("uiohook-napi");
 
     uIOhook.on("keydown", (e) => {
-      if (e.keycode === UiohookKey.Tab && inGamePhase && !tabHeld) {
+      if (e.keycode === UiohookKey.Tab && inGamePhase && !tabHeld && !askOpen) {
         tabHeld = true;
         overlayManager.setAlwaysOnTopLevel("spellTracker", "screen-saver");
         overlayManager.show("spellTracker");
@@ -222,6 +473,17 @@ app.whenReady().then(async () => {
       }
     });
 
+    // 11b. Ask-the-coach hotkey — Ctrl+Shift+Space opens the question box.
+    //      The box takes focus, so what the player types doesn't reach the game.
+    uIOhook.on("keydown", (e) => {
+      if (e.keycode === UiohookKey.Space && e.ctrlKey && e.shiftKey && inGamePhase && !askOpen) {
+        askOpen = true;
+        overlayManager.focus("ask");
+        overlayManager.sendToOverlay("ask", IPC_CHANNELS.COACH_OPEN, {});
+        logger.debug("Ask-the-coach hotkey — question box opened.");
+      }
+    });
+
     uIOhook.start();
     tabHookStarted = true;
     logger.info("Tab keyboard hook started (uiohook-napi).");
@@ -237,12 +499,27 @@ app.whenReady().then(async () => {
     } else if (from === "IN_GAME") {
       inGamePhase = false;
       tabHeld = false;
+      askOpen = false;
       overlayManager.hide("spellTracker");
+      overlayManager.hide("ask");
     }
   });
 
+  // Ask-the-coach box: the question goes to the Macro Strategist, the answer
+  // comes back as a macro toast. Returns once the question is accepted.
+  ipcMain.handle(IPC_CHANNELS.COACH_ASK, (_event, question) => {
+    const strategist = orchestrator.getActiveAgent("macro-strategist");
+    if (!strategist) return { accepted: false, error: "The Macro Strategist isn't running — ask during a game." };
+    return strategist.ask(question);
+  });
+
+  ipcMain.on(IPC_CHANNELS.COACH_CLOSE, () => {
+    askOpen = false;
+    overlayManager.hide("ask");
+  });
+
   // 12. IPC handler: manual in-game overlay activation from main window
-  ipcMain.handle("overlay:activate-ingame", async () => {
+  ipcMain.handle(IPC_CHANNELS.OVERLAY_ACTIVATE_INGAME, async () => {
     try {
       const snapshot = await liveClient.getAllGameData();
       const alive = !!snapshot;
@@ -272,6 +549,7 @@ app.on("before-quit", () => {
     try { require("uiohook-napi").uIOhook.stop(); } catch { /* already stopped */ }
   }
   if (orchestrator) orchestrator.shutdown();
+  if (recorder) recorder.stop();
   closeDatabase();
   if (tray) tray.destroy();
 });
@@ -1,12 +1,11 @@
 const Anthropic = require("@anthropic-ai/sdk");
+const { LLMProvider } = require("../llm/provider");
 const { logger } = require("../../utils/logger");
 const { getKey } = require("../../key-store");
 
 /**
- * Claude API Client — wraps the Anthropic SDK for tool-use conversations.
- *
- * Each agent provides its own system prompt and tool definitions.
- * This client handles the message loop: send → receive → execute tools → send results → repeat.
+ * Claude API Client — the Anthropic provider. Wraps the Anthropic SDK with
+ * prompt caching and streaming; the tool-use loop lives in LLMProvider.
  *
  * Usage:
  *   const claude = new ClaudeClient();
@@ -17,25 +16,23 @@ const { getKey } = require("../../key-store");
  *     toolHandler: async (toolName, toolInput) => { ... return result; },
  *   });
  */
-class ClaudeClient {
+class ClaudeClient extends LLMProvider {
   /** @type {Anthropic} */
   #client;
 
   /** @type {string} */
   #model;
 
-  /** Max tool-use round-trips before forcing a stop */
-  #MAX_TOOL_ROUNDS = 10;
-
   /** Per-request timeout in ms (30 seconds) */
   #REQUEST_TIMEOUT_MS = 30000;
 
   constructor() {
+    super();
     const apiKey = getKey("ANTHROPIC_API_KEY");
     this.#model = process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514";
 
     if (!apiKey) {
-      logger.error("ANTHROPIC_API_KEY is not set in .env — Claude calls will fail.");
+      logger.error("ANTHROPIC_API_KEY is not set in .env — agents will run in offline mode.");
       this.#client = null;
     } else {
       this.#client = new Anthropic({
@@ -50,172 +47,105 @@ class ClaudeClient {
     }
   }
 
-  /**
-   * Single-turn message (no tools). Returns the text response.
-   *
-   * @param {string} systemPrompt
-   * @param {string} userMessage
-   * @returns {Promise<string>}
-   */
-  async ask(systemPrompt, userMessage) {
-    if (!this.#client) throw new Error("Claude client not initialized");
-
-    const startMs = Date.now();
-    const response = await this.#client.messages.create({
-      model: this.#model,
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: [{ role: "user", content: userMessage }],
-    });
-
-    const latencyMs = Date.now() - startMs;
-    const text = response.content
-      .filter((b) => b.type === "text")
-      .map((b) => b.text)
-      .join("");
+  /** @returns {string} */
+  get name() {
+    return "anthropic";
+  }
 
-    logger.info("Claude response", {
-      latencyMs,
-      inputTokens: response.usage.input_tokens,
-      outputTokens: response.usage.output_tokens,
-    });
+  /** @returns {string} Model used for every call */
+  get model() {
+    return this.#model;
+  }
 
-    return text;
+  /** @returns {boolean} */
+  get available() {
+    return this.#client !== null;
   }
 
   /**
-   * Run a full tool-use conversation loop.
+   * Send one Messages API request, streaming it when there is someone to
+   * stream to.
    *
-   * Flow:
-   *   1. Send system prompt + messages + tool definitions to Claude.
-   *   2. If Claude responds with tool_use blocks, call toolHandler for each.
-   *   3. Append tool results and send back to Claude.
-   *   4. Repeat until Claude responds with only text (end_turn), or MAX_TOOL_ROUNDS.
+   * Prompt caching — the system prompt and tool definitions are static per
+   * agent, so cache breakpoints on both let later calls read them from cache.
    *
+   * @param {Object} request — See LLMProvider.createMessage
    * @param {Object} opts
-   * @param {string} opts.systemPrompt
-   * @param {Array} opts.tools - Anthropic tool definitions
-   * @param {Array} opts.messages - Conversation messages
-   * @param {(toolName: string, toolInput: any) => Promise<any>} opts.toolHandler
-   * @param {number} [opts.maxTokens=2048]
-   * @returns {Promise<{ text: string, toolResults: Array, usage: { input: number, output: number }, latencyMs: number }>}
+   * @param {AbortSignal} [opts.signal]
+   * @param {(event: import('../llm/provider').StreamEvent) => void} [opts.onStream]
+   * @returns {Promise<import('../llm/provider').ProviderResponse>}
    */
-  async runToolLoop({ systemPrompt, tools, messages, toolHandler, maxTokens = 2048 }) {
-    if (!this.#client) throw new Error("Claude client not initialized");
-
-    const startMs = Date.now();
-    let totalInput = 0;
-    let totalOutput = 0;
-    const allToolResults = [];
-    let conversationMessages = [...messages];
-
-    for (let round = 0; round < this.#MAX_TOOL_ROUNDS; round++) {
-      let response;
-      try {
-        response = await this.#client.messages.create({
-          model: this.#model,
-          max_tokens: maxTokens,
-          system: systemPrompt,
-          tools,
-          messages: conversationMessages,
-        });
-      } catch (apiErr) {
-        const latencyMs = Date.now() - startMs;
-        const isTimeout = apiErr.message?.includes("timeout") || apiErr.code === "ETIMEDOUT";
-        const isRateLimit = apiErr.status === 429;
-
-        logger.error("Claude API error", {
-          round: round + 1,
-          error: apiErr.message,
-          isTimeout,
-          isRateLimit,
-          latencyMs,
-        });
-
-        // Return partial results so the agent doesn't crash
-        return {
-          text: "",
-          toolResults: allToolResults,
-          usage: { input: totalInput, output: totalOutput },
-          latencyMs,
-          error: isTimeout ? "Claude request timed out" : apiErr.message,
-        };
-      }
-
-      totalInput += response.usage.input_tokens;
-      totalOutput += response.usage.output_tokens;
-
-      // Extract text blocks and tool_use blocks
-      const textBlocks = response.content.filter((b) => b.type === "text");
-      const toolUseBlocks = response.content.filter((b) => b.type === "tool_use");
-
-      // If no tool calls, we're done
-      if (toolUseBlocks.length === 0 || response.stop_reason === "end_turn") {
-        const finalText = textBlocks.map((b) => b.text).join("");
-        const latencyMs = Date.now() - startMs;
-
-        logger.info("Claude tool loop complete", {
-          rounds: round + 1,
-          toolCalls: allToolResults.length,
-          latencyMs,
-          inputTokens: totalInput,
-          outputTokens: totalOutput,
-        });
-
-        return {
-          text: finalText,
-          toolResults: allToolResults,
-          usage: { input: totalInput, output: totalOutput },
-          latencyMs,
-        };
-      }
-
-      // Process each tool call
-      const toolResults = [];
-      for (const toolUse of toolUseBlocks) {
-        logger.debug("Claude tool call", {
-          tool: toolUse.name,
-          input: JSON.stringify(toolUse.input).substring(0, 200),
-        });
-
-        let result;
-        try {
-          result = await toolHandler(toolUse.name, toolUse.input);
-        } catch (err) {
-          logger.error("Tool handler error", { tool: toolUse.name, error: err.message });
-          result = { error: err.message };
-        }
-
-        allToolResults.push({
-          tool: toolUse.name,
-          input: toolUse.input,
-          output: result,
-        });
-
-        toolResults.push({
-          type: "tool_result",
-          tool_use_id: toolUse.id,
-          content: typeof result === "string" ? result : JSON.stringify(result),
-        });
-      }
-
-      // Append assistant response + tool results to conversation
-      conversationMessages = [
-        ...conversationMessages,
-        { role: "assistant", content: response.content },
-        { role: "user", content: toolResults },
-      ];
+  async createMessage({ systemPrompt, tools, messages, maxTokens, model, temperature, timeoutMs }, { signal, onStream }) {
+    const params = {
+      model: model || this.#model,
+      max_tokens: maxTokens,
+      system: [{ type: "text", text: systemPrompt, cache_control: { type: "ephemeral" } }],
+      messages,
+    };
+    if (typeof temperature === "number") params.temperature = temperature;
+    if (tools.length > 0) {
+      params.tools = tools.map((tool, i) =>
+        i === tools.length - 1 ? { ...tool, cache_control: { type: "ephemeral" } } : tool
+      );
     }
 
-    // If we exhausted MAX_TOOL_ROUNDS, return whatever we have
-    logger.warn("Claude tool loop hit max rounds", { maxRounds: this.#MAX_TOOL_ROUNDS });
+    const response = await this.#send(params, { signal, onStream, timeout: timeoutMs || undefined });
     return {
-      text: "[Tool loop exceeded maximum rounds]",
-      toolResults: allToolResults,
-      usage: { input: totalInput, output: totalOutput },
-      latencyMs: Date.now() - startMs,
+      content: response.content,
+      stopReason: response.stop_reason === "tool_use" || response.stop_reason === "max_tokens"
+        ? response.stop_reason
+        : "end_turn",
+      usage: {
+        input: response.usage.input_tokens,
+        output: response.usage.output_tokens,
+        cacheRead: response.usage.cache_read_input_tokens || 0,
+        cacheWrite: response.usage.cache_creation_input_tokens || 0,
+      },
     };
   }
+
+  /**
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isTimeout(err) {
+    return err instanceof Anthropic.APIConnectionTimeoutError || super.isTimeout(err);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a message, streaming it when there is someone to stream to.
+   * Resolves with the complete message either way.
+   *
+   * @param {Object} params — messages.create params
+   * @param {Object} opts
+   * @param {AbortSignal} [opts.signal]
+   * @param {(event: import('../llm/provider').StreamEvent) => void} [opts.onStream]
+   * @param {number} [opts.timeout] — Overrides the client's timeout (ms)
+   * @returns {Promise<Object>}
+   */
+  async #send(params, { signal, onStream, timeout }) {
+    if (!onStream) return this.#client.messages.create(params, { signal, timeout });
+
+    const stream = this.#client.messages.stream(params, { signal, timeout });
+    stream.on("streamEvent", (event, snapshot) => {
+      if (event.type !== "content_block_delta") return;
+      const block = snapshot.content[event.index];
+
+      let streamEvent = null;
+      if (event.delta.type === "text_delta") {
+        streamEvent = { type: "text", delta: event.delta.text, text: block.text };
+      } else if (event.delta.type === "input_json_delta" && block.type === "tool_use") {
+        streamEvent = { type: "tool_input", id: block.id, name: block.name, input: block.input || {} };
+      }
+      if (streamEvent) this.emitStream(onStream, streamEvent);
+    });
+
+    return stream.finalMessage();
+  }
 }
 
 module.exports = { ClaudeClient };
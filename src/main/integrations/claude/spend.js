@@ -0,0 +1,179 @@
+const { queries } = require("../../data/db");
+const { logger } = require("../../utils/logger");
+
+/**
+ * Claude token spend — price table, per-call cost and the daily budget.
+ *
+ * Prices are USD per million tokens, matched by the longest model-name
+ * prefix within the calling provider: plain keys are Anthropic models, other
+ * providers' models are keyed "<provider>/<model prefix>" (an OpenRouter
+ * model through the OpenAI-compatible provider: "openai/anthropic/claude-
+ * sonnet-4"). A model with no price in its provider's scope is recorded as
+ * unpriced (null), never at another provider's rates. The
+ * "claude_price_table" setting (JSON, same shape) overrides or extends the
+ * defaults, e.g.:
+ *   { "claude-sonnet-4": { "input": 3, "output": 15, "cache_write": 3.75, "cache_read": 0.3 },
+ *     "openai/gpt-4o-mini": { "input": 0.15, "output": 0.6, "cache_write": 0, "cache_read": 0.075 } }
+ *
+ * The "daily_budget_usd" setting caps spend per local calendar day; once it
+ * is reached BaseAgent.invoke() skips Claude and agents run local-only.
+ */
+
+/** @typedef {{ input: number, output: number, cache_write: number, cache_read: number }} ModelPrice */
+
+/** Provider whose models use plain (unscoped) price table keys */
+const DEFAULT_PRICE_PROVIDER = "anthropic";
+
+/** @type {Object<string, ModelPrice>} */
+const DEFAULT_PRICE_TABLE = Object.freeze({
+  "claude-opus-4-5": { input: 5, output: 25, cache_write: 6.25, cache_read: 0.5 },
+  "claude-opus-4": { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+  "claude-sonnet-4": { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  "claude-3-7-sonnet": { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  "claude-3-5-sonnet": { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  "claude-haiku-4-5": { input: 1, output: 5, cache_write: 1.25, cache_read: 0.1 },
+  "claude-3-5-haiku": { input: 0.8, output: 4, cache_write: 1, cache_read: 0.08 },
+});
+
+const PRICE_FIELDS = ["input", "output", "cache_write", "cache_read"];
+
+/** "<provider>/<model>" already warned about (no price) */
+const unpricedModels = new Set();
+
+/**
+ * Validate a price table (the defaults' shape).
+ * @param {*} table
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validatePriceTable(table) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) return ["price table must be an object"];
+
+  const errors = [];
+  for (const [model, price] of Object.entries(table)) {
+    for (const field of PRICE_FIELDS) {
+      if (typeof price?.[field] !== "number" || price[field] < 0) {
+        errors.push(`${model}.${field} must be a non-negative number`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * The price table in effect: defaults plus the "claude_price_table" setting.
+ * @returns {Object<string, ModelPrice>}
+ */
+function getPriceTable() {
+  const raw = queries.getSetting("claude_price_table");
+  if (!raw) return { ...DEFAULT_PRICE_TABLE };
+
+  try {
+    const overrides = JSON.parse(raw);
+    const errors = validatePriceTable(overrides);
+    if (errors.length > 0) throw new Error(errors.join("; "));
+    return { ...DEFAULT_PRICE_TABLE, ...overrides };
+  } catch (err) {
+    logger.warn("Invalid claude_price_table setting — using default prices", { error: err.message });
+    return { ...DEFAULT_PRICE_TABLE };
+  }
+}
+
+/**
+ * @param {string} provider — LLMProvider name, e.g. "anthropic", "openai"
+ * @param {string} model
+ * @returns {ModelPrice | null} Longest matching prefix in the provider's scope, or null if unpriced
+ */
+function getModelPrice(provider, model) {
+  const table = getPriceTable();
+  const scope = provider === DEFAULT_PRICE_PROVIDER ? "" : `${provider}/`;
+  const key = Object.keys(table)
+    .filter((key) => (scope ? key.startsWith(scope) : !key.includes("/")))
+    .filter((key) => model.startsWith(key.slice(scope.length)))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+/**
+ * Dollar cost of one call.
+ * @param {string} provider — LLMProvider name the call went through
+ * @param {string} model
+ * @param {{ input: number, output: number, cacheRead?: number, cacheWrite?: number }} usage
+ *   `input` excludes cached tokens (as the API reports it)
+ * @returns {number | null} USD, or null when the model has no price for that provider
+ */
+function computeCost(provider, model, usage) {
+  if (!provider || !model || !usage) return null;
+
+  const price = getModelPrice(provider, model);
+  if (!price) {
+    const key = provider === DEFAULT_PRICE_PROVIDER ? model : `${provider}/${model}`;
+    if (!unpricedModels.has(key)) {
+      unpricedModels.add(key);
+      logger.warn("No price for model — cost not recorded. Add it to claude_price_table.", { provider, key });
+    }
+    return null;
+  }
+
+  const cost = (
+    usage.input * price.input +
+    usage.output * price.output +
+    (usage.cacheWrite || 0) * price.cache_write +
+    (usage.cacheRead || 0) * price.cache_read
+  ) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+// ---------------------------------------------------------------------------
+// Daily budget
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {number | null} Daily budget in USD, or null for no limit
+ */
+function getDailyBudget() {
+  const budget = parseFloat(queries.getSetting("daily_budget_usd"));
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Local midnight as an agent_logs timestamp (UTC "YYYY-MM-DD HH:MM:SS").
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function startOfToday(now = new Date()) {
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return toDbTimestamp(midnight);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} UTC "YYYY-MM-DD HH:MM:SS", as SQLite's CURRENT_TIMESTAMP
+ */
+function toDbTimestamp(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+/**
+ * Today's spend against the budget.
+ * @returns {{ spent_usd: number, budget_usd: number | null, exceeded: boolean }}
+ */
+function getBudgetStatus() {
+  const budget = getDailyBudget();
+  const spent = queries.getSpendSince(startOfToday()).cost_usd;
+  return {
+    spent_usd: spent,
+    budget_usd: budget,
+    exceeded: budget !== null && spent >= budget,
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICE_TABLE,
+  validatePriceTable,
+  getPriceTable,
+  computeCost,
+  getDailyBudget,
+  getBudgetStatus,
+  startOfToday,
+  toDbTimestamp,
+};
@@ -0,0 +1,38 @@
+const { ClaudeClient } = require("../claude/client");
+const { OpenAICompatibleProvider, DEFAULT_BASE_URL } = require("./openai-compatible");
+const { LLMProvider } = require("./provider");
+const { logger } = require("../../utils/logger");
+
+/** Provider ids accepted by LLM_PROVIDER */
+const PROVIDERS = Object.freeze(["anthropic", "openai"]);
+
+/**
+ * Create the LLM provider agents talk to, from the environment:
+ *
+ *   LLM_PROVIDER   "anthropic" (default) or "openai" for any OpenAI-compatible server
+ *   LLM_BASE_URL   OpenAI-compatible base URL (default http://127.0.0.1:11434/v1, Ollama)
+ *   LLM_MODEL      Model name for the OpenAI-compatible server, e.g. "qwen2.5:14b"
+ *   LLM_API_KEY    Bearer token, if the server wants one
+ *
+ * The Anthropic provider keeps using ANTHROPIC_API_KEY and CLAUDE_MODEL.
+ *
+ * @returns {LLMProvider}
+ */
+function createProvider() {
+  const provider = (process.env.LLM_PROVIDER || "anthropic").toLowerCase();
+
+  if (provider === "openai") {
+    return new OpenAICompatibleProvider({
+      baseUrl: process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+      model: process.env.LLM_MODEL,
+      apiKey: process.env.LLM_API_KEY || "",
+    });
+  }
+
+  if (provider !== "anthropic") {
+    logger.warn(`Unknown LLM_PROVIDER "${provider}" — using anthropic`, { valid: PROVIDERS });
+  }
+  return new ClaudeClient();
+}
+
+module.exports = { createProvider, LLMProvider, PROVIDERS };
@@ -0,0 +1,337 @@
+const { LLMProvider } = require("./provider");
+const { partialParse } = require("./partial-json");
+const { logger } = require("../../utils/logger");
+
+/** Ollama's OpenAI-compatible endpoint */
+const DEFAULT_BASE_URL = "http://127.0.0.1:11434/v1";
+
+/** Hosts that count as "this machine" */
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]", "::1"]);
+
+/**
+ * OpenAI-compatible provider — any server speaking the Chat Completions API
+ * with function calling: llama.cpp's llama-server, Ollama, vLLM, LM Studio,
+ * or OpenAI itself.
+ *
+ * Translates the Anthropic-format tools and conversation the tool loop keeps
+ * into Chat Completions messages and back:
+ *   tools        → { type: "function", function: { name, description, parameters } }
+ *   tool_use     → assistant.tool_calls[]
+ *   tool_result  → { role: "tool", tool_call_id, content }
+ *
+ * Streaming uses SSE ("stream": true). The model must support tool calling —
+ * e.g. Llama 3.1+, Qwen 2.5+ or Mistral Nemo; llama-server needs --jinja.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /** @type {string} Base URL up to /v1 */
+  #baseUrl;
+
+  /** @type {string} */
+  #model;
+
+  /** @type {string} Bearer token — most local servers ignore it */
+  #apiKey;
+
+  /** Per-request timeout in ms. Local models are slower than the cloud APIs. */
+  #timeoutMs;
+
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.baseUrl="http://127.0.0.1:11434/v1"]
+   * @param {string} opts.model
+   * @param {string} [opts.apiKey=""]
+   * @param {number} [opts.timeoutMs=120000]
+   */
+  constructor({ baseUrl = DEFAULT_BASE_URL, model, apiKey = "", timeoutMs = 120000 }) {
+    super();
+    this.#baseUrl = baseUrl.replace(/\/+$/, "");
+    this.#model = model;
+    this.#apiKey = apiKey;
+    this.#timeoutMs = timeoutMs;
+
+    if (!model) {
+      logger.error("LLM_MODEL is not set — OpenAI-compatible calls will fail.");
+    } else {
+      logger.info("OpenAI-compatible LLM provider initialized.", {
+        baseUrl: this.#baseUrl,
+        model,
+        local: this.local,
+      });
+    }
+  }
+
+  /** @returns {string} */
+  get name() {
+    return "openai";
+  }
+
+  /** @returns {string} */
+  get model() {
+    return this.#model;
+  }
+
+  /** @returns {boolean} */
+  get available() {
+    return !!this.#model;
+  }
+
+  /** @returns {boolean} Whether the server is on localhost */
+  get local() {
+    try {
+      return LOCAL_HOSTS.has(new URL(this.#baseUrl).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /** @returns {string} */
+  get baseUrl() {
+    return this.#baseUrl;
+  }
+
+  /**
+   * Send one Chat Completions request.
+   * @param {Object} request — See LLMProvider.createMessage
+   * @param {Object} opts
+   * @param {AbortSignal} [opts.signal]
+   * @param {(event: import('./provider').StreamEvent) => void} [opts.onStream]
+   * @returns {Promise<import('./provider').ProviderResponse>}
+   */
+  async createMessage({ systemPrompt, tools, messages, maxTokens, model, temperature, timeoutMs }, { signal, onStream }) {
+    const body = {
+      model: model || this.#model,
+      max_tokens: maxTokens,
+      messages: [{ role: "system", content: systemPrompt }, ...toChatMessages(messages)],
+    };
+    if (typeof temperature === "number") body.temperature = temperature;
+    if (tools.length > 0) {
+      body.tools = tools.map((tool) => ({
+        type: "function",
+        function: { name: tool.name, description: tool.description || "", parameters: tool.input_schema },
+      }));
+    }
+    if (onStream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    const timeout = AbortSignal.timeout(timeoutMs || this.#timeoutMs);
+    const res = await fetch(`${this.#baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.#apiKey ? { Authorization: `Bearer ${this.#apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      const err = new Error(`${res.status} ${res.statusText}${detail ? ` — ${detail.substring(0, 300)}` : ""}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    return onStream ? this.#readStream(res, onStream) : fromChatCompletion(await res.json());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Assemble a streamed completion, reporting partial text and tool input.
+   * @param {Response} res
+   * @param {(event: import('./provider').StreamEvent) => void} onStream
+   * @returns {Promise<import('./provider').ProviderResponse>}
+   */
+  async #readStream(res, onStream) {
+    let text = "";
+    /** @type {Map<number, { id: string, name: string, arguments: string }>} */
+    const calls = new Map();
+    let finishReason = null;
+    let usage = null;
+
+    /** @param {string} rawLine — One SSE line */
+    const handleLine = (rawLine) => {
+      const line = rawLine.trim();
+      if (!line.startsWith("data:")) return;
+
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        logger.warn("Skipping malformed SSE chunk", { data: data.substring(0, 200) });
+        return;
+      }
+      if (event.usage) usage = event.usage;
+
+      const choice = event.choices?.[0];
+      if (!choice) return;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        this.emitStream(onStream, { type: "text", delta: delta.content, text });
+      }
+
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? calls.size;
+        if (!calls.has(index)) calls.set(index, { id: "", name: "", arguments: "" });
+        const call = calls.get(index);
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) {
+          call.arguments += part.function.arguments;
+          this.emitStream(onStream, {
+            type: "tool_input",
+            id: call.id || `call_${index}`,
+            name: call.name,
+            input: parsePartialArguments(call.arguments),
+          });
+        }
+      }
+    };
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        handleLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    }
+
+    // The server may close the stream without a newline after its last event
+    buffer += decoder.decode();
+    handleLine(buffer);
+
+    return fromChatCompletion({
+      choices: [{
+        finish_reason: finishReason,
+        message: {
+          content: text,
+          tool_calls: [...calls.entries()].map(([index, call]) => ({
+            id: call.id || `call_${index}`,
+            type: "function",
+            function: { name: call.name, arguments: call.arguments },
+          })),
+        },
+      }],
+      usage,
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Format translation
+// ---------------------------------------------------------------------------
+
+/**
+ * Anthropic-format conversation → Chat Completions messages.
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function toChatMessages(messages) {
+  const out = [];
+  for (const msg of messages) {
+    if (typeof msg.content === "string") {
+      out.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+
+    if (msg.role === "assistant") {
+      const text = msg.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+      const toolCalls = msg.content.filter((b) => b.type === "tool_use").map((b) => ({
+        id: b.id,
+        type: "function",
+        function: { name: b.name, arguments: JSON.stringify(b.input) },
+      }));
+      out.push({ role: "assistant", content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+      continue;
+    }
+
+    // User turn — tool results become "tool" messages, text stays a user message
+    for (const block of msg.content) {
+      if (block.type === "tool_result") {
+        out.push({ role: "tool", tool_call_id: block.tool_use_id, content: block.content });
+      }
+    }
+    const text = msg.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+    if (text) out.push({ role: "user", content: text });
+  }
+  return out;
+}
+
+/**
+ * Chat Completions response → ProviderResponse.
+ * @param {Object} completion
+ * @returns {import('./provider').ProviderResponse}
+ */
+function fromChatCompletion(completion) {
+  const choice = completion.choices?.[0];
+  if (!choice) throw new Error("Completion has no choices");
+
+  const content = [];
+  if (choice.message.content) content.push({ type: "text", text: choice.message.content });
+  for (const call of choice.message.tool_calls || []) {
+    content.push({
+      type: "tool_use",
+      id: call.id,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments),
+    });
+  }
+
+  const hasToolCalls = content.some((b) => b.type === "tool_use");
+  const cached = completion.usage?.prompt_tokens_details?.cached_tokens || 0;
+
+  return {
+    content,
+    // Some servers report "stop" alongside tool calls
+    stopReason: hasToolCalls ? "tool_use" : choice.finish_reason === "length" ? "max_tokens" : "end_turn",
+    usage: {
+      input: (completion.usage?.prompt_tokens || 0) - cached,
+      output: completion.usage?.completion_tokens || 0,
+      cacheRead: cached,
+      cacheWrite: 0,
+    },
+  };
+}
+
+/**
+ * @param {string} args — Function arguments JSON
+ * @returns {Object} Parsed input, or {} when the model produced invalid JSON
+ */
+function parseArguments(args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    logger.warn("LLM returned invalid tool arguments JSON", { args: args.substring(0, 200) });
+    return {};
+  }
+}
+
+/**
+ * @param {string} args — Function arguments JSON so far
+ * @returns {Object} What can be read so far, or {} while nothing (or no object) can
+ */
+function parsePartialArguments(args) {
+  try {
+    const input = partialParse(args);
+    return input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  } catch {
+    return {};
+  }
+}
+
+module.exports = { OpenAICompatibleProvider, DEFAULT_BASE_URL };
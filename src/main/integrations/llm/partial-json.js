@@ -0,0 +1,218 @@
+/**
+ * Partial JSON parsing — reads the tool call arguments a model has streamed
+ * so far, e.g. `{"champion": "Ahr`, so overlays can render the input while
+ * it is still being written.
+ *
+ * Whatever is complete is kept, and an unterminated string value keeps the
+ * text received so far (`{"champion": "Ahr` → { champion: "Ahr" }). Anything
+ * that can't be read yet is left out: a key still being written or with no
+ * value, a half-typed literal (`tru`), a lone `-` or a cut escape sequence.
+ * Malformed JSON that isn't merely cut short throws a SyntaxError.
+ */
+
+/** Marks a value the text ends before */
+const INCOMPLETE = Symbol("incomplete");
+
+/** Characters after a backslash, and what they stand for */
+const ESCAPES = Object.freeze({ '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" });
+
+/**
+ * @param {string} text — JSON, possibly cut off at any point
+ * @returns {*} The value read so far, or undefined when nothing is readable yet
+ * @throws {SyntaxError} When the text isn't the start of valid JSON
+ */
+function partialParse(text) {
+  const reader = new PartialJsonReader(text);
+  const value = reader.readValue();
+  reader.skipWhitespace();
+  if (!reader.done) reader.fail("Unexpected data after JSON value");
+  return value === INCOMPLETE ? undefined : value;
+}
+
+// ---------------------------------------------------------------------------
+// Private
+// ---------------------------------------------------------------------------
+
+class PartialJsonReader {
+  /** @type {string} */
+  #text;
+
+  /** @type {number} */
+  #pos = 0;
+
+  /**
+   * @param {string} text
+   */
+  constructor(text) {
+    this.#text = text;
+  }
+
+  /** @returns {boolean} Whether the whole text has been read */
+  get done() {
+    return this.#pos >= this.#text.length;
+  }
+
+  /**
+   * @returns {* | typeof INCOMPLETE}
+   */
+  readValue() {
+    this.skipWhitespace();
+    if (this.done) return INCOMPLETE;
+
+    const ch = this.#text[this.#pos];
+    if (ch === "{") return this.#readObject();
+    if (ch === "[") return this.#readArray();
+    if (ch === '"') return this.#readString().value;
+    if (ch === "-" || (ch >= "0" && ch <= "9")) return this.#readNumber();
+    return this.#readLiteral();
+  }
+
+  skipWhitespace() {
+    while (!this.done && " \t\n\r".includes(this.#text[this.#pos])) this.#pos++;
+  }
+
+  /**
+   * @param {string} message
+   * @throws {SyntaxError}
+   */
+  fail(message) {
+    throw new SyntaxError(`${message} at position ${this.#pos}`);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  #readObject() {
+    const obj = {};
+    this.#pos++; // {
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.done) return obj;
+      if (this.#text[this.#pos] === "}") {
+        this.#pos++;
+        return obj;
+      }
+
+      if (this.#text[this.#pos] !== '"') this.fail("Expected property name");
+      const key = this.#readString();
+      this.skipWhitespace();
+      if (!key.complete || this.done) return obj;
+      if (this.#text[this.#pos] !== ":") this.fail("Expected ':' after property name");
+      this.#pos++;
+
+      const value = this.readValue();
+      if (value === INCOMPLETE) return obj;
+      obj[key.value] = value;
+
+      this.skipWhitespace();
+      if (this.done) return obj;
+      const ch = this.#text[this.#pos++];
+      if (ch === "}") return obj;
+      if (ch !== ",") this.fail("Expected ',' or '}' in object");
+    }
+  }
+
+  /**
+   * @returns {Array}
+   */
+  #readArray() {
+    const arr = [];
+    this.#pos++; // [
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.done) return arr;
+      if (this.#text[this.#pos] === "]") {
+        this.#pos++;
+        return arr;
+      }
+
+      const value = this.readValue();
+      if (value === INCOMPLETE) return arr;
+      arr.push(value);
+
+      this.skipWhitespace();
+      if (this.done) return arr;
+      const ch = this.#text[this.#pos++];
+      if (ch === "]") return arr;
+      if (ch !== ",") this.fail("Expected ',' or ']' in array");
+    }
+  }
+
+  /**
+   * @returns {{ value: string, complete: boolean }} The text so far when unterminated
+   */
+  #readString() {
+    let value = "";
+    this.#pos++; // opening quote
+
+    while (!this.done) {
+      const ch = this.#text[this.#pos];
+      if (ch === '"') {
+        this.#pos++;
+        return { value, complete: true };
+      }
+      if (ch !== "\\") {
+        value += ch;
+        this.#pos++;
+        continue;
+      }
+
+      // Escape sequence — dropped if the text ends inside it
+      const next = this.#text[this.#pos + 1];
+      if (next === undefined) break;
+      if (next === "u") {
+        const hex = this.#text.slice(this.#pos + 2, this.#pos + 6);
+        if (hex.length < 4) break;
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail("Invalid unicode escape");
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.#pos += 6;
+      } else {
+        if (!(next in ESCAPES)) this.fail("Invalid escape");
+        value += ESCAPES[next];
+        this.#pos += 2;
+      }
+    }
+
+    this.#pos = this.#text.length;
+    return { value, complete: false };
+  }
+
+  /**
+   * @returns {number | typeof INCOMPLETE}
+   */
+  #readNumber() {
+    const match = /^-?(?:0|[1-9]\d*)?(?:\.\d*)?(?:[eE][+-]?\d*)?/.exec(this.#text.slice(this.#pos));
+    const token = match[0];
+    this.#pos += token.length;
+
+    const value = Number(token);
+    if (Number.isFinite(value) && /\d$/.test(token)) return value;
+    if (!this.done) this.fail("Invalid number");
+
+    // Cut mid-number ("1.", "2e", "-"): keep the digits read so far, if any
+    const digits = /^-?\d+(?:\.\d+)?/.exec(token);
+    return digits ? Number(digits[0]) : INCOMPLETE;
+  }
+
+  /**
+   * @returns {true | false | null | typeof INCOMPLETE}
+   */
+  #readLiteral() {
+    const rest = this.#text.slice(this.#pos);
+    for (const [word, value] of [["true", true], ["false", false], ["null", null]]) {
+      if (rest.startsWith(word)) {
+        this.#pos += word.length;
+        return value;
+      }
+      if (word.startsWith(rest)) {
+        this.#pos = this.#text.length;
+        return INCOMPLETE;
+      }
+    }
+    return this.fail("Unexpected token");
+  }
+}
+
+module.exports = { partialParse };
@@ -0,0 +1,391 @@
+const { logger } = require("../../utils/logger");
+const { ToolInputError } = require("./tool-input");
+
+/**
+ * Partial output reported while a response streams in.
+ * @typedef {{ type: "text", delta: string, text: string }
+ *   | { type: "tool_input", id: string, name: string, input: Object }} StreamEvent
+ *   `text` is the block's text so far; `input` is the tool input parsed from
+ *   partial JSON, so later fields may be missing or cut short.
+ */
+
+/**
+ * Token usage for one tool loop, summed over its rounds. `input` excludes
+ * tokens read from or written to the prompt cache.
+ * @typedef {{ input: number, output: number, cacheRead: number, cacheWrite: number }} Usage
+ */
+
+/**
+ * One model response, normalized by the provider. Content blocks use the
+ * Anthropic shape — { type: "text", text } and { type: "tool_use", id, name, input } —
+ * which is also the conversation format the tool loop keeps.
+ * @typedef {Object} ProviderResponse
+ * @property {Array<Object>} content
+ * @property {"end_turn"|"tool_use"|"max_tokens"} stopReason
+ * @property {Usage} usage
+ */
+
+/**
+ * One model round-trip of a tool loop, kept for the trace viewer.
+ * @typedef {Object} TraceRound
+ * @property {number} latencyMs — Model response time, excluding tools
+ * @property {Usage} usage
+ * @property {string} text — Model text this round
+ * @property {string} [stopReason]
+ * @property {{ tool: string, input: Object, output: *, failed?: boolean, latencyMs: number }[]} toolCalls
+ * @property {string} [error] — The request failed
+ */
+
+/**
+ * @typedef {Object} ToolLoopResult
+ * @property {string} text
+ * @property {Array} toolResults — { tool, input, output, failed? } per tool call;
+ *   `failed` when the handler threw (output is then { error })
+ * @property {TraceRound[]} rounds — Per round, in order
+ * @property {Usage} usage
+ * @property {string} model
+ * @property {string} provider
+ * @property {number} latencyMs
+ * @property {boolean} [cancelled]
+ * @property {string} [error]
+ */
+
+/** Tool-use round-trips before forcing a stop, unless the caller sets maxToolRounds */
+const DEFAULT_MAX_TOOL_ROUNDS = 10;
+
+/**
+ * LLM provider — what BaseAgent talks to instead of a specific SDK.
+ *
+ * Subclasses implement a single request (createMessage); the tool-use loop,
+ * cancellation and result shape live here so every backend behaves the same
+ * for agents. Tools are declared in the Anthropic format
+ * ({ name, description, input_schema }) and conversations use Anthropic
+ * content blocks; providers translate to and from their wire format.
+ */
+class LLMProvider {
+  // ---------------------------------------------------------------------------
+  // Abstract — subclasses must override
+  // ---------------------------------------------------------------------------
+
+  /** @returns {string} Provider id, e.g. "anthropic" */
+  get name() {
+    throw new Error("Subclass must implement get name()");
+  }
+
+  /** @returns {string} Model used for every call */
+  get model() {
+    throw new Error("Subclass must implement get model()");
+  }
+
+  /** @returns {boolean} Whether the provider is configured well enough to call */
+  get available() {
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether the backend runs on this machine — no game data
+   *   leaves it and calls cost nothing, so the daily budget doesn't apply
+   */
+  get local() {
+    return false;
+  }
+
+  /**
+   * Send one request.
+   * @param {Object} request
+   * @param {string} request.systemPrompt
+   * @param {Array} request.tools — Anthropic tool definitions
+   * @param {Array} request.messages — Anthropic-format conversation
+   * @param {number} request.maxTokens
+   * @param {string} [request.model] — Overrides the provider's model
+   * @param {number | null} [request.temperature] — Provider default when null
+   * @param {number | null} [request.timeoutMs] — Provider default when null
+   * @param {Object} opts
+   * @param {AbortSignal} [opts.signal]
+   * @param {(event: StreamEvent) => void} [opts.onStream] — Stream when set
+   * @returns {Promise<ProviderResponse>}
+   */
+  async createMessage(request, opts) {
+    throw new Error("Subclass must implement createMessage()");
+  }
+
+  /**
+   * @param {Error} err — Thrown by createMessage
+   * @returns {boolean} Whether it was a timeout
+   */
+  isTimeout(err) {
+    return err.name === "TimeoutError" || err.message?.includes("timeout") || err.code === "ETIMEDOUT";
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Single-turn message (no tools). Returns the text response.
+   * @param {string} systemPrompt
+   * @param {string} userMessage
+   * @returns {Promise<string>}
+   */
+  async ask(systemPrompt, userMessage) {
+    if (!this.available) throw new Error(`${this.name} provider not initialized`);
+
+    const startMs = Date.now();
+    const response = await this.createMessage({
+      systemPrompt,
+      tools: [],
+      messages: [{ role: "user", content: userMessage }],
+      maxTokens: 1024,
+    }, {});
+
+    logger.info("LLM response", {
+      provider: this.name,
+      latencyMs: Date.now() - startMs,
+      inputTokens: response.usage.input,
+      outputTokens: response.usage.output,
+    });
+
+    return response.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+  }
+
+  /**
+   * Run a full tool-use conversation loop.
+   *
+   * Flow:
+   *   1. Send system prompt + messages + tool definitions to the model.
+   *   2. If it responds with tool_use blocks, call toolHandler for each.
+   *   3. Append tool results and send back.
+   *   4. Repeat until it responds with only text (end_turn), or maxToolRounds.
+   *
+   * Aborting `signal` cancels the in-flight request and stops before the next
+   * round or tool call; the partial result comes back with `cancelled: true`.
+   *
+   * A tool handler that throws sends the error back as the tool result
+   * (`is_error`), so the model can correct its call — throw ToolInputError
+   * for bad arguments.
+   *
+   * With `onStream`, responses are streamed and partial output is reported as
+   * it arrives — text deltas, and tool inputs parsed from their partial JSON —
+   * so overlays can render before a tool call completes. Tools still run once
+   * the full response is in.
+   *
+   * @param {Object} opts
+   * @param {string} opts.systemPrompt
+   * @param {Array} opts.tools - Anthropic tool definitions
+   * @param {Array} opts.messages - Conversation messages
+   * @param {(toolName: string, toolInput: any, call: { signal?: AbortSignal, toolUseId: string }) => Promise<any>} opts.toolHandler
+   * @param {number} [opts.maxTokens=2048]
+   * @param {string | null} [opts.model] — Overrides the provider's model
+   * @param {number | null} [opts.temperature] — Provider default when null
+   * @param {number} [opts.maxToolRounds=10]
+   * @param {number | null} [opts.timeoutMs] — Per request; provider default when null
+   * @param {AbortSignal} [opts.signal] — Cancels the loop
+   * @param {(event: StreamEvent) => void} [opts.onStream] — Partial output while streaming
+   * @returns {Promise<ToolLoopResult>}
+   */
+  async runToolLoop({
+    systemPrompt,
+    tools,
+    messages,
+    toolHandler,
+    maxTokens = 2048,
+    model = null,
+    temperature = null,
+    maxToolRounds = DEFAULT_MAX_TOOL_ROUNDS,
+    timeoutMs = null,
+    signal,
+    onStream,
+  }) {
+    if (!this.available) throw new Error(`${this.name} provider not initialized`);
+
+    const startMs = Date.now();
+    const usage = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+    const allToolResults = [];
+    /** @type {TraceRound[]} */
+    const rounds = [];
+    let conversationMessages = [...messages];
+
+    const result = (fields) => ({
+      text: "",
+      toolResults: allToolResults,
+      rounds,
+      usage: { ...usage },
+      model: model || this.model,
+      provider: this.name,
+      latencyMs: Date.now() - startMs,
+      ...fields,
+    });
+
+    const cancelledResult = (round) => {
+      logger.info("LLM tool loop cancelled", {
+        provider: this.name,
+        round: round + 1,
+        toolCalls: allToolResults.length,
+        latencyMs: Date.now() - startMs,
+        reason: signal.reason?.message || String(signal.reason ?? ""),
+      });
+      return result({ cancelled: true });
+    };
+
+    for (let round = 0; round < maxToolRounds; round++) {
+      if (signal?.aborted) return cancelledResult(round);
+
+      const roundStartMs = Date.now();
+      let response;
+      try {
+        response = await this.createMessage({
+          systemPrompt,
+          tools,
+          messages: conversationMessages,
+          maxTokens,
+          model,
+          temperature,
+          timeoutMs,
+        }, { signal, onStream });
+      } catch (apiErr) {
+        if (signal?.aborted) return cancelledResult(round);
+
+        const isTimeout = this.isTimeout(apiErr);
+        const isRateLimit = apiErr.status === 429;
+
+        logger.error("LLM API error", {
+          provider: this.name,
+          round: round + 1,
+          error: apiErr.message,
+          isTimeout,
+          isRateLimit,
+          latencyMs: Date.now() - startMs,
+        });
+
+        rounds.push({
+          latencyMs: Date.now() - roundStartMs,
+          usage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+          text: "",
+          toolCalls: [],
+          error: apiErr.message,
+        });
+
+        // Return partial results so the agent doesn't crash
+        return result({ error: isTimeout ? `${this.name} request timed out` : apiErr.message });
+      }
+
+      usage.input += response.usage.input;
+      usage.output += response.usage.output;
+      usage.cacheRead += response.usage.cacheRead || 0;
+      usage.cacheWrite += response.usage.cacheWrite || 0;
+
+      // Extract text blocks and tool_use blocks
+      const textBlocks = response.content.filter((b) => b.type === "text");
+      const toolUseBlocks = response.content.filter((b) => b.type === "tool_use");
+
+      /** @type {TraceRound} */
+      const trace = {
+        latencyMs: Date.now() - roundStartMs,
+        usage: {
+          input: response.usage.input,
+          output: response.usage.output,
+          cacheRead: response.usage.cacheRead || 0,
+          cacheWrite: response.usage.cacheWrite || 0,
+        },
+        text: textBlocks.map((b) => b.text).join(""),
+        stopReason: response.stopReason,
+        toolCalls: [],
+      };
+      rounds.push(trace);
+
+      // If no tool calls, we're done
+      if (toolUseBlocks.length === 0 || response.stopReason === "end_turn") {
+        logger.info("LLM tool loop complete", {
+          provider: this.name,
+          rounds: round + 1,
+          toolCalls: allToolResults.length,
+          latencyMs: Date.now() - startMs,
+          inputTokens: usage.input,
+          outputTokens: usage.output,
+          cacheReadTokens: usage.cacheRead,
+          cacheWriteTokens: usage.cacheWrite,
+        });
+
+        return result({ text: textBlocks.map((b) => b.text).join("") });
+      }
+
+      // Process each tool call
+      const toolResults = [];
+      for (const toolUse of toolUseBlocks) {
+        // Tool handlers may push to overlays — never run them for a cancelled invocation
+        if (signal?.aborted) return cancelledResult(round);
+
+        logger.debug("LLM tool call", {
+          tool: toolUse.name,
+          input: JSON.stringify(toolUse.input).substring(0, 200),
+        });
+
+        const toolStartMs = Date.now();
+        let output;
+        let failed = false;
+        try {
+          output = await toolHandler(toolUse.name, toolUse.input, { signal, toolUseId: toolUse.id });
+        } catch (err) {
+          if (err instanceof ToolInputError) {
+            logger.warn("Tool call rejected", { tool: toolUse.name, errors: err.errors });
+          } else {
+            logger.error("Tool handler error", { tool: toolUse.name, error: err.message });
+          }
+          output = { error: err.message };
+          failed = true;
+        }
+
+        allToolResults.push({
+          tool: toolUse.name,
+          input: toolUse.input,
+          output,
+          ...(failed ? { failed: true } : {}),
+        });
+        trace.toolCalls.push({
+          tool: toolUse.name,
+          input: toolUse.input,
+          output,
+          ...(failed ? { failed: true } : {}),
+          latencyMs: Date.now() - toolStartMs,
+        });
+
+        toolResults.push({
+          type: "tool_result",
+          tool_use_id: toolUse.id,
+          content: typeof output === "string" ? output : JSON.stringify(output),
+          ...(failed ? { is_error: true } : {}),
+        });
+      }
+
+      // Append assistant response + tool results to conversation
+      conversationMessages = [
+        ...conversationMessages,
+        { role: "assistant", content: response.content },
+        { role: "user", content: toolResults },
+      ];
+    }
+
+    // If we exhausted maxToolRounds, return whatever we have
+    logger.warn("LLM tool loop hit max rounds", { provider: this.name, maxRounds: maxToolRounds });
+    return result({ text: "[Tool loop exceeded maximum rounds]" });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Protected — available to subclasses
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Report a stream event, shielding the provider from handler errors.
+   * @param {(event: StreamEvent) => void} onStream
+   * @param {StreamEvent} event
+   */
+  emitStream(onStream, event) {
+    try {
+      onStream(event);
+    } catch (err) {
+      logger.warn("LLM stream handler error", { provider: this.name, error: err.message });
+    }
+  }
+}
+
+module.exports = { LLMProvider, DEFAULT_MAX_TOOL_ROUNDS };
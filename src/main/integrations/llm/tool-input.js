@@ -0,0 +1,158 @@
+/**
+ * Tool input validation — checks a model's tool call arguments against the
+ * tool's `input_schema` before the handler runs.
+ *
+ * Supports the JSON Schema subset the agents' tools use: type, enum,
+ * properties, required, items, minimum/maximum, minLength/maxLength and
+ * minItems/maxItems. Unknown properties pass through untouched.
+ *
+ * Harmless slips are repaired rather than rejected, since a round trip costs
+ * more than the fix:
+ *   - numeric strings → numbers ("0.8" → 0.8), "true"/"false" → booleans
+ *   - enum values matched case-insensitively ("Blind" → "blind")
+ *   - a lone string where an array of strings is expected → [string]
+ *   - surrounding whitespace trimmed from strings
+ */
+
+/**
+ * Thrown (or returned as a tool error) when a tool call's input is invalid.
+ * The message lists every problem so the model can fix them in one retry.
+ */
+class ToolInputError extends Error {
+  /**
+   * @param {string} toolName
+   * @param {string[]} errors
+   */
+  constructor(toolName, errors) {
+    super(`Invalid input for ${toolName}: ${errors.join("; ")}. Fix these and call ${toolName} again.`);
+    this.name = "ToolInputError";
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate (and repair) a tool input against its schema.
+ * @param {Object} schema — The tool's input_schema
+ * @param {*} input
+ * @returns {{ value: *, errors: string[] }} Repaired input, and problems found (empty when valid)
+ */
+function validateToolInput(schema, input) {
+  const errors = [];
+  const value = check(schema || {}, input ?? {}, "input", errors);
+  return { value, errors };
+}
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path — For error messages, e.g. "input.roles[0].role"
+ * @param {string[]} errors — Appended to
+ * @returns {*} The value, repaired where possible
+ */
+function check(schema, value, path, errors) {
+  value = coerce(schema, value);
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be ${article(schema.type)}, got ${describe(value)}`);
+    return value;
+  }
+
+  if (schema.enum) {
+    const match = schema.enum.find((e) => e === value)
+      ?? (typeof value === "string" ? schema.enum.find((e) => typeof e === "string" && e.toLowerCase() === value.toLowerCase()) : undefined);
+    if (match === undefined) {
+      errors.push(`${path} must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}, got ${JSON.stringify(value)}`);
+      return value;
+    }
+    value = match;
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}, got ${value}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) value = value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (isObject(value) && (schema.properties || schema.required)) {
+    const out = { ...value };
+    for (const field of schema.required || []) {
+      if (out[field] === undefined || out[field] === null) errors.push(`${path}.${field} is required`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (out[field] === undefined || out[field] === null) continue;
+      out[field] = check(fieldSchema, out[field], `${path}.${field}`, errors);
+    }
+    value = out;
+  }
+
+  return value;
+}
+
+/**
+ * Repair values that are the right data in the wrong form.
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+function coerce(schema, value) {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if ((schema.type === "number" || schema.type === "integer") && trimmed !== "" && Number.isFinite(Number(trimmed))) {
+      return Number(trimmed);
+    }
+    if (schema.type === "boolean" && (trimmed === "true" || trimmed === "false")) return trimmed === "true";
+    if (schema.type === "array" && schema.items?.type === "string") return [trimmed];
+    return trimmed;
+  }
+  return value;
+}
+
+/**
+ * @param {string | string[]} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matchesType(type, value) {
+  if (Array.isArray(type)) return type.some((t) => matchesType(t, value));
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return isObject(value);
+    case "null": return value === null;
+    default: return true;
+  }
+}
+
+/** @returns {boolean} Whether value is a plain object (not null or an array) */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** @returns {string} "a string", "an integer", "a string or null" */
+function article(type) {
+  if (Array.isArray(type)) return type.map(article).join(" or ");
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/** @returns {string} Short description of a wrong value, for error messages */
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return typeof value === "string" ? JSON.stringify(value.length > 40 ? value.substring(0, 37) + "..." : value) : typeof value;
+}
+
+module.exports = { validateToolInput, ToolInputError };
@@ -2,7 +2,7 @@ const https = require("https");
 const { EventEmitter } = require("events");
 const { logger } = require("../../utils/logger");
 
-const BASE_URL = "https://127.0.0.1:2999/liveclientdata";
+const DEFAULT_BASE_URL = "https://127.0.0.1:2999/liveclientdata";
 
 /**
  * HTTPS agent that accepts the Live Client Data API's self-signed cert.
@@ -27,13 +27,20 @@ const agent = new https.Agent({ rejectUnauthorized: false });
  * All requests are fully async (Promise-based HTTPS). Polling uses
  * setInterval + async callbacks that never block the event loop.
  *
+ * The base URL defaults to the game's port 2999 and can be pointed elsewhere
+ * (e.g. the synthetic server in dev/) via the constructor or RIFT_LIVE_CLIENT_URL.
+ *
  * Events:
  *   "snapshot"   — (data: AllGameData) full game state
  *   "new-events" — (events: GameEvent[]) only events newer than last poll
  *   "available"  — () API became reachable
  *   "unavailable" — () API is no longer reachable
+ *   "response"   — ({ endpoint, data }) after every successful request
  */
 class LiveClientAPI extends EventEmitter {
+  /** @type {string} */
+  #baseUrl;
+
   /** @type {NodeJS.Timeout | null} */
   #snapshotTimer = null;
 
@@ -46,6 +53,20 @@ class LiveClientAPI extends EventEmitter {
   /** Whether the API was reachable on last poll */
   #wasAvailable = false;
 
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.baseUrl] — Defaults to RIFT_LIVE_CLIENT_URL, then https://127.0.0.1:2999/liveclientdata
+   */
+  constructor({ baseUrl } = {}) {
+    super();
+    this.#baseUrl = (baseUrl || process.env.RIFT_LIVE_CLIENT_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  }
+
+  /** @returns {string} */
+  get baseUrl() {
+    return this.#baseUrl;
+  }
+
   /**
    * Get complete game snapshot.
    * Includes: activePlayer, allPlayers, events, gameData.
@@ -165,7 +186,7 @@ class LiveClientAPI extends EventEmitter {
    */
   #fetch(endpoint) {
     return new Promise((resolve, reject) => {
-      const url = new URL(`${BASE_URL}${endpoint}`);
+      const url = new URL(`${this.#baseUrl}${endpoint}`);
 
       const req = https.get(
         {
@@ -182,11 +203,14 @@ class LiveClientAPI extends EventEmitter {
           res.on("data", (chunk) => (data += chunk));
           res.on("end", () => {
             if (res.statusCode === 200) {
+              let parsed;
               try {
-                resolve(JSON.parse(data));
+                parsed = JSON.parse(data);
               } catch {
-                resolve(data);
+                parsed = data;
               }
+              this.emit("response", { endpoint, data: parsed });
+              resolve(parsed);
             } else {
               reject(new Error(`Live Client ${res.statusCode}: ${data}`));
             }
@@ -202,4 +226,4 @@ class LiveClientAPI extends EventEmitter {
   }
 }
 
-module.exports = { LiveClientAPI };
+module.exports = { LiveClientAPI, DEFAULT_BASE_URL };
@@ -1,4 +1,3 @@
-const Store = require("electron-store");
 const { logger } = require("./utils/logger");
 
 /**
@@ -9,13 +8,16 @@ const { logger } = require("./utils/logger");
  * we fall back to whatever was saved in the store via the Settings UI.
  */
 
-/** @type {Store | null} */
+/** @type {import('electron-store') | null} */
 let store = null;
 
 /**
  * Initialize the key store. Must be called after app.whenReady().
+ * electron-store is loaded here, not on require, so modules that read keys
+ * (getKey falls back to process.env) also load outside Electron — the evals.
  */
 function initKeyStore() {
+  const Store = require("electron-store");
   store = new Store({
     name: "rift-architect-keys",
     defaults: {
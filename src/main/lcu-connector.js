@@ -49,6 +49,7 @@ const { logger } = require("./utils/logger");
  *   "websocket-connected"    — ()
  *   "websocket-disconnected" — ()
  *   "lcu-event"              — (event: { uri, data, eventType })
+ *   "response"               — ({ method, endpoint, data }) after every successful REST call
  *   "phase-changed"          — (phase: string)  e.g. "ChampSelect", "InProgress"
  */
 class LCUConnector extends EventEmitter {
@@ -164,11 +165,14 @@ class LCUConnector extends EventEmitter {
         res.on("data", (chunk) => (data += chunk));
         res.on("end", () => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
+            let parsed;
             try {
-              resolve(data ? JSON.parse(data) : null);
+              parsed = data ? JSON.parse(data) : null;
             } catch {
-              resolve(data);
+              parsed = data;
             }
+            this.emit("response", { method, endpoint, data: parsed });
+            resolve(parsed);
           } else {
             reject(new Error(`LCU ${res.statusCode}: ${data}`));
           }
@@ -195,6 +199,22 @@ class LCUConnector extends EventEmitter {
     return this.request("GET", "/lol-gameflow/v1/gameflow-phase");
   }
 
+  /**
+   * Get the gameflow session (queue, map, custom flag for the current lobby/game).
+   * @returns {Promise<Object>}
+   */
+  async getGameflowSession() {
+    return this.request("GET", "/lol-gameflow/v1/session");
+  }
+
+  /**
+   * Get the current lobby (queue config, members and their position preferences).
+   * @returns {Promise<Object>}
+   */
+  async getLobby() {
+    return this.request("GET", "/lol-lobby/v2/lobby");
+  }
+
   /**
    * Get champ select session data.
    * @returns {Promise<any>}
@@ -282,6 +302,8 @@ class LCUConnector extends EventEmitter {
   /**
    * Find the League client lockfile — FULLY ASYNC.
    *
+   * Strategy 0: RIFT_LCU_LOCKFILE env override (mock LCU server, custom installs).
+   *
    * Strategy 1: Parse the running process command line for --install-directory.
    *   Windows: wmic (async exec)
    *   macOS:   ps aux (async exec)
@@ -291,6 +313,12 @@ class LCUConnector extends EventEmitter {
    * @returns {Promise<string | null>}
    */
   async #findLockfile() {
+    // --- Strategy 0: Explicit override ---
+    const override = process.env.RIFT_LCU_LOCKFILE;
+    if (override) {
+      return (await fileExists(override)) ? override : null;
+    }
+
     // --- Strategy 1: Async process detection ---
     try {
       const installDir = await this.#detectProcessInstallDir();
@@ -1,49 +1,377 @@
+const fs = require("fs");
+const path = require("path");
 const { EventEmitter } = require("events");
+const { EVENT_SCHEMAS, validatePayload } = require("./event-schemas");
 const { logger } = require("../utils/logger");
 
+/** Events kept for replay by default */
+const DEFAULT_HISTORY_SIZE = 200;
+
+/**
+ * @returns {boolean} Whether the app runs in dev mode (same check as the logger)
+ */
+function isDevMode() {
+  return process.argv.includes("--dev") || process.env.NODE_ENV === "development";
+}
+
+/**
+ * Get the directory bus logs are written to.
+ * In Electron, uses the userData directory; standalone, the project root.
+ * @returns {string}
+ */
+function getBusLogDir() {
+  try {
+    const { app } = require("electron");
+    return path.join(app.getPath("userData"), "bus-logs");
+  } catch {
+    return path.join(__dirname, "../../../bus-logs");
+  }
+}
+
+/**
+ * @typedef {Object} BusEvent
+ * @property {number} seq      — Monotonic sequence number
+ * @property {number} t        — Epoch ms when published
+ * @property {string} event
+ * @property {*} payload
+ */
+
 /**
  * Internal event bus for agent coordination and cross-component communication.
- * Thin wrapper over EventEmitter with logging.
+ * EventEmitter with declared payload schemas, namespace wildcards, a replay
+ * buffer and an optional NDJSON sink.
  *
  * Event categories:
  *   phase:*    — Game phase transitions
+ *   mode:*     — Game mode detection
  *   agent:*    — Agent lifecycle events
  *   overlay:*  — Overlay visibility events
  *   data:*     — Data pipeline events (LCU snapshots, live client data, etc.)
+ *
+ * Every event has one payload object whose shape is declared in
+ * event-schemas.js (or with registerEvent). In dev mode payloads are
+ * validated on publish, and mismatches — including events with no declared
+ * shape — are logged as errors.
+ *
+ * Subscribing to "ns:*" receives every event in that namespace and "*"
+ * receives everything; wildcard handlers get (payload, event). Pass
+ * { replay: true } (or a count) to subscribe() to first receive matching
+ * events from the history buffer — e.g. a plugin agent started mid-game.
+ * A handler that throws — live or replayed — is logged and skipped.
+ *
+ * Sink file format (one JSON object per line):
+ *   { type: "header", started_at }
+ *   { seq, t, event, payload }
  */
 class EventBus extends EventEmitter {
-  constructor() {
+  /** @type {Map<string, import('./event-schemas').EventShape>} */
+  #schemas = new Map(Object.entries(EVENT_SCHEMAS));
+
+  /** Validate payloads on publish */
+  #validate;
+
+  /** @type {Map<string, Set<Function>>} Wildcard pattern ("ns:*" or "*") → handlers */
+  #wildcards = new Map();
+
+  /** @type {BusEvent[]} Ring buffer of recent events */
+  #history = [];
+
+  /** Index of the oldest entry once the buffer is full */
+  #historyStart = 0;
+
+  /** @type {number} */
+  #historySize;
+
+  /** @type {number} */
+  #seq = 0;
+
+  /** @type {fs.WriteStream | null} */
+  #sink = null;
+
+  /** @type {string | null} */
+  #sinkPath = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.validate] — Defaults to dev mode
+   * @param {number} [options.historySize=200] — Events kept for replay (0 disables)
+   */
+  constructor({ validate = isDevMode(), historySize = DEFAULT_HISTORY_SIZE } = {}) {
     super();
     this.setMaxListeners(30); // Multiple agents + overlays + orchestrator
+    this.#validate = validate;
+    this.#historySize = historySize;
+  }
+
+  /** @returns {string | null} Path of the NDJSON sink, if attached */
+  get sinkPath() {
+    return this.#sinkPath;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schemas
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Declare an event and its payload shape (for plugins and new components).
+   * @param {string} event — "namespace:name"
+   * @param {import('./event-schemas').EventShape} shape
+   */
+  registerEvent(event, shape) {
+    if (!/^[a-z0-9-]+:[a-z0-9-]+$/.test(event)) {
+      throw new Error(`Invalid event name "${event}" — use "namespace:name"`);
+    }
+    if (this.#schemas.has(event)) {
+      throw new Error(`Event "${event}" is already registered`);
+    }
+    if (!shape || typeof shape !== "object") {
+      throw new Error(`Event "${event}" needs a payload shape`);
+    }
+    this.#schemas.set(event, Object.freeze({ ...shape }));
   }
 
   /**
-   * Emit with logging in debug mode.
    * @param {string} event
-   * @param  {...any} args
-   * @returns {boolean}
+   * @returns {import('./event-schemas').EventShape | null}
+   */
+  getSchema(event) {
+    return this.#schemas.get(event) || null;
+  }
+
+  /** @returns {string[]} Every registered event name */
+  listEvents() {
+    return [...this.#schemas.keys()].sort();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Publish / subscribe
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Publish an event to exact and wildcard subscribers.
+   * @param {string} event
+   * @param {Object} [payload={}]
+   * @returns {boolean} Whether anyone was listening
    */
-  publish(event, ...args) {
+  publish(event, payload = {}) {
     logger.debug(`EventBus: ${event}`);
-    return this.emit(event, ...args);
+    if (this.#validate) this.#check(event, payload);
+
+    const entry = { seq: ++this.#seq, t: Date.now(), event, payload };
+    this.#record(entry);
+    this.#writeSink(entry);
+
+    let delivered = false;
+    for (const handler of this.rawListeners(event)) {
+      delivered = true;
+      this.#dispatch(event, handler, payload, event);
+    }
+    for (const pattern of [this.#namespaceOf(event), "*"]) {
+      const handlers = this.#wildcards.get(pattern);
+      if (!handlers) continue;
+      for (const handler of [...handlers]) {
+        delivered = true;
+        this.#dispatch(pattern, handler, payload, event);
+      }
+    }
+    return delivered;
   }
 
   /**
-   * Subscribe to an event.
+   * Subscribe to an event, a namespace ("macro:*") or everything ("*").
    * @param {string} event
-   * @param {Function} handler
+   * @param {Function} handler — (payload) for exact events, (payload, event) for wildcards
+   * @param {Object} [options]
+   * @param {boolean | number} [options.replay=false] — Replay buffered matching events
+   *   first: true for all of them, a number for the most recent N
    */
-  subscribe(event, handler) {
-    this.on(event, handler);
+  subscribe(event, handler, { replay = false } = {}) {
+    if (replay) {
+      const limit = replay === true ? Infinity : replay;
+      for (const entry of this.history(event, limit)) {
+        this.#dispatch(event, handler, entry.payload, entry.event);
+      }
+    }
+
+    if (this.#isWildcard(event)) {
+      if (!this.#wildcards.has(event)) this.#wildcards.set(event, new Set());
+      this.#wildcards.get(event).add(handler);
+    } else {
+      this.on(event, handler);
+    }
   }
 
   /**
-   * Unsubscribe from an event.
+   * Unsubscribe from an event or wildcard pattern.
    * @param {string} event
    * @param {Function} handler
    */
   unsubscribe(event, handler) {
-    this.off(event, handler);
+    if (this.#isWildcard(event)) {
+      this.#wildcards.get(event)?.delete(handler);
+    } else {
+      this.off(event, handler);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Buffered events, oldest first.
+   * @param {string} [pattern="*"] — Event name, "ns:*" or "*"
+   * @param {number} [limit=Infinity] — Most recent N
+   * @returns {BusEvent[]}
+   */
+  history(pattern = "*", limit = Infinity) {
+    const ordered = [
+      ...this.#history.slice(this.#historyStart),
+      ...this.#history.slice(0, this.#historyStart),
+    ];
+    const matching = ordered.filter((e) => this.#matches(pattern, e.event));
+    return limit === Infinity ? matching : matching.slice(-limit);
+  }
+
+  /**
+   * Drop all buffered events.
+   */
+  clearHistory() {
+    this.#history = [];
+    this.#historyStart = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // NDJSON sink
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Persist all bus traffic to an NDJSON file, for debugging.
+   * @param {string} [filePath] — Defaults to <userData>/bus-logs/bus-<timestamp>.ndjson
+   * @returns {string} The file path
+   */
+  attachSink(filePath) {
+    if (this.#sink) return this.#sinkPath;
+
+    if (!filePath) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      filePath = path.join(getBusLogDir(), `bus-${stamp}.ndjson`);
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.#sinkPath = filePath;
+    this.#sink = fs.createWriteStream(filePath, { flags: "a" });
+    this.#sink.on("error", (err) => {
+      logger.error("EventBus: sink write failed — detaching", { error: err.message });
+      this.detachSink();
+    });
+    this.#sink.write(JSON.stringify({ type: "header", started_at: new Date().toISOString() }) + "\n");
+
+    logger.info("EventBus: logging bus traffic", { file: filePath });
+    return filePath;
+  }
+
+  /**
+   * Stop writing to the sink and close the file.
+   */
+  detachSink() {
+    if (!this.#sink) return;
+    this.#sink.end();
+    this.#sink = null;
+    logger.info("EventBus: bus log closed", { file: this.#sinkPath });
+    this.#sinkPath = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Call one handler, logging instead of throwing — a handler that fails on
+   * one payload (live or replayed) must not break the publisher or subscriber.
+   * @param {string} pattern — What the handler subscribed to
+   * @param {Function} handler
+   * @param {*} payload
+   * @param {string} event
+   */
+  #dispatch(pattern, handler, payload, event) {
+    try {
+      if (this.#isWildcard(pattern)) handler(payload, event);
+      else handler(payload);
+    } catch (err) {
+      logger.error(`EventBus: ${pattern} handler failed on ${event}`, { error: err.message });
+    }
+  }
+
+  /**
+   * Validate a payload and log any mismatch. An event with no declared shape
+   * fails validation too. Never throws — a bad payload from one publisher
+   * must not break the phase pipeline.
+   */
+  #check(event, payload) {
+    const shape = this.#schemas.get(event);
+    if (!shape) {
+      logger.error(`EventBus: "${event}" has no registered schema — declare it in event-schemas.js or with registerEvent()`);
+      return;
+    }
+
+    const errors = validatePayload(shape, payload);
+    if (errors.length > 0) {
+      logger.error(`EventBus: invalid payload for "${event}"`, { errors });
+    }
+  }
+
+  /**
+   * @param {BusEvent} entry
+   */
+  #record(entry) {
+    if (this.#historySize <= 0) return;
+    if (this.#history.length < this.#historySize) {
+      this.#history.push(entry);
+      return;
+    }
+    this.#history[this.#historyStart] = entry;
+    this.#historyStart = (this.#historyStart + 1) % this.#historySize;
+  }
+
+  /**
+   * @param {BusEvent} entry
+   */
+  #writeSink(entry) {
+    if (!this.#sink) return;
+    try {
+      this.#sink.write(JSON.stringify(entry) + "\n");
+    } catch (err) {
+      logger.warn("EventBus: could not serialize event for sink", { event: entry.event, error: err.message });
+    }
+  }
+
+  /**
+   * @param {string} event
+   * @returns {boolean} Whether `event` is a "ns:*" or "*" pattern
+   */
+  #isWildcard(event) {
+    return event === "*" || event.endsWith(":*");
+  }
+
+  /**
+   * @param {string} event
+   * @returns {string} "ns:*"
+   */
+  #namespaceOf(event) {
+    const idx = event.indexOf(":");
+    return `${idx === -1 ? event : event.slice(0, idx)}:*`;
+  }
+
+  /**
+   * @param {string} pattern — Event name, "ns:*" or "*"
+   * @param {string} event
+   * @returns {boolean}
+   */
+  #matches(pattern, event) {
+    if (pattern === "*") return true;
+    if (pattern.endsWith(":*")) return this.#namespaceOf(event) === pattern;
+    return pattern === event;
   }
 }
 
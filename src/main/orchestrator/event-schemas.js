@@ -0,0 +1,72 @@
+/**
+ * Event bus payload schemas.
+ *
+ * Every bus event declares the shape of its payload. A shape maps field
+ * names to a type spec:
+ *   "string" | "number" | "boolean" | "object" | "array" | "any"
+ * Specs can be combined with "|" ("string|null") and a trailing "?" marks
+ * the field optional ("number?"). Fields not in the shape are allowed.
+ *
+ * Plugins declare their own events with EventBus.registerEvent().
+ */
+
+/** @typedef {Object<string, string>} EventShape */
+
+/** @type {Object<string, EventShape>} */
+const EVENT_SCHEMAS = {
+  // --- Game phase transitions ---
+  "phase:changed": { from: "string", to: "string" },
+
+  // --- Game mode (queue/map) detection ---
+  "mode:changed": { from: "string", to: "string" },
+
+  // --- Agent lifecycle ---
+  "agent:activated": { agent: "string", mode: "string" },
+  "agent:deactivated": { agent: "string" },
+};
+
+/**
+ * @param {*} value
+ * @param {string} type — A single type name (no "|" or "?")
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "any": return true;
+    case "null": return value === null;
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "number": return typeof value === "number" && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check a payload against a shape.
+ * @param {EventShape} shape
+ * @param {*} payload
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validatePayload(shape, payload) {
+  if (payload === null || typeof payload !== "object" || Array.isArray(payload)) {
+    return [`payload must be an object, got ${payload === null ? "null" : typeof payload}`];
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(shape)) {
+    const optional = spec.endsWith("?");
+    const types = (optional ? spec.slice(0, -1) : spec).split("|");
+    const value = payload[field];
+
+    if (value === undefined) {
+      if (!optional) errors.push(`missing "${field}" (${types.join("|")})`);
+      continue;
+    }
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`"${field}" should be ${types.join("|")}, got ${value === null ? "null" : typeof value}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { EVENT_SCHEMAS, validatePayload };
@@ -1,19 +1,30 @@
-const { GamePhase, PHASE_AGENT_MAP, PHASE_OVERLAY_MAP, GamePhaseStateMachine } = require("./state-machine");
+const {
+  GamePhase,
+  LCU_PHASE_MAP,
+  GameMode,
+  detectGameMode,
+  GamePhaseStateMachine,
+} = require("./state-machine");
 const { EventBus } = require("./event-bus");
-const { DraftingOracle } = require("../agents/drafting-oracle/agent");
-const { MacroStrategist } = require("../agents/macro-strategist/agent");
-const { TiltGuard } = require("../agents/tilt-guard/agent");
+const { createDefaultRegistry } = require("../agents/registry");
 const { queries } = require("../data/db");
+const { IPC_CHANNELS } = require("../../shared/ipc-channels");
 const { logger } = require("../utils/logger");
 
+/** LCU event URIs that can switch the queue without a phase change */
+const MODE_EVENT_URIS = new Set(["/lol-gameflow/v1/session", "/lol-lobby/v2/lobby"]);
+
 /**
  * Orchestrator — The central coordinator for Rift Architect.
  *
  * Responsibilities:
  * - Listens to LCU Connector for client connect/disconnect and phase changes
  * - Manages game phase state machine
- * - Activates/deactivates agents per phase
- * - Shows/hides overlay windows per phase
+ * - Detects the game mode (queue/map) from the gameflow session, including
+ *   queue switches within a phase (e.g. Ranked → ARAM in the lobby)
+ * - Activates/deactivates agents per phase, routed by game mode through the
+ *   agent registry (several agents may run in one phase)
+ * - Shows/hides each active agent's overlay windows
  * - Broadcasts state changes to all renderers via IPC
  */
 class Orchestrator {
@@ -23,14 +34,14 @@ class Orchestrator {
   /** @type {import('../windows/overlay-manager').OverlayManager} */
   #overlayManager;
 
-  /** @type {import('../integrations/claude/client').ClaudeClient} */
-  #claudeClient;
+  /** @type {import('../integrations/llm/provider').LLMProvider} */
+  #llm;
 
-  /** @type {import('../riot-api-client').RiotApiClient} */
-  #riotApi;
+  /** @type {Object} Services agents can declare as dependencies (see AGENT_SERVICES) */
+  #services;
 
-  /** @type {import('../integrations/riot/live-client').LiveClientAPI} */
-  #liveClient;
+  /** @type {import('../agents/registry').AgentRegistry} */
+  #registry;
 
   /** @type {EventBus} */
   #eventBus;
@@ -44,20 +55,33 @@ class Orchestrator {
   /** @type {Map<string, import('../agents/base-agent').BaseAgent>} */
   #activeAgents = new Map();
 
+  /** @type {string} Current GameMode */
+  #gameMode = GameMode.UNKNOWN;
+
+  /** @type {string | null} Current game, from champ select to post-game (spend accounting) */
+  #gameId = null;
+
+  /** @type {number | null} gameData.gameId from the last gameflow session read */
+  #lcuGameId = null;
+
+  /** Serializes phase changes (each one awaits a mode refresh first) */
+  #phaseQueue = Promise.resolve();
+
   /**
    * @param {Object} deps
    * @param {import('../lcu-connector').LCUConnector} deps.lcuConnector
    * @param {import('../windows/overlay-manager').OverlayManager} deps.overlayManager
-   * @param {import('../integrations/claude/client').ClaudeClient} deps.claudeClient
+   * @param {import('../integrations/llm/provider').LLMProvider} deps.llm
    * @param {import('../riot-api-client').RiotApiClient} deps.riotApi
    * @param {import('../integrations/riot/live-client').LiveClientAPI} deps.liveClient
+   * @param {import('../agents/registry').AgentRegistry} [deps.registry] — Defaults to the built-in agents
    */
-  constructor({ lcuConnector, overlayManager, claudeClient, riotApi, liveClient }) {
+  constructor({ lcuConnector, overlayManager, llm, riotApi, liveClient, registry }) {
     this.#lcu = lcuConnector;
     this.#overlayManager = overlayManager;
-    this.#claudeClient = claudeClient;
-    this.#riotApi = riotApi;
-    this.#liveClient = liveClient;
+    this.#llm = llm;
+    this.#services = { riotApi, liveClient };
+    this.#registry = registry || createDefaultRegistry();
     this.#eventBus = new EventBus();
     this.#stateMachine = new GamePhaseStateMachine(
       (from, to) => this.#onPhaseTransition(from, to)
@@ -74,6 +98,24 @@ class Orchestrator {
     return this.#stateMachine.current;
   }
 
+  /** @returns {string} Current GameMode */
+  get gameMode() {
+    return this.#gameMode;
+  }
+
+  /** @returns {import('../agents/registry').AgentRegistry} */
+  get registry() {
+    return this.#registry;
+  }
+
+  /**
+   * @param {string} agentId
+   * @returns {import('../agents/base-agent').BaseAgent | null} The agent, if it's running
+   */
+  getActiveAgent(agentId) {
+    return this.#activeAgents.get(agentId) || null;
+  }
+
   /**
    * Set a callback for updating the tray status text.
    * @param {(status: string) => void} updater
@@ -92,13 +134,13 @@ class Orchestrator {
     this.#lcu.on("connected", async (creds) => {
       logger.info("Orchestrator: League client connected", { port: creds.port });
       this.#updateTrayStatus(`Connected (port ${creds.port})`);
-      this.#overlayManager.sendToMain("status:update", "Connected to League Client");
+      this.#overlayManager.sendToMain(IPC_CHANNELS.STATUS_UPDATE, "Connected to League Client");
 
       // Fetch current phase in case we connected mid-session
       try {
         const phase = await this.#lcu.getCurrentPhase();
         logger.info("Orchestrator: Current LCU phase on connect", { phase });
-        this.#stateMachine.transitionFromLCU(phase);
+        this.#handleLCUPhase(phase);
       } catch (err) {
         logger.warn("Could not fetch initial phase", { error: err.message });
       }
@@ -110,14 +152,22 @@ class Orchestrator {
       this.#deactivateAllAgents();
       this.#overlayManager.hideAll();
       this.#stateMachine.reset();
+      this.#setGameMode(GameMode.UNKNOWN);
 
       // Broadcast status to main window
-      this.#overlayManager.sendToMain("status:update", "Disconnected — reconnecting...");
+      this.#overlayManager.sendToMain(IPC_CHANNELS.STATUS_UPDATE, "Disconnected — reconnecting...");
     });
 
     // --- Real-time phase changes via LCU WebSocket ---
     this.#lcu.on("phase-changed", (lcuPhase) => {
-      this.#stateMachine.transitionFromLCU(lcuPhase);
+      this.#handleLCUPhase(lcuPhase);
+    });
+
+    // --- Queue switches that don't change the phase ---
+    this.#lcu.on("lcu-event", (event) => {
+      if (MODE_EVENT_URIS.has(event.uri) && event.eventType !== "Delete") {
+        this.#handleModeEvent();
+      }
     });
 
     // Start LCU polling
@@ -144,11 +194,9 @@ class Orchestrator {
     const phase = this.currentPhase;
     logger.info("Orchestrator: resuming agents after key update.", { phase });
 
-    const agentId = PHASE_AGENT_MAP[phase];
-    if (agentId) this.#activateAgent(agentId);
-
-    const overlays = PHASE_OVERLAY_MAP[phase] || [];
-    for (const ov of overlays) this.#overlayManager.show(ov);
+    for (const agentId of this.#agentsForPhase(phase)) {
+      this.#activateAgent(agentId);
+    }
   }
 
   /**
@@ -159,12 +207,149 @@ class Orchestrator {
     this.#deactivateAllAgents();
     this.#lcu.shutdown();
     this.#overlayManager.hideAll();
+    this.#eventBus.detachSink();
   }
 
   // ---------------------------------------------------------------------------
   // Private
   // ---------------------------------------------------------------------------
 
+  /**
+   * Refresh the game mode, then transition. Queued so a slow session fetch
+   * can't let a later phase change overtake an earlier one.
+   * @param {string} lcuPhase — Raw LCU gameflow phase
+   */
+  #handleLCUPhase(lcuPhase) {
+    this.#phaseQueue = this.#phaseQueue.then(async () => {
+      const mode = this.#gameMode;
+      if (LCU_PHASE_MAP[lcuPhase] === GamePhase.IDLE) {
+        this.#setGameMode(GameMode.UNKNOWN);
+      } else {
+        await this.#refreshGameMode();
+      }
+      const transitioned = this.#stateMachine.transitionFromLCU(lcuPhase);
+      if (!transitioned && this.#gameMode !== mode) await this.#rerouteAgents();
+    }).catch((err) => {
+      logger.error("Orchestrator: phase change handling failed", { lcuPhase, error: err.message });
+    });
+  }
+
+  /**
+   * Re-read the game mode after a gameflow session or lobby update, and
+   * re-route the current phase's agents if it changed. Queued with phase
+   * changes so the two can't interleave.
+   */
+  #handleModeEvent() {
+    this.#phaseQueue = this.#phaseQueue.then(async () => {
+      if (this.#stateMachine.current === GamePhase.IDLE) return;
+
+      const mode = this.#gameMode;
+      await this.#refreshGameMode();
+      if (this.#gameMode !== mode) await this.#rerouteAgents();
+    }).catch((err) => {
+      logger.error("Orchestrator: mode change handling failed", { error: err.message });
+    });
+  }
+
+  /**
+   * The game mode changed within a phase: restart the phase's agents so each
+   * one is routed — and created — with the new mode.
+   */
+  async #rerouteAgents() {
+    const phase = this.#stateMachine.current;
+    logger.info("Orchestrator: re-routing agents for new game mode", { phase, mode: this.#gameMode });
+
+    const modeLabel = this.#gameMode !== GameMode.UNKNOWN ? ` (${this.#gameMode})` : "";
+    this.#updateTrayStatus(`Phase: ${phase}${modeLabel}`);
+
+    await this.#deactivateAllAgents();
+    for (const agentId of this.#agentsForPhase(phase)) {
+      this.#activateAgent(agentId);
+    }
+  }
+
+  /**
+   * Read the queue/map from the gameflow session and update the game mode.
+   * Keeps the previous mode if the session can't be read.
+   */
+  async #refreshGameMode() {
+    try {
+      const session = await this.#lcu.getGameflowSession();
+      this.#lcuGameId = session?.gameData?.gameId || null;
+      this.#setGameMode(detectGameMode(session));
+    } catch (err) {
+      logger.debug("Could not fetch gameflow session — keeping game mode", {
+        mode: this.#gameMode,
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * @param {string} mode — A GameMode value
+   */
+  #setGameMode(mode) {
+    if (mode === this.#gameMode) return;
+
+    const from = this.#gameMode;
+    this.#gameMode = mode;
+    logger.info("Orchestrator: game mode changed", { from, to: mode });
+
+    this.#eventBus.publish("mode:changed", { from, to: mode });
+
+    // Agent labels per phase, for the dashboard
+    const table = this.#resolveModeAgentTable()[mode];
+    const phaseAgents = {};
+    for (const [phase, ids] of Object.entries(table)) {
+      phaseAgents[phase] = ids.map((id) => this.#registry.get(id)?.label || id);
+    }
+    this.#overlayManager.sendToMain(IPC_CHANNELS.GAME_MODE_CHANGED, { mode, phaseAgents });
+  }
+
+  /**
+   * Mode → phase → agent ids: the registry's declared routing with the
+   * "mode_agent_map" setting (JSON, per mode/phase) layered on top.
+   * Override values may be an agent id, an array of ids, or null (no agents).
+   * @returns {Object<string, Object<string, string[]>>}
+   */
+  #resolveModeAgentTable() {
+    const table = this.#registry.modeAgentTable();
+
+    const raw = queries.getSetting("mode_agent_map");
+    if (!raw) return table;
+
+    let overrides;
+    try {
+      overrides = JSON.parse(raw);
+    } catch (err) {
+      logger.warn("Invalid mode_agent_map setting — using defaults", { error: err.message });
+      return table;
+    }
+
+    for (const [mode, phases] of Object.entries(overrides || {})) {
+      if (!table[mode] || !phases) continue;
+      for (const [phase, value] of Object.entries(phases)) {
+        if (!(phase in table[mode])) continue;
+        const ids = value === null ? [] : [].concat(value);
+        table[mode][phase] = ids.filter((id) => {
+          if (this.#registry.get(id)) return true;
+          logger.warn("mode_agent_map names an unknown agent — ignoring", { mode, phase, agent: id });
+          return false;
+        });
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Agents routed to a phase in the current game mode.
+   * @param {string} phase
+   * @returns {string[]}
+   */
+  #agentsForPhase(phase) {
+    return this.#resolveModeAgentTable()[this.#gameMode]?.[phase] || [];
+  }
+
   /**
    * Called by the state machine whenever a phase transition occurs.
    * @param {string} from
@@ -174,23 +359,29 @@ class Orchestrator {
     logger.info("Orchestrator: phase transition", { from, to });
 
     // Update tray
-    this.#updateTrayStatus(`Phase: ${to}`);
-
-    // Deactivate agent from previous phase
-    const prevAgent = PHASE_AGENT_MAP[from];
-    if (prevAgent) this.#deactivateAgent(prevAgent);
+    const modeLabel = this.#gameMode !== GameMode.UNKNOWN ? ` (${this.#gameMode})` : "";
+    this.#updateTrayStatus(`Phase: ${to}${modeLabel}`);
+
+    // One game id from champ select to post-game. The LCU only assigns
+    // gameId once the game exists, so fall back to a local one.
+    if (to === GamePhase.IDLE || to === GamePhase.LOBBY) {
+      this.#gameId = null;
+    } else if (!this.#gameId) {
+      this.#gameId = this.#lcuGameId ? String(this.#lcuGameId) : `local-${Date.now()}`;
+    }
 
-    // Hide previous overlays
-    const prevOverlays = PHASE_OVERLAY_MAP[from] || [];
-    for (const ov of prevOverlays) this.#overlayManager.hide(ov);
+    // Resolve the agents for the new phase in the current mode
+    const newAgents = this.#agentsForPhase(to);
 
-    // Activate agent for new phase
-    const newAgent = PHASE_AGENT_MAP[to];
-    if (newAgent) this.#activateAgent(newAgent);
+    // Deactivate agents (and hide their overlays) that aren't routed to the new phase
+    for (const agentId of [...this.#activeAgents.keys()]) {
+      if (!newAgents.includes(agentId)) this.#deactivateAgent(agentId);
+    }
 
-    // Show new overlays
-    const newOverlays = PHASE_OVERLAY_MAP[to] || [];
-    for (const ov of newOverlays) this.#overlayManager.show(ov);
+    // Activate every agent for the new phase — each shows its own overlays
+    for (const agentId of newAgents) {
+      this.#activateAgent(agentId);
+    }
 
     // Broadcast to all renderers
     this.#overlayManager.broadcastPhaseChange(to);
@@ -198,31 +389,36 @@ class Orchestrator {
   }
 
   /**
-   * Create an agent instance by name.
+   * Create an agent instance from its registry manifest.
    * @param {string} agentId
    * @returns {import('../agents/base-agent').BaseAgent | null}
    */
   #createAgent(agentId) {
-    const baseDeps = {
-      claudeClient: this.#claudeClient,
+    const manifest = this.#registry.get(agentId);
+    if (!manifest) {
+      logger.warn("No agent implementation for", { agentId });
+      return null;
+    }
+
+    const deps = {
+      llm: this.#llm,
       eventBus: this.#eventBus,
       lcu: this.#lcu,
       overlayManager: this.#overlayManager,
+      gameMode: this.#gameMode,
+      gameId: this.#gameId,
+      overlays: manifest.overlays,
+      prompts: manifest.prompts,
     };
+    for (const service of manifest.dependencies) {
+      deps[service] = this.#services[service];
+    }
 
-    switch (agentId) {
-      case "drafting-oracle":
-        return new DraftingOracle({ ...baseDeps, riotApi: this.#riotApi });
-
-      case "macro-strategist":
-        return new MacroStrategist({ ...baseDeps, liveClient: this.#liveClient });
-
-      case "tilt-guard":
-        return new TiltGuard({ ...baseDeps, riotApi: this.#riotApi });
-
-      default:
-        logger.warn("No agent implementation for", { agentId });
-        return null;
+    try {
+      return manifest.create(deps);
+    } catch (err) {
+      logger.error("Agent create() failed", { agent: agentId, source: manifest.source, error: err.message });
+      return null;
     }
   }
 
@@ -246,13 +442,18 @@ class Orchestrator {
     if (!agent) return;
 
     this.#activeAgents.set(agentId, agent);
-    this.#eventBus.publish("agent:activated", { agent: agentId });
+    this.#eventBus.publish("agent:activated", { agent: agentId, mode: this.#gameMode });
+
+    for (const ov of this.#registry.get(agentId).overlays) this.#overlayManager.show(ov);
 
     try {
       await agent.start();
     } catch (err) {
       logger.error("Agent start() failed", { agent: agentId, error: err.message });
+      if (this.#activeAgents.get(agentId) !== agent) return; // Deactivated while starting
       this.#activeAgents.delete(agentId);
+      this.#eventBus.publish("agent:deactivated", { agent: agentId });
+      this.#hideOverlays(agentId);
     }
   }
 
@@ -272,6 +473,20 @@ class Orchestrator {
 
     this.#activeAgents.delete(agentId);
     this.#eventBus.publish("agent:deactivated", { agent: agentId });
+    this.#hideOverlays(agentId);
+  }
+
+  /**
+   * Hide an agent's overlays unless another active agent still uses them.
+   * @param {string} agentId
+   */
+  #hideOverlays(agentId) {
+    const stillShown = new Set(
+      [...this.#activeAgents.keys()].flatMap((id) => this.#registry.get(id).overlays)
+    );
+    for (const ov of this.#registry.get(agentId).overlays) {
+      if (!stillShown.has(ov)) this.#overlayManager.hide(ov);
+    }
   }
 
   async #deactivateAllAgents() {
@@ -42,30 +42,49 @@ const VALID_TRANSITIONS = Object.freeze({
 });
 
 /**
- * Maps each phase to the agent that should be active during it.
- * null = no agent active.
+ * Game modes the orchestrator routes agents by.
+ * Detected from the LCU gameflow session (queue + map), see detectGameMode().
+ * Agents declare the modes they run in (agents/registry.js).
  */
-const PHASE_AGENT_MAP = Object.freeze({
-  [GamePhase.IDLE]: null,
-  [GamePhase.LOBBY]: null,
-  [GamePhase.CHAMP_SELECT]: "drafting-oracle",
-  [GamePhase.LOADING]: null,
-  [GamePhase.IN_GAME]: "macro-strategist",
-  [GamePhase.POST_GAME]: "tilt-guard",
+const GameMode = Object.freeze({
+  SUMMONERS_RIFT: "SUMMONERS_RIFT", // Ranked solo/flex, normal draft/blind, Quickplay
+  SWIFTPLAY: "SWIFTPLAY",
+  ARAM: "ARAM",
+  ARENA: "ARENA",
+  PRACTICE_TOOL: "PRACTICE_TOOL",
+  CUSTOM: "CUSTOM",
+  FEATURED: "FEATURED", // Rotating modes (URF, One for All, Nexus Blitz, ...)
+  UNKNOWN: "UNKNOWN", // Session unavailable — routed like Summoner's Rift
 });
 
+/** Swiftplay queue ID (SR map, no bans, pre-selected champions) */
+const SWIFTPLAY_QUEUE_ID = 480;
+
 /**
- * Maps each phase to the overlay(s) that should be visible.
- * Empty array = no overlays.
+ * Detect the game mode from an LCU gameflow session
+ * (/lol-gameflow/v1/session). Map checks come first so a custom game on
+ * Howling Abyss still counts as ARAM.
+ *
+ * @param {Object | null} session
+ * @returns {string} A GameMode value
  */
-const PHASE_OVERLAY_MAP = Object.freeze({
-  [GamePhase.IDLE]: [],
-  [GamePhase.LOBBY]: [],
-  [GamePhase.CHAMP_SELECT]: ["draft"],
-  [GamePhase.LOADING]: [],
-  [GamePhase.IN_GAME]: ["macro"],
-  [GamePhase.POST_GAME]: ["tilt"],
-});
+function detectGameMode(session) {
+  const gameData = session?.gameData;
+  if (!gameData) return GameMode.UNKNOWN;
+
+  const queue = gameData.queue || {};
+  const gameMode = queue.gameMode || session.map?.gameMode || "";
+  const mapId = queue.mapId || session.map?.id || 0;
+
+  if (gameMode === "PRACTICETOOL") return GameMode.PRACTICE_TOOL;
+  if (gameMode === "CHERRY" || mapId === 30) return GameMode.ARENA;
+  if (gameMode === "ARAM" || mapId === 12) return GameMode.ARAM;
+  if (gameData.isCustomGame) return GameMode.CUSTOM;
+  if (queue.id === SWIFTPLAY_QUEUE_ID) return GameMode.SWIFTPLAY;
+  if (gameMode && gameMode !== "CLASSIC") return GameMode.FEATURED;
+  if (mapId === 11) return GameMode.SUMMONERS_RIFT;
+  return GameMode.UNKNOWN;
+}
 
 class GamePhaseStateMachine {
   /** @type {string} */
@@ -143,7 +162,7 @@ module.exports = {
   GamePhase,
   LCU_PHASE_MAP,
   VALID_TRANSITIONS,
-  PHASE_AGENT_MAP,
-  PHASE_OVERLAY_MAP,
+  GameMode,
+  detectGameMode,
   GamePhaseStateMachine,
 };
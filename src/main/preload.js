@@ -10,6 +10,10 @@ contextBridge.exposeInMainWorld("riftApi", {
     // Whitelist allowed channels
     const allowed = [
       "orchestrator:phase-changed",
+      "orchestrator:mode-changed",
+      "agent:offline",
+      "lobby:state",
+      "lobby:plan",
       "draft:recommendation",
       "draft:pick-locked",
       "draft:phase-update",
@@ -17,6 +21,9 @@ contextBridge.exposeInMainWorld("riftApi", {
       "macro:call",
       "macro:dismiss",
       "macro:game-state",
+      "coach:open",
+      "loading:roster",
+      "loading:briefing",
       "spell:init",
       "spell:enemy-update",
       "tilt:score-update",
@@ -27,7 +34,8 @@ contextBridge.exposeInMainWorld("riftApi", {
       "overlay:hide",
     ];
 
-    if (allowed.includes(channel)) {
+    // Agent plugins talk to their own overlays on "plugin:<agent-id>:*"
+    if (allowed.includes(channel) || channel.startsWith("plugin:")) {
       ipcRenderer.on(channel, (_event, ...args) => callback(...args));
     }
   },
@@ -44,6 +52,7 @@ contextBridge.exposeInMainWorld("riftApi", {
       "settings:set",
       "session:history",
       "overlay:toggle",
+      "coach:close",
     ];
 
     if (allowed.includes(channel)) {
@@ -53,12 +62,32 @@ contextBridge.exposeInMainWorld("riftApi", {
 
   /** Send a message and wait for a response */
   invoke(channel, ...args) {
+    // Literals mirror IPC_CHANNELS (shared/ipc-channels.js) — a sandboxed
+    // preload can only require "electron", not local modules
     const allowed = [
       "settings:get",
       "session:history",
       "keys:get",
       "keys:save",
       "overlay:activate-ingame",
+      "coach:ask",
+      "agents:list",
+      "agents:model-configs",
+      "agents:set-model-config",
+      "prompts:list",
+      "prompts:save",
+      "prompts:history",
+      "coaching:styles",
+      "coaching:set-style",
+      "spend:summary",
+      "spend:set-prices",
+      "traces:filters",
+      "traces:list",
+      "traces:get",
+      "pools:get",
+      "pools:set",
+      "pools:set-mode",
+      "pools:seed",
     ];
 
     if (allowed.includes(channel)) {
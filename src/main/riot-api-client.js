@@ -393,6 +393,12 @@ class RiotApiClient extends EventEmitter {
     );
   }
 
+  async getAccountByRiotId(gameName, tagLine) {
+    return this.#regionalRequest(
+      `/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`
+    );
+  }
+
   // ---------------------------------------------------------------------------
   // Private — routing helpers (all requests go through the serial queue)
   // ---------------------------------------------------------------------------
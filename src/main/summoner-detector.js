@@ -9,6 +9,20 @@ const { logger } = require("./utils/logger");
  */
 let championMap = new Map();
 
+/**
+ * Normalized champion name or Data Dragon id → display name, for checking
+ * names that come from the model ("kaisa", "MonkeyKing" → "Kai'Sa", "Wukong").
+ * @type {Map<string, string>}
+ */
+let championNameIndex = new Map();
+
+/**
+ * Display name → Data Dragon tags, ratings and stats, for deriving champion
+ * attributes (agents/champion-attributes.js).
+ * @type {Map<string, { tags: string[], info: Object, stats: Object }>}
+ */
+let championDetails = new Map();
+
 /** Cached Data Dragon patch version */
 let patchVersion = "";
 
@@ -29,13 +43,7 @@ async function loadChampionData() {
     );
 
     // 3. Build ID → Name map
-    for (const champ of Object.values(champData.data)) {
-      championMap.set(parseInt(champ.key, 10), champ.name);
-    }
-
-    patchVersion = latestPatch;
-
-    logger.info("Champion data loaded", { count: championMap.size });
+    setChampionData(latestPatch, champData.data);
 
     // 4. Cache champion square icons in AppData (async, non-blocking)
     cacheChampionIcons(latestPatch, champData.data).catch((err) => {
@@ -46,6 +54,27 @@ async function loadChampionData() {
   }
 }
 
+/**
+ * Install champion data directly — loadChampionData without the network,
+ * for offline tools such as the agent eval runner.
+ * @param {string} patch — Data Dragon version, e.g. "14.10.1"
+ * @param {Object<string, { id: string, key: string, name: string, tags?: string[], info?: Object, stats?: Object }>} champions — champion.json `data`
+ */
+function setChampionData(patch, champions) {
+  for (const champ of Object.values(champions)) {
+    championMap.set(parseInt(champ.key, 10), champ.name);
+    championNameIndex.set(normalizeChampionName(champ.name), champ.name);
+    championNameIndex.set(normalizeChampionName(champ.id), champ.name);
+    if (champ.tags && champ.info) {
+      championDetails.set(champ.name, { tags: champ.tags, info: champ.info, stats: champ.stats || {} });
+    }
+  }
+
+  patchVersion = patch;
+
+  logger.info("Champion data loaded", { count: championMap.size });
+}
+
 /**
  * Resolve a champion ID to a champion name.
  * @param {number} championId
@@ -55,6 +84,48 @@ function getChampionName(championId) {
   return championMap.get(championId) || `Champion #${championId}`;
 }
 
+/**
+ * Resolve a champion name as written by a person or a model to its Data
+ * Dragon display name. Ignores case, spaces and punctuation.
+ * @param {string} name
+ * @returns {string | null} Display name, or null when no champion matches
+ */
+function resolveChampionName(name) {
+  return championNameIndex.get(normalizeChampionName(name)) || null;
+}
+
+/**
+ * @param {string} name — Any spelling
+ * @returns {{ tags: string[], info: { attack: number, defense: number, magic: number, difficulty: number }, stats: Object } | null}
+ *   Data Dragon's class tags, 0-10 ratings and base stats — null until loaded
+ */
+function getChampionDetails(name) {
+  const resolved = resolveChampionName(name);
+  return (resolved && championDetails.get(resolved)) || null;
+}
+
+/**
+ * @returns {string[]} Every champion's display name, sorted — empty until Data Dragon loads
+ */
+function getChampionNames() {
+  return [...championMap.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @returns {boolean} Whether Data Dragon champion data has loaded
+ */
+function hasChampionData() {
+  return championMap.size > 0;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Lower-case alphanumerics only
+ */
+function normalizeChampionName(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
 /**
  * Summoner Detector — On LCU connection, fetches the logged-in summoner's
  * identity from the local client, then enriches it with Cloud API data
@@ -331,4 +402,15 @@ function getPatchVersion() {
   return patchVersion;
 }
 
-module.exports = { detectSummoner, loadChampionData, getChampionName, getChampionIconPath, getPatchVersion };
+module.exports = {
+  detectSummoner,
+  loadChampionData,
+  setChampionData,
+  getChampionName,
+  resolveChampionName,
+  getChampionNames,
+  getChampionDetails,
+  hasChampionData,
+  getChampionIconPath,
+  getPatchVersion,
+};
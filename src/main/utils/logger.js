@@ -4,6 +4,18 @@
  * Will be replaced with electron-log in later phases.
  */
 
+/** Severity order for LOG_LEVEL — messages below the level are dropped */
+const LEVELS = Object.freeze({ debug: 0, info: 1, warn: 2, error: 3 });
+
+/**
+ * @param {"debug"|"info"|"warn"|"error"} level
+ * @returns {boolean} Whether LOG_LEVEL lets this level through (default: info)
+ */
+function enabled(level) {
+  const min = LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] ?? LEVELS.info;
+  return LEVELS[level] >= min;
+}
+
 function formatTimestamp() {
   return new Date().toISOString();
 }
@@ -15,19 +27,26 @@ function formatMeta(meta) {
 
 const logger = {
   info(message, meta) {
+    if (!enabled("info")) return;
     console.log(`[${formatTimestamp()}] [INFO]  ${message}${formatMeta(meta)}`);
   },
 
   warn(message, meta) {
+    if (!enabled("warn")) return;
     console.warn(`[${formatTimestamp()}] [WARN]  ${message}${formatMeta(meta)}`);
   },
 
   error(message, meta) {
+    if (!enabled("error")) return;
     console.error(`[${formatTimestamp()}] [ERROR] ${message}${formatMeta(meta)}`);
   },
 
   debug(message, meta) {
-    if (process.argv.includes("--dev") || process.env.NODE_ENV === "development") {
+    // Off by default, on with --dev — unless LOG_LEVEL says otherwise
+    const on = process.env.LOG_LEVEL
+      ? enabled("debug")
+      : process.argv.includes("--dev") || process.env.NODE_ENV === "development";
+    if (on) {
       console.log(`[${formatTimestamp()}] [DEBUG] ${message}${formatMeta(meta)}`);
     }
   },
@@ -0,0 +1,47 @@
+/**
+ * Line diff for showing prompt edits.
+ */
+
+/**
+ * One line of a diff: unchanged (" "), added ("+") or removed ("-").
+ * @typedef {{ op: " " | "+" | "-", line: string }} DiffLine
+ */
+
+/**
+ * Diff two texts line by line (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffLine[]}
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lcs[i][j] — length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ op: "-", line: a[i++] });
+    } else {
+      diff.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: "-", line: a[i++] });
+  while (j < b.length) diff.push({ op: "+", line: b[j++] });
+  return diff;
+}
+
+module.exports = { diffLines };
@@ -10,7 +10,7 @@ const positionStore = new Store({ name: "overlay-positions" });
  * Per-overlay configuration.
  * @typedef {Object} OverlayConfig
  * @property {string} id
- * @property {string} htmlFile       - Relative path from project root to the HTML file
+ * @property {string} htmlFile       - Path to the HTML file, relative to the project root (or absolute, for plugins)
  * @property {number} width
  * @property {number} height
  * @property {"top-left"|"top-right"|"bottom-left"|"bottom-right"|"center-right"} anchor
@@ -21,6 +21,16 @@ const positionStore = new Store({ name: "overlay-positions" });
 
 /** @type {Record<string, OverlayConfig>} */
 const OVERLAY_CONFIGS = {
+  lobby: {
+    id: "lobby-overlay",
+    htmlFile: "src/renderer/lobby-overlay/index.html",
+    width: 340,
+    height: 560,
+    anchor: "center-right",
+    offsetX: -20,
+    offsetY: 0,
+    clickThrough: false, // Sits over the client, not the game
+  },
   draft: {
     id: "draft-overlay",
     htmlFile: "src/renderer/draft-overlay/index.html",
@@ -41,6 +51,16 @@ const OVERLAY_CONFIGS = {
     offsetY: 100,
     clickThrough: true, // Toasts must not block gameplay clicks
   },
+  loading: {
+    id: "loading-overlay",
+    htmlFile: "src/renderer/loading-overlay/index.html",
+    width: 340,
+    height: 520,
+    anchor: "center-right",
+    offsetX: -20,
+    offsetY: 0,
+    clickThrough: true, // Stays up for the first minute of the game
+  },
   spellTracker: {
     id: "spell-tracker-overlay",
     htmlFile: "src/renderer/spell-tracker/index.html",
@@ -51,6 +71,16 @@ const OVERLAY_CONFIGS = {
     offsetY: 20,
     clickThrough: false, // Interactive when Tab is held
   },
+  ask: {
+    id: "ask-overlay",
+    htmlFile: "src/renderer/ask-overlay/index.html",
+    width: 380,
+    height: 64,
+    anchor: "top-right",
+    offsetX: -20,
+    offsetY: 230, // Under the macro toasts, where the answer appears
+    clickThrough: false, // The player types into it
+  },
   tilt: {
     id: "tilt-overlay",
     htmlFile: "src/renderer/tilt-overlay/index.html",
@@ -71,6 +101,9 @@ class OverlayManager {
   /** @type {Map<string, BrowserWindow>} */
   #windows = new Map();
 
+  /** @type {Map<string, OverlayConfig>} Built-in + plugin overlay configs */
+  #configs = new Map(Object.entries(OVERLAY_CONFIGS));
+
   /** @type {BrowserWindow | null} */
   #mainWindow = null;
 
@@ -88,6 +121,24 @@ class OverlayManager {
     }
   }
 
+  /**
+   * Create an extra overlay window (e.g. one shipped by an agent plugin).
+   * @param {string} name
+   * @param {OverlayConfig} config
+   * @returns {boolean} false if the name is already taken
+   */
+  registerOverlay(name, config) {
+    if (this.#configs.has(name)) {
+      logger.warn("Overlay name already in use — skipping", { overlay: name });
+      return false;
+    }
+
+    this.#configs.set(name, config);
+    this.#windows.set(name, this.#createOverlayWindow(config));
+    logger.info("Overlay window created", { overlay: name, id: config.id });
+    return true;
+  }
+
   /**
    * Create the main dashboard window (hidden by default).
    */
@@ -134,7 +185,7 @@ class OverlayManager {
   createSettingsWindow() {
     this.#settingsWindow = new BrowserWindow({
       width: 480,
-      height: 460,
+      height: 720,
       show: false,
       title: "Rift Architect — Settings",
       resizable: false,
@@ -174,7 +225,7 @@ class OverlayManager {
 
   /**
    * Show an overlay by name.
-   * @param {string} name - "draft" | "macro" | "tilt"
+   * @param {string} name - "lobby" | "draft" | "macro" | "loading" | "tilt"
    */
   show(name) {
     const win = this.#windows.get(name);
@@ -184,6 +235,20 @@ class OverlayManager {
     }
   }
 
+  /**
+   * Show an overlay and give it keyboard focus — for overlays the player
+   * types into (the ask-the-coach box). Takes focus from the game.
+   * @param {string} name
+   */
+  focus(name) {
+    const win = this.#windows.get(name);
+    if (win && !win.isDestroyed()) {
+      win.show();
+      win.focus();
+      logger.info("Overlay focused", { overlay: name });
+    }
+  }
+
   /**
    * Hide an overlay by name.
    * @param {string} name
@@ -277,7 +342,7 @@ class OverlayManager {
    * @param {string} name
    */
   saveOverlayPosition(name) {
-    const config = OVERLAY_CONFIGS[name];
+    const config = this.#configs.get(name);
     const win = this.#windows.get(name);
     if (win && !win.isDestroyed() && config) {
       const [x, y] = win.getPosition();
@@ -451,7 +516,9 @@ class OverlayManager {
     });
 
     overlay.loadFile(
-      path.join(__dirname, "../../../", config.htmlFile)
+      path.isAbsolute(config.htmlFile)
+        ? config.htmlFile
+        : path.join(__dirname, "../../../", config.htmlFile)
     );
 
     if (saved) {
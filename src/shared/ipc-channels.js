@@ -4,6 +4,14 @@
 const IPC_CHANNELS = {
   // Orchestrator -> Overlays
   GAME_PHASE_CHANGED: "orchestrator:phase-changed",
+  GAME_MODE_CHANGED: "orchestrator:mode-changed",
+
+  // Any agent -> its overlays
+  AGENT_OFFLINE: "agent:offline",
+
+  // Agent 5 -> Lobby Overlay
+  LOBBY_STATE: "lobby:state",
+  LOBBY_PLAN: "lobby:plan",
 
   // Agent 1 -> Draft Overlay
   DRAFT_RECOMMENDATION: "draft:recommendation",
@@ -16,6 +24,15 @@ const IPC_CHANNELS = {
   MACRO_DISMISS: "macro:dismiss",
   MACRO_GAME_STATE: "macro:game-state",
 
+  // Ask-the-coach hotkey <-> Ask Overlay (answers arrive as MACRO_CALL)
+  COACH_OPEN: "coach:open",
+  COACH_ASK: "coach:ask",
+  COACH_CLOSE: "coach:close",
+
+  // Agent 4 -> Loading Overlay
+  LOADING_ROSTER: "loading:roster",
+  LOADING_BRIEFING: "loading:briefing",
+
   // Spell Tracker -> Spell Tracker Overlay
   SPELL_INIT: "spell:init",
   SPELL_ENEMY_UPDATE: "spell:enemy-update",
@@ -30,6 +47,27 @@ const IPC_CHANNELS = {
   SETTINGS_GET: "settings:get",
   SETTINGS_SET: "settings:set",
   SESSION_HISTORY: "session:history",
+  SPEND_SUMMARY: "spend:summary",
+  SPEND_SET_PRICES: "spend:set-prices",
+  TRACES_FILTERS: "traces:filters",
+  TRACES_LIST: "traces:list",
+  TRACES_GET: "traces:get",
+  POOLS_GET: "pools:get",
+  POOLS_SET: "pools:set",
+  POOLS_SET_MODE: "pools:set-mode",
+  POOLS_SEED: "pools:seed",
+
+  // Settings Window
+  KEYS_GET: "keys:get",
+  KEYS_SAVE: "keys:save",
+  AGENTS_LIST: "agents:list",
+  AGENTS_MODEL_CONFIGS: "agents:model-configs",
+  AGENTS_SET_MODEL_CONFIG: "agents:set-model-config",
+  PROMPTS_LIST: "prompts:list",
+  PROMPTS_SAVE: "prompts:save",
+  PROMPTS_HISTORY: "prompts:history",
+  COACHING_STYLES: "coaching:styles",
+  COACHING_SET_STYLE: "coaching:set-style",
 
   // Overlay control
   OVERLAY_SHOW: "overlay:show",